@@ -39,7 +39,9 @@ const LoginPage = lazy(() => import('./pages/LoginPage'))
 const RegisterPage = lazy(() => import('./pages/RegisterPage'))
 const TrainsPage = lazy(() => import('./pages/TrainsPage'))
 const TrainDetailPage = lazy(() => import('./pages/TrainDetailPage'))
+const StationBoardPage = lazy(() => import('./pages/StationBoardPage'))
 const TicketsPage = lazy(() => import('./pages/TicketsPage'))
+const TicketScannerPage = lazy(() => import('./pages/TicketScannerPage'))
 const ProfilePage = lazy(() => import('./pages/ProfilePage'))
 const LostFoundPage = lazy(() => import('./pages/LostFoundPage'))
 const SOSPage = lazy(() => import('./pages/SOSPage'))
@@ -245,6 +247,7 @@ function App() {
                           <Route path="/register" element={<RegisterPage />} />
                           <Route path="/trains" element={<TrainsPage />} />
                           <Route path="/trains/:trainId" element={<TrainDetailPage />} />
+                          <Route path="/board/:stationCode" element={<StationBoardPage />} />
                           <Route path="/lost-found" element={<LostFoundPage />} />
 
                           {/* Protected Routes (require authentication) */}
@@ -253,6 +256,11 @@ function App() {
                               <TicketsPage />
                             </ProtectedRoute>
                           } />
+                          <Route path="/scanner" element={
+                            <ProtectedRoute>
+                              <TicketScannerPage />
+                            </ProtectedRoute>
+                          } />
                           <Route path="/profile" element={
                             <ProtectedRoute>
                               <ProfilePage />
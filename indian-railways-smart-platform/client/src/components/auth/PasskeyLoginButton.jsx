@@ -0,0 +1,56 @@
+/**
+ * 🔑 "Sign in with passkey" Button
+ *
+ * Drop this above the identifier/password form on the login page. It
+ * renders nothing on browsers without WebAuthn, and if the passenger
+ * cancels or has no passkey yet we call `onFallback` so the page can
+ * focus the regular password form - they're never stuck.
+ *
+ * Props:
+ * - rememberMe: passed through to the login
+ * - onSuccess(loginData): same `data` as the password login response
+ * - onFallback(): switch to the identifier/password login
+ */
+
+import React, { useState } from 'react'
+import toast from 'react-hot-toast'
+import { FingerPrintIcon } from '@heroicons/react/24/outline'
+
+import { passkeysSupported, signInWithPasskey, isPasskeyCancelled } from '../../services/passkeys'
+
+const PasskeyLoginButton = ({ rememberMe = false, onSuccess, onFallback }) => {
+  const [loading, setLoading] = useState(false)
+
+  if (!passkeysSupported()) return null
+
+  const handleClick = async () => {
+    setLoading(true)
+
+    try {
+      const loginData = await signInWithPasskey({ rememberMe })
+      toast.success(`Welcome back, ${loginData.user.name}! 🎉`)
+      onSuccess?.(loginData)
+    } catch (error) {
+      if (!isPasskeyCancelled(error)) {
+        toast.error(error.response?.data?.error || 'Passkey sign in failed. Please use your password.')
+      }
+      onFallback?.()
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={loading}
+      className="w-full flex items-center justify-center gap-2 border border-blue-600 text-blue-700 px-4 py-2 rounded-lg hover:bg-blue-50 disabled:opacity-60 transition-colors"
+    >
+      <FingerPrintIcon className="h-5 w-5" aria-hidden="true" />
+      {loading ? 'Waiting for your device...' : 'Sign in with passkey'}
+    </button>
+  )
+}
+
+export default PasskeyLoginButton
@@ -0,0 +1,86 @@
+/**
+ * 💪 Password Strength Meter
+ *
+ * Put this under the password field on the register (or reset) page. It
+ * asks POST /api/auth/password-strength - the same policy the server
+ * enforces - so a green bar here always means the form will be accepted.
+ * Requests are debounced so we don't call the API on every keystroke.
+ *
+ * Props:
+ * - password: the value of the password field
+ * - name, email, phone: what's typed so far (passwords must not contain them)
+ * - onChange({ valid, score }): optional, e.g. to disable the submit button
+ */
+
+import React, { useEffect, useRef, useState } from 'react'
+import axios from 'axios'
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api'
+const DEBOUNCE_MS = 300
+
+const BAR_COLORS = ['bg-red-500', 'bg-orange-500', 'bg-yellow-500', 'bg-lime-500', 'bg-green-600']
+
+const PasswordStrengthMeter = ({ password, name, email, phone, onChange }) => {
+  const [result, setResult] = useState(null)
+
+  // Latest callback without re-checking the password when the parent re-renders
+  const onChangeRef = useRef(onChange)
+  onChangeRef.current = onChange
+
+  useEffect(() => {
+    if (!password) {
+      setResult(null)
+      onChangeRef.current?.({ valid: false, score: 0 })
+      return undefined
+    }
+
+    let cancelled = false
+
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await axios.post(`${API_URL}/auth/password-strength`, {
+          password,
+          name,
+          email,
+          phone,
+        })
+
+        if (!cancelled) {
+          setResult(data.data)
+          onChangeRef.current?.({ valid: data.data.valid, score: data.data.score })
+        }
+      } catch (error) {
+        // The meter is a hint - the server still checks on submit
+        if (!cancelled) setResult(null)
+      }
+    }, DEBOUNCE_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [password, name, email, phone])
+
+  if (!password || !result) return null
+
+  const hint = result.errors[0] || result.suggestions[0]
+
+  return (
+    <div className="mt-2" aria-live="polite">
+      <div className="flex gap-1">
+        {[0, 1, 2, 3, 4].map((step) => (
+          <div
+            key={step}
+            className={`h-1.5 flex-1 rounded ${step <= result.score ? BAR_COLORS[result.score] : 'bg-gray-200'}`}
+          />
+        ))}
+      </div>
+      <p className={`mt-1 text-sm ${result.valid ? 'text-gray-600' : 'text-red-600'}`}>
+        Strength: <span className="font-medium capitalize">{result.label}</span>
+        {hint && ` - ${hint}`}
+      </p>
+    </div>
+  )
+}
+
+export default PasswordStrengthMeter
@@ -0,0 +1,77 @@
+/**
+ * 🚉 Station Info - What's Waiting for You at the Station
+ *
+ * A compact card for a stop on TrainDetailPage: the station name in the
+ * passenger's language, the platform this train uses and the amenities
+ * (lifts, ramps, waiting rooms, food stalls).
+ *
+ * Props:
+ * - station: a station from the API (stops[].station on GET /api/trains/:trainId)
+ * - platform: platform for this train, if known (live value wins over timetable)
+ * - platformChanged: highlight the platform because staff just changed it
+ * - language: preferences.language code, e.g. 'hi'
+ */
+
+import React from 'react'
+import { MapPinIcon } from '@heroicons/react/24/outline'
+
+const AMENITY_LABELS = {
+  lifts: 'Lifts',
+  ramps: 'Ramps',
+  waitingRooms: 'Waiting rooms',
+  foodStalls: 'Food stalls',
+}
+
+// Counts show as "Lifts (2)", yes/no amenities just by name - missing ones are left out
+const amenityList = (amenities = {}) => Object.entries(AMENITY_LABELS)
+  .filter(([key]) => amenities[key])
+  .map(([key, label]) => (typeof amenities[key] === 'number' ? `${label} (${amenities[key]})` : label))
+
+const StationInfo = ({ station, platform, platformChanged = false, language = 'en' }) => {
+  if (!station) return null
+
+  const localName = station.localNames?.[language]
+  const amenities = amenityList(station.amenities)
+
+  return (
+    <div className="rounded-lg border border-gray-200 bg-white p-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <p className="font-semibold text-gray-900">
+            {localName || station.name}
+            <span className="ml-2 text-sm font-normal text-gray-500">{station.code}</span>
+          </p>
+          {localName && <p className="text-sm text-gray-600">{station.name}</p>}
+          {station.city && (
+            <p className="mt-1 flex items-center gap-1 text-sm text-gray-500">
+              <MapPinIcon className="h-4 w-4" aria-hidden="true" />
+              {[station.city, station.state].filter(Boolean).join(', ')}
+            </p>
+          )}
+        </div>
+
+        {platform && (
+          <div
+            className={`rounded-md px-3 py-1 text-center ${platformChanged ? 'bg-amber-100 text-amber-900' : 'bg-blue-50 text-blue-900'}`}
+            aria-live="polite"
+          >
+            <p className="text-xs uppercase tracking-wide">{platformChanged ? 'Platform changed' : 'Platform'}</p>
+            <p className="text-xl font-bold">{platform}</p>
+          </div>
+        )}
+      </div>
+
+      {amenities.length > 0 && (
+        <ul className="mt-3 flex flex-wrap gap-2" aria-label="Station amenities">
+          {amenities.map((amenity) => (
+            <li key={amenity} className="rounded-full bg-gray-100 px-2.5 py-0.5 text-xs text-gray-700">
+              {amenity}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default StationInfo
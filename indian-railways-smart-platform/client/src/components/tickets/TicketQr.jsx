@@ -0,0 +1,52 @@
+/**
+ * 🎫 Ticket QR - What the Passenger Shows the TTE
+ *
+ * Fetches the booking's signed QR code and draws it. The code carries the
+ * journey and passengers, so the TTE's scanner can check it without a
+ * network; we ask for a fresh one each time the ticket is opened so it
+ * always shows the latest berths (RAC/waitlist upgrades included).
+ *
+ * Props:
+ * - pnr: the booking's 10-digit PNR
+ * - accessToken: the signed-in passenger's token
+ */
+
+import React from 'react'
+import { useQuery } from 'react-query'
+import { QRCodeSVG } from 'qrcode.react'
+
+import { getTicketQr } from '../../services/tickets'
+
+const TicketQr = ({ pnr, accessToken }) => {
+  const { data, isLoading, error } = useQuery(
+    ['ticket-qr', pnr],
+    () => getTicketQr(accessToken, pnr),
+    { enabled: Boolean(pnr && accessToken), staleTime: 5 * 60 * 1000, retry: false }
+  )
+
+  if (isLoading) return <p className="text-gray-500">Preparing your ticket QR…</p>
+
+  if (error) {
+    return (
+      <p className="text-sm text-gray-600">
+        {error.response?.data?.error || 'The QR code is not available right now.'}{' '}
+        {error.response?.data?.tip}
+      </p>
+    )
+  }
+
+  if (!data) return null
+
+  return (
+    <figure className="inline-flex flex-col items-center rounded-lg bg-white p-4">
+      <QRCodeSVG value={data.code} size={240} level="M" includeMargin />
+      <figcaption className="mt-2 text-center text-sm text-gray-600">
+        PNR {data.pnr} · show this to the TTE
+        <br />
+        Valid until {new Date(data.expiresAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}
+      </figcaption>
+    </figure>
+  )
+}
+
+export default TicketQr
@@ -0,0 +1,137 @@
+/**
+ * 🧭 Journey Options - "No direct train? Here's how to get there"
+ *
+ * Shows itineraries with changes from GET /api/trains/journeys. Render it
+ * on TrainsPage under the direct results with the same search values; it
+ * only fetches once `from` and `to` are filled in.
+ *
+ * Props:
+ * - from, to: station codes
+ * - date: YYYY-MM-DD (defaults to today on the server)
+ * - travelClass: optional, e.g. '3A'
+ */
+
+import React, { useState } from 'react'
+import { useQuery } from 'react-query'
+import { Link } from 'react-router-dom'
+import { ArrowRightIcon, ClockIcon } from '@heroicons/react/24/outline'
+
+import { planJourneys } from '../../services/trains'
+
+const SORT_LABELS = {
+  arrival: 'Earliest arrival',
+  changes: 'Fewest changes',
+  fare: 'Cheapest',
+}
+
+const formatDuration = (minutes) => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`
+
+const JourneyOptions = ({ from, to, date, travelClass }) => {
+  const [sort, setSort] = useState('arrival')
+  const [maxChanges, setMaxChanges] = useState(2)
+
+  const { data, isLoading, isError, error } = useQuery(
+    ['journeys', from, to, date, travelClass, sort, maxChanges],
+    () => planJourneys({ from, to, date, travelClass, sort, maxChanges }),
+    { enabled: Boolean(from && to), retry: 1 }
+  )
+
+  if (!from || !to) return null
+
+  return (
+    <section className="mt-8" aria-labelledby="journey-options-heading">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 id="journey-options-heading" className="text-xl font-semibold text-gray-900">
+          Journeys with changes
+        </h2>
+
+        <div className="flex gap-2">
+          <select
+            value={sort}
+            onChange={(event) => setSort(event.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm"
+            aria-label="Sort journeys"
+          >
+            {Object.entries(SORT_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+
+          <select
+            value={maxChanges}
+            onChange={(event) => setMaxChanges(Number(event.target.value))}
+            className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm"
+            aria-label="Maximum changes"
+          >
+            {[0, 1, 2, 3].map((value) => (
+              <option key={value} value={value}>
+                {value === 0 ? 'Direct only' : `Up to ${value} change${value > 1 ? 's' : ''}`}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {isLoading && <p className="text-gray-500">Finding the best connections...</p>}
+
+      {isError && (
+        <p className="text-red-600">
+          {error.response?.data?.error || 'Could not plan journeys right now. Please try again.'}
+        </p>
+      )}
+
+      {data && data.journeys.length === 0 && (
+        <p className="text-gray-600">No journeys found for this date. Try allowing more changes or another day.</p>
+      )}
+
+      <ul className="space-y-4">
+        {data?.journeys.map((journey) => (
+          <li
+            key={journey.legs.map((leg) => `${leg.trainNumber}-${leg.from.date}`).join('_')}
+            className="border border-gray-200 rounded-lg p-4 bg-white shadow-sm"
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="flex items-center gap-2 text-lg font-semibold">
+                <span>{journey.departure.departure}</span>
+                <ArrowRightIcon className="h-4 w-4 text-gray-400" aria-hidden="true" />
+                <span>{journey.arrival.arrival}</span>
+                {journey.arrival.date !== journey.departure.date && (
+                  <span className="text-xs font-normal text-gray-500">({journey.arrival.date})</span>
+                )}
+              </div>
+
+              <div className="flex items-center gap-4 text-sm text-gray-600">
+                <span className="flex items-center gap-1">
+                  <ClockIcon className="h-4 w-4" aria-hidden="true" />
+                  {formatDuration(journey.durationMinutes)}
+                </span>
+                <span>{journey.changes === 0 ? 'Direct' : `${journey.changes} change${journey.changes > 1 ? 's' : ''}`}</span>
+                {journey.estimatedFare !== null && <span>~₹{journey.estimatedFare}</span>}
+              </div>
+            </div>
+
+            <ol className="mt-3 space-y-2">
+              {journey.legs.map((leg, index) => (
+                <li key={`${leg.trainNumber}-${leg.from.code}`} className="text-sm">
+                  {index > 0 && (
+                    <p className="text-amber-700 mb-1">
+                      Change at {leg.from.name} - {formatDuration(journey.connections[index - 1].waitMinutes)} to connect
+                    </p>
+                  )}
+                  <Link to={`/trains/${leg.trainNumber}`} className="font-medium text-blue-700 hover:underline">
+                    {leg.trainNumber} {leg.name}
+                  </Link>
+                  <span className="text-gray-600">
+                    {' '}· {leg.from.code} {leg.from.departure} → {leg.to.code} {leg.to.arrival}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
+
+export default JourneyOptions
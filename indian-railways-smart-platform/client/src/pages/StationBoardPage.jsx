@@ -0,0 +1,200 @@
+/**
+ * 🪧 Station Board Page - Arrivals & Departures for the Big Screen
+ *
+ * Route: /board/:stationCode
+ *
+ * Made for the TVs on the concourse: it covers the whole screen (no app
+ * header or footer), refetches whenever the server says a train calling
+ * here changed (`board-changed` in the `station-{code}` socket room), and
+ * once a minute anyway so times never go stale if the socket drops.
+ *
+ * Display options, for kiosks that nobody logs into, come from the URL:
+ *   /board/NDLS?contrast=high&text=large&lang=hi&limit=12
+ * A logged-in passenger's accessibility preferences (highContrast,
+ * largeText) and language are used when the URL doesn't say otherwise.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { useParams, useSearchParams } from 'react-router-dom'
+import { useQuery } from 'react-query'
+import { io } from 'socket.io-client'
+
+import { getStationBoard } from '../services/stations'
+import { useAuth } from '../hooks/useAuth'
+
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000'
+
+const FALLBACK_REFRESH_MS = 60 * 1000
+
+const STATUS_LABELS = {
+  on_time: 'On time',
+  delayed: 'Delayed',
+  arrived: 'At platform',
+  cancelled: 'Cancelled',
+}
+
+const clock = (date) => new Date(date).toLocaleTimeString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false,
+})
+
+// Live clock for the header - boards always show the time
+const useNow = () => {
+  const [now, setNow] = useState(new Date())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 15 * 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  return now
+}
+
+const BoardTable = ({ title, rows, kind, theme, largeText }) => (
+  <section aria-label={title} className="flex-1 min-w-0">
+    <h2 className={`font-bold uppercase tracking-wide mb-3 ${largeText ? 'text-4xl' : 'text-2xl'} ${theme.heading}`}>
+      {title}
+    </h2>
+
+    <table className={`w-full text-left ${largeText ? 'text-3xl' : 'text-xl'}`}>
+      <thead>
+        <tr className={theme.muted}>
+          <th scope="col" className="py-2 pr-4 font-medium">Time</th>
+          <th scope="col" className="py-2 pr-4 font-medium">Train</th>
+          <th scope="col" className="py-2 pr-4 font-medium">{kind === 'arrival' ? 'From' : 'To'}</th>
+          <th scope="col" className="py-2 pr-4 font-medium">Expected</th>
+          <th scope="col" className="py-2 font-medium text-center">Pf</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.length === 0 && (
+          <tr>
+            <td colSpan={5} className={`py-6 ${theme.muted}`}>No trains in the next few hours</td>
+          </tr>
+        )}
+        {rows.map((row) => {
+          const place = kind === 'arrival' ? row.from : row.to
+          const late = row.status === 'delayed' || row.status === 'cancelled'
+
+          return (
+            <tr key={`${row.trainNumber}-${row.runDate}`} className={`border-t ${theme.rule}`}>
+              <td className="py-2 pr-4 tabular-nums">{clock(row.scheduled)}</td>
+              <td className="py-2 pr-4">
+                <span className="font-bold tabular-nums">{row.trainNumber}</span>{' '}
+                <span className={theme.muted}>{row.name}</span>
+              </td>
+              <td className="py-2 pr-4">{place ? place.name : '—'}</td>
+              <td className={`py-2 pr-4 tabular-nums ${late ? theme.late : theme.onTime}`}>
+                {row.status === 'cancelled'
+                  ? STATUS_LABELS.cancelled
+                  : row.status === 'delayed'
+                    ? `${clock(row.expected)} (+${row.delayMinutes})`
+                    : STATUS_LABELS[row.status]}
+              </td>
+              <td className="py-2 text-center font-bold">{row.platform || '—'}</td>
+            </tr>
+          )
+        })}
+      </tbody>
+    </table>
+  </section>
+)
+
+const StationBoardPage = () => {
+  const { stationCode } = useParams()
+  const [searchParams] = useSearchParams()
+  const { user } = useAuth()
+  const now = useNow()
+
+  const accessibility = user?.preferences?.accessibility || {}
+  const highContrast = searchParams.has('contrast') ? searchParams.get('contrast') === 'high' : Boolean(accessibility.highContrast)
+  const largeText = searchParams.has('text')
+    ? searchParams.get('text') === 'large'
+    : Boolean(accessibility.largeText) || ['large', 'extra-large'].includes(accessibility.fontSize)
+  const lang = searchParams.get('lang') || user?.preferences?.language
+  const limit = Number(searchParams.get('limit')) || 10
+
+  const code = stationCode.toUpperCase()
+
+  const { data, isLoading, isError, refetch } = useQuery(
+    ['station-board', code, limit, lang],
+    () => getStationBoard(code, { limit, lang }),
+    { refetchInterval: FALLBACK_REFRESH_MS, staleTime: 0, retry: true }
+  )
+
+  // Live updates: refetch (at most every few seconds) when a train calling here changes
+  useEffect(() => {
+    const socket = io(SOCKET_URL, { transports: ['websocket'] })
+    let pending = null
+
+    const join = () => socket.emit('join-station', code)
+    const onChange = () => {
+      if (pending) return
+      pending = setTimeout(() => {
+        pending = null
+        refetch()
+      }, 3000)
+    }
+
+    socket.on('connect', join)
+    socket.on('board-changed', onChange)
+
+    return () => {
+      clearTimeout(pending)
+      socket.emit('leave-station', code)
+      socket.disconnect()
+    }
+  }, [code, refetch])
+
+  const theme = highContrast
+    ? {
+        page: 'bg-black text-white',
+        heading: 'text-yellow-300',
+        muted: 'text-white',
+        rule: 'border-white',
+        late: 'text-yellow-300 font-bold',
+        onTime: 'text-white',
+      }
+    : {
+        page: 'bg-slate-900 text-slate-100',
+        heading: 'text-amber-400',
+        muted: 'text-slate-400',
+        rule: 'border-slate-700',
+        late: 'text-amber-400',
+        onTime: 'text-emerald-400',
+      }
+
+  return (
+    // Fixed and on top so it fills the screen even inside the app layout
+    <div className={`fixed inset-0 z-50 overflow-auto p-6 ${theme.page}`}>
+      <header className="flex items-baseline justify-between mb-6">
+        <h1 className={`font-bold ${largeText ? 'text-5xl' : 'text-4xl'}`}>
+          {data?.station.displayName || code}
+          <span className={`ml-4 ${largeText ? 'text-3xl' : 'text-2xl'} ${theme.muted}`}>{code}</span>
+        </h1>
+        <p className={`tabular-nums font-bold ${largeText ? 'text-5xl' : 'text-4xl'}`} aria-label="Current time">
+          {clock(now)}
+        </p>
+      </header>
+
+      {isLoading && <p className="text-2xl">Loading train information…</p>}
+
+      {isError && !data && (
+        <p className="text-2xl" role="alert">
+          Train information is not available right now. Retrying…
+        </p>
+      )}
+
+      {data && (
+        <div className="flex flex-col xl:flex-row gap-10">
+          <BoardTable title="Departures" rows={data.departures} kind="departure" theme={theme} largeText={largeText} />
+          <BoardTable title="Arrivals" rows={data.arrivals} kind="arrival" theme={theme} largeText={largeText} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StationBoardPage
@@ -0,0 +1,196 @@
+/**
+ * 📷 Ticket Scanner Page - For TTEs, Signal or Not
+ *
+ * Route: /scanner (anyone with the tickets:verify permission, which the
+ * server checks again when checks are recorded)
+ *
+ * Point the camera at a ticket's QR code and the page says at once whether
+ * it's genuine, checking the signature on the phone itself against the
+ * cached public keys (utils/ticketQr.js). Every good scan is queued and
+ * sent as a "ticket checked" when the phone is online; the server then
+ * tells us about anything we couldn't know offline, like a ticket that was
+ * cancelled after it was shown.
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import { QrReader } from 'react-qr-reader'
+import toast from 'react-hot-toast'
+import { CheckCircleIcon, XCircleIcon, SignalSlashIcon } from '@heroicons/react/24/outline'
+
+import { useAuth } from '../hooks/useAuth'
+import { loadTicketKeys, verifyTicketCode, queueCheck, pendingChecks, flushChecks } from '../utils/ticketQr'
+
+// The camera keeps seeing the same code - ignore it for a few seconds
+const RESCAN_AFTER_MS = 4000
+
+const REASONS = {
+  malformed: 'This is not an Indian Railways ticket code',
+  unknown_key: 'Signed with a key this phone doesn\'t know - go online to update keys',
+  bad_signature: 'Signature does not match - the ticket may be forged',
+  expired: 'This ticket has expired',
+}
+
+const useOnline = () => {
+  const [online, setOnline] = useState(navigator.onLine)
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+
+  return online
+}
+
+const ScanResult = ({ result }) => {
+  if (!result) {
+    return <p className="text-gray-500">Scan a ticket QR code to check it.</p>
+  }
+
+  if (!result.valid) {
+    return (
+      <div className="rounded-lg border-2 border-red-500 bg-red-50 p-4" role="alert">
+        <p className="flex items-center gap-2 text-lg font-bold text-red-700">
+          <XCircleIcon className="h-7 w-7" aria-hidden="true" /> Not valid
+        </p>
+        <p className="mt-1 text-red-700">{REASONS[result.reason] || 'This ticket could not be verified'}</p>
+        {result.ticket && <p className="mt-1 text-sm text-red-600">PNR {result.ticket.pnr}</p>}
+      </div>
+    )
+  }
+
+  const { ticket } = result
+
+  return (
+    <div className="rounded-lg border-2 border-green-500 bg-green-50 p-4" role="status">
+      <p className="flex items-center gap-2 text-lg font-bold text-green-700">
+        <CheckCircleIcon className="h-7 w-7" aria-hidden="true" /> Genuine ticket
+      </p>
+      <p className="mt-1 font-medium text-gray-900">
+        PNR {ticket.pnr} · {ticket.tn} · {ticket.cl}
+      </p>
+      <p className="text-sm text-gray-700">
+        {ticket.fr} → {ticket.to} on {ticket.jd}
+      </p>
+
+      <ul className="mt-3 divide-y divide-green-200">
+        {ticket.px.map((passenger, i) => (
+          <li key={i} className="flex justify-between py-1">
+            <span>{passenger.n} ({passenger.g}, {passenger.a})</span>
+            <span className="font-semibold tabular-nums">{passenger.s}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+const TicketScannerPage = () => {
+  const { user, accessToken } = useAuth()
+  const online = useOnline()
+
+  const [keys, setKeys] = useState(null)
+  const [result, setResult] = useState(null)
+  const [pending, setPending] = useState(() => pendingChecks().length)
+  const lastScan = useRef({ code: null, at: 0 })
+  const onScan = useRef(null)
+
+  // Permissions come from /api/auth/me - the server owns the role matrix
+  const allowed = Boolean(user?.permissions?.includes('tickets:verify'))
+
+  // Keys once on open and again whenever we get a connection back
+  useEffect(() => {
+    if (!allowed) return
+    loadTicketKeys({ force: online }).then((stored) => setKeys(stored?.keys || null))
+  }, [allowed, online])
+
+  const sync = useCallback(async () => {
+    try {
+      const results = await flushChecks(accessToken)
+      setPending(pendingChecks().length)
+
+      results?.filter((check) => check.result === 'cancelled').forEach((check) => {
+        toast.error(`PNR ${check.pnr} was cancelled - please check the passenger again`, { duration: 10000 })
+      })
+    } catch (error) {
+      // Still queued - we'll try again on the next scan or reconnect
+    }
+  }, [accessToken])
+
+  useEffect(() => {
+    if (allowed && online) sync()
+  }, [allowed, online, sync])
+
+  const handleScan = async (scanned) => {
+    const code = scanned?.getText?.() || scanned?.text
+    if (!code) return
+
+    const now = Date.now()
+    if (code === lastScan.current.code && now - lastScan.current.at < RESCAN_AFTER_MS) return
+    lastScan.current = { code, at: now }
+
+    const verification = await verifyTicketCode(code, keys)
+    setResult(verification)
+
+    if (verification.valid) {
+      queueCheck(code, verification.ticket)
+      setPending(pendingChecks().length)
+      if (navigator.onLine) sync()
+    }
+  }
+
+  // QrReader keeps the first onResult it gets - always call the latest handler
+  onScan.current = handleScan
+
+  if (!allowed) {
+    return (
+      <div className="mx-auto max-w-md p-6 text-center">
+        <h1 className="text-xl font-bold text-gray-900">Ticket scanner</h1>
+        <p className="mt-2 text-gray-600">The scanner is only available to railway staff.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="mx-auto max-w-md p-4">
+      <div className="mb-4 flex items-center justify-between">
+        <h1 className="text-xl font-bold text-gray-900">Ticket scanner</h1>
+        {!online && (
+          <span className="flex items-center gap-1 rounded-full bg-amber-100 px-3 py-1 text-sm text-amber-800">
+            <SignalSlashIcon className="h-4 w-4" aria-hidden="true" /> Offline
+          </span>
+        )}
+      </div>
+
+      {!keys && (
+        <p className="mb-4 rounded-lg bg-amber-50 p-3 text-amber-800" role="alert">
+          No verification keys on this phone yet - connect to the internet once to download them.
+        </p>
+      )}
+
+      <div className="overflow-hidden rounded-lg bg-black">
+        <QrReader
+          constraints={{ facingMode: 'environment' }}
+          scanDelay={300}
+          onResult={(scanned) => scanned && onScan.current(scanned)}
+        />
+      </div>
+
+      <div className="mt-4" aria-live="polite">
+        <ScanResult result={result} />
+      </div>
+
+      <p className="mt-4 text-sm text-gray-500">
+        {pending > 0
+          ? `${pending} check(s) waiting to be sent${online ? '…' : ' - they\'ll go when you\'re back online'}`
+          : 'All checks sent'}
+      </p>
+    </div>
+  )
+}
+
+export default TicketScannerPage
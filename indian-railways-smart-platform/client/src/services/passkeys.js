@@ -0,0 +1,74 @@
+/**
+ * 🔑 Passkey Service - WebAuthn Without the Headache
+ *
+ * Thin wrapper around @simplewebauthn/browser and our
+ * /api/auth/webauthn endpoints. Each ceremony is two requests (options,
+ * then verify) with the browser's passkey prompt in between - callers just
+ * see one async function.
+ */
+
+import axios from 'axios'
+import {
+  browserSupportsWebAuthn,
+  startAuthentication,
+  startRegistration,
+} from '@simplewebauthn/browser'
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api'
+
+// Cookies carry the refresh token, so every call must include them
+const api = axios.create({
+  baseURL: `${API_URL}/auth/webauthn`,
+  withCredentials: true,
+})
+
+export const passkeysSupported = () => browserSupportsWebAuthn()
+
+/**
+ * Sign in with a passkey
+ *
+ * The phone offers every passkey it has for us - no need to type anything.
+ *
+ * @param {Object} options - { rememberMe }
+ * @returns {Promise<Object>} the same `data` as POST /api/auth/login
+ */
+export const signInWithPasskey = async ({ rememberMe = false } = {}) => {
+  const { data: start } = await api.post('/login/options')
+
+  // Shows the fingerprint / face / screen lock prompt
+  const response = await startAuthentication(start.data.options)
+
+  const { data: result } = await api.post('/login/verify', {
+    challengeToken: start.data.challengeToken,
+    response,
+    rememberMe,
+  })
+
+  return result.data
+}
+
+/**
+ * Add a passkey to the logged-in account
+ *
+ * @param {string} accessToken
+ * @param {string} [name] - e.g. "My Redmi phone"
+ */
+export const registerPasskey = async (accessToken, name) => {
+  const headers = { Authorization: `Bearer ${accessToken}` }
+
+  const { data: start } = await api.post('/register/options', {}, { headers })
+  const response = await startRegistration(start.data.options)
+
+  const { data: result } = await api.post('/register/verify', {
+    challengeToken: start.data.challengeToken,
+    response,
+    name,
+  }, { headers })
+
+  return result.data.credential
+}
+
+// The user closed the prompt or the device has no passkey for us - not worth an error toast
+export const isPasskeyCancelled = (error) => (
+  error?.name === 'NotAllowedError' || error?.name === 'AbortError'
+)
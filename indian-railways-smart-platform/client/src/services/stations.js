@@ -0,0 +1,63 @@
+/**
+ * 🚉 Station Service - Station Details, Search and Platforms
+ *
+ * Thin wrappers around /api/stations. They return the `data` part of the
+ * response so components (and react-query) don't have to unwrap it.
+ */
+
+import axios from 'axios'
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api'
+
+const api = axios.create({
+  baseURL: `${API_URL}/stations`,
+})
+
+/**
+ * Stations by code, name or city - or closest to a point
+ *
+ * @param {Object} params - { q, near: { latitude, longitude }, radiusKm, limit, lang }
+ */
+export const searchStations = async ({ q, near, radiusKm, limit, lang }) => {
+  const params = { q, radiusKm, limit, lang }
+  if (near) params.near = `${near.latitude},${near.longitude}`
+
+  const { data } = await api.get('/', {
+    params: Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined && value !== '')),
+  })
+  return data.data.stations
+}
+
+export const getStation = async (code, lang) => {
+  const { data } = await api.get(`/${encodeURIComponent(code)}`, { params: lang ? { lang } : {} })
+  return data.data.station
+}
+
+/**
+ * Staff only - change the platform a train uses at a station for one run
+ *
+ * @param {string} accessToken
+ * @param {Object} change - { stationCode, trainId, platform, runDate }
+ */
+export const assignPlatform = async (accessToken, { stationCode, trainId, platform, runDate }) => {
+  const { data } = await api.put(
+    `/${encodeURIComponent(stationCode)}/platforms/${encodeURIComponent(trainId)}`,
+    { platform, runDate },
+    { headers: { Authorization: `Bearer ${accessToken}` } }
+  )
+  return data.data
+}
+
+/**
+ * Next arrivals and departures at a station (for boards and kiosks)
+ *
+ * @param {string} code - station code
+ * @param {Object} [options] - { limit, hours, lang }
+ */
+export const getStationBoard = async (code, { limit, hours, lang } = {}) => {
+  const params = Object.fromEntries(
+    Object.entries({ limit, hours, lang }).filter(([, value]) => value !== undefined && value !== '')
+  )
+  const { data } = await api.get(`/${encodeURIComponent(code)}/board`, { params })
+  return data.data
+}
@@ -0,0 +1,138 @@
+/**
+ * 🎟️ Ticket Service - Availability, Fares, Booking, Cancellation, PNRs and QR Codes
+ *
+ * Thin wrappers around /api/tickets. They return the `data` part of the
+ * response so components (and react-query) don't have to unwrap it.
+ * Classes are the booking codes: SL, AC3, AC2, AC1, CC, EC.
+ */
+
+import axios from 'axios'
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api'
+
+const api = axios.create({
+  baseURL: `${API_URL}/tickets`,
+})
+
+const authHeaders = (accessToken) => ({ headers: { Authorization: `Bearer ${accessToken}` } })
+
+/**
+ * Free berths for a journey, and what one more passenger would get
+ * (`next`: CNF, RAC n, WL n or REGRET)
+ *
+ * @param {Object} params - { trainId, from, to, date, travelClass }
+ */
+export const getAvailability = async ({ trainId, from, to, date, travelClass }) => {
+  const { data } = await api.get('/availability', {
+    params: { train: trainId, from, to, date, class: travelClass },
+  })
+  return data.data
+}
+
+/**
+ * Fare for a journey - pass `total` back as `expectedFare` when booking
+ *
+ * @param {Object} params - { trainId, from, to, date, travelClass, quota, passengers }
+ *   passengers: a head count, or [{ age, gender, concession, concessionId, dateOfBirth }]
+ */
+export const getFareQuote = async ({ trainId, from, to, date, travelClass, quota, passengers }) => {
+  const { data } = await api.get('/fare-quote', {
+    params: {
+      train: trainId,
+      from,
+      to,
+      date,
+      class: travelClass,
+      quota,
+      passengers: Array.isArray(passengers) ? JSON.stringify(passengers) : passengers,
+    },
+  })
+  return data.data
+}
+
+/**
+ * Book tickets - passengers get CNF, RAC or WL; pass confirmedOnly to
+ * book only if everyone is confirmed
+ *
+ * @param {string} accessToken
+ * @param {Object} booking - { trainId, from, to, date, travelClass, passengers, contactEmail, contactPhone,
+ *   confirmedOnly, quota, expectedFare }
+ */
+export const bookTickets = async (accessToken, {
+  trainId, from, to, date, travelClass, passengers, contactEmail, contactPhone, confirmedOnly, quota, expectedFare,
+}) => {
+  const { data } = await api.post('/', {
+    train: trainId,
+    from,
+    to,
+    date,
+    class: travelClass,
+    passengers,
+    contactEmail,
+    contactPhone,
+    confirmedOnly,
+    quota,
+    expectedFare,
+  }, authHeaders(accessToken))
+  return data.data.booking
+}
+
+export const getMyBookings = async (accessToken, { upcoming, page, limit } = {}) => {
+  const { data } = await api.get('/', { params: { upcoming, page, limit }, ...authHeaders(accessToken) })
+  return data.data
+}
+
+export const getBooking = async (accessToken, pnr) => {
+  const { data } = await api.get(`/${encodeURIComponent(pnr)}`, authHeaders(accessToken))
+  return data.data.booking
+}
+
+/**
+ * Cancel some or all passengers on a booking - { booking, refund }
+ *
+ * Make ONE idempotency key per cancellation (newIdempotencyKey()) and send
+ * the same key when retrying: the server then answers with the first
+ * result instead of refunding twice.
+ *
+ * @param {string} accessToken
+ * @param {string} pnr
+ * @param {Object} cancellation - { idempotencyKey, passengers?: [passengerId], reason? }
+ */
+export const cancelTickets = async (accessToken, pnr, { idempotencyKey, passengers, reason }) => {
+  const { data } = await api.post(`/${encodeURIComponent(pnr)}/cancel`, { passengers, reason }, {
+    headers: {
+      ...authHeaders(accessToken).headers,
+      'Idempotency-Key': idempotencyKey,
+    },
+  })
+  return data.data
+}
+
+export const newIdempotencyKey = () => crypto.randomUUID()
+
+/**
+ * A ticket's signed QR code - { pnr, code, kid, expiresAt, image }
+ */
+export const getTicketQr = async (accessToken, pnr) => {
+  const { data } = await api.get(`/${encodeURIComponent(pnr)}/qr`, authHeaders(accessToken))
+  return data.data
+}
+
+/**
+ * Public keys (JWKS) that ticket QR codes are signed with
+ */
+export const getTicketKeys = async () => {
+  const { data } = await api.get('/keys')
+  return data.data
+}
+
+/**
+ * Report scanned tickets (staff) - { results: [{ pnr, result, ... }] }
+ *
+ * @param {string} accessToken
+ * @param {Array<{ code, checkedAt }>} checks
+ */
+export const sendTicketChecks = async (accessToken, checks) => {
+  const { data } = await api.post('/checks', { checks }, authHeaders(accessToken))
+  return data.data
+}
@@ -0,0 +1,58 @@
+/**
+ * 🚆 Train Service - Search, Journeys and Train Details
+ *
+ * Thin wrappers around /api/trains. They return the `data` part of the
+ * response so components (and react-query) don't have to unwrap it.
+ */
+
+import axios from 'axios'
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api'
+
+const api = axios.create({
+  baseURL: `${API_URL}/trains`,
+})
+
+// Drop empty filters so the server applies its own defaults
+const clean = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+)
+
+/**
+ * Direct trains between two stations
+ *
+ * @param {Object} params - { from, to, date, travelClass }
+ */
+export const searchTrains = async ({ from, to, date, travelClass }) => {
+  const { data } = await api.get('/search', { params: clean({ from, to, date, class: travelClass }) })
+  return data.data
+}
+
+/**
+ * Itineraries with changes
+ *
+ * @param {Object} params - { from, to, date, time, maxChanges, travelClass, sort, limit }
+ */
+export const planJourneys = async ({ from, to, date, time, maxChanges, travelClass, sort, limit }) => {
+  const { data } = await api.get('/journeys', {
+    params: clean({ from, to, date, time, maxChanges, class: travelClass, sort, limit }),
+  })
+  return data.data
+}
+
+export const getTrain = async (trainId) => {
+  const { data } = await api.get(`/${encodeURIComponent(trainId)}`)
+  return data.data
+}
+
+/**
+ * Live running status - live updates arrive as `train-status` socket
+ * events after emitting `join-train` with the same trainId
+ *
+ * @param {string} trainId - Mongo id or train number
+ * @param {string} [date] - day the train left its origin (YYYY-MM-DD)
+ */
+export const getRunningStatus = async (trainId, date) => {
+  const { data } = await api.get(`/${encodeURIComponent(trainId)}/status`, { params: clean({ date }) })
+  return data.data.status
+}
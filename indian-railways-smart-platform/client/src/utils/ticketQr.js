@@ -0,0 +1,126 @@
+/**
+ * 🔏 Ticket QR Verification - Works With No Signal
+ *
+ * Ticket QR codes are signed on the server (ECDSA P-256, see
+ * server/utils/ticketSigning.js). Checking one only needs the public key,
+ * which we keep in localStorage - so a TTE's phone verifies tickets deep
+ * in a ghat section just as well as on the platform.
+ *
+ * Scans made offline are queued in localStorage too and sent to
+ * POST /api/tickets/checks once we're back online.
+ */
+
+import { getTicketKeys, sendTicketChecks } from '../services/tickets'
+
+const PREFIX = 'IRT1'
+const KEYS_STORAGE = 'ticket-keys'
+const CHECKS_STORAGE = 'ticket-checks-pending'
+
+// Refresh cached keys after a day (rotations are announced well ahead)
+const KEYS_MAX_AGE_MS = 24 * 60 * 60 * 1000
+
+const readJson = (storageKey, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey)) ?? fallback
+  } catch (error) {
+    return fallback
+  }
+}
+
+const fromBase64url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='))
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0))
+}
+
+/**
+ * Public keys, from the cache when we have fresh ones (or no connection)
+ *
+ * @returns {Promise<{ keys: Array, fetchedAt: number } | null>}
+ */
+export const loadTicketKeys = async ({ force = false } = {}) => {
+  const cached = readJson(KEYS_STORAGE, null)
+  const fresh = cached && Date.now() - cached.fetchedAt < KEYS_MAX_AGE_MS
+
+  if (cached && (fresh || !navigator.onLine) && !force) return cached
+
+  try {
+    const { keys } = await getTicketKeys()
+    const stored = { keys, fetchedAt: Date.now() }
+    localStorage.setItem(KEYS_STORAGE, JSON.stringify(stored))
+    return stored
+  } catch (error) {
+    // Offline or server down - an old key list is much better than none
+    return cached
+  }
+}
+
+/**
+ * Verify a scanned code against the cached keys
+ *
+ * @returns {Promise<{ valid: boolean, reason?: string, ticket?: Object }>}
+ *   reason: malformed, unknown_key, bad_signature or expired
+ */
+export const verifyTicketCode = async (code, keys, now = new Date()) => {
+  const parts = String(code || '').trim().split('.')
+  if (parts.length !== 4 || parts[0] !== PREFIX) return { valid: false, reason: 'malformed' }
+
+  const [, kid, payload, signature] = parts
+  const jwk = (keys || []).find((key) => key.kid === kid)
+  if (!jwk) return { valid: false, reason: 'unknown_key' }
+
+  let ticket
+  try {
+    const publicKey = await crypto.subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    )
+
+    const signed = new TextEncoder().encode(`${PREFIX}.${kid}.${payload}`)
+    const ok = await crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, publicKey, fromBase64url(signature), signed)
+    if (!ok) return { valid: false, reason: 'bad_signature' }
+
+    ticket = JSON.parse(new TextDecoder().decode(fromBase64url(payload)))
+  } catch (error) {
+    return { valid: false, reason: 'malformed' }
+  }
+
+  if (ticket.exp * 1000 < now.getTime()) return { valid: false, reason: 'expired', ticket }
+
+  return { valid: true, ticket }
+}
+
+// Checks waiting to be sent - [{ code, pnr, checkedAt }]
+export const pendingChecks = () => readJson(CHECKS_STORAGE, [])
+
+// Remember a check (the same ticket is only queued once)
+export const queueCheck = (code, ticket) => {
+  const pending = pendingChecks()
+  if (pending.some((check) => check.code === code)) return pending
+
+  const updated = [...pending, { code, pnr: ticket.pnr, checkedAt: new Date().toISOString() }]
+  localStorage.setItem(CHECKS_STORAGE, JSON.stringify(updated))
+  return updated
+}
+
+/**
+ * Send queued checks; they stay queued if sending fails
+ *
+ * @returns {Promise<Array|null>} the server's results, or null if nothing was sent
+ */
+export const flushChecks = async (accessToken) => {
+  const pending = pendingChecks()
+  if (pending.length === 0 || !navigator.onLine) return null
+
+  const batch = pending.slice(0, 200)
+  const { results } = await sendTicketChecks(accessToken, batch.map(({ code, checkedAt }) => ({ code, checkedAt })))
+
+  // Anything queued while we were sending stays for next time
+  const sent = new Set(batch.map((check) => check.code))
+  localStorage.setItem(CHECKS_STORAGE, JSON.stringify(pendingChecks().filter((check) => !sent.has(check.code))))
+
+  return results
+}
@@ -0,0 +1,130 @@
+/**
+ * 💰 Fare Tables - Every Number That Goes Into a Ticket Price
+ *
+ * Fares change by notification, never silently, so each table is a
+ * VERSION with the date it takes effect. A fare is always worked out with
+ * the table in force on the day the ticket is booked (IST), and the
+ * version is saved on the booking - refunds and "why did I pay this?"
+ * questions are answered with the same numbers years later.
+ *
+ * Revising fares? Add a NEW entry at the end with a later effectiveFrom;
+ * never edit a table that bookings already used.
+ *
+ * All money is in rupees. Per class (booking codes, see Train.BOOKING_CLASSES):
+ * - slabs: telescopic base fare - ratePerKm applies to the km within each
+ *   slab (uptoKm null = no upper limit), after minKm is applied
+ * - reservation / superfast: flat charges per passenger
+ * - gstPercent: on the whole fare (AC classes only)
+ * - tatkal: premium as a percentage of the base fare, kept between min and max
+ *
+ * `cancellation` holds the refund rules for tickets booked under the table
+ * (utils/refunds.js). A confirmed ticket loses a share of its fare that
+ * grows as departure gets closer - never less than the class's minimum
+ * charge - and nothing comes back in the last few hours. RAC and waitlisted
+ * tickets only lose a small clerkage fee until shortly before departure.
+ */
+
+const FARE_TABLES = [
+    {
+        version: '2024.1',
+        effectiveFrom: '2024-01-01',
+
+        // Base fares are rounded up to the next multiple of this
+        roundTo: 5,
+
+        // Train types that pay the superfast charge
+        superfastTypes: ['rajdhani', 'shatabdi', 'vande_bharat', 'duronto', 'garib_rath', 'humsafar', 'superfast'],
+
+        classes: {
+            SL: {
+                minKm: 200,
+                slabs: [{ uptoKm: 300, ratePerKm: 0.52 }, { uptoKm: 1000, ratePerKm: 0.46 }, { uptoKm: null, ratePerKm: 0.38 }],
+                reservation: 20,
+                superfast: 30,
+                gstPercent: 0,
+                tatkal: { percent: 30, min: 100, max: 200 }
+            },
+            AC3: {
+                minKm: 300,
+                slabs: [{ uptoKm: 300, ratePerKm: 1.38 }, { uptoKm: 1000, ratePerKm: 1.22 }, { uptoKm: null, ratePerKm: 1.02 }],
+                reservation: 40,
+                superfast: 45,
+                gstPercent: 5,
+                tatkal: { percent: 30, min: 300, max: 400 }
+            },
+            AC2: {
+                minKm: 300,
+                slabs: [{ uptoKm: 300, ratePerKm: 2.02 }, { uptoKm: 1000, ratePerKm: 1.78 }, { uptoKm: null, ratePerKm: 1.48 }],
+                reservation: 50,
+                superfast: 45,
+                gstPercent: 5,
+                tatkal: { percent: 30, min: 400, max: 500 }
+            },
+            AC1: {
+                minKm: 300,
+                slabs: [{ uptoKm: 300, ratePerKm: 3.36 }, { uptoKm: 1000, ratePerKm: 2.96 }, { uptoKm: null, ratePerKm: 2.46 }],
+                reservation: 60,
+                superfast: 75,
+                gstPercent: 5,
+                tatkal: null // no Tatkal quota in First AC
+            },
+            CC: {
+                minKm: 50,
+                slabs: [{ uptoKm: 300, ratePerKm: 1.18 }, { uptoKm: null, ratePerKm: 1.04 }],
+                reservation: 40,
+                superfast: 45,
+                gstPercent: 5,
+                tatkal: { percent: 30, min: 125, max: 225 }
+            },
+            EC: {
+                minKm: 50,
+                slabs: [{ uptoKm: 300, ratePerKm: 2.52 }, { uptoKm: null, ratePerKm: 2.22 }],
+                reservation: 60,
+                superfast: 75,
+                gstPercent: 5,
+                tatkal: { percent: 30, min: 400, max: 500 }
+            }
+        },
+
+        // Tatkal opens the day before the journey - AC classes first
+        tatkalWindow: {
+            daysBefore: 1,
+            opensAt: { ac: '10:00', nonAc: '11:00' }
+        },
+
+        // Concessions are a percentage off the BASE fare only, and never on Tatkal
+        concessions: {
+            senior: {
+                label: 'Senior citizen',
+                minAge: { male: 60, female: 58, other: 60 },
+                percent: { male: 40, female: 50, other: 40 }
+            },
+            divyang: {
+                label: 'Divyang (persons with disabilities)',
+                percent: { SL: 75, AC3: 75, AC2: 50, AC1: 50, CC: 75, EC: 50 }
+            },
+            student: {
+                label: 'Student',
+                maxAge: 25,
+                percent: { SL: 50 }
+            }
+        },
+
+        cancellation: {
+            // First matching bucket wins: cancelled MORE than `hoursBefore` departure
+            confirmed: [
+                { hoursBefore: 48, deductPercent: 0 },
+                { hoursBefore: 12, deductPercent: 25 },
+                { hoursBefore: 4, deductPercent: 50 }
+            ],
+            // The least a confirmed cancellation costs, per passenger
+            minimumCharge: { AC1: 240, EC: 240, AC2: 200, AC3: 180, CC: 180, SL: 120 },
+            // RAC and WL: flat fee, refundable until this long before departure
+            waiting: { clerkage: 60, untilMinutesBefore: 30 },
+            // Confirmed Tatkal tickets are not refunded
+            tatkalConfirmedRefund: false
+        }
+    }
+];
+
+module.exports = { FARE_TABLES };
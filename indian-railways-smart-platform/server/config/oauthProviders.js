@@ -0,0 +1,102 @@
+/**
+ * 🌐 Social Login Providers - "Continue with Google"
+ *
+ * Every provider we support for OAuth2 / OpenID Connect login lives here.
+ * A provider is switched on when ENABLE_SOCIAL_LOGIN=true AND its client id
+ * is configured, so a half-configured provider never shows up as a button.
+ *
+ * Two kinds of provider:
+ * - OIDC (`issuer`): endpoints come from the issuer's discovery document
+ *   and the user's identity from the signed ID token. Google, and the
+ *   generic `oidc` provider (point OIDC_ISSUER_URL at a local mock OIDC
+ *   server for development, or at your company's SSO).
+ * - Plain OAuth2 (`endpoints`): no ID token, so the identity comes from the
+ *   provider's userinfo API. Facebook works this way.
+ *
+ * `mapProfile` turns whatever the provider returns into our shape:
+ * { subject, email, emailVerified, name, picture }.
+ */
+
+const socialLoginEnabled = () => process.env.ENABLE_SOCIAL_LOGIN === 'true';
+
+// Standard OIDC claims (Google and most OIDC servers)
+const mapOidcClaims = (claims) => ({
+    subject: claims.sub,
+    email: claims.email,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' '),
+    picture: claims.picture
+});
+
+const PROVIDERS = {
+    google: {
+        name: 'Google',
+        issuer: 'https://accounts.google.com',
+        clientId: () => process.env.GOOGLE_CLIENT_ID,
+        clientSecret: () => process.env.GOOGLE_CLIENT_SECRET,
+        scope: 'openid email profile',
+        mapProfile: mapOidcClaims
+    },
+
+    facebook: {
+        name: 'Facebook',
+        endpoints: {
+            authorization_endpoint: 'https://www.facebook.com/v18.0/dialog/oauth',
+            token_endpoint: 'https://graph.facebook.com/v18.0/oauth/access_token',
+            userinfo_endpoint: 'https://graph.facebook.com/me'
+        },
+        userinfoParams: { fields: 'id,name,email,picture' },
+        clientId: () => process.env.FACEBOOK_APP_ID,
+        clientSecret: () => process.env.FACEBOOK_APP_SECRET,
+        scope: 'email public_profile',
+        // Facebook doesn't tell us whether the email was verified, so we never
+        // link an existing account by email on Facebook's word alone
+        mapProfile: (profile) => ({
+            subject: profile.id,
+            email: profile.email,
+            emailVerified: false,
+            name: profile.name,
+            picture: profile.picture && profile.picture.data && profile.picture.data.url
+        })
+    },
+
+    oidc: {
+        name: process.env.OIDC_PROVIDER_NAME || 'Single Sign-On',
+        issuer: process.env.OIDC_ISSUER_URL,
+        clientId: () => process.env.OIDC_CLIENT_ID,
+        clientSecret: () => process.env.OIDC_CLIENT_SECRET,
+        scope: process.env.OIDC_SCOPE || 'openid email profile',
+        mapProfile: mapOidcClaims
+    }
+};
+
+/**
+ * Get a provider's config if it exists and is switched on
+ *
+ * @param {string} key - e.g. 'google'
+ * @returns {Object|null}
+ */
+const getProvider = (key) => {
+    if (!socialLoginEnabled() || !Object.prototype.hasOwnProperty.call(PROVIDERS, key)) return null;
+
+    const provider = PROVIDERS[key];
+    if (!provider.clientId()) return null;
+    if (!provider.issuer && !provider.endpoints) return null;
+
+    return { key, ...provider };
+};
+
+/**
+ * Providers to show as login buttons
+ */
+const listEnabledProviders = () => Object.keys(PROVIDERS)
+    .map(getProvider)
+    .filter(Boolean)
+    .map(({ key, name }) => ({ id: key, name }));
+
+module.exports = {
+    PROVIDERS,
+    getProvider,
+    listEnabledProviders,
+    socialLoginEnabled
+};
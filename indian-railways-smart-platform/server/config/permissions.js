@@ -0,0 +1,86 @@
+/**
+ * 🗝️ Role & Permission Matrix - Who Can Do What
+ *
+ * Routes never check roles directly ("is this an admin?"). They ask for a
+ * permission ("can this person respond to SOS alerts?") and this file is
+ * the single place that maps roles to permissions.
+ *
+ * Why bother? Because the day we add a "station_master" role, I want to
+ * edit ONE list here instead of hunting for `role === 'staff'` checks
+ * scattered across 20 route files. 🙏
+ *
+ * Permission names follow `resource:action`.
+ */
+
+// Everything a signed-in passenger can do
+const PASSENGER = [
+    'profile:manage',
+    'tickets:book',
+    'tickets:read_own',
+    'crowd:report',
+    'lostfound:report',
+    'sos:raise'
+];
+
+// Railway staff on trains and at stations
+const STAFF = [
+    ...PASSENGER,
+    'tickets:verify',
+    'trains:update_status',
+    'stations:update_platform',
+    'crowd:read_analytics',
+    'lostfound:manage',
+    'sos:respond',
+    'alerts:receive' // Joins the Socket.IO admin-room
+];
+
+// Community moderators keep user-generated content healthy
+const MODERATOR = [
+    ...PASSENGER,
+    'crowd:moderate',
+    'crowd:read_analytics',
+    'lostfound:manage',
+    'users:read',
+    'alerts:receive'
+];
+
+// Admins can do everything any other role can, plus user management
+const ADMIN = [
+    ...new Set([
+        ...STAFF,
+        ...MODERATOR,
+        'users:read',
+        'users:manage',
+        'users:suspend',
+        'users:change_role',
+        'users:read_stats',
+        'trains:manage',
+        'stations:manage',
+        'tickets:manage'
+    ])
+];
+
+const ROLE_PERMISSIONS = Object.freeze({
+    passenger: Object.freeze(PASSENGER),
+    staff: Object.freeze(STAFF),
+    moderator: Object.freeze(MODERATOR),
+    admin: Object.freeze(ADMIN)
+});
+
+// Every permission that exists (handy for validating route definitions)
+const ALL_PERMISSIONS = Object.freeze([...new Set(Object.values(ROLE_PERMISSIONS).flat())]);
+
+/**
+ * Does a role have ALL of the given permissions?
+ */
+const hasPermission = (role, ...permissions) => {
+    const granted = ROLE_PERMISSIONS[role];
+    if (!granted) return false;
+    return permissions.every(permission => granted.includes(permission));
+};
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    ALL_PERMISSIONS,
+    hasPermission
+};
@@ -0,0 +1,115 @@
+/**
+ * 🗑️ Account Deletion Job - Keeping Our Promise to Forget
+ *
+ * When a passenger asks us to delete their account we wait out a grace
+ * period first (people change their minds, and accounts get hijacked).
+ * Once it's over, this job erases their data for real.
+ *
+ * It runs daily through a Bull repeatable job, so with several servers
+ * only one of them does the work. Without REDIS_URL it runs on a timer in
+ * this process instead - a promise to erase someone's data can't depend on
+ * Redis being configured. Erasure itself lives in utils/personalData.js.
+ */
+
+const Queue = require('bull');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { eraseUserData } = require('../utils/personalData');
+
+// How often the in-process fallback checks for due accounts
+const FALLBACK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+let queue = null;
+let timer = null;
+
+/**
+ * Erase every account whose grace period has ended
+ *
+ * Safe to run as often as you like - accounts are only picked up once
+ * they're due, and each one is erased independently so one failure
+ * doesn't block the rest.
+ */
+const processDueDeletions = async () => {
+    const users = await User.findDueForDeletion();
+    let erased = 0;
+
+    for (const user of users) {
+        try {
+            const summary = await eraseUserData(user);
+            erased += 1;
+
+            logger.audit('User account deleted after grace period', {
+                userId: user._id,
+                requestedAt: user.deletion.requestedAt,
+                scheduledFor: user.deletion.scheduledFor,
+                summary
+            });
+        } catch (error) {
+            logger.error('Failed to erase user account', {
+                userId: user._id,
+                error: error.message
+            });
+        }
+    }
+
+    return { due: users.length, erased };
+};
+
+// No Redis: check every hour from this process (a run with nothing due is cheap)
+const startInProcessTimer = () => {
+    const run = () => processDueDeletions()
+        .then((result) => {
+            if (result.due > 0) {
+                logger.info(`🗑️ Account deletion run finished: ${result.erased}/${result.due} accounts erased`);
+            }
+        })
+        .catch((error) => {
+            logger.error('Account deletion run failed', { error: error.message });
+        });
+
+    timer = setInterval(run, FALLBACK_INTERVAL_MS);
+    timer.unref();
+    run();
+
+    logger.info('🗑️ Account deletion checks running in-process (no REDIS_URL)');
+    return null;
+};
+
+/**
+ * Start the daily job (a Bull repeatable job with REDIS_URL, an in-process
+ * hourly timer without it)
+ */
+const startAccountDeletionJob = () => {
+    if (queue) return queue;
+    if (timer) return null;
+    if (!process.env.REDIS_URL) return startInProcessTimer();
+
+    queue = new Queue('account-deletion', process.env.REDIS_URL);
+
+    queue.process(async () => processDueDeletions());
+
+    queue.on('completed', (job, result) => {
+        if (result && result.due > 0) {
+            logger.info(`🗑️ Account deletion run finished: ${result.erased}/${result.due} accounts erased`);
+        }
+    });
+
+    queue.on('failed', (job, error) => {
+        logger.error('Account deletion job failed', { error: error.message });
+    });
+
+    // Every night at 03:00 IST (quietest time on the platform)
+    queue.add({}, {
+        jobId: 'account-deletion-daily',
+        repeat: { cron: '0 3 * * *', tz: 'Asia/Kolkata' },
+        removeOnComplete: true
+    });
+
+    logger.info('🗑️ Account deletion job scheduled');
+    return queue;
+};
+
+module.exports = {
+    processDueDeletions,
+    startAccountDeletionJob
+};
@@ -0,0 +1,167 @@
+/**
+ * ⏱️ Delay Notification Job - "Your Train Is Running Late"
+ *
+ * Every running-status report can change a train's delay, but nobody wants
+ * a message for every two minutes gained or lost. So we only tell
+ * passengers when the delay has moved by DELAY_NOTIFY_THRESHOLD_MINUTES
+ * (default 15) since the last time we told them - including the good news
+ * when the train makes the time up again.
+ *
+ * De-duplication happens twice:
+ * - the run remembers the delay we last notified about, and claiming a new
+ *   level is an atomic update, so two reports racing each other (or two
+ *   servers) can't both send the same alert;
+ * - a passenger with several bookings on the run still gets ONE message.
+ *
+ * With REDIS_URL set the sending happens in a Bull queue; without it the
+ * job runs in this process right after the report.
+ */
+
+const Queue = require('bull');
+const mongoose = require('mongoose');
+const TrainRun = require('../models/TrainRun');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { notifyUser, clockTime } = require('../utils/notifications');
+
+const THRESHOLD_MINUTES = parseInt(process.env.DELAY_NOTIFY_THRESHOLD_MINUTES) || 15;
+
+let queue = null;
+let socketServer = null;
+
+/**
+ * Passengers booked on a run, with the station they board at
+ *
+ * Reads the Booking model if the ticketing feature is loaded.
+ *
+ * @returns {Promise<Array<{ user: ObjectId, from?: string }>>}
+ */
+const findPassengers = async (trainId, runDate) => {
+    if (!mongoose.modelNames().includes('Booking')) return [];
+
+    const bookings = await mongoose.model('Booking')
+        .find({ train: trainId, runDate, status: { $ne: 'cancelled' } })
+        .select('user from')
+        .lean();
+
+    // One entry per passenger (the first booking decides the boarding station)
+    const byUser = new Map();
+    bookings.forEach((booking) => {
+        if (booking.user && !byUser.has(String(booking.user))) byUser.set(String(booking.user), booking);
+    });
+
+    return [...byUser.values()];
+};
+
+/**
+ * Send one delay alert to everyone booked on the run
+ *
+ * @param {Object} data - { runId, delayMinutes }
+ */
+const processDelayNotification = async ({ runId, delayMinutes }, io = socketServer) => {
+    const run = await TrainRun.findById(runId).populate('train', 'trainNumber name');
+    if (!run || !run.train) return { passengers: 0, notified: 0 };
+
+    const passengers = await findPassengers(run.train._id, run.runDate);
+    const users = await User.find({
+        _id: { $in: passengers.map(passenger => passenger.user) },
+        status: 'active'
+    }).select('name email phone preferences');
+
+    const boardingStation = new Map(passengers.map(passenger => [String(passenger.user), passenger.from]));
+    let notified = 0;
+
+    for (const user of users) {
+        // Their own station if the train hasn't left it yet, otherwise the next stop
+        const from = boardingStation.get(String(user._id));
+        const stop = run.stops.find(candidate => candidate.stationCode === from && candidate.status === 'pending') ||
+            run.stops.find(candidate => candidate.status === 'pending');
+
+        const delivered = await notifyUser(user, {
+            kind: 'delay',
+            category: 'delays',
+            data: {
+                trainNumber: run.train.trainNumber,
+                trainName: run.train.name,
+                runDate: run.runDate,
+                delayMinutes,
+                stationCode: stop && stop.stationCode,
+                expectedAt: stop && clockTime(stop.expectedDeparture || stop.expectedArrival)
+            }
+        }, { io });
+
+        if (delivered.length > 0) notified += 1;
+    }
+
+    logger.info(`⏱️ Delay alert for ${run.train.trainNumber} (${run.runDate}, ${delayMinutes} min): ${notified}/${users.length} passengers notified`);
+
+    return { passengers: users.length, notified };
+};
+
+/**
+ * Called after every running-status report: decides whether the change is
+ * worth telling passengers about and, if so, queues the alert
+ *
+ * @param {Object} run - the TrainRun just saved by recordEvent()
+ * @param {Object} [options] - { io } used when there is no queue
+ * @returns {Promise<boolean>} true if an alert was queued
+ */
+const queueDelayNotification = async (run, { io } = {}) => {
+    if (run.status !== 'running') return false;
+    if (Math.abs(run.delayMinutes - run.notifiedDelayMinutes) < THRESHOLD_MINUTES) return false;
+
+    // Claim this delay level - only one report gets to notify about it
+    const claimed = await TrainRun.findOneAndUpdate(
+        { _id: run._id, notifiedDelayMinutes: run.notifiedDelayMinutes },
+        { $set: { notifiedDelayMinutes: run.delayMinutes } }
+    );
+    if (!claimed) return false;
+
+    const data = { runId: String(run._id), delayMinutes: run.delayMinutes };
+
+    if (queue) {
+        await queue.add(data, {
+            jobId: `delay-${data.runId}-${data.delayMinutes}`,
+            attempts: 3,
+            backoff: { type: 'exponential', delay: 30 * 1000 },
+            removeOnComplete: true
+        });
+    } else {
+        processDelayNotification(data, io || socketServer).catch((error) => {
+            logger.error('Delay notification failed', { runId: data.runId, error: error.message });
+        });
+    }
+
+    return true;
+};
+
+/**
+ * Start the queue worker (needs Redis via REDIS_URL)
+ *
+ * @param {Object} io - Socket.IO server, for push notifications
+ */
+const startDelayNotificationJob = (io) => {
+    socketServer = io;
+    if (queue) return queue;
+
+    queue = new Queue('delay-notifications', process.env.REDIS_URL);
+
+    queue.process(async (job) => processDelayNotification(job.data));
+
+    queue.on('failed', (job, error) => {
+        logger.error('Delay notification job failed', {
+            runId: job.data.runId,
+            attempt: job.attemptsMade,
+            error: error.message
+        });
+    });
+
+    logger.info('⏱️ Delay notification queue ready');
+    return queue;
+};
+
+module.exports = {
+    processDelayNotification,
+    queueDelayNotification,
+    startDelayNotificationJob
+};
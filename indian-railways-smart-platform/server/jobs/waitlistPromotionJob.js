@@ -0,0 +1,207 @@
+/**
+ * 🪜 Waitlist Promotion Job - "Your Ticket Is Confirmed"
+ *
+ * Every cancellation frees berths (or RAC halves) on one run and class.
+ * This job moves that queue up, strictly in booking order:
+ * - RAC passengers get the free confirmed berths first,
+ * - then waitlisted passengers get confirmed berths or RAC,
+ * - and everyone still waiting gets their new, lower number.
+ *
+ * The inventory and the bookings are updated in one transaction, so a
+ * booking or cancellation arriving at the same moment just makes it run
+ * again - a berth is never handed out twice. Upgrades are written to each
+ * booking's statusHistory, every changed booking is pushed to its owner's
+ * Socket.IO room (`booking-status` in user-{userId}), and upgraded
+ * passengers also hear about it on their preferred channels.
+ *
+ * Running the job twice does no harm: the second run finds nothing to move.
+ *
+ * With REDIS_URL set the work happens in a Bull queue; without it the job
+ * runs in this process right after the cancellation.
+ */
+
+const Queue = require('bull');
+const Booking = require('../models/Booking');
+const SeatInventory = require('../models/SeatInventory');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { notifyUser } = require('../utils/notifications');
+const { runTransaction } = require('../utils/transaction');
+
+let queue = null;
+let socketServer = null;
+
+// What the passenger's app needs to redraw the ticket
+const bookingUpdate = (booking) => ({
+    pnr: booking.pnr,
+    status: booking.status,
+    passengers: booking.passengers.map(passenger => ({
+        _id: passenger._id,
+        name: passenger.name,
+        status: passenger.status,
+        position: passenger.position,
+        coach: passenger.coach,
+        seatNumber: passenger.seatNumber,
+        berth: passenger.berth,
+        label: booking.passengerLabel(passenger)
+    }))
+});
+
+/**
+ * Move one run/class queue up
+ *
+ * @param {Object} data - { inventoryId }
+ * @returns {Promise<{ upgraded: number, updated: number }>}
+ */
+const processWaitlistPromotion = async ({ inventoryId }, io = socketServer) => {
+    const { changed, upgrades } = await runTransaction(async (session) => {
+        const inventory = await SeatInventory.findById(inventoryId).session(session);
+        if (!inventory || inventory.waiting.length === 0) return { changed: [], upgrades: new Map() };
+
+        const bookingIds = [...new Set(inventory.waiting.map(entry => String(entry.booking)))];
+        const bookings = await Booking.find({ _id: { $in: bookingIds } }).session(session);
+        const passengers = new Map(bookings.flatMap(booking => booking.passengers.map(passenger => [String(passenger._id), { booking, passenger }])));
+
+        const preferences = new Map([...passengers].map(([id, { passenger }]) => [id, passenger.berthPreference]));
+        const promoted = inventory.promote(preferences);
+        const positions = inventory.positions();
+
+        const touched = new Set();
+        const previousLabels = new Map(); // passengerId -> label before the upgrade
+
+        promoted.forEach((upgrade) => {
+            const found = passengers.get(String(upgrade.passenger));
+            if (!found) return;
+            const { booking, passenger } = found;
+            previousLabels.set(String(passenger._id), booking.passengerLabel(passenger));
+
+            passenger.status = upgrade.status;
+            passenger.coach = upgrade.coach;
+            passenger.seatNumber = upgrade.number;
+            passenger.berth = upgrade.berth;
+            touched.add(booking);
+        });
+
+        // New queue numbers for everyone (upgraded or just moved up)
+        passengers.forEach(({ booking, passenger }, id) => {
+            if (passenger.status !== 'RAC' && passenger.status !== 'WL' && passenger.position === undefined) return;
+
+            const position = positions.has(id) ? positions.get(id).position : undefined;
+            if (passenger.position !== position) {
+                passenger.position = position;
+                touched.add(booking);
+            }
+        });
+
+        const upgradesByBooking = new Map(); // bookingId -> [{ name, previous, current }]
+
+        touched.forEach((booking) => {
+            booking.refreshStatus();
+
+            const moves = booking.passengers
+                .filter(passenger => previousLabels.has(String(passenger._id)))
+                .map(passenger => ({
+                    name: passenger.name,
+                    previous: previousLabels.get(String(passenger._id)),
+                    current: booking.passengerLabel(passenger)
+                }));
+            if (moves.length === 0) return;
+
+            booking.addHistory(booking.status, moves.map(move => `${move.name}: ${move.previous} → ${move.current}`).join('; '));
+            upgradesByBooking.set(String(booking._id), moves);
+        });
+
+        await inventory.save({ session });
+        for (const booking of touched) await booking.save({ session });
+
+        return { changed: [...touched], upgrades: upgradesByBooking };
+    });
+
+    if (changed.length === 0) return { upgraded: 0, updated: 0 };
+
+    const owners = await User.find({
+        _id: { $in: changed.map(booking => booking.user) },
+        status: 'active'
+    }).select('name email phone preferences');
+    const ownerById = new Map(owners.map(owner => [String(owner._id), owner]));
+
+    for (const booking of changed) {
+        if (io && booking.user) io.to(`user-${booking.user}`).emit('booking-status', bookingUpdate(booking));
+
+        const changes = upgrades.get(String(booking._id));
+        const owner = ownerById.get(String(booking.user));
+        if (!changes || !owner) continue;
+
+        await notifyUser(owner, {
+            kind: 'booking_status',
+            category: 'booking',
+            data: {
+                pnr: booking.pnr,
+                trainNumber: booking.trainNumber,
+                journeyDate: booking.journeyDate,
+                status: booking.status,
+                changes
+            }
+        }, { io });
+    }
+
+    const upgraded = [...upgrades.values()].reduce((count, changes) => count + changes.length, 0);
+    logger.info(`🪜 Waitlist promotion for inventory ${inventoryId}: ${upgraded} passenger(s) upgraded, ${changed.length} booking(s) updated`);
+
+    return { upgraded, updated: changed.length };
+};
+
+/**
+ * Called after every cancellation: queues a promotion for the run and class
+ *
+ * @param {ObjectId|string} inventoryId - the SeatInventory that got berths back
+ * @param {Object} [options] - { io } used when there is no queue
+ */
+const queueWaitlistPromotion = async (inventoryId, { io } = {}) => {
+    const data = { inventoryId: String(inventoryId) };
+
+    if (queue) {
+        await queue.add(data, {
+            attempts: 5,
+            backoff: { type: 'exponential', delay: 10 * 1000 },
+            removeOnComplete: true
+        });
+        return;
+    }
+
+    processWaitlistPromotion(data, io || socketServer).catch((error) => {
+        logger.error('Waitlist promotion failed', { inventoryId: data.inventoryId, error: error.message });
+    });
+};
+
+/**
+ * Start the queue worker (needs Redis via REDIS_URL)
+ *
+ * @param {Object} io - Socket.IO server, for booking updates and push notifications
+ */
+const startWaitlistPromotionJob = (io) => {
+    socketServer = io;
+    if (queue) return queue;
+
+    queue = new Queue('waitlist-promotion', process.env.REDIS_URL);
+
+    // One at a time - promotions on the same run would only fight over the same berths
+    queue.process(1, async (job) => processWaitlistPromotion(job.data));
+
+    queue.on('failed', (job, error) => {
+        logger.error('Waitlist promotion job failed', {
+            inventoryId: job.data.inventoryId,
+            attempt: job.attemptsMade,
+            error: error.message
+        });
+    });
+
+    logger.info('🪜 Waitlist promotion queue ready');
+    return queue;
+};
+
+module.exports = {
+    processWaitlistPromotion,
+    queueWaitlistPromotion,
+    startWaitlistPromotionJob
+};
@@ -0,0 +1,143 @@
+/**
+ * 🛡️ Auth Middleware - The Ticket Checker at the Door
+ *
+ * Every protected route runs through here. It:
+ * - reads the access token (Authorization: Bearer ... or x-auth-token)
+ * - verifies the JWT signature and expiry
+ * - rejects tokens that were explicitly revoked (logout)
+ * - rejects tokens issued before the user's current token version
+ *   (password reset, suspension, role change, "log out everywhere")
+ * - rejects reactivation-only tokens of self-deactivated accounts, except
+ *   on the few routes that opt in with `auth.allowDeactivated`
+ *
+ * On success `req.user` holds the token payload ({ id, email, role, verified })
+ * and `req.token` the decoded token itself.
+ */
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const tokenStore = require('../utils/tokenStore');
+
+// Pull the raw token out of the request headers
+const extractToken = (req) => {
+    const header = req.get('Authorization');
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return req.get('x-auth-token') || null;
+};
+
+/**
+ * Work out the current token version for a user
+ *
+ * Served from the token store when we can; otherwise loaded from MongoDB
+ * once and cached. Returns null for users that no longer exist.
+ */
+const getCurrentTokenVersion = async (userId) => {
+    const cached = await tokenStore.getTokenVersion(userId);
+    if (cached !== null) return cached;
+
+    const user = await User.findById(userId).select('tokenVersion');
+    if (!user) return null;
+
+    const version = user.tokenVersion || 0;
+    await tokenStore.setTokenVersion(userId, version);
+    return version;
+};
+
+/**
+ * Verify an access token and return its payload
+ *
+ * Throws an Error with a `reason` the callers can log. Shared by the
+ * Express middleware below and the Socket.IO authentication handler.
+ *
+ * @param {string} token
+ * @param {Object} [options]
+ * @param {boolean} [options.allowDeactivated] - accept reactivation-only tokens
+ */
+const verifyAccessToken = async (token, { allowDeactivated = false } = {}) => {
+    if (!token) {
+        const error = new Error('No token provided');
+        error.reason = 'missing';
+        throw error;
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await tokenStore.isTokenRevoked(decoded.jti)) {
+        const error = new Error('Token has been revoked');
+        error.reason = 'revoked';
+        throw error;
+    }
+
+    const currentVersion = await getCurrentTokenVersion(decoded.id);
+    if (currentVersion === null || (decoded.ver || 0) < currentVersion) {
+        const error = new Error('Token version is outdated');
+        error.reason = 'outdated';
+        throw error;
+    }
+
+    if (decoded.scope === 'reactivate' && !allowDeactivated) {
+        const error = new Error('Account is deactivated');
+        error.reason = 'deactivated';
+        throw error;
+    }
+
+    return decoded;
+};
+
+const authenticate = ({ allowDeactivated = false } = {}) => async (req, res, next) => {
+    const token = extractToken(req);
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            error: 'Please log in to continue',
+            tip: 'Your session may have expired - logging in again will fix it'
+        });
+    }
+
+    try {
+        const decoded = await verifyAccessToken(token, { allowDeactivated });
+
+        req.user = decoded;
+        req.token = decoded;
+        next();
+
+    } catch (error) {
+        if (error.reason === 'deactivated') {
+            return res.status(403).json({
+                success: false,
+                error: 'Your account is deactivated',
+                tip: 'Reactivate your account to continue'
+            });
+        }
+
+        if (error.reason === 'revoked' || error.reason === 'outdated') {
+            logger.security('Rejected invalidated access token', {
+                reason: error.reason,
+                ip: req.ip,
+                path: req.originalUrl
+            });
+        }
+
+        const expired = error.name === 'TokenExpiredError';
+
+        return res.status(401).json({
+            success: false,
+            error: expired ? 'Your session has expired' : 'Your session is no longer valid',
+            tip: expired
+                ? 'Refresh your token or log in again'
+                : 'Please log in again'
+        });
+    }
+};
+
+const auth = authenticate();
+
+module.exports = auth;
+// For the routes a deactivated account still needs (reactivate, /me, logout, data export)
+module.exports.allowDeactivated = authenticate({ allowDeactivated: true });
+module.exports.verifyAccessToken = verifyAccessToken;
+module.exports.extractToken = extractToken;
@@ -0,0 +1,107 @@
+/**
+ * 🚧 Role Middleware - Staff Only Beyond This Point
+ *
+ * `authorize(...permissions)` guards Express routes, and
+ * `authorizeSocket(socket, ...permissions)` guards Socket.IO events.
+ * Both read the role from the verified access token and check it against
+ * the matrix in config/permissions.js.
+ *
+ * Express usage (always AFTER the auth middleware):
+ *     router.patch('/:id/suspend', auth, authorize('users:suspend'), handler);
+ *
+ * Socket usage (the socket must have sent a valid `authenticate` event):
+ *     socket.on('sos-respond', authorizeSocket(socket, 'sos:respond')(handler));
+ */
+
+const { ALL_PERMISSIONS, hasPermission } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+// Catch typos like authorize('user:suspend') at startup, not in production
+const assertKnownPermissions = (permissions) => {
+    const unknown = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+    }
+};
+
+const forbiddenBody = {
+    success: false,
+    error: 'You do not have permission to do that',
+    tip: 'If you think this is a mistake, please contact our support team'
+};
+
+/**
+ * Express middleware factory
+ */
+const authorize = (...permissions) => {
+    assertKnownPermissions(permissions);
+
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Please log in to continue',
+                tip: 'Your session may have expired - logging in again will fix it'
+            });
+        }
+
+        if (!hasPermission(req.user.role, ...permissions)) {
+            logger.security('Permission denied', {
+                userId: req.user.id,
+                role: req.user.role,
+                required: permissions,
+                method: req.method,
+                path: req.originalUrl,
+                ip: req.ip
+            });
+
+            return res.status(403).json(forbiddenBody);
+        }
+
+        next();
+    };
+};
+
+/**
+ * Socket.IO event guard factory
+ *
+ * Wraps an event handler so it only runs for authenticated sockets whose
+ * role has the permissions. Denied events get an `error` event back with
+ * the same shape (plus a status code) as the HTTP 403.
+ */
+const authorizeSocket = (socket, ...permissions) => {
+    assertKnownPermissions(permissions);
+
+    return (handler) => (...args) => {
+        const user = socket.data.user;
+
+        if (!user) {
+            socket.emit('error', {
+                status: 401,
+                success: false,
+                error: 'Please authenticate this connection first',
+                tip: 'Send an "authenticate" event with your access token'
+            });
+            return;
+        }
+
+        if (!hasPermission(user.role, ...permissions)) {
+            logger.security('Socket permission denied', {
+                userId: user.id,
+                role: user.role,
+                required: permissions,
+                socketId: socket.id
+            });
+
+            socket.emit('error', { status: 403, ...forbiddenBody });
+            return;
+        }
+
+        return handler(...args);
+    };
+};
+
+module.exports = {
+    authorize,
+    authorizeSocket
+};
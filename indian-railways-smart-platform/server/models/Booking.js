@@ -0,0 +1,283 @@
+/**
+ * 🎟️ Booking Model - One PNR, Up to Six Passengers
+ *
+ * A booking is what the passenger holds: a 10-digit PNR for one train, one
+ * class and one journey (from → to on a date), with a berth for every
+ * passenger on it. The berths themselves are tracked in SeatInventory;
+ * both are written in the same transaction (see utils/booking.js).
+ *
+ * Two dates matter and they're not always the same:
+ * - journeyDate: the day the passenger boards at `from` (what's on the ticket)
+ * - runDate:     the day the train left its origin (what identifies the run)
+ *
+ * Each passenger is CNF (confirmed berth), RAC (half a side lower, shared),
+ * WL (waitlisted, no berth) or CAN. RAC and WL passengers carry their
+ * current queue number in `position`; `bookingStatus` keeps what they got
+ * when booking ("WL 12") - both are printed on the ticket, like on IRCTC.
+ *
+ * The fare is worked out by utils/fares.js and stored per passenger, with
+ * the fare table version, so refunds use exactly what was charged.
+ *
+ * Every status change is appended to statusHistory so support staff can
+ * always answer "what happened to my ticket?".
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { QUOTAS, CONCESSION_TYPES } = require('../utils/fares');
+
+const MAX_PASSENGERS = 6;
+
+// CNF = confirmed berth, RAC = shared side lower, WL = waitlisted, CAN = cancelled
+const PASSENGER_STATUSES = ['CNF', 'RAC', 'WL', 'CAN'];
+
+const PassengerSchema = new mongoose.Schema({
+
+    name: {
+        type: String,
+        required: [true, 'Passenger name is required'],
+        trim: true,
+        maxlength: [50, 'Passenger name cannot exceed 50 characters']
+    },
+
+    age: {
+        type: Number,
+        required: [true, 'Passenger age is required'],
+        min: [0, 'Age cannot be negative'],
+        max: [125, 'Please check the passenger age']
+    },
+
+    gender: {
+        type: String,
+        enum: {
+            values: ['male', 'female', 'other'],
+            message: 'Gender must be male, female or other'
+        },
+        required: [true, 'Passenger gender is required']
+    },
+
+    berthPreference: String,
+
+    // Concession claimed (checked by the fare engine), and its proof
+    concession: {
+        type: String,
+        enum: CONCESSION_TYPES
+    },
+    concessionId: String,                     // UDID / student ID number
+    dateOfBirth: {                            // needed for the senior citizen concession
+        type: String,
+        match: /^\d{4}-\d{2}-\d{2}$/
+    },
+
+    // What this passenger was charged, in rupees (see utils/fares.js)
+    fare: {
+        baseFare: Number,
+        concessionDiscount: Number,
+        reservationCharge: Number,
+        superfastCharge: Number,
+        tatkalCharge: Number,
+        gst: Number,
+        total: Number
+    },
+
+    status: {
+        type: String,
+        enum: PASSENGER_STATUSES,
+        default: 'CNF'
+    },
+
+    // RAC/WL number right now (empty once confirmed)
+    position: Number,
+
+    // Status when booked, e.g. "CNF", "RAC 3", "WL 12"
+    bookingStatus: String,
+
+    // Where they sit - RAC passengers share theirs (empty when WL or cancelled)
+    coach: String,
+    seatNumber: Number,
+    berth: String,
+
+    cancelledAt: Date
+
+}, { _id: true });
+
+const BookingSchema = new mongoose.Schema({
+
+    // 10 digits, like the PNRs printed on every Indian Railways ticket
+    pnr: {
+        type: String,
+        required: true,
+        unique: true,
+        match: /^\d{10}$/
+    },
+
+    // Gone once the account is erased (see utils/personalData.js)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function() { return !this.anonymisedAt; },
+        index: true
+    },
+
+    train: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Train',
+        required: true
+    },
+    trainNumber: {
+        type: String,
+        required: true
+    },
+    trainName: String,
+
+    runDate: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    journeyDate: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/
+    },
+
+    // Station codes and their stop sequence on the route
+    from: {
+        type: String,
+        required: true
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    fromSequence: {
+        type: Number,
+        required: true
+    },
+    toSequence: {
+        type: Number,
+        required: true
+    },
+
+    // Scheduled times at from/to
+    departureAt: Date,
+    arrivalAt: Date,
+
+    // Booking class code (SL, AC3...) - see Train.BOOKING_CLASSES
+    travelClass: {
+        type: String,
+        required: true
+    },
+
+    // GN = general, TQ = Tatkal
+    quota: {
+        type: String,
+        enum: QUOTAS,
+        default: 'GN'
+    },
+
+    // Fare totals and the fare table version they came from
+    fare: {
+        version: String,
+        currency: {
+            type: String,
+            default: 'INR'
+        },
+        distanceKm: Number,
+        chargeableKm: Number,
+        total: Number
+    },
+
+    passengers: {
+        type: [PassengerSchema],
+        validate: {
+            validator: (passengers) => passengers.length >= 1 && passengers.length <= MAX_PASSENGERS,
+            message: `A booking has 1 to ${MAX_PASSENGERS} passengers`
+        }
+    },
+
+    status: {
+        type: String,
+        enum: ['confirmed', 'rac', 'waitlisted', 'cancelled'],
+        default: 'confirmed'
+    },
+
+    statusHistory: [{
+        _id: false,
+        status: String,
+        note: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // Who we contact about this journey (defaults to the account's details)
+    contactEmail: String,
+    contactPhone: String,
+
+    // First time a TTE scanned the ticket's QR code (maybe offline, synced later)
+    checkedAt: Date,
+    checkedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Set when the account that booked it was erased
+    anonymisedAt: Date
+
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+// ===================================
+// 📊 INDEXES
+// ===================================
+
+// "Who is booked on this run?" (delay alerts, charts)
+BookingSchema.index({ train: 1, runDate: 1, status: 1 });
+BookingSchema.index({ user: 1, journeyDate: -1 });
+
+// ===================================
+// 🛠️ INSTANCE & STATIC METHODS
+// ===================================
+
+// Record a status change with a short explanation
+BookingSchema.methods.addHistory = function(status, note) {
+    this.statusHistory.push({ status, note, at: new Date() });
+};
+
+// What the ticket shows for a passenger: "CNF S4/23", "RAC 3", "WL 12", "CAN"
+BookingSchema.methods.passengerLabel = function(passenger) {
+    if (passenger.status === 'CNF') return `CNF ${passenger.coach}/${passenger.seatNumber}`;
+    if (passenger.status === 'RAC' || passenger.status === 'WL') return `${passenger.status} ${passenger.position}`;
+    return passenger.status;
+};
+
+// Booking status from its passengers: the least certain one still travelling
+BookingSchema.methods.refreshStatus = function() {
+    const travelling = this.passengers.filter(passenger => passenger.status !== 'CAN');
+
+    if (travelling.length === 0) this.status = 'cancelled';
+    else if (travelling.some(passenger => passenger.status === 'WL')) this.status = 'waitlisted';
+    else if (travelling.some(passenger => passenger.status === 'RAC')) this.status = 'rac';
+    else this.status = 'confirmed';
+
+    return this.status;
+};
+
+// Random 10-digit PNR (uniqueness is enforced by the index - retry on a clash)
+BookingSchema.statics.generatePnr = function() {
+    return String(crypto.randomInt(1, 10)) + String(crypto.randomInt(0, 1e9)).padStart(9, '0');
+};
+
+BookingSchema.statics.MAX_PASSENGERS = MAX_PASSENGERS;
+BookingSchema.statics.PASSENGER_STATUSES = PASSENGER_STATUSES;
+
+module.exports = mongoose.model('Booking', BookingSchema);
@@ -0,0 +1,118 @@
+/**
+ * 🧭 Login Event Model - Where and How You Signed In
+ *
+ * `lastLogin` on the user only remembers ONE login, which is useless for
+ * spotting "that's not my phone" or "I've never been to Singapore". Every
+ * successful login now leaves a row here with the device, the approximate
+ * location and the risk assessment made at the time (see utils/loginRisk.js).
+ *
+ * Passengers can see their own history, and the risk engine compares each
+ * new login against it. Rows expire after LOGIN_HISTORY_DAYS (default 180).
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const HISTORY_DAYS = parseInt(process.env.LOGIN_HISTORY_DAYS) || 180;
+
+const LoginEventSchema = new mongoose.Schema({
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // ===================================
+    // 📱 DEVICE & LOCATION
+    // ===================================
+
+    // SHA-256 of the long-lived device cookie (never the raw id)
+    deviceHash: {
+        type: String,
+        required: true
+    },
+    device: String, // Human friendly, e.g. "Chrome on Android"
+    userAgent: String,
+    ipAddress: String,
+    location: {
+        city: String,
+        region: String,
+        country: String,
+        coordinates: {
+            latitude: Number,
+            longitude: Number
+        }
+    },
+
+    // How the user proved who they are, e.g. "password", "password+totp"
+    method: String,
+
+    // ===================================
+    // 🚨 RISK ASSESSMENT
+    // ===================================
+
+    risk: {
+        score: {
+            type: Number,
+            default: 0
+        },
+        factors: [{
+            type: String,
+            enum: ['new_device', 'new_region', 'impossible_travel']
+        }],
+        stepUp: {
+            type: Boolean,
+            default: false
+        }
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+
+});
+
+LoginEventSchema.index({ user: 1, createdAt: -1 });
+LoginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: HISTORY_DAYS * 24 * 60 * 60 });
+
+// Device ids are bearer-ish secrets (they lower the risk score), so only store a hash
+LoginEventSchema.statics.hashDeviceId = function(deviceId) {
+    return crypto.createHash('sha256').update(String(deviceId)).digest('hex');
+};
+
+/**
+ * Recent logins for a user, newest first
+ */
+LoginEventSchema.statics.recentForUser = function(userId, limit = 50) {
+    return this.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+};
+
+/**
+ * Record a completed login
+ *
+ * @param {Object} user - User document
+ * @param {Object} details - { loginInfo, deviceId, method, risk }
+ */
+LoginEventSchema.statics.record = function(user, { loginInfo = {}, deviceId, method, risk = {} }) {
+    return this.create({
+        user: user._id,
+        deviceHash: this.hashDeviceId(deviceId),
+        device: mongoose.model('Session').describeDevice(loginInfo.userAgent),
+        userAgent: loginInfo.userAgent,
+        ipAddress: loginInfo.ipAddress,
+        location: loginInfo.location,
+        method,
+        risk: {
+            score: risk.score || 0,
+            factors: risk.factors || [],
+            stepUp: !!risk.stepUp
+        }
+    });
+};
+
+module.exports = mongoose.model('LoginEvent', LoginEventSchema);
@@ -0,0 +1,118 @@
+/**
+ * 💸 Refund Model - The Refund Ledger
+ *
+ * One entry per cancellation request: which passengers were cancelled,
+ * what each had paid, what was deducted and why, and what goes back. It
+ * is written in the same transaction as the cancellation itself, so a
+ * cancelled passenger always has a ledger line and vice versa.
+ *
+ * Entries are never edited once written (apart from the payout status):
+ * the ledger is what accounts reconcile against.
+ *
+ * The (user, idempotencyKey) pair is unique. A retried cancel request -
+ * common on a train with one bar of signal - finds its first entry and
+ * gets the same answer back instead of a second refund.
+ */
+
+const mongoose = require('mongoose');
+
+const RefundLineSchema = new mongoose.Schema({
+    passenger: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    name: String,
+    status: {                   // ticket status when cancelled: CNF, RAC or WL
+        type: String,
+        enum: ['CNF', 'RAC', 'WL'],
+        required: true
+    },
+    fare: { type: Number, required: true },      // what the passenger paid
+    deduction: { type: Number, required: true }, // cancellation charge kept
+    amount: { type: Number, required: true },    // refunded
+    rule: String                                 // which rule decided it, e.g. "cnf_12h"
+}, { _id: false });
+
+const RefundSchema = new mongoose.Schema({
+
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    pnr: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    // Who asked for the cancellation (the passenger, or staff). Gone once the
+    // booking's account is erased (see utils/personalData.js)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function() { return !this.anonymisedAt; }
+    },
+
+    // Client-chosen key for this request (Idempotency-Key header)
+    idempotencyKey: {
+        type: String,
+        required: true
+    },
+
+    lines: [RefundLineSchema],
+
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+
+    // Fare table whose cancellation rules were applied
+    fareVersion: String,
+
+    // Hours between the cancellation and scheduled departure (negative = after)
+    hoursBeforeDeparture: Number,
+
+    reason: String,
+
+    // pending until the money is sent back to the original payment method
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'nothing_due'],
+        default: 'pending'
+    },
+    processedAt: Date,
+
+    // Set when the account that held the booking was erased
+    anonymisedAt: Date
+
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+// ===================================
+// 📊 INDEXES
+// ===================================
+
+// A retried request finds the entry it already created (anonymised entries
+// have no user and drop out of the index)
+RefundSchema.index(
+    { user: 1, idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { user: { $exists: true } } }
+);
+
+// Payout worklist
+RefundSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Refund', RefundSchema);
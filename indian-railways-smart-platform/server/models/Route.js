@@ -0,0 +1,203 @@
+/**
+ * 🛤️ Route Model - Where a Train Stops, and When
+ *
+ * One route per train: the ordered list of stops with the timetable
+ * printed in every station's enquiry book:
+ *
+ *   #  Station  Arr    Dep    Day  Km
+ *   1  NDLS     -      16:55  1    0
+ *   2  KOTA     21:43  21:53  1    465
+ *   3  BCT      08:35  -      2    1386
+ *
+ * Times are IST 'HH:mm', and `dayOffset` is the "Day" column minus one
+ * (0 = the day the train leaves its origin). Stops keep the station code
+ * next to the reference so search can match on it without a join.
+ */
+
+const mongoose = require('mongoose');
+const { isValidTime, parseTime } = require('../utils/timetable');
+
+/**
+ * Arrival/departure of a stop in minutes after midnight on the origin day
+ *
+ * `dayOffset` is the day of ARRIVAL; a train that arrives at 23:55 and
+ * leaves at 00:05 departs the day after.
+ *
+ * @returns {{ arrival: number|null, departure: number|null }}
+ */
+const stopTimes = (stop) => {
+    const dayStart = (stop.dayOffset || 0) * 1440;
+    const arrival = parseTime(stop.arrival);
+    let departure = parseTime(stop.departure);
+
+    if (departure !== null && arrival !== null && departure < arrival) departure += 1440;
+
+    return {
+        arrival: arrival === null ? null : dayStart + arrival,
+        departure: departure === null ? null : dayStart + departure
+    };
+};
+
+const timeField = (label) => ({
+    type: String,
+    validate: {
+        validator: (time) => time === undefined || time === null || isValidTime(time),
+        message: `${label} time must be HH:mm (24 hour)`
+    }
+});
+
+const StopSchema = new mongoose.Schema({
+
+    station: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Station',
+        required: [true, 'Stop station is required']
+    },
+
+    stationCode: {
+        type: String,
+        required: [true, 'Stop station code is required'],
+        uppercase: true,
+        trim: true
+    },
+
+    // 1, 2, 3... in running order
+    sequence: {
+        type: Number,
+        required: [true, 'Stop sequence is required'],
+        min: [1, 'Stop sequence starts at 1']
+    },
+
+    arrival: timeField('Arrival'),     // Empty at the origin
+    departure: timeField('Departure'), // Empty at the destination
+
+    // Days after the origin departure this stop is reached
+    dayOffset: {
+        type: Number,
+        default: 0,
+        min: [0, 'Day offset cannot be negative']
+    },
+
+    // Distance from the origin
+    distanceKm: {
+        type: Number,
+        default: 0,
+        min: [0, 'Distance cannot be negative']
+    },
+
+    // Platform the train is timetabled to use ("1", "5A") - staff can
+    // change it for a single run (see TrainRun)
+    platform: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        match: [/^\d{1,2}[A-Z]?$/, 'Platform must look like "5" or "5A"']
+    }
+
+}, { _id: false });
+
+const RouteSchema = new mongoose.Schema({
+
+    train: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Train',
+        required: [true, 'Route train is required'],
+        unique: true
+    },
+
+    stops: {
+        type: [StopSchema],
+        validate: {
+            validator: (stops) => stops.length >= 2,
+            message: 'A route needs at least two stops'
+        }
+    }
+
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+// ===================================
+// 📊 INDEXES
+// ===================================
+
+// "Which trains stop at both NDLS and BCT?"
+RouteSchema.index({ 'stops.stationCode': 1 });
+
+// ===================================
+// 🔧 MIDDLEWARE
+// ===================================
+
+// Keep stops in running order and catch timetables that go backwards
+RouteSchema.pre('validate', function(next) {
+    if (!this.stops || this.stops.length < 2) return next();
+
+    // Only sort when needed - sorting marks the array modified even if nothing moved
+    if (this.stops.some((stop, i) => i > 0 && stop.sequence < this.stops[i - 1].sequence)) {
+        this.stops.sort((a, b) => a.sequence - b.sequence);
+    }
+
+    const first = this.stops[0];
+    const last = this.stops[this.stops.length - 1];
+
+    if (!first.departure) {
+        this.invalidate('stops', 'The first stop needs a departure time');
+    }
+    if (!last.arrival) {
+        this.invalidate('stops', 'The last stop needs an arrival time');
+    }
+
+    for (let i = 1; i < this.stops.length; i++) {
+        const previous = this.stops[i - 1];
+        const stop = this.stops[i];
+
+        if (stop.sequence === previous.sequence) {
+            this.invalidate('stops', `Duplicate stop sequence ${stop.sequence}`);
+        }
+        if (stop.distanceKm < previous.distanceKm) {
+            this.invalidate('stops', `Distance goes backwards at ${stop.stationCode}`);
+        }
+        if (i < this.stops.length - 1 && (!stop.arrival || !stop.departure)) {
+            this.invalidate('stops', `Intermediate stop ${stop.stationCode} needs arrival and departure times`);
+        }
+        if (stop.arrival && previous.departure && stopTimes(stop).arrival < stopTimes(previous).departure) {
+            this.invalidate('stops', `Arrival at ${stop.stationCode} is before the departure from ${previous.stationCode}`);
+        }
+    }
+
+    next();
+});
+
+// ===================================
+// 🛠️ INSTANCE & STATIC METHODS
+// ===================================
+
+/**
+ * The part of this route between two stations, or null if the train
+ * doesn't call at both or runs the other way
+ *
+ * @returns {{ from: Object, to: Object }|null}
+ */
+RouteSchema.methods.segment = function(fromCode, toCode) {
+    const from = this.stops.find(stop => stop.stationCode === fromCode);
+    const to = this.stops.find(stop => stop.stationCode === toCode);
+
+    if (!from || !to || from.sequence >= to.sequence || !from.departure || !to.arrival) return null;
+
+    return { from, to };
+};
+
+// Routes calling at both stations (in either direction - check with segment())
+RouteSchema.statics.findServing = function(fromCode, toCode) {
+    return this.find({ 'stops.stationCode': { $all: [fromCode, toCode] } });
+};
+
+RouteSchema.statics.stopTimes = stopTimes;
+
+module.exports = mongoose.model('Route', RouteSchema);
@@ -0,0 +1,357 @@
+/**
+ * 💺 Seat Inventory Model - Every Berth on Every Run
+ *
+ * One document per train, run date (origin date) and booking class. It
+ * lists every berth/seat in the class with the parts of the journey it is
+ * already sold for, so a berth sold NDLS → KOTA can be sold again
+ * KOTA → BCT.
+ *
+ * Occupancy is stored as stop SEQUENCE ranges [from, to): the passenger
+ * holds the berth from their boarding stop up to (not including) the stop
+ * where they get off.
+ *
+ * When the confirmed berths run out, passengers queue up like on the real
+ * network:
+ * - RAC (Reservation Against Cancellation): a few side lower berths per
+ *   sleeper coach are kept back and shared by two passengers each;
+ * - WL (waitlist): no berth at all, just a place in the queue (up to
+ *   WAITLIST_LIMIT per class and run).
+ * `waiting` holds both queues in booking order; promote() moves people up
+ * whenever berths come free. Queue positions are per class and run, not
+ * per journey segment - simpler, and what most passengers expect to see.
+ *
+ * Documents are created the first time someone books on the run (see
+ * SeatInventory.forRun) and changed only inside a transaction together
+ * with the booking - utils/booking.js does that. Two bookings touching the
+ * same inventory at the same time make one of the transactions retry, so
+ * the same berth can never be sold twice.
+ */
+
+const mongoose = require('mongoose');
+
+// Berth sequence per bay/row, by coach class (repeats down the coach)
+const BERTH_LAYOUTS = {
+    '1A': ['lower', 'upper', 'lower', 'upper'],
+    '2A': ['lower', 'upper', 'lower', 'upper', 'side_lower', 'side_upper'],
+    '3A': ['lower', 'middle', 'upper', 'lower', 'middle', 'upper', 'side_lower', 'side_upper'],
+    'SL': ['lower', 'middle', 'upper', 'lower', 'middle', 'upper', 'side_lower', 'side_upper'],
+    'CC': ['window', 'middle', 'aisle', 'aisle', 'window'],
+    'EC': ['window', 'aisle', 'aisle', 'window']
+};
+
+// Side lower berths per sleeper coach kept for RAC (two passengers each)
+const RAC_BERTHS_PER_COACH = parseInt(process.env.RAC_BERTHS_PER_COACH) || 2;
+const RAC_CLASSES = ['2A', '3A', 'SL'];
+const RAC_SHARE = 2;
+
+const WAITLIST_LIMIT = parseInt(process.env.WAITLIST_LIMIT) || 100;
+
+// Berth type of seat `number` (1-based) in a coach of `coachClass`
+const berthType = (coachClass, number) => {
+    const layout = BERTH_LAYOUTS[coachClass];
+    return layout ? layout[(number - 1) % layout.length] : null;
+};
+
+const OccupancySchema = new mongoose.Schema({
+    from: { type: Number, required: true }, // boarding stop sequence
+    to: { type: Number, required: true },   // alighting stop sequence
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    passenger: mongoose.Schema.Types.ObjectId // Booking passenger subdocument
+}, { _id: false });
+
+const SeatSchema = new mongoose.Schema({
+    coach: { type: String, required: true },   // "S4", "B1"
+    number: { type: Number, required: true },  // seat/berth number in the coach
+    berth: String,                             // lower, side_upper, window...
+    rac: Boolean,                              // kept for RAC, shared by two
+    occupied: [OccupancySchema]
+}, { _id: false });
+
+// A passenger in the RAC or WL queue
+const WaitingSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    passenger: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    from: { type: Number, required: true },
+    to: { type: Number, required: true },
+    status: {
+        type: String,
+        enum: ['RAC', 'WL'],
+        required: true
+    }
+}, { _id: false });
+
+const SeatInventorySchema = new mongoose.Schema({
+
+    train: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Train',
+        required: true
+    },
+
+    // Date the train leaves its origin, YYYY-MM-DD in IST
+    runDate: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/
+    },
+
+    // Booking class code (SL, AC3...) - see Train.BOOKING_CLASSES
+    travelClass: {
+        type: String,
+        required: true
+    },
+
+    seats: [SeatSchema],
+
+    // RAC and WL passengers, in booking order
+    waiting: [WaitingSchema]
+
+}, {
+    timestamps: true,
+    // A save based on a stale read fails instead of overwriting someone else's allocation
+    optimisticConcurrency: true
+});
+
+// ===================================
+// 📊 INDEXES
+// ===================================
+
+SeatInventorySchema.index({ train: 1, runDate: 1, travelClass: 1 }, { unique: true });
+
+// ===================================
+// 🛠️ INSTANCE & STATIC METHODS
+// ===================================
+
+const overlaps = (occupancy, from, to) => occupancy.from < to && from < occupancy.to;
+
+const overlapping = (seat, from, to) => seat.occupied.filter(occupancy => overlaps(occupancy, from, to)).length;
+
+// Seats free for the whole of [from, to) - RAC berths are never sold as confirmed
+SeatInventorySchema.methods.freeSeats = function(from, to) {
+    return this.seats.filter(seat => !seat.rac && overlapping(seat, from, to) === 0);
+};
+
+// RAC berths with room for one more passenger over [from, to)
+SeatInventorySchema.methods.racSeats = function(from, to) {
+    return this.seats.filter(seat => seat.rac && overlapping(seat, from, to) < RAC_SHARE);
+};
+
+// How many more RAC passengers fit over [from, to)
+SeatInventorySchema.methods.racRoom = function(from, to) {
+    return this.racSeats(from, to).reduce((room, seat) => room + RAC_SHARE - overlapping(seat, from, to), 0);
+};
+
+// Passengers waiting with a status ('RAC' or 'WL')
+SeatInventorySchema.methods.queueLength = function(status) {
+    return this.waiting.filter(entry => entry.status === status).length;
+};
+
+// Current RAC/WL number of every waiting passenger: passengerId -> { status, position }
+SeatInventorySchema.methods.positions = function() {
+    const counters = { RAC: 0, WL: 0 };
+    const positions = new Map();
+
+    this.waiting.forEach((entry) => {
+        counters[entry.status] += 1;
+        positions.set(String(entry.passenger), { status: entry.status, position: counters[entry.status] });
+    });
+
+    return positions;
+};
+
+/**
+ * Pick confirmed berths for a group travelling [from, to)
+ *
+ * Passengers with a berth preference choose first, and everyone tries to
+ * end up in the same coach as the rest of the group.
+ *
+ * @returns {Array<Object>} a seat per passenger (same order), as many as there are free
+ */
+const pickSeats = (free, passengers) => {
+    const taken = new Set();
+    const coaches = new Map(); // coach -> seats given to this group there
+    const picks = new Array(passengers.length).fill(null);
+
+    const order = passengers
+        .map((passenger, index) => ({ passenger, index }))
+        .sort((a, b) => Boolean(b.passenger.berthPreference) - Boolean(a.passenger.berthPreference));
+
+    // Group's coach first, then coaches with the most free seats
+    const freeByCoach = free.reduce((counts, seat) => counts.set(seat.coach, (counts.get(seat.coach) || 0) + 1), new Map());
+    const compare = (a, b) => (coaches.get(b.coach) || 0) - (coaches.get(a.coach) || 0) ||
+        freeByCoach.get(b.coach) - freeByCoach.get(a.coach) ||
+        a.coach.localeCompare(b.coach) ||
+        a.number - b.number;
+
+    for (const { passenger, index } of order) {
+        const candidates = free.filter(seat => !taken.has(seat));
+        if (candidates.length === 0) break;
+
+        const preferred = candidates.filter(seat => seat.berth === passenger.berthPreference);
+        const seat = (preferred.length > 0 ? preferred : candidates).sort(compare)[0];
+
+        taken.add(seat);
+        coaches.set(seat.coach, (coaches.get(seat.coach) || 0) + 1);
+        picks[index] = seat;
+    }
+
+    return picks;
+};
+
+/**
+ * Place a group travelling [from, to): confirmed berths while they last,
+ * then RAC, then the waitlist
+ *
+ * Nothing changes unless EVERYONE can be placed (and, with
+ * `confirmedOnly`, everyone gets a confirmed berth).
+ *
+ * @param {number} from - boarding stop sequence
+ * @param {number} to - alighting stop sequence
+ * @param {Array<{ _id, berthPreference? }>} passengers - Booking passenger subdocuments
+ * @param {ObjectId} bookingId
+ * @param {Object} [options] - { confirmedOnly }
+ * @returns {Array<{ status, coach?, number?, berth?, position? }>|null} in passenger order
+ */
+SeatInventorySchema.methods.allocate = function(from, to, passengers, bookingId, { confirmedOnly = false } = {}) {
+    const free = this.freeSeats(from, to);
+    const confirmed = Math.min(free.length, passengers.length);
+    const rac = Math.min(this.racRoom(from, to), passengers.length - confirmed);
+    const wl = passengers.length - confirmed - rac;
+
+    if (confirmedOnly && confirmed < passengers.length) return null;
+    if (wl > 0 && this.queueLength('WL') + wl > WAITLIST_LIMIT) return null;
+
+    const picks = pickSeats(free, passengers.slice(0, confirmed));
+    const racPicks = this.racSeats(from, to).flatMap(seat => Array(RAC_SHARE - overlapping(seat, from, to)).fill(seat));
+
+    const allocations = passengers.map((passenger, i) => {
+        const occupy = (seat) => seat.occupied.push({ from, to, booking: bookingId, passenger: passenger._id });
+
+        if (i < confirmed) {
+            occupy(picks[i]);
+            return { status: 'CNF', coach: picks[i].coach, number: picks[i].number, berth: picks[i].berth };
+        }
+
+        const seat = i < confirmed + rac ? racPicks[i - confirmed] : null;
+        if (seat) occupy(seat);
+
+        this.waiting.push({ booking: bookingId, passenger: passenger._id, from, to, status: seat ? 'RAC' : 'WL' });
+        return seat
+            ? { status: 'RAC', coach: seat.coach, number: seat.number, berth: seat.berth }
+            : { status: 'WL' };
+    });
+
+    const positions = this.positions();
+    return allocations.map((allocation, i) => ({
+        ...allocation,
+        position: allocation.status === 'CNF' ? undefined : positions.get(String(passengers[i]._id)).position
+    }));
+};
+
+// Take passengers off their berths and out of the queues (cancellation)
+SeatInventorySchema.methods.releasePassengers = function(passengerIds) {
+    const ids = new Set(passengerIds.map(String));
+    const mine = (entry) => ids.has(String(entry.passenger));
+
+    this.seats.forEach((seat) => {
+        if (seat.occupied.some(mine)) seat.occupied = seat.occupied.filter(occupancy => !mine(occupancy));
+    });
+    this.waiting = this.waiting.filter(entry => !mine(entry));
+};
+
+/**
+ * Move the queues up after berths came free, in booking order:
+ * RAC passengers get confirmed berths first, then the waitlist gets
+ * confirmed berths or RAC.
+ *
+ * @param {Map<string, string>} [preferences] - passengerId -> berth preference
+ * @returns {Array<{ booking, passenger, status, coach?, number?, berth? }>} the upgrades
+ */
+SeatInventorySchema.methods.promote = function(preferences = new Map()) {
+    const upgrades = [];
+    const releaseRac = (entry) => this.seats.forEach((seat) => {
+        if (seat.rac) seat.occupied = seat.occupied.filter(occupancy => String(occupancy.passenger) !== String(entry.passenger));
+    });
+
+    for (const status of ['RAC', 'WL']) {
+        for (const entry of this.waiting.filter(candidate => candidate.status === status)) {
+            const [seat] = pickSeats(this.freeSeats(entry.from, entry.to), [{ berthPreference: preferences.get(String(entry.passenger)) }]);
+
+            if (seat) {
+                if (status === 'RAC') releaseRac(entry);
+                seat.occupied.push({ from: entry.from, to: entry.to, booking: entry.booking, passenger: entry.passenger });
+                entry.status = 'CNF';
+                upgrades.push({ booking: entry.booking, passenger: entry.passenger, status: 'CNF', coach: seat.coach, number: seat.number, berth: seat.berth });
+                continue;
+            }
+
+            const [racSeat] = status === 'WL' ? this.racSeats(entry.from, entry.to) : [];
+            if (racSeat) {
+                racSeat.occupied.push({ from: entry.from, to: entry.to, booking: entry.booking, passenger: entry.passenger });
+                entry.status = 'RAC';
+                upgrades.push({ booking: entry.booking, passenger: entry.passenger, status: 'RAC', coach: racSeat.coach, number: racSeat.number, berth: racSeat.berth });
+            }
+        }
+    }
+
+    this.waiting = this.waiting.filter(entry => entry.status !== 'CNF');
+    return upgrades;
+};
+
+/**
+ * The inventory for a run and class, created from the train's coaches the
+ * first time it's needed. Safe when two requests create it at once.
+ *
+ * @returns {Promise<ObjectId>} the inventory id (load it inside your transaction)
+ */
+SeatInventorySchema.statics.forRun = async function(train, runDate, travelClass, coachClass) {
+    const key = { train: train._id, runDate, travelClass };
+
+    const existing = await this.findOne(key).select('_id');
+    if (existing) return existing._id;
+
+    const seats = train.coaches
+        .filter(coach => coach.coachClass === coachClass)
+        .flatMap(coach => Array.from({ length: coach.seats }, (unused, i) => ({
+            coach: coach.coachNumber,
+            number: i + 1,
+            berth: berthType(coachClass, i + 1),
+            occupied: []
+        })));
+
+    // The last few side lowers of every sleeper coach are kept for RAC
+    if (RAC_CLASSES.includes(coachClass)) {
+        const byCoach = seats.reduce((coaches, seat) => coaches.set(seat.coach, [...(coaches.get(seat.coach) || []), seat]), new Map());
+        byCoach.forEach((coachSeats) => {
+            coachSeats
+                .filter(seat => seat.berth === 'side_lower')
+                .slice(-RAC_BERTHS_PER_COACH)
+                .forEach((seat) => { seat.rac = true; });
+        });
+    }
+
+    try {
+        await this.create({ ...key, seats });
+    } catch (error) {
+        // Someone else created it first - theirs is just as good
+        if (error.code !== 11000) throw error;
+    }
+
+    return (await this.findOne(key).select('_id'))._id;
+};
+
+SeatInventorySchema.statics.BERTH_LAYOUTS = BERTH_LAYOUTS;
+SeatInventorySchema.statics.WAITLIST_LIMIT = WAITLIST_LIMIT;
+
+module.exports = mongoose.model('SeatInventory', SeatInventorySchema);
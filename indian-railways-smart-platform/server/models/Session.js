@@ -0,0 +1,246 @@
+/**
+ * 🎫 Session Model - Every Logged-In Device, Accounted For
+ *
+ * Refresh tokens used to be stateless JWTs, which meant a stolen one stayed
+ * valid for up to 30 days and "logout" only cleared a cookie. Now every
+ * refresh token has a row here, keyed by its JWT id (jti).
+ *
+ * How rotation works:
+ * - Each /refresh call revokes the token it was given and issues a new one
+ *   in the same "family" (the chain that started with one login).
+ * - If a token that was ALREADY rotated shows up again, someone is replaying
+ *   an old copy - so we revoke the whole family and force a fresh login.
+ * - Except within REFRESH_ROTATION_GRACE_SECONDS of its rotation: two tabs
+ *   refreshing at once, or an app retrying after a timeout, present the
+ *   same token twice. They get the same successor back instead of being
+ *   logged out everywhere.
+ *
+ * Expired rows are cleaned up automatically by a MongoDB TTL index.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// How long a just-rotated refresh token still gets its successor back
+const ROTATION_GRACE_MS = (parseInt(process.env.REFRESH_ROTATION_GRACE_SECONDS) || 30) * 1000;
+
+const SessionSchema = new mongoose.Schema({
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // JWT id of the refresh token this row represents
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // All tokens rotated from the same login share a family id
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    // ===================================
+    // 📱 DEVICE INFORMATION
+    // ===================================
+
+    device: String, // Human friendly, e.g. "Chrome on Android"
+    userAgent: String,
+    ipAddress: String,
+    location: {
+        city: String,
+        region: String,
+        country: String
+    },
+
+    rememberMe: {
+        type: Boolean,
+        default: false
+    },
+
+    // ===================================
+    // ⏱️ LIFECYCLE
+    // ===================================
+
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['rotated', 'logout', 'logout_all', 'user_revoked', 'reuse_detected', 'credentials_changed', 'admin']
+    },
+    replacedBy: String // jti of the token that replaced this one
+
+}, {
+    timestamps: true
+});
+
+// Let MongoDB delete sessions once their refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+
+// Is this session still usable?
+SessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+/**
+ * Turn a user agent into something a human recognizes
+ *
+ * Deliberately simple - we only need "which of my devices is this?"
+ * on the sessions screen, not a full UA parser.
+ */
+const describeDevice = (userAgent = '') => {
+    const browser = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Samsung Internet', /SamsungBrowser/],
+        ['UC Browser', /UCBrowser/],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//]
+    ].find(([, pattern]) => pattern.test(userAgent));
+
+    const os = [
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad|iPod/],
+        ['Windows', /Windows/],
+        ['macOS', /Mac OS X/],
+        ['Linux', /Linux/]
+    ].find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !os) return userAgent ? 'Unknown device' : 'Unknown';
+
+    return `${browser ? browser[0] : 'App'} on ${os ? os[0] : 'unknown OS'}`;
+};
+
+// Shared with the login history so both screens name devices the same way
+SessionSchema.statics.describeDevice = describeDevice;
+
+/**
+ * Create a session and the refresh token that goes with it
+ *
+ * @param {Object} user - User document
+ * @param {Object} options - { loginInfo, rememberMe, family }
+ *   loginInfo is the same object passed to user.resetLoginAttempts()
+ *   family continues an existing rotation chain (omit for a new login)
+ * @returns {Promise<{ token: string, session: Object }>}
+ */
+SessionSchema.statics.issue = async function(user, { loginInfo = {}, rememberMe = false, family } = {}) {
+    const jti = crypto.randomUUID();
+    const expiresIn = rememberMe ? '30d' : (process.env.JWT_REFRESH_EXPIRE || '7d');
+    const token = user.generateRefreshToken({ jti, expiresIn });
+    const { exp } = jwt.decode(token);
+
+    const session = await this.create({
+        user: user._id,
+        jti,
+        family: family || jti,
+        device: describeDevice(loginInfo.userAgent),
+        userAgent: loginInfo.userAgent,
+        ipAddress: loginInfo.ipAddress,
+        location: loginInfo.location,
+        rememberMe,
+        expiresAt: new Date(exp * 1000)
+    });
+
+    return { token, session };
+};
+
+/**
+ * Rotate a refresh token
+ *
+ * Issues the successor first, then atomically revokes the presented session
+ * pointing at it - so anyone who sees a rotated session can always find its
+ * successor. Returns null if the token can't be used. A rotated token
+ * presented again within the grace window gets the same successor (a fresh
+ * token for the same session); after that it revokes the whole family.
+ */
+SessionSchema.statics.rotate = async function(user, decoded, loginInfo = {}) {
+    const live = { jti: decoded.jti, user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } };
+    const presented = await this.findOne(live);
+
+    if (presented) {
+        const next = await this.issue(user, {
+            loginInfo: { location: presented.location, ...loginInfo },
+            rememberMe: presented.rememberMe,
+            family: presented.family
+        });
+
+        const current = await this.findOneAndUpdate(
+            live,
+            { $set: { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: next.session.jti } },
+            { new: true }
+        );
+
+        if (current) return next;
+
+        // Another request rotated it in the meantime - ours is an orphan
+        await this.deleteOne({ _id: next.session._id });
+    }
+
+    const existing = await this.findOne({ jti: decoded.jti, user: user._id });
+    if (!existing || existing.revokedReason !== 'rotated') return null;
+
+    // The same token twice in a moment: hand out the same successor
+    if (existing.replacedBy && Date.now() - existing.revokedAt.getTime() < ROTATION_GRACE_MS) {
+        const successor = await this.findOne({ jti: existing.replacedBy, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+        if (successor) {
+            return {
+                token: user.generateRefreshToken({
+                    jti: successor.jti,
+                    expiresIn: Math.floor((successor.expiresAt.getTime() - Date.now()) / 1000)
+                }),
+                session: successor
+            };
+        }
+    }
+
+    // A rotated token coming back means two parties hold the same chain
+    await this.revokeFamily(existing.family, 'reuse_detected');
+
+    logger.security('Refresh token reuse detected - session family revoked', {
+        userId: user._id,
+        family: existing.family,
+        ip: loginInfo.ipAddress,
+        userAgent: loginInfo.userAgent
+    });
+
+    return null;
+};
+
+// Revoke every live token in a rotation chain
+SessionSchema.statics.revokeFamily = function(family, reason) {
+    return this.updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+// Revoke every live session for a user ("log out everywhere")
+SessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all') {
+    return this.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,152 @@
+/**
+ * 🚉 Station Model - Every Stop on the Network
+ *
+ * Stations are identified everywhere by their official code (NDLS, BCT,
+ * MAS...) because that's what passengers, tickets and timetables use. The
+ * Mongo _id is only used for references between our own collections.
+ *
+ * Location is stored as GeoJSON so "stations near me" is a single
+ * $near query on the 2dsphere index.
+ *
+ * `name` is the English name; `localNames` holds the others, keyed by the
+ * same language codes as preferences.language ({ hi: 'नई दिल्ली' }).
+ */
+
+const mongoose = require('mongoose');
+
+const StationSchema = new mongoose.Schema({
+
+    // Official station code, e.g. "NDLS" for New Delhi
+    code: {
+        type: String,
+        required: [true, 'Station code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z]{1,5}$/, 'Station code must be 1-5 letters']
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Station name is required'],
+        trim: true,
+        maxlength: [100, 'Station name cannot exceed 100 characters']
+    },
+
+    localNames: {
+        type: Map,
+        of: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Station name cannot exceed 100 characters']
+        },
+        default: undefined
+    },
+
+    city: {
+        type: String,
+        trim: true
+    },
+    state: {
+        type: String,
+        trim: true
+    },
+
+    // Railway zone, e.g. "NR" (Northern Railway)
+    zone: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+
+    // GeoJSON point - note the order is [longitude, latitude]!
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: undefined
+        },
+        coordinates: {
+            type: [Number],
+            default: undefined,
+            validate: {
+                validator: (coordinates) => !coordinates || coordinates.length === 0 || (
+                    coordinates.length === 2 &&
+                    coordinates[0] >= -180 && coordinates[0] <= 180 &&
+                    coordinates[1] >= -90 && coordinates[1] <= 90
+                ),
+                message: 'Location must be [longitude, latitude]'
+            }
+        }
+    },
+
+    // Time a passenger needs to change trains here (big junctions need more).
+    // Empty means the journey planner's default (MIN_CONNECTION_MINUTES).
+    minConnectionMinutes: {
+        type: Number,
+        min: [0, 'Connection time cannot be negative'],
+        max: [360, 'Connection time cannot exceed 6 hours']
+    },
+
+    platformCount: {
+        type: Number,
+        min: [1, 'A station has at least one platform'],
+        default: 1
+    },
+
+    // What a passenger (especially one with a wheelchair or heavy luggage) can expect
+    amenities: {
+        lifts: { type: Number, min: 0, default: 0 },
+        ramps: { type: Boolean, default: false },
+        waitingRooms: { type: Number, min: 0, default: 0 },
+        foodStalls: { type: Number, min: 0, default: 0 }
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+// ===================================
+// 📊 INDEXES
+// ===================================
+
+StationSchema.index({ location: '2dsphere' }, { sparse: true });
+StationSchema.index({ name: 'text', city: 'text', code: 'text' });
+
+// ===================================
+// 🛠️ STATIC METHODS
+// ===================================
+
+// Look up a station by its code (case-insensitive, whitespace tolerant)
+StationSchema.statics.findByCode = function(code) {
+    return this.findOne({ code: String(code || '').trim().toUpperCase() });
+};
+
+// ===================================
+// 🎯 INSTANCE METHODS
+// ===================================
+
+// Station name in a passenger's language (English if we don't have it)
+StationSchema.methods.nameIn = function(language) {
+    return (language && this.localNames && this.localNames.get(language)) || this.name;
+};
+
+// Platforms are numbered 1..platformCount, optionally with a letter ("1A")
+StationSchema.methods.hasPlatform = function(platform) {
+    const match = /^(\d{1,2})[A-Z]?$/.exec(String(platform || ''));
+    return Boolean(match) && parseInt(match[1]) >= 1 && parseInt(match[1]) <= this.platformCount;
+};
+
+module.exports = mongoose.model('Station', StationSchema);
@@ -0,0 +1,178 @@
+/**
+ * 🚆 Train Model - The Master Data Behind Every Search
+ *
+ * One document per train number (12951 Mumbai Rajdhani, 12002 Bhopal
+ * Shatabdi...). It holds what doesn't change from day to day: name, type,
+ * the days it leaves its origin and the coach composition. The stops and
+ * timings live in the Route model (models/Route.js), one route per train.
+ *
+ * Running days are always counted from the ORIGIN station. A train that
+ * leaves on Monday night and reaches a station at 02:00 is "Monday's
+ * train" there too - utils/timetable.runsOn() handles that shift.
+ */
+
+const mongoose = require('mongoose');
+const { RUNNING_DAYS } = require('../utils/timetable');
+
+const TRAIN_TYPES = [
+    'rajdhani', 'shatabdi', 'vande_bharat', 'duronto', 'garib_rath', 'humsafar',
+    'superfast', 'express', 'mail', 'intercity', 'passenger', 'memu', 'special'
+];
+
+// Travel classes, in the order we like to show them
+const COACH_CLASSES = {
+    '1A': 'First AC',
+    'EC': 'Executive Chair Car',
+    '2A': 'AC 2 Tier',
+    '3A': 'AC 3 Tier',
+    '3E': 'AC 3 Economy',
+    'CC': 'AC Chair Car',
+    'SL': 'Sleeper',
+    '2S': 'Second Sitting',
+    'GN': 'General'
+};
+
+// Class codes passengers book with (same as preferences.travel.preferredClass)
+// and the coach class each one maps to. Unreserved classes aren't bookable.
+const BOOKING_CLASSES = {
+    'AC1': '1A',
+    'EC': 'EC',
+    'AC2': '2A',
+    'AC3': '3A',
+    'CC': 'CC',
+    'SL': 'SL'
+};
+
+const CoachSchema = new mongoose.Schema({
+
+    // Coach number as painted on the side, e.g. "B1", "S4", "A1"
+    coachNumber: {
+        type: String,
+        required: [true, 'Coach number is required'],
+        uppercase: true,
+        trim: true
+    },
+
+    coachClass: {
+        type: String,
+        required: [true, 'Coach class is required'],
+        enum: {
+            values: Object.keys(COACH_CLASSES),
+            message: 'Unknown coach class: {VALUE}'
+        }
+    },
+
+    // Bookable berths/seats in this coach
+    seats: {
+        type: Number,
+        required: [true, 'Seat count is required'],
+        min: [0, 'Seat count cannot be negative']
+    }
+
+}, { _id: false });
+
+const TrainSchema = new mongoose.Schema({
+
+    // 5-digit train number - stored as a string so "02951" keeps its zero
+    trainNumber: {
+        type: String,
+        required: [true, 'Train number is required'],
+        unique: true,
+        trim: true,
+        match: [/^\d{5}$/, 'Train number must be 5 digits']
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Train name is required'],
+        trim: true,
+        maxlength: [100, 'Train name cannot exceed 100 characters']
+    },
+
+    type: {
+        type: String,
+        enum: {
+            values: TRAIN_TYPES,
+            message: 'Unknown train type: {VALUE}'
+        },
+        default: 'express'
+    },
+
+    // Days the train leaves its ORIGIN station
+    runningDays: {
+        type: [{
+            type: String,
+            enum: RUNNING_DAYS
+        }],
+        validate: {
+            validator: (days) => days.length > 0,
+            message: 'A train must run on at least one day'
+        }
+    },
+
+    coaches: [CoachSchema],
+
+    // Denormalized from the route so lists don't need a join
+    source: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Station'
+    },
+    destination: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Station'
+    },
+
+    route: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Route'
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+// ===================================
+// 📊 INDEXES
+// ===================================
+
+TrainSchema.index({ name: 'text', trainNumber: 'text' });
+
+// ===================================
+// 🎭 VIRTUAL PROPERTIES
+// ===================================
+
+// Classes this train offers, e.g. ['2A', '3A', 'SL'] - in display order
+TrainSchema.virtual('classes').get(function() {
+    const offered = new Set((this.coaches || []).map(coach => coach.coachClass));
+    return Object.keys(COACH_CLASSES).filter(coachClass => offered.has(coachClass));
+});
+
+// ===================================
+// 🛠️ INSTANCE METHODS
+// ===================================
+
+// Total seats per class, e.g. { '3A': 512, 'SL': 864 }
+TrainSchema.methods.seatsByClass = function() {
+    return (this.coaches || []).reduce((totals, coach) => {
+        totals[coach.coachClass] = (totals[coach.coachClass] || 0) + coach.seats;
+        return totals;
+    }, {});
+};
+
+TrainSchema.statics.TRAIN_TYPES = TRAIN_TYPES;
+TrainSchema.statics.COACH_CLASSES = COACH_CLASSES;
+TrainSchema.statics.BOOKING_CLASSES = BOOKING_CLASSES;
+
+module.exports = mongoose.model('Train', TrainSchema);
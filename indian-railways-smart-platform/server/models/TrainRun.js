@@ -0,0 +1,149 @@
+/**
+ * 📍 Train Run Model - Where Is My Train Right Now?
+ *
+ * The Train and Route models describe the timetable; a run is ONE journey
+ * of a train, identified by the date it left its origin (12951 of
+ * 1 March). It holds what actually happened at each stop and what we now
+ * expect at the ones still ahead.
+ *
+ * Runs are created on the first running-status event, platform change or
+ * cancellation (see utils/runningStatus.js) and expire RUN_HISTORY_DAYS
+ * after the scheduled arrival at the destination.
+ */
+
+const mongoose = require('mongoose');
+
+const HISTORY_DAYS = parseInt(process.env.RUN_HISTORY_DAYS) || 30;
+
+const RunStopSchema = new mongoose.Schema({
+
+    stationCode: {
+        type: String,
+        required: true
+    },
+    sequence: Number,
+
+    scheduledArrival: Date,   // Empty at the origin
+    scheduledDeparture: Date, // Empty at the destination
+
+    // Reported by staff or the feed
+    actualArrival: Date,
+    actualDeparture: Date,
+
+    // Our best guess for stops not reached yet (equals actual once reported)
+    expectedArrival: Date,
+    expectedDeparture: Date,
+
+    // Platform for this run (starts as the timetabled one, staff may change it)
+    platform: String,
+    platformUpdatedAt: Date,
+
+    // Minutes late (negative = early) at this stop, actual or expected
+    delayMinutes: {
+        type: Number,
+        default: 0
+    },
+
+    status: {
+        type: String,
+        enum: ['pending', 'arrived', 'departed', 'passed'], // passed = went by without a report
+        default: 'pending'
+    }
+
+}, { _id: false });
+
+const TrainRunSchema = new mongoose.Schema({
+
+    train: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Train',
+        required: true
+    },
+    trainNumber: {
+        type: String,
+        required: true
+    },
+
+    // Date the train left (or leaves) its origin, YYYY-MM-DD in IST
+    runDate: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/
+    },
+
+    status: {
+        type: String,
+        enum: ['scheduled', 'running', 'completed', 'cancelled'],
+        default: 'scheduled'
+    },
+
+    stops: [RunStopSchema],
+
+    // The latest thing that happened
+    lastEvent: {
+        stationCode: String,
+        type: {
+            type: String,
+            enum: ['arrival', 'departure']
+        },
+        at: Date,
+        source: {
+            type: String,
+            enum: ['staff', 'feed', 'simulator']
+        },
+        reportedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+
+    // Current delay in minutes (at the last reported stop)
+    delayMinutes: {
+        type: Number,
+        default: 0
+    },
+
+    // The delay passengers were last told about (see jobs/delayNotificationJob.js)
+    notifiedDelayMinutes: {
+        type: Number,
+        default: 0
+    },
+
+    expiresAt: Date
+
+}, {
+    timestamps: true,
+    // Staff and the feed report at the same time - a save based on a stale
+    // read fails (and is retried, see utils/runningStatus.js) instead of
+    // overwriting the other report's expected times
+    optimisticConcurrency: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+// ===================================
+// 📊 INDEXES
+// ===================================
+
+TrainRunSchema.index({ train: 1, runDate: 1 }, { unique: true });
+TrainRunSchema.index({ trainNumber: 1, runDate: -1 });
+TrainRunSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ===================================
+// 🔧 MIDDLEWARE
+// ===================================
+
+// Keep runs around for a while after the train reached its destination
+TrainRunSchema.pre('save', function(next) {
+    if (this.isNew && this.stops.length > 0) {
+        const last = this.stops[this.stops.length - 1];
+        this.expiresAt = new Date(last.scheduledArrival.getTime() + HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    }
+    next();
+});
+
+module.exports = mongoose.model('TrainRun', TrainRunSchema);
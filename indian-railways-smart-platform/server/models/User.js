@@ -21,6 +21,17 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const { verifyTotp, hashBackupCode } = require('../utils/twoFactor');
+const tokenStore = require('../utils/tokenStore');
+const { checkPassword, POLICY: PASSWORD_POLICY } = require('../utils/passwordPolicy');
+
+// Wrong guesses allowed against one emailed account confirmation code
+const MAX_CONFIRMATION_CODE_ATTEMPTS = 5;
+
+// Phone and password are required, except for accounts created through social login
+function requiredUnlessSocial() {
+    return !this.identities || this.identities.length === 0;
+}
 
 /**
  * User Schema Definition
@@ -69,9 +80,10 @@ const UserSchema = new mongoose.Schema({
         index: true // Index for faster lookups
     },
 
+    // Optional only for social login accounts - they add it before their first booking
     phone: {
         type: String,
-        required: [true, 'Phone number is required for booking confirmations'],
+        required: [requiredUnlessSocial, 'Phone number is required for booking confirmations'],
         validate: {
             validator: function(phone) {
                 // Indian phone number validation (10 digits starting with 6-9)
@@ -81,24 +93,33 @@ const UserSchema = new mongoose.Schema({
             message: 'Please provide a valid Indian phone number'
         },
         unique: true,
+        sparse: true,
         index: true
     },
 
+    // Social login accounts may never set one (they can via forgot password)
     password: {
         type: String,
-        required: [true, 'Password is required for account security'],
-        minlength: [8, 'Password must be at least 8 characters long'],
+        required: [requiredUnlessSocial, 'Password is required for account security'],
         select: false, // Never include password in queries by default (security!)
         validate: {
             validator: function(password) {
-                // Strong password requirements (but not too restrictive)
-                // At least: 8 chars, 1 letter, 1 number
-                return /^(?=.*[A-Za-z])(?=.*\d)[A-Za-z\d@$!%*#?&]{8,}$/.test(password);
-            },
-            message: 'Password must contain at least one letter and one number'
+                // Same rules as the routes (utils/passwordPolicy.js) - throwing
+                // makes Mongoose report the exact rule that failed
+                const result = checkPassword(password, { name: this.name, email: this.email, phone: this.phone });
+                if (!result.valid) throw new Error(result.errors[0]);
+                return true;
+            }
         }
     },
 
+    // Hashes of previous passwords (newest first) so they can't be reused
+    passwordHistory: {
+        type: [String],
+        select: false,
+        default: undefined
+    },
+
     // ===================================
     // 🎨 PROFILE CUSTOMIZATION
     // ===================================
@@ -109,10 +130,12 @@ const UserSchema = new mongoose.Schema({
         validate: {
             validator: function(url) {
                 if (!url) return true; // Allow null/empty
-                // Validate URL format if provided
+                // Either an avatar we processed and stored ourselves (see PUT /api/users/me/avatar)...
+                if (/^\/uploads\/avatars\/[a-f0-9]{24}-\d+\.webp$/.test(url)) return true;
+                // ...or an external image URL
                 return /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i.test(url);
             },
-            message: 'Avatar must be a valid image URL'
+            message: 'Avatar must be an uploaded image or a valid image URL'
         }
     },
 
@@ -214,11 +237,88 @@ const UserSchema = new mongoose.Schema({
         index: true
     },
 
+    // Who deactivated the account (passengers can reactivate themselves, admin deactivations stick)
+    deactivation: {
+        by: {
+            type: String,
+            enum: ['user', 'admin']
+        },
+        at: Date,
+        reason: {
+            type: String,
+            maxlength: [500, 'Reason is too long']
+        }
+    },
+
+    // Account deletion requested by the passenger (erased once the grace period is over)
+    deletion: {
+        requestedAt: Date,
+        scheduledFor: {
+            type: Date,
+            index: { sparse: true }
+        }
+    },
+
     isEmailVerified: {
         type: Boolean,
         default: false
     },
 
+    // Social login identities linked to this account (see routes/oauthRoutes.js)
+    identities: [{
+        _id: false,
+        provider: {
+            type: String,
+            required: true
+        },
+        subject: {
+            type: String,
+            required: true
+        },
+        email: String,
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastUsedAt: Date
+    }],
+
+    // Passkeys (WebAuthn credentials) registered for passwordless login
+    webauthnCredentials: [{
+        // base64url credential id, as the browser reports it
+        credentialId: {
+            type: String,
+            required: true
+        },
+        // base64url COSE public key (only needed when verifying a login)
+        publicKey: {
+            type: String,
+            required: true,
+            select: false
+        },
+        // Signature counter - going backwards means a cloned authenticator
+        counter: {
+            type: Number,
+            default: 0
+        },
+        transports: [String],
+        deviceType: {
+            type: String,
+            enum: ['singleDevice', 'multiDevice']
+        },
+        backedUp: Boolean, // Synced passkey (iCloud Keychain, Google Password Manager)
+        name: {
+            type: String,
+            trim: true,
+            maxlength: [50, 'Passkey name is too long']
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastUsedAt: Date
+    }],
+
     isPhoneVerified: {
         type: Boolean,
         default: false
@@ -241,7 +341,20 @@ const UserSchema = new mongoose.Schema({
             type: [String],
             select: false,
             default: []
-        }
+        },
+        // TOTP time step of the last accepted code (stops replaying a code)
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        enabledAt: Date
+    },
+
+    // Bumped whenever every outstanding access token must die
+    // (password change, suspension, role change, "log out everywhere")
+    tokenVersion: {
+        type: Number,
+        default: 0
     },
 
     // Login security monitoring
@@ -254,12 +367,52 @@ const UserSchema = new mongoose.Schema({
         resetAt: Date
     },
 
+    // Set by an admin - login is refused until the password is reset by email
+    passwordResetRequired: {
+        type: Boolean,
+        default: false
+    },
+
+    // Emailed one-time code for confirming an unusual login (see utils/loginRisk.js)
+    loginChallenge: {
+        codeHash: {
+            type: String,
+            select: false
+        },
+        expiresAt: {
+            type: Date,
+            select: false
+        },
+        attempts: {
+            type: Number,
+            select: false
+        }
+    },
+
+    // Emailed one-time code that stands in for the password on sensitive
+    // changes (deactivation, deletion) for accounts that don't have one
+    accountConfirmation: {
+        codeHash: {
+            type: String,
+            select: false
+        },
+        expiresAt: {
+            type: Date,
+            select: false
+        },
+        attempts: {
+            type: Number,
+            select: false
+        }
+    },
+
     lastLogin: {
         timestamp: Date,
         ipAddress: String,
         userAgent: String,
         location: {
             city: String,
+            region: String,
             country: String,
             coordinates: {
                 latitude: Number,
@@ -379,6 +532,12 @@ const UserSchema = new mongoose.Schema({
     phoneVerificationExpires: {
         type: Date,
         select: false
+    },
+    // Wrong OTP guesses against the current code (code is burned after too many)
+    phoneVerificationAttempts: {
+        type: Number,
+        default: 0,
+        select: false
     }
 
 }, {
@@ -391,11 +550,16 @@ const UserSchema = new mongoose.Schema({
         transform: function(doc, ret) {
             // Remove sensitive fields from JSON output
             delete ret.password;
+            delete ret.passwordHistory;
             delete ret.twoFactorAuth.secret;
             delete ret.twoFactorAuth.backupCodes;
+            delete ret.twoFactorAuth.lastUsedStep;
             delete ret.emailVerificationToken;
             delete ret.passwordResetToken;
             delete ret.phoneVerificationCode;
+            delete ret.tokenVersion;
+            delete ret.loginChallenge;
+            delete ret.accountConfirmation;
             return ret;
         }
     },
@@ -414,6 +578,8 @@ UserSchema.index({ phone: 1, isPhoneVerified: 1 });
 UserSchema.index({ role: 1, status: 1 });
 UserSchema.index({ createdAt: -1 }); // For recent users queries
 UserSchema.index({ 'lastLogin.timestamp': -1 }); // For activity tracking
+UserSchema.index({ 'identities.provider': 1, 'identities.subject': 1 }, { unique: true, sparse: true }); // One account per social identity
+UserSchema.index({ 'webauthnCredentials.credentialId': 1 }, { unique: true, sparse: true }); // Passkey login lookup
 
 // ===================================
 // 💫 VIRTUAL PROPERTIES
@@ -445,6 +611,16 @@ UserSchema.pre('save', async function(next) {
     if (!this.isModified('password')) return next();
 
     try {
+        // Remember the outgoing hash so it can't be reused (see isPasswordReused)
+        if (!this.isNew && PASSWORD_POLICY.historyCount > 0) {
+            const previous = await this.constructor.findById(this._id).select('+password +passwordHistory');
+
+            if (previous && previous.password) {
+                this.passwordHistory = [previous.password, ...(previous.passwordHistory || [])]
+                    .slice(0, PASSWORD_POLICY.historyCount);
+            }
+        }
+
         // Generate salt and hash password
         const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
         const salt = await bcrypt.genSalt(saltRounds);
@@ -463,6 +639,55 @@ UserSchema.pre('save', async function(next) {
     }
 });
 
+// Invalidate outstanding tokens when security-relevant fields change
+// Doing this in the schema means no route can forget to do it!
+UserSchema.pre('save', function(next) {
+    if (this.isNew) return next();
+
+    const passwordChanged = this.isModified('password');
+    const roleChanged = this.isModified('role');
+    const lockedOut = this.isModified('status') && ['suspended', 'deactivated'].includes(this.status);
+
+    if (passwordChanged || roleChanged || lockedOut) {
+        this.tokenVersion = (this.tokenVersion || 0) + 1;
+
+        // Role changes only need fresh access tokens; the rest also end every session
+        this.$locals.tokenInvalidation = {
+            revokeSessions: passwordChanged || lockedOut,
+            reason: passwordChanged ? 'password_changed' : (lockedOut ? `account_${this.status}` : 'role_changed')
+        };
+    }
+
+    next();
+});
+
+// Publish the new token version once it is safely stored
+UserSchema.post('save', async function(doc) {
+    const invalidation = doc.$locals.tokenInvalidation;
+    if (!invalidation) return;
+    delete doc.$locals.tokenInvalidation;
+
+    try {
+        await tokenStore.setTokenVersion(doc._id, doc.tokenVersion);
+
+        if (invalidation.revokeSessions) {
+            // Looked up lazily - Session is a separate model file
+            await mongoose.model('Session').revokeAllForUser(doc._id, 'credentials_changed');
+        }
+
+        logger.security('Outstanding tokens invalidated', {
+            userId: doc._id,
+            reason: invalidation.reason,
+            tokenVersion: doc.tokenVersion
+        });
+    } catch (error) {
+        logger.error('Failed to publish token invalidation', {
+            userId: doc._id,
+            error: error.message
+        });
+    }
+});
+
 // Normalize phone number format before saving
 UserSchema.pre('save', function(next) {
     if (this.isModified('phone')) {
@@ -493,28 +718,74 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
     }
 };
 
+// Is this the current password or one of the last PASSWORD_HISTORY ones?
+// Loads the hashes itself, so it works whatever fields the caller selected.
+UserSchema.methods.isPasswordReused = async function(candidatePassword) {
+    if (!candidatePassword) return false;
+
+    const stored = await this.constructor.findById(this._id).select('+password +passwordHistory');
+    if (!stored) return false;
+
+    const hashes = [stored.password, ...(stored.passwordHistory || []).slice(0, PASSWORD_POLICY.historyCount)]
+        .filter(Boolean);
+
+    const matches = await Promise.all(hashes.map(hash => bcrypt.compare(candidatePassword, hash)));
+    return matches.some(Boolean);
+};
+
 // Generate JWT token for authentication
 UserSchema.methods.generateAuthToken = function() {
     const payload = { 
         id: this._id,
         email: this.email,
         role: this.role,
-        verified: this.isEmailVerified && this.isPhoneVerified
+        verified: this.isEmailVerified && this.isPhoneVerified,
+        ver: this.tokenVersion || 0 // Checked by the auth middleware
     };
 
+    // A self-deactivated account only gets a token good for reactivating
+    // (and logging out) - the auth middleware refuses it everywhere else
+    if (this.status === 'deactivated') payload.scope = 'reactivate';
+
     return jwt.sign(
         payload,
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '1h' }
+        {
+            expiresIn: process.env.JWT_EXPIRE || '1h',
+            jwtid: crypto.randomUUID() // Lets us revoke this exact token on logout
+        }
     );
 };
 
+// Kill every access token issued so far without touching any other field
+// (for flows that don't go through save(), like "log out everywhere")
+UserSchema.methods.invalidateTokens = async function(reason = 'manual') {
+    const updated = await this.constructor.findByIdAndUpdate(
+        this._id,
+        { $inc: { tokenVersion: 1 } },
+        { new: true, select: 'tokenVersion' }
+    );
+
+    this.tokenVersion = updated.tokenVersion;
+    await tokenStore.setTokenVersion(this._id, updated.tokenVersion);
+
+    logger.security('Outstanding tokens invalidated', {
+        userId: this._id,
+        reason: reason,
+        tokenVersion: updated.tokenVersion
+    });
+};
+
 // Generate refresh token
-UserSchema.methods.generateRefreshToken = function() {
+// Pass a jti so the token can be tracked (and revoked) through the Session model
+UserSchema.methods.generateRefreshToken = function(options = {}) {
+    const signOptions = { expiresIn: options.expiresIn || process.env.JWT_REFRESH_EXPIRE || '7d' };
+    if (options.jti) signOptions.jwtid = options.jti;
+
     return jwt.sign(
         { id: this._id },
         process.env.JWT_REFRESH_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
+        signOptions
     );
 };
 
@@ -604,6 +875,160 @@ UserSchema.methods.generatePasswordResetToken = function() {
     return token; // Return unhashed token to send via email
 };
 
+// Generate phone verification OTP
+UserSchema.methods.generatePhoneVerificationCode = function() {
+    // 6 digits from a CSPRNG (Math.random is NOT good enough for OTPs)
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    this.phoneVerificationCode = crypto
+        .createHash('sha256')
+        .update(code)
+        .digest('hex');
+
+    this.phoneVerificationExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    this.phoneVerificationAttempts = 0;
+
+    return code; // Return plain code to send via SMS
+};
+
+// Check a phone verification OTP (constant-time, expects the hidden fields to be selected)
+UserSchema.methods.comparePhoneVerificationCode = function(candidateCode) {
+    if (!this.phoneVerificationCode || !candidateCode) return false;
+
+    const candidateHash = crypto
+        .createHash('sha256')
+        .update(String(candidateCode))
+        .digest('hex');
+
+    return crypto.timingSafeEqual(
+        Buffer.from(candidateHash, 'hex'),
+        Buffer.from(this.phoneVerificationCode, 'hex')
+    );
+};
+
+// Create an emailed code for confirming an unusual login (same rules as the phone OTP)
+UserSchema.methods.generateLoginChallengeCode = function() {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    this.loginChallenge = {
+        codeHash: crypto.createHash('sha256').update(code).digest('hex'),
+        expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
+        attempts: 0
+    };
+
+    return code; // Return plain code to send via email
+};
+
+// Check a login challenge code (constant-time, expects '+loginChallenge.codeHash +loginChallenge.expiresAt')
+UserSchema.methods.compareLoginChallengeCode = function(candidateCode) {
+    const challenge = this.loginChallenge;
+    if (!challenge || !challenge.codeHash || !candidateCode) return false;
+    if (!challenge.expiresAt || challenge.expiresAt < Date.now()) return false;
+
+    const candidateHash = crypto
+        .createHash('sha256')
+        .update(String(candidateCode).trim())
+        .digest('hex');
+
+    return crypto.timingSafeEqual(
+        Buffer.from(candidateHash, 'hex'),
+        Buffer.from(challenge.codeHash, 'hex')
+    );
+};
+
+// Create an emailed code that confirms a sensitive change on a passwordless account
+UserSchema.methods.generateAccountConfirmationCode = function() {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    this.accountConfirmation = {
+        codeHash: crypto.createHash('sha256').update(code).digest('hex'),
+        expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
+        attempts: 0
+    };
+
+    return code; // Return plain code to send via email
+};
+
+/**
+ * Use up an account confirmation code
+ *
+ * Every guess claims an attempt atomically before the code is compared, so
+ * parallel requests can't get past MAX_CONFIRMATION_CODE_ATTEMPTS, and a
+ * right code is single use.
+ *
+ * @returns {Promise<boolean>}
+ */
+UserSchema.methods.consumeAccountConfirmationCode = async function(candidateCode) {
+    const candidate = String(candidateCode || '').trim();
+    if (!candidate) return false;
+
+    const claimed = await this.constructor.findOneAndUpdate(
+        {
+            _id: this._id,
+            'accountConfirmation.expiresAt': { $gt: new Date() },
+            'accountConfirmation.attempts': { $lt: MAX_CONFIRMATION_CODE_ATTEMPTS }
+        },
+        { $inc: { 'accountConfirmation.attempts': 1 } },
+        { new: true }
+    ).select('+accountConfirmation.codeHash');
+
+    const codeHash = claimed && claimed.accountConfirmation && claimed.accountConfirmation.codeHash;
+    if (!codeHash) return false;
+
+    const candidateHash = crypto.createHash('sha256').update(candidate).digest('hex');
+    const matches = crypto.timingSafeEqual(Buffer.from(candidateHash, 'hex'), Buffer.from(codeHash, 'hex'));
+    if (!matches) return false;
+
+    const result = await this.constructor.updateOne(
+        { _id: this._id, 'accountConfirmation.codeHash': codeHash },
+        { $unset: { accountConfirmation: 1 } }
+    );
+
+    return result.modifiedCount === 1;
+};
+
+// Check a second factor (TOTP code or backup code)
+// Expects '+twoFactorAuth.secret +twoFactorAuth.lastUsedStep' to be selected.
+// Both paths update the database atomically, so a code can never be used twice
+// even if two requests race each other.
+UserSchema.methods.verifyTwoFactorCode = async function(code) {
+    const candidate = String(code || '').trim();
+    if (!candidate) return null;
+
+    const step = verifyTotp(this.twoFactorAuth.secret, candidate, this.twoFactorAuth.lastUsedStep);
+
+    if (step) {
+        const result = await this.constructor.updateOne(
+            {
+                _id: this._id,
+                $or: [
+                    { 'twoFactorAuth.lastUsedStep': { $exists: false } },
+                    { 'twoFactorAuth.lastUsedStep': { $lt: step } }
+                ]
+            },
+            { $set: { 'twoFactorAuth.lastUsedStep': step } }
+        );
+
+        return result.modifiedCount === 1 ? { method: 'totp' } : null;
+    }
+
+    // Not a valid TOTP - maybe it's a backup code (single use, so pull it out)
+    const hash = hashBackupCode(candidate);
+    const result = await this.constructor.updateOne(
+        { _id: this._id, 'twoFactorAuth.backupCodes': hash },
+        { $pull: { 'twoFactorAuth.backupCodes': hash } }
+    );
+
+    if (result.modifiedCount !== 1) return null;
+
+    logger.security('Two-factor backup code used', {
+        userId: this._id,
+        email: this.email
+    });
+
+    return { method: 'backup_code' };
+};
+
 // ===================================
 // 📊 STATIC METHODS (MODEL-LEVEL FUNCTIONS)
 // ===================================
@@ -625,6 +1050,26 @@ UserSchema.statics.findByEmailOrPhone = function(identifier) {
     }
 };
 
+// Find the account a social login identity is linked to
+UserSchema.statics.findByIdentity = function(provider, subject) {
+    return this.findOne({
+        identities: { $elemMatch: { provider, subject: String(subject) } }
+    });
+};
+
+// Find the account a passkey belongs to
+UserSchema.statics.findByCredentialId = function(credentialId) {
+    return this.findOne({ 'webauthnCredentials.credentialId': String(credentialId) });
+};
+
+// Accounts whose deletion grace period is over
+UserSchema.statics.findDueForDeletion = function(limit = 100) {
+    return this.find({
+        status: 'deactivated',
+        'deletion.scheduledFor': { $lte: new Date() }
+    }).limit(limit);
+};
+
 // Get user statistics (for admin dashboard)
 UserSchema.statics.getUserStats = async function() {
     const stats = await this.aggregate([
@@ -651,6 +1096,73 @@ UserSchema.statics.getUserStats = async function() {
     return stats[0] || { totalUsers: 0, activeUsers: 0, verifiedUsers: 0 };
 };
 
+// Extended statistics for the admin user-management screen
+// (signups per day, verification funnel, locked accounts, role/status breakdown)
+UserSchema.statics.getExtendedUserStats = async function({ days = 30 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const now = new Date();
+
+    const [overview, [facets]] = await Promise.all([
+        this.getUserStats(),
+        this.aggregate([
+            {
+                $facet: {
+                    signupsPerDay: [
+                        { $match: { createdAt: { $gte: since } } },
+                        {
+                            $group: {
+                                _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'Asia/Kolkata' } },
+                                count: { $sum: 1 }
+                            }
+                        },
+                        { $sort: { _id: 1 } },
+                        { $project: { _id: 0, date: '$_id', count: 1 } }
+                    ],
+                    funnel: [
+                        {
+                            $group: {
+                                _id: null,
+                                registered: { $sum: 1 },
+                                emailVerified: { $sum: { $cond: ['$isEmailVerified', 1, 0] } },
+                                phoneVerified: { $sum: { $cond: ['$isPhoneVerified', 1, 0] } },
+                                fullyVerified: {
+                                    $sum: { $cond: [{ $and: ['$isEmailVerified', '$isPhoneVerified'] }, 1, 0] }
+                                },
+                                twoFactorEnabled: { $sum: { $cond: ['$twoFactorAuth.enabled', 1, 0] } }
+                            }
+                        },
+                        { $project: { _id: 0 } }
+                    ],
+                    lockedAccounts: [
+                        { $match: { 'loginAttempts.lockUntil': { $gt: now } } },
+                        { $count: 'count' }
+                    ],
+                    byRole: [
+                        { $group: { _id: '$role', count: { $sum: 1 } } }
+                    ],
+                    byStatus: [
+                        { $group: { _id: '$status', count: { $sum: 1 } } }
+                    ]
+                }
+            }
+        ])
+    ]);
+
+    const toMap = (rows) => rows.reduce((map, row) => ({ ...map, [row._id]: row.count }), {});
+
+    return {
+        ...overview,
+        signupsPerDay: facets.signupsPerDay,
+        verificationFunnel: facets.funnel[0] || {
+            registered: 0, emailVerified: 0, phoneVerified: 0, fullyVerified: 0, twoFactorEnabled: 0
+        },
+        lockedAccounts: facets.lockedAccounts[0] ? facets.lockedAccounts[0].count : 0,
+        byRole: toMap(facets.byRole),
+        byStatus: toMap(facets.byStatus),
+        periodDays: days
+    };
+};
+
 // Export the model
 module.exports = mongoose.model('User', UserSchema);
 
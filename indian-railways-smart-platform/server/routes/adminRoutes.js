@@ -0,0 +1,568 @@
+/**
+ * 🧑‍💼 Admin Routes - The Control Room
+ *
+ * Our ops team used to fix accounts by editing MongoDB by hand (scary!).
+ * These endpoints give them safe, audited tools instead:
+ * - search and inspect users
+ * - suspend / reactivate / deactivate accounts
+ * - change roles
+ * - force a password reset or unlock a locked-out account
+ * - dashboard statistics built on User.getUserStats
+ * - bulk timetable imports (GTFS or CSV) into trains and stations
+ *
+ * Every state-changing action is written to the audit log with the admin's
+ * id, and admins can't lock themselves out by accident.
+ */
+
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const auth = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const logger = require('../utils/logger');
+const { sendPasswordResetEmail } = require('../utils/email');
+const { importTimetable, detectFormat } = require('../utils/timetableImporter');
+
+// Everything in here needs a logged-in user; each route adds its own permission
+router.use(auth);
+
+// Fields that are safe and useful to show in admin lists
+const LIST_FIELDS = 'name email phone role status isEmailVerified isPhoneVerified loginAttempts lastLogin createdAt';
+
+// Escape user input before putting it in a RegExp (no ReDoS, no surprises)
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Shared validation error response
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: 'Please check your input and try again',
+        details: errors.array()
+    });
+    return true;
+};
+
+const userIdValidation = [
+    param('id').isMongoId().withMessage('Invalid user ID')
+];
+
+// Admins acting on their own account is almost always a mistake
+const refuseSelf = (req, res) => {
+    if (String(req.params.id) !== String(req.user.id)) return false;
+
+    res.status(400).json({
+        success: false,
+        error: 'You cannot perform this action on your own account',
+        tip: 'Ask another administrator to do it for you'
+    });
+    return true;
+};
+
+// Load the target user or send a 404
+const findTargetUser = async (req, res, projection = '') => {
+    const user = await User.findById(req.params.id).select(projection);
+
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+    }
+
+    return user;
+};
+
+/**
+ * 📊 USER STATISTICS
+ *
+ * GET /api/admin/users/stats?days=30
+ */
+router.get('/users/stats',
+    authorize('users:read_stats'),
+    [
+        query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365').toInt()
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const stats = await User.getExtendedUserStats({ days: req.query.days || 30 });
+
+            res.json({
+                success: true,
+                data: { stats }
+            });
+
+        } catch (error) {
+            logger.error('Admin user stats error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load user statistics'
+            });
+        }
+    }
+);
+
+/**
+ * 🔎 SEARCH USERS
+ *
+ * GET /api/admin/users?q=&role=&status=&page=1&limit=20&sort=-createdAt
+ *
+ * `q` matches name, email or phone (partial, case-insensitive).
+ */
+router.get('/users',
+    authorize('users:read'),
+    [
+        query('q').optional().isString().trim().isLength({ max: 100 }),
+        query('role').optional().isIn(['passenger', 'staff', 'admin', 'moderator']),
+        query('status').optional().isIn(['active', 'suspended', 'pending_verification', 'deactivated']),
+        query('locked').optional().isBoolean().toBoolean(),
+        query('page').optional().isInt({ min: 1 }).toInt(),
+        query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+        query('sort').optional().isIn(['createdAt', '-createdAt', 'name', '-name', 'lastLogin.timestamp', '-lastLogin.timestamp'])
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const { q, role, status, locked } = req.query;
+            const page = req.query.page || 1;
+            const limit = req.query.limit || 20;
+            const sort = req.query.sort || '-createdAt';
+
+            const filter = {};
+            if (role) filter.role = role;
+            if (status) filter.status = status;
+            if (locked === true) filter['loginAttempts.lockUntil'] = { $gt: new Date() };
+
+            if (q) {
+                const pattern = new RegExp(escapeRegex(q), 'i');
+                const digits = q.replace(/\D/g, '');
+
+                filter.$or = [
+                    { name: pattern },
+                    { email: pattern }
+                ];
+
+                // Phone numbers are stored as +91XXXXXXXXXX, so search on digits only
+                if (digits.length >= 3) {
+                    filter.$or.push({ phone: new RegExp(escapeRegex(digits)) });
+                }
+            }
+
+            const [users, total] = await Promise.all([
+                User.find(filter)
+                    .select(LIST_FIELDS)
+                    .sort(sort)
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                User.countDocuments(filter)
+            ]);
+
+            res.json({
+                success: true,
+                data: {
+                    users,
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        pages: Math.ceil(total / limit)
+                    }
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin user search error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to search users'
+            });
+        }
+    }
+);
+
+/**
+ * 👤 USER DETAIL
+ *
+ * GET /api/admin/users/:id
+ */
+router.get('/users/:id', authorize('users:read'), userIdValidation, async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const activeSessions = await Session.countDocuments({
+            user: user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                user,
+                activeSessions
+            }
+        });
+
+    } catch (error) {
+        logger.error('Admin user detail error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load user'
+        });
+    }
+});
+
+/**
+ * 🚦 ACCOUNT STATUS CHANGES
+ *
+ * POST /api/admin/users/:id/suspend
+ * POST /api/admin/users/:id/reactivate
+ * POST /api/admin/users/:id/deactivate
+ *
+ * Suspending or deactivating ends every session and access token (handled
+ * by the User model's save hooks). Reactivating puts unverified users back
+ * into pending_verification rather than skipping verification.
+ */
+const statusAction = (action) => async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+        if (refuseSelf(req, res)) return;
+
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const previousStatus = user.status;
+        const nextStatus = action === 'suspend'
+            ? 'suspended'
+            : action === 'deactivate'
+                ? 'deactivated'
+                : (user.isEmailVerified ? 'active' : 'pending_verification');
+
+        if (previousStatus === nextStatus) {
+            return res.status(400).json({
+                success: false,
+                error: `This account is already ${nextStatus.replace('_', ' ')}`
+            });
+        }
+
+        user.status = nextStatus;
+
+        if (nextStatus === 'deactivated') {
+            user.deactivation = { by: 'admin', at: new Date(), reason: req.body.reason };
+        } else if (action === 'reactivate') {
+            user.deactivation = undefined;
+            user.deletion = undefined;
+        }
+
+        await user.save();
+
+        logger.audit(`Admin ${action === 'suspend' ? 'suspended' : `${action}d`} user`, {
+            adminId: req.user.id,
+            userId: user._id,
+            previousStatus,
+            status: nextStatus,
+            reason: req.body.reason,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: `Account status changed from ${previousStatus} to ${nextStatus}`,
+            data: {
+                user: { id: user._id, status: user.status }
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Admin ${action} user error:`, error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to ${action} user`
+        });
+    }
+};
+
+const reasonValidation = [
+    body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason is too long')
+];
+
+router.post('/users/:id/suspend', authorize('users:suspend'), userIdValidation, reasonValidation, statusAction('suspend'));
+router.post('/users/:id/reactivate', authorize('users:suspend'), userIdValidation, reasonValidation, statusAction('reactivate'));
+router.post('/users/:id/deactivate', authorize('users:suspend'), userIdValidation, reasonValidation, statusAction('deactivate'));
+
+/**
+ * 🎭 CHANGE ROLE
+ *
+ * PATCH /api/admin/users/:id/role
+ *
+ * The user's existing access tokens stop working immediately, so the new
+ * role takes effect on their next refresh.
+ */
+router.patch('/users/:id/role',
+    authorize('users:change_role'),
+    userIdValidation,
+    [
+        body('role')
+            .isIn(['passenger', 'staff', 'admin', 'moderator'])
+            .withMessage('Role must be passenger, staff, moderator or admin')
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+            if (refuseSelf(req, res)) return;
+
+            const user = await findTargetUser(req, res);
+            if (!user) return;
+
+            const previousRole = user.role;
+            if (previousRole === req.body.role) {
+                return res.status(400).json({
+                    success: false,
+                    error: `This user is already a ${previousRole}`
+                });
+            }
+
+            user.role = req.body.role;
+            await user.save();
+
+            logger.audit('Admin changed user role', {
+                adminId: req.user.id,
+                userId: user._id,
+                previousRole,
+                role: user.role,
+                ip: req.ip
+            });
+
+            res.json({
+                success: true,
+                message: `Role changed from ${previousRole} to ${user.role}`,
+                data: {
+                    user: { id: user._id, role: user.role }
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin change role error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to change role'
+            });
+        }
+    }
+);
+
+/**
+ * 🔑 FORCE PASSWORD RESET
+ *
+ * POST /api/admin/users/:id/force-password-reset
+ *
+ * Signs the user out everywhere, blocks password login until they choose a
+ * new password, and emails them a reset link.
+ */
+router.post('/users/:id/force-password-reset', authorize('users:manage'), userIdValidation, reasonValidation, async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+        if (refuseSelf(req, res)) return;
+
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const resetToken = user.generatePasswordResetToken();
+        user.passwordResetRequired = true;
+        await user.save();
+
+        await Session.revokeAllForUser(user._id, 'admin');
+        await user.invalidateTokens('admin_forced_password_reset');
+
+        let emailSent = true;
+        try {
+            await sendPasswordResetEmail(user.email, user.name, resetToken);
+        } catch (emailError) {
+            emailSent = false;
+            logger.error('Failed to send forced password reset email', {
+                userId: user._id,
+                error: emailError.message
+            });
+        }
+
+        logger.audit('Admin forced password reset', {
+            adminId: req.user.id,
+            userId: user._id,
+            reason: req.body.reason,
+            emailSent,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: emailSent
+                ? 'User signed out everywhere and a reset link has been emailed'
+                : 'User signed out everywhere, but the reset email could not be sent',
+            tip: emailSent ? undefined : 'The user can still use the forgot password option'
+        });
+
+    } catch (error) {
+        logger.error('Admin force password reset error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to force a password reset'
+        });
+    }
+});
+
+/**
+ * 🔓 UNLOCK ACCOUNT
+ *
+ * POST /api/admin/users/:id/unlock
+ *
+ * Clears the failed-login lockout (loginAttempts.lockUntil) right away
+ * instead of making the passenger wait two hours.
+ */
+router.post('/users/:id/unlock', authorize('users:manage'), userIdValidation, async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const wasLocked = user.isLocked;
+
+        await user.updateOne({
+            $unset: {
+                'loginAttempts.count': 1,
+                'loginAttempts.lockUntil': 1
+            }
+        });
+
+        logger.audit('Admin unlocked user account', {
+            adminId: req.user.id,
+            userId: user._id,
+            wasLocked,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: wasLocked ? 'Account unlocked' : 'Account was not locked, failed attempts have been reset'
+        });
+
+    } catch (error) {
+        logger.error('Admin unlock user error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to unlock account'
+        });
+    }
+});
+
+/**
+ * 📥 Timetable upload configuration
+ *
+ * A whole GTFS feed is a handful of text files - stop_times.txt for the
+ * full network runs to tens of MB, hence the generous limit.
+ */
+const timetableUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: parseInt(process.env.MAX_TIMETABLE_FILE_SIZE) || 50 * 1024 * 1024,
+        files: 5
+    },
+    fileFilter: (req, file, callback) => {
+        if (!/\.(txt|csv)$/i.test(file.originalname)) {
+            return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        callback(null, true);
+    }
+}).any();
+
+/**
+ * 🗓️ IMPORT TIMETABLE
+ *
+ * POST /api/admin/timetable/import?dryRun=true
+ * Multipart: the GTFS files (stops.txt, trips.txt, stop_times.txt,
+ * calendar.txt, optionally routes.txt) OR a single .csv timetable -
+ * the format is detected from the file names.
+ *
+ * Returns the import report. Run with dryRun=true first: it validates
+ * everything and shows what would change without writing anything.
+ */
+router.post('/timetable/import', authorize('trains:manage', 'stations:manage'), (req, res) => {
+    timetableUpload(req, res, async (uploadError) => {
+        if (uploadError) {
+            return res.status(400).json({
+                success: false,
+                error: uploadError.code === 'LIMIT_FILE_SIZE'
+                    ? 'One of the files is too large'
+                    : 'Please upload GTFS .txt files or a single .csv timetable'
+            });
+        }
+
+        const files = Object.fromEntries((req.files || []).map(file => [
+            path.basename(file.originalname).toLowerCase(),
+            file.buffer.toString('utf8')
+        ]));
+        const format = detectFormat(Object.keys(files));
+
+        if (!format) {
+            return res.status(400).json({
+                success: false,
+                error: 'Could not tell which timetable format this is',
+                tip: 'Upload stops.txt, trips.txt, stop_times.txt and calendar.txt for GTFS, or one .csv file'
+            });
+        }
+
+        try {
+            const dryRun = req.query.dryRun === 'true';
+            const report = await importTimetable({ format, files, dryRun });
+
+            logger.audit('Admin imported timetable', {
+                adminId: req.user.id,
+                format,
+                dryRun,
+                stations: report.stations,
+                trains: report.trains,
+                errors: report.errors.length,
+                ip: req.ip
+            });
+
+            const { created, updated, unchanged } = report.trains;
+            const nothingUsable = report.errors.length > 0 && created + updated + unchanged === 0;
+
+            if (nothingUsable) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Nothing could be imported - see the report for details',
+                    data: { report }
+                });
+            }
+
+            res.json({
+                success: true,
+                message: dryRun ? 'Dry run complete - nothing was written' : 'Timetable imported',
+                data: { report }
+            });
+
+        } catch (error) {
+            logger.error('Admin timetable import error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to import timetable'
+            });
+        }
+    });
+});
+
+module.exports = router;
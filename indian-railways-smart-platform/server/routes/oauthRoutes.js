@@ -0,0 +1,388 @@
+/**
+ * 🌐 Social Login Routes - "Continue with Google"
+ *
+ * OAuth2 / OpenID Connect login using the authorization code flow with
+ * PKCE. Only available when ENABLE_SOCIAL_LOGIN=true (see
+ * config/oauthProviders.js for the providers and their settings).
+ *
+ * The browser dance:
+ * 1. GET  /api/auth/oauth/:provider/start       → redirect to the provider
+ * 2. GET  /api/auth/oauth/:provider/callback    ← provider redirects back
+ * 3. We redirect to CLIENT_URL/oauth/callback with the outcome in the URL
+ *    fragment. On success the refresh cookie is already set, so the client
+ *    just calls /api/auth/refresh to get an access token. With 2FA on, the
+ *    challenge token is set as an HTTP-only cookie and the client posts the
+ *    code to /api/auth/login/2fa - tokens never appear in a URL.
+ *
+ * Who ends up logged in?
+ * - An account already linked to this identity, or
+ * - An existing account with the same email, IF the provider says it has
+ *   verified that email (otherwise anyone could claim your address on some
+ *   obscure provider and walk into your account), or
+ * - A brand new account created from the provider's profile.
+ *
+ * Logged-in users link more identities with POST /:provider/link; the list
+ * and unlinking live in routes/userRoutes.js (/api/users/me/identities).
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+
+const User = require('../models/User');
+const auth = require('../middleware/authMiddleware');
+const logger = require('../utils/logger');
+const { getProvider, listEnabledProviders, socialLoginEnabled } = require('../config/oauthProviders');
+const { createAuthorization, completeAuthorization } = require('../utils/oauth');
+const { startLoginSession, setChallengeCookie } = require('../utils/authSession');
+const { signChallengeToken, CHALLENGE_EXPIRE } = require('../utils/twoFactor');
+const { sendWelcomeEmail } = require('../utils/email');
+
+const STATE_COOKIE = 'oauthState';
+const STATE_COOKIE_PATH = '/api/auth/oauth';
+
+// Each start is a redirect to a third party - no need for more than this
+const oauthLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20,
+    message: {
+        success: false,
+        error: 'Too many social login attempts. Please try again in 15 minutes.'
+    },
+    standardHeaders: true
+});
+
+// Only ever send people back to a path on our own client (no open redirects)
+const safeReturnTo = (returnTo) => (
+    typeof returnTo === 'string' && /^\/(?!\/)[\w\-/.?=&%]*$/.test(returnTo) ? returnTo : undefined
+);
+
+// Hand the outcome to the client app (fragment, so it never reaches a server log)
+const redirectToClient = (res, outcome) => {
+    const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+    const fragment = new URLSearchParams(
+        Object.entries(outcome).filter(([, value]) => value !== undefined)
+    ).toString();
+
+    return res.redirect(`${clientUrl}/oauth/callback#${fragment}`);
+};
+
+// The state cookie must survive the cross-site redirect back from the provider, hence 'lax'
+const setStateCookie = (res, stateToken) => {
+    res.cookie(STATE_COOKIE, stateToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax',
+        path: STATE_COOKIE_PATH,
+        maxAge: 10 * 60 * 1000 // 10 minutes, same as the state token
+    });
+};
+
+// Resolve :provider or answer 404 (unknown, not configured, or social login off)
+const loadProvider = (req, res, next) => {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+        return res.status(404).json({
+            success: false,
+            error: socialLoginEnabled()
+                ? `Login with "${req.params.provider}" is not available`
+                : 'Social login is not enabled'
+        });
+    }
+
+    req.oauthProvider = provider;
+    next();
+};
+
+// Our name validation is strict (letters, spaces, ' and -), provider names aren't
+const cleanName = (name, email) => {
+    const cleaned = String(name || '').replace(/[^a-zA-Z\s'-]/g, '').replace(/\s+/g, ' ').trim().slice(0, 50);
+    if (cleaned.length >= 2) return cleaned;
+
+    const fromEmail = String(email || '').split('@')[0].replace(/[^a-zA-Z]/g, ' ').trim().slice(0, 50);
+    return fromEmail.length >= 2 ? fromEmail : 'Railway Passenger';
+};
+
+/**
+ * 📋 AVAILABLE PROVIDERS
+ *
+ * GET /api/auth/oauth/providers
+ *
+ * What the login page should show buttons for (empty when the flag is off).
+ */
+router.get('/providers', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            enabled: socialLoginEnabled(),
+            providers: listEnabledProviders()
+        }
+    });
+});
+
+/**
+ * 🚀 START SOCIAL LOGIN
+ *
+ * GET /api/auth/oauth/:provider/start?returnTo=/tickets&rememberMe=true
+ */
+router.get('/:provider/start', oauthLimiter, loadProvider, async (req, res) => {
+    try {
+        const { authorizationUrl, stateToken } = await createAuthorization(req.oauthProvider, {
+            returnTo: safeReturnTo(req.query.returnTo),
+            rememberMe: req.query.rememberMe === 'true'
+        });
+
+        setStateCookie(res, stateToken);
+        res.redirect(authorizationUrl);
+
+    } catch (error) {
+        logger.error('OAuth start error:', {
+            provider: req.oauthProvider.key,
+            error: error.message
+        });
+        redirectToClient(res, { error: 'provider_unavailable' });
+    }
+});
+
+/**
+ * 🔗 LINK AN IDENTITY TO MY ACCOUNT
+ *
+ * POST /api/auth/oauth/:provider/link
+ *
+ * Returns the provider URL instead of redirecting, because the client has
+ * to send its access token (an XHR with credentials, so the state cookie
+ * sticks) and then navigate to the URL itself.
+ */
+router.post('/:provider/link', auth, oauthLimiter, loadProvider, async (req, res) => {
+    try {
+        const { authorizationUrl, stateToken } = await createAuthorization(req.oauthProvider, {
+            linkUserId: req.user.id,
+            returnTo: safeReturnTo(req.body.returnTo) || '/profile'
+        });
+
+        setStateCookie(res, stateToken);
+
+        res.json({
+            success: true,
+            data: { authorizationUrl }
+        });
+
+    } catch (error) {
+        logger.error('OAuth link start error:', {
+            provider: req.oauthProvider.key,
+            userId: req.user.id,
+            error: error.message
+        });
+        res.status(502).json({
+            success: false,
+            error: `Could not reach ${req.oauthProvider.name}. Please try again later.`
+        });
+    }
+});
+
+/**
+ * Attach an identity to the logged-in user who started a link request
+ */
+const linkToUser = async (req, res, provider, profile, context) => {
+    const owner = await User.findByIdentity(provider.key, profile.subject);
+
+    if (owner && String(owner._id) !== String(context.linkUserId)) {
+        return redirectToClient(res, { error: 'identity_in_use', returnTo: context.returnTo });
+    }
+
+    const user = await User.findById(context.linkUserId);
+    if (!user) return redirectToClient(res, { error: 'oauth_failed' });
+
+    const existing = user.identities.find(identity => identity.provider === provider.key);
+
+    if (existing && existing.subject !== String(profile.subject)) {
+        return redirectToClient(res, { error: 'provider_already_linked', returnTo: context.returnTo });
+    }
+
+    if (!existing) {
+        user.identities.push({
+            provider: provider.key,
+            subject: String(profile.subject),
+            email: profile.email
+        });
+        await user.save();
+
+        logger.audit('Social identity linked', {
+            userId: user._id,
+            provider: provider.key,
+            ip: req.ip
+        });
+    }
+
+    return redirectToClient(res, { linked: provider.key, returnTo: context.returnTo });
+};
+
+/**
+ * Find (or create) the account for an identity, then log it in
+ */
+const loginWithIdentity = async (req, res, provider, profile, context) => {
+    let user = await User.findByIdentity(provider.key, profile.subject);
+    let created = false;
+
+    if (!user && profile.email) {
+        const byEmail = await User.findOne({ email: profile.email });
+
+        if (byEmail && !profile.emailVerified) {
+            logger.security('Social login matched an email the provider has not verified', {
+                userId: byEmail._id,
+                provider: provider.key,
+                ip: req.ip
+            });
+            return redirectToClient(res, { error: 'email_in_use' });
+        }
+
+        if (byEmail) {
+            byEmail.identities.push({
+                provider: provider.key,
+                subject: String(profile.subject),
+                email: profile.email
+            });
+
+            // The provider just proved they own this address
+            if (!byEmail.isEmailVerified) {
+                byEmail.isEmailVerified = true;
+                if (byEmail.status === 'pending_verification') byEmail.status = 'active';
+            }
+            await byEmail.save();
+
+            logger.audit('Social identity linked by verified email', {
+                userId: byEmail._id,
+                provider: provider.key,
+                ip: req.ip
+            });
+
+            user = byEmail;
+        }
+    }
+
+    if (!user) {
+        if (!profile.email) return redirectToClient(res, { error: 'email_required' });
+
+        user = new User({
+            name: cleanName(profile.name, profile.email),
+            email: profile.email,
+            isEmailVerified: profile.emailVerified,
+            status: profile.emailVerified ? 'active' : 'pending_verification',
+            identities: [{
+                provider: provider.key,
+                subject: String(profile.subject),
+                email: profile.email
+            }]
+        });
+
+        const verificationToken = profile.emailVerified ? null : user.generateEmailVerificationToken();
+        await user.save();
+        created = true;
+
+        logger.audit('New user registered via social login', {
+            userId: user._id,
+            provider: provider.key,
+            ip: req.ip
+        });
+
+        if (verificationToken) {
+            try {
+                await sendWelcomeEmail(user.email, user.name, verificationToken);
+            } catch (emailError) {
+                logger.error('Failed to send welcome email', {
+                    userId: user._id,
+                    error: emailError.message
+                });
+            }
+        }
+    }
+
+    // Same gates as the password login
+    if (user.isLocked) return redirectToClient(res, { error: 'account_locked' });
+    if (user.status === 'suspended') return redirectToClient(res, { error: 'account_suspended' });
+    if (user.status === 'deactivated' && (!user.deactivation || user.deactivation.by !== 'user')) {
+        return redirectToClient(res, { error: 'account_deactivated' });
+    }
+    if (user.passwordResetRequired) return redirectToClient(res, { error: 'password_reset_required' });
+
+    await User.updateOne(
+        { _id: user._id, 'identities.provider': provider.key },
+        { $set: { 'identities.$.lastUsedAt': new Date() } }
+    );
+
+    // 2FA still applies - the provider only replaces the password
+    if (user.twoFactorAuth && user.twoFactorAuth.enabled) {
+        setChallengeCookie(res, signChallengeToken(user, { rememberMe: !!context.rememberMe, via: `oauth:${provider.key}` }));
+
+        return redirectToClient(res, {
+            twoFactorRequired: 'true',
+            expiresIn: CHALLENGE_EXPIRE,
+            returnTo: context.returnTo
+        });
+    }
+
+    await startLoginSession(req, res, user, {
+        rememberMe: !!context.rememberMe,
+        method: `oauth:${provider.key}`
+    });
+
+    return redirectToClient(res, {
+        status: 'success',
+        newAccount: created ? 'true' : undefined,
+        returnTo: context.returnTo
+    });
+};
+
+/**
+ * 🎯 PROVIDER CALLBACK
+ *
+ * GET /api/auth/oauth/:provider/callback?code=...&state=...
+ */
+router.get('/:provider/callback', oauthLimiter, loadProvider, async (req, res) => {
+    const provider = req.oauthProvider;
+    const stateToken = req.cookies && req.cookies[STATE_COOKIE];
+
+    // One-shot - the state can't be reused whatever happens next
+    res.clearCookie(STATE_COOKIE, { path: STATE_COOKIE_PATH });
+
+    // The user pressed "Cancel" on the provider's consent screen
+    if (req.query.error) {
+        return redirectToClient(res, {
+            error: req.query.error === 'access_denied' ? 'cancelled' : 'oauth_failed'
+        });
+    }
+
+    let result;
+    try {
+        result = await completeAuthorization(provider, req, stateToken);
+    } catch (error) {
+        logger.security('OAuth callback rejected', {
+            provider: provider.key,
+            error: error.message,
+            ip: req.ip
+        });
+        return redirectToClient(res, { error: 'oauth_failed' });
+    }
+
+    try {
+        const { profile, context } = result;
+
+        if (context.linkUserId) {
+            return await linkToUser(req, res, provider, profile, context);
+        }
+
+        return await loginWithIdentity(req, res, provider, profile, context);
+
+    } catch (error) {
+        logger.error('OAuth login error:', {
+            provider: provider.key,
+            error: error.message,
+            stack: error.stack,
+            ip: req.ip
+        });
+        redirectToClient(res, { error: error.code === 11000 ? 'identity_in_use' : 'oauth_failed' });
+    }
+});
+
+module.exports = router;
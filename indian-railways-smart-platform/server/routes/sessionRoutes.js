@@ -0,0 +1,129 @@
+/**
+ * 📱 Session Routes - "Where Am I Logged In?"
+ *
+ * Lets passengers see every device that holds a refresh token for their
+ * account and kick out the ones they don't recognize. Think of it as the
+ * list of people who have a spare key to your house.
+ *
+ * Logging out of everything at once lives in authRoutes.js
+ * (POST /api/auth/logout-all).
+ */
+
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const Session = require('../models/Session');
+const auth = require('../middleware/authMiddleware');
+const logger = require('../utils/logger');
+
+// Work out which session the caller is using right now (if they sent a refresh token)
+const getCurrentJti = (req) => {
+    const refreshToken = (req.cookies && req.cookies.refreshToken) || req.get('X-Refresh-Token');
+    if (!refreshToken) return null;
+
+    try {
+        return jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET).jti || null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * 📋 LIST ACTIVE SESSIONS
+ *
+ * GET /api/auth/sessions
+ */
+router.get('/', auth, async (req, res) => {
+    try {
+        const currentJti = getCurrentJti(req);
+
+        const sessions = await Session.find({
+            user: req.user.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                sessions: sessions.map(session => ({
+                    id: session._id,
+                    device: session.device,
+                    userAgent: session.userAgent,
+                    ipAddress: session.ipAddress,
+                    location: session.location,
+                    signedInAt: session.createdAt,
+                    lastUsedAt: session.lastUsedAt,
+                    expiresAt: session.expiresAt,
+                    current: session.jti === currentJti
+                }))
+            }
+        });
+
+    } catch (error) {
+        logger.error('List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load your sessions'
+        });
+    }
+});
+
+/**
+ * ❌ REVOKE ONE SESSION
+ *
+ * DELETE /api/auth/sessions/:id
+ *
+ * Revokes the whole rotation family, so the device can't sneak back in
+ * with a token it refreshed a moment ago.
+ */
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid session ID'
+            });
+        }
+
+        const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+        if (!session || !session.isActive) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found',
+                tip: 'It may have already expired or been signed out'
+            });
+        }
+
+        await Session.revokeFamily(session.family, 'user_revoked');
+
+        // Signing out the device you're holding? Drop the cookie too
+        if (session.jti === getCurrentJti(req)) {
+            res.clearCookie('refreshToken');
+        }
+
+        logger.security('Session revoked by user', {
+            userId: req.user.id,
+            sessionId: session._id,
+            device: session.device,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: `Signed out of ${session.device || 'that device'}`
+        });
+
+    } catch (error) {
+        logger.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to sign out that session'
+        });
+    }
+});
+
+module.exports = router;
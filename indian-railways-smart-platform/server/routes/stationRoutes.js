@@ -0,0 +1,436 @@
+/**
+ * 🚉 Station Routes - Everything About a Station
+ *
+ * Public endpoints:
+ * - GET /api/stations?q=delhi            (search by code, name or city)
+ * - GET /api/stations?near=28.64,77.22   (closest stations first)
+ * - GET /api/stations/:code              (names, location, platforms, amenities)
+ * - GET /api/stations/:code/board        (next arrivals and departures, live)
+ *
+ * Add ?lang=hi to get `displayName` in that language (falls back to English).
+ *
+ * Staff and admins:
+ * - PATCH /api/stations/:code                      (stations:manage)
+ * - PUT   /api/stations/:code/platforms/:trainId   (stations:update_platform)
+ *
+ * Platform changes are for ONE run of a train and are pushed straight to
+ * the train's Socket.IO rooms as `platform-changed` + `train-status`.
+ * Boards listen on `station-{code}` rooms for `board-changed`.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+
+const Station = require('../models/Station');
+const Train = require('../models/Train');
+const User = require('../models/User');
+const auth = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const logger = require('../utils/logger');
+const { isValidDate } = require('../utils/timetable');
+const { invalidateTimetable } = require('../utils/journeyPlanner');
+const { assignPlatform, statusPayload, broadcastStatus, broadcastPlatform } = require('../utils/runningStatus');
+const { buildBoard } = require('../utils/stationBoard');
+
+const LANGUAGES = User.schema.path('preferences.language').enumValues;
+
+// Shared validation error response
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: 'Please check your input and try again',
+        details: errors.array()
+    });
+    return true;
+};
+
+const stationCodeParam = () => param('code')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{1,5}$/)
+    .withMessage('Please provide a valid station code (e.g. NDLS)');
+
+const languageQuery = () => query('lang')
+    .optional()
+    .isIn(LANGUAGES)
+    .withMessage(`Language must be one of ${LANGUAGES.join(', ')}`);
+
+// What passengers see about a station (with the name in their language)
+const presentStation = (station, language) => ({
+    ...station.toJSON(),
+    displayName: station.nameIn(language)
+});
+
+// Load the active station or send a 404
+const findActiveStation = async (req, res) => {
+    const station = await Station.findByCode(req.params.code);
+
+    if (!station || !station.isActive) {
+        res.status(404).json({
+            success: false,
+            error: `Unknown station code: ${req.params.code}`,
+            tip: 'Station codes are the short codes on your ticket, like NDLS or BCT'
+        });
+        return null;
+    }
+
+    return station;
+};
+
+/**
+ * 🔎 FIND STATIONS
+ *
+ * GET /api/stations?q=mumbai&limit=10
+ * GET /api/stations?near=19.07,72.88&radiusKm=25
+ *
+ * `near` is "latitude,longitude" (the order people copy from a map app).
+ */
+router.get('/',
+    [
+        query('q').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Search needs 2-50 characters'),
+        query('near')
+            .optional()
+            .matches(/^-?\d{1,2}(\.\d+)?,-?\d{1,3}(\.\d+)?$/)
+            .withMessage('near must be "latitude,longitude"'),
+        query('radiusKm').optional().isFloat({ min: 1, max: 500 }).withMessage('Radius must be 1-500 km').toFloat(),
+        query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+        languageQuery()
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const { q, near, radiusKm = 50, limit = 20, lang } = req.query;
+            const filter = { isActive: true };
+
+            if (near) {
+                const [latitude, longitude] = near.split(',').map(Number);
+                filter.location = {
+                    $near: {
+                        $geometry: { type: 'Point', coordinates: [longitude, latitude] },
+                        $maxDistance: radiusKm * 1000
+                    }
+                };
+            }
+
+            if (q) {
+                // Exact code first ("BCT"), then names/cities starting with the text
+                const escaped = q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const startsWith = new RegExp(`^${escaped}`, 'i');
+                filter.$or = [
+                    { code: q.toUpperCase() },
+                    { name: startsWith },
+                    { city: startsWith }
+                ];
+            }
+
+            let stations = await Station.find(filter).limit(limit);
+
+            if (q && !near) {
+                const code = q.toUpperCase();
+                stations = stations.sort((a, b) => (b.code === code) - (a.code === code) || a.name.localeCompare(b.name));
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    stations: stations.map(station => presentStation(station, lang))
+                }
+            });
+
+        } catch (error) {
+            logger.error('Station search error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to search stations'
+            });
+        }
+    }
+);
+
+/**
+ * 🚉 STATION DETAILS
+ *
+ * GET /api/stations/:code?lang=hi
+ */
+router.get('/:code',
+    [stationCodeParam(), languageQuery()],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const station = await findActiveStation(req, res);
+            if (!station) return;
+
+            res.json({
+                success: true,
+                data: {
+                    station: presentStation(station, req.query.lang)
+                }
+            });
+
+        } catch (error) {
+            logger.error('Station details error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load station details'
+            });
+        }
+    }
+);
+
+/**
+ * 🪧 ARRIVALS & DEPARTURES BOARD
+ *
+ * GET /api/stations/:code/board?limit=10&hours=6&lang=hi
+ *
+ * The next `limit` arrivals and departures within `hours`, with live
+ * expected times, delay and platform. Kiosks join the `station-{code}`
+ * socket room and refetch on `board-changed`.
+ */
+router.get('/:code/board',
+    [
+        stationCodeParam(),
+        query('limit').optional().isInt({ min: 1, max: 30 }).withMessage('Limit must be 1-30').toInt(),
+        query('hours').optional().isInt({ min: 1, max: 24 }).withMessage('Hours must be 1-24').toInt(),
+        languageQuery()
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const station = await findActiveStation(req, res);
+            if (!station) return;
+
+            const { limit = 10, hours = 6, lang } = req.query;
+            const now = new Date();
+            const board = await buildBoard(station.code, { limit, hours, now });
+
+            res.json({
+                success: true,
+                data: {
+                    station: {
+                        code: station.code,
+                        name: station.name,
+                        displayName: station.nameIn(lang)
+                    },
+                    generatedAt: now,
+                    ...board
+                }
+            });
+
+        } catch (error) {
+            logger.error('Station board error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load the station board'
+            });
+        }
+    }
+);
+
+/**
+ * ✏️ UPDATE STATION INFORMATION (admins)
+ *
+ * PATCH /api/stations/:code
+ * Body (all optional): { name, localNames: { hi: '...' }, city, state, zone,
+ *   location: { latitude, longitude }, platformCount, minConnectionMinutes,
+ *   amenities: { lifts, ramps, waitingRooms, foodStalls } }
+ */
+router.patch('/:code',
+    auth,
+    authorize('stations:manage'),
+    [
+        stationCodeParam(),
+        body('name').optional().trim().isLength({ min: 2, max: 100 }),
+        body('localNames').optional().isObject().withMessage('localNames must be an object of language: name')
+            .custom((names) => Object.keys(names).every(language => LANGUAGES.includes(language)))
+            .withMessage(`localNames keys must be one of ${LANGUAGES.join(', ')}`),
+        body('localNames.*').optional().isString().trim().isLength({ min: 1, max: 100 }),
+        body(['city', 'state', 'zone']).optional().trim().isLength({ max: 100 }),
+        body('location.latitude').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+        body('location.longitude').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+        body('platformCount').optional().isInt({ min: 1, max: 99 }).toInt(),
+        body('minConnectionMinutes').optional({ nullable: true }).isInt({ min: 0, max: 360 }).toInt(),
+        body(['amenities.lifts', 'amenities.waitingRooms', 'amenities.foodStalls'])
+            .optional()
+            .isInt({ min: 0, max: 999 })
+            .toInt(),
+        body('amenities.ramps').optional().isBoolean().toBoolean()
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const station = await findActiveStation(req, res);
+            if (!station) return;
+
+            const { localNames, location, amenities } = req.body;
+
+            ['name', 'city', 'state', 'zone', 'platformCount', 'minConnectionMinutes'].forEach((field) => {
+                if (req.body[field] !== undefined) station[field] = req.body[field];
+            });
+
+            if (localNames) {
+                Object.entries(localNames).forEach(([language, name]) => station.set(`localNames.${language}`, name));
+            }
+
+            if (location) {
+                if (location.latitude === undefined || location.longitude === undefined) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Location needs both latitude and longitude'
+                    });
+                }
+                station.location = { type: 'Point', coordinates: [location.longitude, location.latitude] };
+            }
+
+            if (amenities) {
+                ['lifts', 'ramps', 'waitingRooms', 'foodStalls'].forEach((field) => {
+                    if (amenities[field] !== undefined) station.set(`amenities.${field}`, amenities[field]);
+                });
+            }
+
+            const connectionChanged = station.isModified('minConnectionMinutes');
+            await station.save();
+
+            // The journey planner caches connection times
+            if (connectionChanged) invalidateTimetable();
+
+            logger.audit('Station updated', {
+                userId: req.user.id,
+                stationCode: station.code,
+                fields: Object.keys(req.body)
+            });
+
+            res.json({
+                success: true,
+                message: 'Station updated',
+                data: {
+                    station: presentStation(station)
+                }
+            });
+
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    error: Object.values(error.errors)[0].message
+                });
+            }
+
+            logger.error('Station update error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update station'
+            });
+        }
+    }
+);
+
+// What assignPlatform() errors mean for the client
+const PLATFORM_ERROR_STATUS = {
+    invalid_platform: 400,
+    no_route: 404,
+    not_on_route: 400,
+    no_run: 400,
+    invalid_event: 409,
+    cancelled: 409
+};
+
+/**
+ * 🔢 ASSIGN A PLATFORM (staff)
+ *
+ * PUT /api/stations/:code/platforms/:trainId
+ * Body: { platform: '5' | '5A', runDate? }
+ *
+ * `runDate` (the day the train left its origin) defaults to the run that
+ * calls at this station next. Only stops the train hasn't reached yet can
+ * be changed.
+ */
+router.put('/:code/platforms/:trainId',
+    auth,
+    authorize('stations:update_platform'),
+    [
+        stationCodeParam(),
+        param('trainId')
+            .custom((trainId) => /^[a-f\d]{24}$/i.test(trainId) || /^\d{5}$/.test(trainId))
+            .withMessage('Please provide a train id or a 5-digit train number'),
+        body('platform')
+            .trim()
+            .toUpperCase()
+            .matches(/^\d{1,2}[A-Z]?$/)
+            .withMessage('Platform must look like "5" or "5A"'),
+        body('runDate').optional().custom(isValidDate).withMessage('runDate must be YYYY-MM-DD')
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const station = await findActiveStation(req, res);
+            if (!station) return;
+
+            const { trainId } = req.params;
+            const train = await Train.findOne(/^\d{5}$/.test(trainId) ? { trainNumber: trainId } : { _id: trainId });
+
+            if (!train || !train.isActive) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Train not found'
+                });
+            }
+
+            const change = await assignPlatform({
+                train,
+                station,
+                platform: req.body.platform,
+                runDate: req.body.runDate
+            });
+
+            const io = req.app.get('io');
+            broadcastPlatform(io, train, change);
+            broadcastStatus(io, train, statusPayload(change.run, train));
+
+            logger.audit('Platform assigned', {
+                userId: req.user.id,
+                trainNumber: train.trainNumber,
+                runDate: change.run.runDate,
+                stationCode: station.code,
+                platform: change.stop.platform,
+                previousPlatform: change.previousPlatform
+            });
+
+            res.json({
+                success: true,
+                message: `Train ${train.trainNumber} will use platform ${change.stop.platform} at ${station.code}`,
+                data: {
+                    trainNumber: train.trainNumber,
+                    runDate: change.run.runDate,
+                    stationCode: station.code,
+                    platform: change.stop.platform,
+                    previousPlatform: change.previousPlatform || null
+                }
+            });
+
+        } catch (error) {
+            if (error.reason && PLATFORM_ERROR_STATUS[error.reason]) {
+                return res.status(PLATFORM_ERROR_STATUS[error.reason]).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            logger.error('Platform assignment error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to assign platform'
+            });
+        }
+    }
+);
+
+module.exports = router;
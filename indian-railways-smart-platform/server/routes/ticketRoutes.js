@@ -0,0 +1,794 @@
+/**
+ * 🎟️ Ticket Routes - Booking and Looking Up PNRs
+ *
+ * - GET  /api/tickets/availability?train=12951&from=NDLS&to=BCT&date=2024-03-01&class=AC3   (public)
+ * - GET  /api/tickets/fare-quote?...same journey...&quota=GN&passengers=2                  (public)
+ * - POST /api/tickets          book up to six passengers (tickets:book) - CNF, RAC or WL
+ * - GET  /api/tickets          my bookings, newest journey first (tickets:read_own)
+ * - GET  /api/tickets/:pnr     one booking - yours, or any if you're staff
+ * - GET  /api/tickets/:pnr/qr  the ticket's signed QR code
+ * - POST /api/tickets/:pnr/cancel  cancel some or all passengers, with a refund
+ * - GET  /api/tickets/keys     public keys for verifying QR codes (public, JWKS)
+ * - POST /api/tickets/checks   scanners report checked tickets (tickets:verify)
+ *
+ * Classes are the booking codes passengers know from their preferences:
+ * SL, AC3, AC2, AC1, CC, EC. The heavy lifting (berth allocation in a
+ * transaction, the RAC/waitlist queue) is in utils/booking.js, fares in
+ * utils/fares.js. When a
+ * waitlisted ticket moves up, the owner gets a `booking-status` event in
+ * their user-{userId} socket room.
+ */
+
+const express = require('express');
+const QRCode = require('qrcode');
+const router = express.Router();
+const { body, header, param, query, validationResult } = require('express-validator');
+
+const Train = require('../models/Train');
+const Booking = require('../models/Booking');
+const Refund = require('../models/Refund');
+const TrainRun = require('../models/TrainRun');
+const User = require('../models/User');
+const auth = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const { hasPermission } = require('../config/permissions');
+const logger = require('../utils/logger');
+const { isValidDate, todayInIndia } = require('../utils/timetable');
+const { createBooking, cancelPassengers, getAvailability, getFareQuote } = require('../utils/booking');
+const { computeRefund } = require('../utils/refunds');
+const { QUOTAS, CONCESSION_TYPES } = require('../utils/fares');
+const { signTicket, verifyTicket, publicJwks, canSign } = require('../utils/ticketSigning');
+
+const BOOKING_CLASSES = Object.keys(Train.BOOKING_CLASSES);
+const BERTH_PREFERENCES = User.schema.path('preferences.travel.berthPreference').enumValues;
+
+// Shared validation error response
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: 'Please check your input and try again',
+        details: errors.array()
+    });
+    return true;
+};
+
+// What booking engine errors mean for the client
+const BOOKING_ERROR_STATUS = {
+    not_found: 404,
+    invalid: 400,
+    closed: 409,
+    cancelled: 409,
+    sold_out: 409,
+    fare_changed: 409,
+    already_cancelled: 409
+};
+
+// Send the booking engine's error, or return false if it's unexpected
+const bookingErrorResponse = (error, res) => {
+    if (!error.reason || !BOOKING_ERROR_STATUS[error.reason]) return false;
+
+    res.status(BOOKING_ERROR_STATUS[error.reason]).json({
+        success: false,
+        error: error.message,
+        ...(error.reason === 'sold_out' && { tip: 'Try another class or a different date' }),
+        ...(error.reason === 'fare_changed' && { tip: 'Check the new fare and book again - nothing was charged' })
+    });
+    return true;
+};
+
+// A scanner's offline backlog may be this old when it syncs; older checks
+// (and any dated before the QR code itself was issued) are refused, so a
+// backdated checkedAt can't make an expired code pass
+const CHECK_BACKLOG_HOURS = parseInt(process.env.TICKET_CHECK_BACKLOG_HOURS) || 48;
+
+// Allowance for the scanner's clock running a little ahead of ours
+const CHECK_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const pnrValidation = [param('pnr').matches(/^\d{10}$/).withMessage('A PNR has 10 digits')];
+
+/**
+ * The booking if this user may see it: their own, or any for staff who
+ * check tickets. Someone else's PNR looks exactly like a missing one.
+ */
+const findVisibleBooking = async (req) => {
+    const booking = await Booking.findOne({ pnr: req.params.pnr });
+    const canSeeAny = hasPermission(req.user.role, 'tickets:verify') || hasPermission(req.user.role, 'tickets:manage');
+
+    if (!booking || (String(booking.user) !== String(req.user.id) && !canSeeAny)) return null;
+    return booking;
+};
+
+const bookingNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Booking not found',
+    tip: 'Double-check the 10-digit PNR on your ticket'
+});
+
+const journeyValidation = (location) => [
+    location('train')
+        .custom((trainId) => /^[a-f\d]{24}$/i.test(trainId) || /^\d{5}$/.test(trainId))
+        .withMessage('Please provide a train id or a 5-digit train number'),
+    location(['from', 'to'])
+        .trim()
+        .toUpperCase()
+        .matches(/^[A-Z]{1,5}$/)
+        .withMessage('Please provide valid station codes (e.g. NDLS)'),
+    location('date')
+        .custom((date) => {
+            if (!isValidDate(date)) throw new Error('Date must be YYYY-MM-DD');
+            if (date < todayInIndia()) throw new Error('Date cannot be in the past');
+            return true;
+        }),
+    location('class')
+        .trim()
+        .toUpperCase()
+        .isIn(BOOKING_CLASSES)
+        .withMessage(`Class must be one of ${BOOKING_CLASSES.join(', ')}`)
+];
+
+const quotaValidation = (location) => location('quota')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isIn(QUOTAS)
+    .withMessage(`Quota must be one of ${QUOTAS.join(', ')}`);
+
+// Concession claims - only their shape; the fare engine decides who is entitled
+const concessionValidation = (location) => [
+    location('passengers.*.concession')
+        .optional({ values: 'null' })
+        .isIn(CONCESSION_TYPES)
+        .withMessage(`Concession must be one of ${CONCESSION_TYPES.join(', ')}`),
+    location('passengers.*.concessionId')
+        .optional()
+        .trim()
+        .isLength({ min: 4, max: 30 })
+        .withMessage('Please check the certificate or ID number'),
+    location('passengers.*.dateOfBirth')
+        .optional()
+        .custom(isValidDate)
+        .withMessage('Date of birth must be YYYY-MM-DD')
+];
+
+/**
+ * 🔢 SEAT AVAILABILITY
+ *
+ * GET /api/tickets/availability?train=12951&from=NDLS&to=BCT&date=2024-03-01&class=AC3
+ *
+ * `next` is what one more passenger would get right now:
+ * { status: 'CNF' }, { status: 'RAC', position: 4 }, { status: 'WL', position: 23 }
+ * or { status: 'REGRET' } when even the waitlist is full.
+ */
+router.get('/availability',
+    journeyValidation(query),
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const { train, from, to, date } = req.query;
+            const availability = await getAvailability({ trainId: train, from, to, date, travelClass: req.query.class });
+
+            res.json({
+                success: true,
+                data: {
+                    train,
+                    from,
+                    to,
+                    date,
+                    class: req.query.class,
+                    ...availability
+                }
+            });
+
+        } catch (error) {
+            if (bookingErrorResponse(error, res)) return;
+
+            logger.error('Availability error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to check availability'
+            });
+        }
+    }
+);
+
+/**
+ * 💰 FARE QUOTE
+ *
+ * GET /api/tickets/fare-quote?train=12951&from=NDLS&to=BCT&date=2024-03-01&class=AC3&quota=GN
+ *     &passengers=2
+ *     &passengers=[{"age":64,"gender":"female","concession":"senior","dateOfBirth":"1960-02-10"}]
+ *
+ * `passengers` is a head count or a JSON list (default: one passenger
+ * with no concession). The total is exactly what POST /api/tickets
+ * charges for the same journey today - send it back as `expectedFare`.
+ */
+router.get('/fare-quote',
+    [
+        ...journeyValidation(query),
+        quotaValidation(query),
+        query('passengers')
+            .optional()
+            .customSanitizer((passengers) => {
+                // A head count only becomes a list when it's one we'd accept anyway
+                if (/^\d+$/.test(passengers)) {
+                    const count = Number(passengers);
+                    return count >= 1 && count <= Booking.MAX_PASSENGERS ? Array.from({ length: count }, () => ({})) : passengers;
+                }
+                try {
+                    return JSON.parse(passengers);
+                } catch (error) {
+                    return passengers;
+                }
+            })
+            .isArray({ min: 1, max: Booking.MAX_PASSENGERS })
+            .withMessage(`Passengers must be 1 to ${Booking.MAX_PASSENGERS}, as a count or a JSON list`),
+        query('passengers.*.age').optional().isInt({ min: 0, max: 125 }).withMessage('Please check the passenger age').toInt(),
+        query('passengers.*.gender').optional().isIn(['male', 'female', 'other']).withMessage('Gender must be male, female or other'),
+        ...concessionValidation(query)
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const { train, from, to, date, quota = 'GN', passengers = [{}] } = req.query;
+            const quote = await getFareQuote({ trainId: train, from, to, date, travelClass: req.query.class, quota, passengers });
+
+            res.json({
+                success: true,
+                data: {
+                    train,
+                    from,
+                    to,
+                    date,
+                    class: req.query.class,
+                    ...quote
+                }
+            });
+
+        } catch (error) {
+            if (bookingErrorResponse(error, res)) return;
+
+            logger.error('Fare quote error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to work out the fare'
+            });
+        }
+    }
+);
+
+/**
+ * 🎫 BOOK TICKETS
+ *
+ * POST /api/tickets
+ * Body: {
+ *   train, from, to, date, class,
+ *   passengers: [{ name, age, gender, berthPreference?,      (1 to 6)
+ *                  concession?, concessionId?, dateOfBirth? }],
+ *   contactEmail?, contactPhone?,
+ *   confirmedOnly?,  (true = don't book at all unless everyone is CNF)
+ *   quota?,          (GN or TQ for Tatkal)
+ *   expectedFare?    (the fare-quote total - refused with 409 if the fare changed)
+ * }
+ *
+ * Passengers get confirmed berths while they last, then RAC, then a
+ * waitlist number. Berth preferences are honoured when a matching berth is
+ * free; `preferenceMet` on each confirmed passenger says whether it worked out.
+ */
+router.post('/',
+    auth,
+    authorize('tickets:book'),
+    [
+        ...journeyValidation(body),
+        body('passengers')
+            .isArray({ min: 1, max: Booking.MAX_PASSENGERS })
+            .withMessage(`Please add 1 to ${Booking.MAX_PASSENGERS} passengers`),
+        body('passengers.*.name')
+            .trim()
+            .isLength({ min: 2, max: 50 })
+            .withMessage('Passenger names must be 2-50 characters'),
+        body('passengers.*.age').isInt({ min: 0, max: 125 }).withMessage('Please check the passenger age').toInt(),
+        body('passengers.*.gender').isIn(['male', 'female', 'other']).withMessage('Gender must be male, female or other'),
+        body('passengers.*.berthPreference')
+            .optional()
+            .isIn(BERTH_PREFERENCES)
+            .withMessage(`Berth preference must be one of ${BERTH_PREFERENCES.join(', ')}`),
+        ...concessionValidation(body),
+        quotaValidation(body),
+        body('expectedFare').optional().isFloat({ min: 0 }).withMessage('expectedFare must be an amount').toFloat(),
+        body('contactEmail').optional().isEmail().normalizeEmail(),
+        body('contactPhone')
+            .optional()
+            .matches(/^(\+91)?[6-9]\d{9}$/)
+            .withMessage('Please provide a valid Indian mobile number')
+            .customSanitizer(phone => (phone.startsWith('+91') ? phone : `+91${phone}`)),
+        body('confirmedOnly').optional().isBoolean().toBoolean()
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const user = await User.findById(req.user.id);
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Account not found'
+                });
+            }
+
+            const { train, from, to, date, passengers, contactEmail, contactPhone, confirmedOnly, quota, expectedFare } = req.body;
+
+            const booking = await createBooking({
+                user,
+                trainId: train,
+                from,
+                to,
+                date,
+                travelClass: req.body.class,
+                passengers: passengers.map(({ name, age, gender, berthPreference, concession, concessionId, dateOfBirth }) => ({
+                    name, age, gender, berthPreference, concession: concession || undefined, concessionId, dateOfBirth
+                })),
+                contactEmail,
+                contactPhone,
+                confirmedOnly,
+                quota,
+                expectedFare
+            });
+
+            logger.audit('Tickets booked', {
+                userId: user._id,
+                pnr: booking.pnr,
+                trainNumber: booking.trainNumber,
+                journeyDate: booking.journeyDate,
+                travelClass: booking.travelClass,
+                passengers: booking.passengers.length,
+                status: booking.status,
+                quota: booking.quota,
+                fare: booking.fare.total
+            });
+
+            res.status(201).json({
+                success: true,
+                message: booking.status === 'confirmed'
+                    ? `Booked! Your PNR is ${booking.pnr} 🎉`
+                    : `Booked with ${booking.passengers.map(passenger => passenger.bookingStatus).join(', ')} - PNR ${booking.pnr}. We'll let you know as soon as it moves up`,
+                data: {
+                    booking: {
+                        ...booking.toJSON(),
+                        passengers: booking.passengers.map(passenger => ({
+                            ...passenger.toJSON(),
+                            preferenceMet: passenger.status === 'CNF' ? !passenger.berthPreference || passenger.berth === passenger.berthPreference : undefined
+                        }))
+                    }
+                }
+            });
+
+        } catch (error) {
+            if (bookingErrorResponse(error, res)) return;
+
+            logger.error('Booking error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to book tickets',
+                tip: 'Nothing was charged or reserved - please try again'
+            });
+        }
+    }
+);
+
+/**
+ * 📋 MY BOOKINGS
+ *
+ * GET /api/tickets?upcoming=true&page=1&limit=20
+ */
+router.get('/',
+    auth,
+    authorize('tickets:read_own'),
+    [
+        query('upcoming').optional().isBoolean().toBoolean(),
+        query('page').optional().isInt({ min: 1 }).toInt(),
+        query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const { upcoming, page = 1, limit = 20 } = req.query;
+            const filter = { user: req.user.id };
+            if (upcoming) filter.journeyDate = { $gte: todayInIndia() };
+
+            const [bookings, total] = await Promise.all([
+                Booking.find(filter)
+                    .sort({ journeyDate: upcoming ? 1 : -1, createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                Booking.countDocuments(filter)
+            ]);
+
+            res.json({
+                success: true,
+                data: {
+                    bookings,
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        pages: Math.ceil(total / limit)
+                    }
+                }
+            });
+
+        } catch (error) {
+            logger.error('Bookings list error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load your bookings'
+            });
+        }
+    }
+);
+
+/**
+ * 🔑 QR VERIFICATION KEYS
+ *
+ * GET /api/tickets/keys
+ *
+ * A JWKS with every public key that may have signed a valid ticket (the
+ * current one is marked `current`). Scanners cache it so they can verify
+ * tickets with no signal - see utils/ticketSigning.js for the QR format.
+ */
+router.get('/keys', (req, res) => {
+    try {
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.json({
+            success: true,
+            data: publicJwks()
+        });
+
+    } catch (error) {
+        logger.error('Ticket keys error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load ticket keys'
+        });
+    }
+});
+
+/**
+ * ✅ RECORD TICKET CHECKS
+ *
+ * POST /api/tickets/checks
+ * Body: { checks: [{ code, checkedAt? }] }   (up to 200 - a scanner's offline backlog)
+ *
+ * Each QR code is verified again here (at the time it was scanned, so a
+ * backlog synced after arrival still counts) and the booking is marked as
+ * checked. Only the first check counts; re-sending a check is harmless.
+ * A scan time must be within TICKET_CHECK_BACKLOG_HOURS and not before the
+ * code was issued - otherwise it's `invalid` with reason `stale_check`.
+ * Every code gets its own result, so one bad scan doesn't fail the batch:
+ * checked, already_checked, invalid, cancelled or not_found.
+ */
+router.post('/checks',
+    auth,
+    authorize('tickets:verify'),
+    [
+        body('checks').isArray({ min: 1, max: 200 }).withMessage('Please send 1 to 200 checks'),
+        body('checks.*.code').isString().isLength({ max: 2000 }).withMessage('Each check needs the scanned code'),
+        body('checks.*.checkedAt')
+            .optional()
+            .isISO8601()
+            .withMessage('checkedAt must be a date')
+            .custom(checkedAt => new Date(checkedAt) <= new Date(Date.now() + 5 * 60 * 1000))
+            .withMessage('checkedAt cannot be in the future')
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const results = [];
+            const oldestAllowed = Date.now() - CHECK_BACKLOG_HOURS * 60 * 60 * 1000;
+
+            for (const check of req.body.checks) {
+                const checkedAt = check.checkedAt ? new Date(check.checkedAt) : new Date();
+                const verification = verifyTicket(check.code, checkedAt);
+
+                if (!verification.valid) {
+                    results.push({ pnr: verification.ticket && verification.ticket.pnr, result: 'invalid', reason: verification.reason });
+                    continue;
+                }
+
+                const { pnr, iat } = verification.ticket;
+
+                if (checkedAt.getTime() < oldestAllowed || checkedAt.getTime() < iat * 1000 - CHECK_CLOCK_SKEW_MS) {
+                    results.push({ pnr, result: 'invalid', reason: 'stale_check' });
+                    continue;
+                }
+
+                const booking = await Booking.findOne({ pnr }).select('status checkedAt');
+                if (!booking) {
+                    results.push({ pnr, result: 'not_found' });
+                    continue;
+                }
+                if (booking.status === 'cancelled') {
+                    results.push({ pnr, result: 'cancelled' });
+                    continue;
+                }
+
+                // Only the first check is recorded, even when two scanners sync at once
+                const marked = await Booking.updateOne(
+                    { _id: booking._id, checkedAt: { $exists: false } },
+                    {
+                        $set: { checkedAt, checkedBy: req.user.id },
+                        $push: { statusHistory: { status: booking.status, note: 'Ticket checked by TTE', at: checkedAt } }
+                    }
+                );
+
+                results.push(marked.modifiedCount > 0
+                    ? { pnr, result: 'checked', checkedAt }
+                    : { pnr, result: 'already_checked', checkedAt: booking.checkedAt });
+            }
+
+            const checked = results.filter(result => result.result === 'checked').length;
+            logger.audit('Ticket checks recorded', {
+                userId: req.user.id,
+                received: results.length,
+                checked
+            });
+
+            res.json({
+                success: true,
+                data: { results }
+            });
+
+        } catch (error) {
+            logger.error('Ticket checks error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to record ticket checks',
+                tip: 'Keep the scans - they can be sent again safely'
+            });
+        }
+    }
+);
+
+/**
+ * 🔍 PNR DETAILS
+ *
+ * GET /api/tickets/:pnr
+ *
+ * Passengers see their own bookings; staff who check tickets see any.
+ * Someone else's PNR gets a 404, not a 403 - no confirming it exists.
+ */
+router.get('/:pnr',
+    auth,
+    pnrValidation,
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const booking = await findVisibleBooking(req);
+            if (!booking) return bookingNotFound(res);
+
+            res.json({
+                success: true,
+                data: { booking }
+            });
+
+        } catch (error) {
+            logger.error('PNR lookup error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load booking'
+            });
+        }
+    }
+);
+
+/**
+ * 📱 TICKET QR CODE
+ *
+ * GET /api/tickets/:pnr/qr              { code, kid, expiresAt, image (PNG data URL) }
+ * GET /api/tickets/:pnr/qr?format=png   just the image
+ *
+ * Signed fresh on every request, so it always shows the current berths.
+ * Tickets with nobody confirmed or on RAC have no QR - a fully waitlisted
+ * ticket isn't valid for travel.
+ */
+router.get('/:pnr/qr',
+    auth,
+    [
+        ...pnrValidation,
+        query('format').optional().isIn(['json', 'png']).withMessage('Format must be json or png')
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const booking = await findVisibleBooking(req);
+            if (!booking) return bookingNotFound(res);
+
+            if (!booking.passengers.some(passenger => passenger.status === 'CNF' || passenger.status === 'RAC')) {
+                return res.status(409).json({
+                    success: false,
+                    error: booking.status === 'cancelled' ? 'This booking is cancelled' : 'Waitlisted tickets are not valid for travel',
+                    ...(booking.status === 'waitlisted' && { tip: "We'll let you know as soon as a berth is confirmed" })
+                });
+            }
+
+            if (!canSign()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Ticket QR codes are not available right now',
+                    tip: 'Your PNR and ID are enough for the TTE'
+                });
+            }
+
+            const { code, kid, expiresAt } = signTicket(booking);
+            res.set('Cache-Control', 'no-store');
+
+            if (req.query.format === 'png') {
+                return res.type('png').send(await QRCode.toBuffer(code, { errorCorrectionLevel: 'M', margin: 2, width: 480 }));
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    pnr: booking.pnr,
+                    code,
+                    kid,
+                    expiresAt,
+                    image: await QRCode.toDataURL(code, { errorCorrectionLevel: 'M', margin: 2 })
+                }
+            });
+
+        } catch (error) {
+            logger.error('Ticket QR error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create the ticket QR code'
+            });
+        }
+    }
+);
+
+/**
+ * ❌ CANCEL TICKETS
+ *
+ * POST /api/tickets/:pnr/cancel
+ * Headers: Idempotency-Key: <8-100 letters, digits, - or _, new for every cancellation>
+ * Body: { passengers?: [passengerId, ...], reason? }   (default: everyone still travelling)
+ *
+ * Refunds follow utils/refunds.js (time before departure, and whether each
+ * ticket was CNF, RAC or WL) and are written to the refund ledger in the
+ * same transaction as the cancellation. Freed berths go to the RAC and
+ * waitlist queue straight after.
+ *
+ * Sending the same Idempotency-Key again returns the first result
+ * (with an Idempotent-Replayed: true header) - never a second refund.
+ * Reusing a key for a different cancellation is refused with 422.
+ */
+router.post('/:pnr/cancel',
+    auth,
+    [
+        ...pnrValidation,
+        header('idempotency-key')
+            .matches(/^[A-Za-z0-9_-]{8,100}$/)
+            .withMessage('Please send an Idempotency-Key header (8-100 letters, digits, - or _)'),
+        body('passengers')
+            .optional()
+            .isArray({ min: 1, max: Booking.MAX_PASSENGERS })
+            .withMessage(`Please list 1 to ${Booking.MAX_PASSENGERS} passengers`),
+        body('passengers.*').isMongoId().withMessage('Passengers are listed by their id'),
+        body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+    ],
+    async (req, res) => {
+        const idempotencyKey = req.get('idempotency-key');
+        const passengerIds = req.body.passengers;
+
+        const respond = (status, booking, refund, replayed = false) => {
+            if (replayed) res.set('Idempotent-Replayed', 'true');
+            res.status(status).json({
+                success: true,
+                message: `Cancelled ${refund.lines.length} passenger(s)` +
+                    (refund.amount > 0 ? ` - ₹${refund.amount} will be refunded` : ' - no refund is due'),
+                data: { booking, refund }
+            });
+        };
+
+        // A retry of a request we already handled gets the same answer
+        const replay = async () => {
+            const refund = await Refund.findOne({ user: req.user.id, idempotencyKey });
+            if (!refund) return false;
+
+            const samePassengers = !passengerIds ||
+                (passengerIds.length === refund.lines.length &&
+                    passengerIds.every(id => refund.lines.some(line => String(line.passenger) === String(id))));
+
+            if (refund.pnr !== req.params.pnr || !samePassengers) {
+                res.status(422).json({
+                    success: false,
+                    error: 'This Idempotency-Key was already used for a different cancellation',
+                    tip: 'Use a new key for every new cancellation'
+                });
+                return true;
+            }
+
+            respond(200, await Booking.findById(refund.booking), refund, true);
+            return true;
+        };
+
+        try {
+            if (validationFailed(req, res)) return;
+            if (await replay()) return;
+
+            const booking = await Booking.findOne({ pnr: req.params.pnr });
+            const isOwner = booking && String(booking.user) === String(req.user.id) && hasPermission(req.user.role, 'tickets:book');
+            if (!booking || (!isOwner && !hasPermission(req.user.role, 'tickets:manage'))) return bookingNotFound(res);
+
+            const run = await TrainRun.findOne({ train: booking.train, runDate: booking.runDate }).select('status');
+            const runCancelled = Boolean(run && run.status === 'cancelled');
+
+            if (!runCancelled && booking.departureAt <= new Date()) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Train ${booking.trainNumber} has already left ${booking.from} - it can't be cancelled any more`,
+                    tip: 'If you could not travel, please contact support'
+                });
+            }
+
+            const { booking: updated, recorded: refund } = await cancelPassengers({
+                bookingId: booking._id,
+                passengerIds,
+                note: req.body.reason
+            }, {
+                io: req.app.get('io'),
+                onCancel: async ({ booking: cancelling, cancelled }, session) => {
+                    const computed = computeRefund(cancelling, cancelled, { runCancelled });
+
+                    const [entry] = await Refund.create([{
+                        booking: cancelling._id,
+                        pnr: cancelling.pnr,
+                        user: req.user.id,
+                        idempotencyKey,
+                        ...computed,
+                        currency: (cancelling.fare && cancelling.fare.currency) || 'INR',
+                        reason: req.body.reason,
+                        status: computed.amount > 0 ? 'pending' : 'nothing_due'
+                    }], { session });
+
+                    return entry;
+                }
+            });
+
+            logger.audit('Tickets cancelled', {
+                userId: req.user.id,
+                pnr: updated.pnr,
+                passengers: refund.lines.length,
+                refund: refund.amount,
+                status: updated.status
+            });
+
+            respond(201, updated, refund);
+
+        } catch (error) {
+            // The same request raced itself (two retries at once) - answer with the one that won
+            const duplicateKey = error.code === 11000 && error.keyPattern && error.keyPattern.idempotencyKey;
+            if ((duplicateKey || error.reason === 'already_cancelled') && await replay().catch(() => false)) return;
+
+            if (bookingErrorResponse(error, res)) return;
+
+            logger.error('Cancellation error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to cancel tickets',
+                tip: 'It is safe to try again with the same Idempotency-Key - you will never be refunded twice'
+            });
+        }
+    }
+);
+
+module.exports = router;
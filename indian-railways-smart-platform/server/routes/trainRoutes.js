@@ -0,0 +1,531 @@
+/**
+ * 🚆 Train Routes - Find Your Train
+ *
+ * Public endpoints (no login needed - nobody should have to sign up just
+ * to check which trains go to Mumbai):
+ * - GET /api/trains/search?from=NDLS&to=BCT&date=2024-03-01&class=3A
+ * - GET /api/trains/journeys?from=SML&to=PURI&date=2024-03-01   (with changes)
+ * - GET /api/trains/:trainId   (Mongo id or 5-digit train number)
+ * - GET /api/trains/:trainId/status   (live running status)
+ *
+ * Staff (permission trains:update_status) report arrivals and departures
+ * with POST /api/trains/:trainId/status - see utils/runningStatus.js.
+ * Admins (trains:manage) cancel a single run with
+ * POST /api/trains/:trainId/runs/:runDate/cancel.
+ * Booked passengers are told about big delay changes by
+ * jobs/delayNotificationJob.js.
+ *
+ * Search returns DIRECT trains only and honours running days: a train
+ * that leaves its origin on Monday night and reaches your station at
+ * 02:00 shows up for Tuesday's search, not Monday's.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+
+const Train = require('../models/Train');
+const Station = require('../models/Station');
+const Route = require('../models/Route');
+const auth = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const logger = require('../utils/logger');
+const { isValidDate, isValidTime, parseTime, addDays, todayInIndia, runsOn } = require('../utils/timetable');
+const { planJourneys, SORT_OPTIONS } = require('../utils/journeyPlanner');
+const { recordEvent, cancelRun, getRun, statusPayload, broadcastStatus } = require('../utils/runningStatus');
+const { queueDelayNotification } = require('../jobs/delayNotificationJob');
+
+// Shared validation error response
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: 'Please check your input and try again',
+        details: errors.array()
+    });
+    return true;
+};
+
+const stationCodeQuery = (field, label) => query(field)
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{1,5}$/)
+    .withMessage(`Please provide a valid ${label} station code (e.g. NDLS)`);
+
+const travelDateQuery = () => query('date')
+    .optional()
+    .custom((date) => {
+        if (!isValidDate(date)) throw new Error('Date must be YYYY-MM-DD');
+        if (date < todayInIndia()) throw new Error('Date cannot be in the past');
+        return true;
+    });
+
+const travelClassQuery = () => query('class')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isIn(Object.keys(Train.COACH_CLASSES))
+    .withMessage(`Class must be one of ${Object.keys(Train.COACH_CLASSES).join(', ')}`);
+
+const trainIdValidation = [
+    param('trainId')
+        .custom((trainId) => /^[a-f\d]{24}$/i.test(trainId) || /^\d{5}$/.test(trainId))
+        .withMessage('Please provide a train id or a 5-digit train number')
+];
+
+// :trainId may be the Mongo id or the 5-digit train number
+const trainFilter = (trainId) => (/^\d{5}$/.test(trainId) ? { trainNumber: trainId } : { _id: trainId });
+
+// Load the active train or send a 404
+const findActiveTrain = async (req, res) => {
+    const train = await Train.findOne(trainFilter(req.params.trainId));
+
+    if (!train || !train.isActive) {
+        res.status(404).json({
+            success: false,
+            error: 'Train not found',
+            tip: 'Double-check the train number on your ticket'
+        });
+        return null;
+    }
+
+    return train;
+};
+
+// Both stations must exist (and differ) - answers the request if not
+const loadStationPair = async (req, res) => {
+    const { from, to } = req.query;
+
+    if (from === to) {
+        res.status(400).json({
+            success: false,
+            error: 'Departure and destination stations must be different'
+        });
+        return null;
+    }
+
+    const [fromStation, toStation] = await Promise.all([
+        Station.findByCode(from),
+        Station.findByCode(to)
+    ]);
+
+    if (!fromStation || !toStation) {
+        res.status(404).json({
+            success: false,
+            error: `Unknown station code: ${!fromStation ? from : to}`,
+            tip: 'Station codes are the short codes on your ticket, like NDLS or BCT'
+        });
+        return null;
+    }
+
+    return { fromStation, toStation };
+};
+
+/**
+ * 🔎 SEARCH TRAINS BETWEEN TWO STATIONS
+ *
+ * GET /api/trains/search?from=NDLS&to=BCT&date=2024-03-01&class=3A
+ *
+ * `date` (IST, defaults to today) is the day you board at `from`.
+ * `class` is optional and keeps only trains that have that class.
+ */
+router.get('/search',
+    [
+        stationCodeQuery('from', 'departure'),
+        stationCodeQuery('to', 'destination'),
+        travelDateQuery(),
+        travelClassQuery()
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const { from, to } = req.query;
+            const date = req.query.date || todayInIndia();
+            const travelClass = req.query.class;
+
+            const stations = await loadStationPair(req, res);
+            if (!stations) return;
+            const { fromStation, toStation } = stations;
+
+            const routes = await Route.findServing(from, to).populate('train');
+
+            const trains = routes
+                .map(route => ({ train: route.train, segment: route.segment(from, to) }))
+                .filter(({ train, segment }) => train && train.isActive && segment)
+                .filter(({ train }) => !travelClass || train.classes.includes(travelClass))
+                .map(({ train, segment }) => ({
+                    train,
+                    segment,
+                    departure: Route.stopTimes(segment.from).departure,
+                    arrival: Route.stopTimes(segment.to).arrival
+                }))
+                // Days since the origin departure decide which running day `date` belongs to
+                .filter(({ train, departure }) => runsOn(train.runningDays, date, Math.floor(departure / 1440)))
+                .sort((a, b) => (a.departure % 1440) - (b.departure % 1440))
+                .map(({ train, segment, departure, arrival }) => ({
+                    trainId: train._id,
+                    trainNumber: train.trainNumber,
+                    name: train.name,
+                    type: train.type,
+                    runningDays: train.runningDays,
+                    classes: train.classes,
+                    from: {
+                        code: fromStation.code,
+                        name: fromStation.name,
+                        departure: segment.from.departure,
+                        date
+                    },
+                    to: {
+                        code: toStation.code,
+                        name: toStation.name,
+                        arrival: segment.to.arrival,
+                        date: addDays(date, Math.floor(arrival / 1440) - Math.floor(departure / 1440))
+                    },
+                    durationMinutes: arrival - departure,
+                    distanceKm: segment.to.distanceKm - segment.from.distanceKm
+                }));
+
+            res.json({
+                success: true,
+                data: {
+                    from: { code: fromStation.code, name: fromStation.name },
+                    to: { code: toStation.code, name: toStation.name },
+                    date,
+                    class: travelClass,
+                    count: trains.length,
+                    trains
+                }
+            });
+
+        } catch (error) {
+            logger.error('Train search error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to search trains'
+            });
+        }
+    }
+);
+
+/**
+ * 🧭 PLAN A JOURNEY (WITH CHANGES)
+ *
+ * GET /api/trains/journeys?from=SML&to=PURI&date=2024-03-01&time=06:00&maxChanges=2&class=3A&sort=arrival&limit=5
+ *
+ * Itineraries leaving `from` on `date` after `time` (default 00:00), with
+ * at most `maxChanges` changes (0-3, default 2). Each station's own
+ * minimum connection time is respected. `sort` is arrival (default),
+ * changes or fare - the fare is one adult's, general quota, in the
+ * cheapest class (quoted per passenger when booking).
+ */
+router.get('/journeys',
+    [
+        stationCodeQuery('from', 'departure'),
+        stationCodeQuery('to', 'destination'),
+        travelDateQuery(),
+        travelClassQuery(),
+        query('time')
+            .optional()
+            .custom(isValidTime)
+            .withMessage('Time must be HH:mm (24 hour)'),
+        query('maxChanges').optional().isInt({ min: 0, max: 3 }).withMessage('maxChanges must be between 0 and 3').toInt(),
+        query('sort').optional().isIn(SORT_OPTIONS).withMessage(`sort must be one of ${SORT_OPTIONS.join(', ')}`),
+        query('limit').optional().isInt({ min: 1, max: 10 }).withMessage('limit must be between 1 and 10').toInt()
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const stations = await loadStationPair(req, res);
+            if (!stations) return;
+            const { fromStation, toStation } = stations;
+
+            const date = req.query.date || todayInIndia();
+            const maxChanges = req.query.maxChanges !== undefined ? req.query.maxChanges : 2;
+
+            const journeys = await planJourneys({
+                from: fromStation.code,
+                to: toStation.code,
+                date,
+                departAfter: req.query.time ? parseTime(req.query.time) : 0,
+                maxChanges,
+                travelClass: req.query.class,
+                sort: req.query.sort,
+                limit: req.query.limit || 5
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    from: { code: fromStation.code, name: fromStation.name },
+                    to: { code: toStation.code, name: toStation.name },
+                    date,
+                    maxChanges,
+                    count: journeys.length,
+                    journeys
+                }
+            });
+
+        } catch (error) {
+            logger.error('Journey planner error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to plan your journey'
+            });
+        }
+    }
+);
+
+/**
+ * 🚂 TRAIN DETAILS
+ *
+ * GET /api/trains/:trainId
+ *
+ * Everything TrainDetailPage shows: name, type, running days, coach
+ * composition and the full timetable with station names.
+ */
+router.get('/:trainId',
+    trainIdValidation,
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const train = await Train.findOne(trainFilter(req.params.trainId))
+                .populate('source destination', 'code name city')
+                .populate({
+                    path: 'route',
+                    select: 'stops',
+                    populate: { path: 'stops.station', select: 'code name localNames city state platformCount amenities' }
+                });
+
+            if (!train || !train.isActive) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Train not found',
+                    tip: 'Double-check the train number on your ticket'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    train,
+                    seatsByClass: train.seatsByClass()
+                }
+            });
+
+        } catch (error) {
+            logger.error('Train details error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load train details'
+            });
+        }
+    }
+);
+
+/**
+ * 📍 LIVE RUNNING STATUS
+ *
+ * GET /api/trains/:trainId/status?date=2024-03-01
+ *
+ * `date` is the day the train left its origin. Without it you get the run
+ * that's on its way now (or today's timetable if nothing was reported yet).
+ * Clients in the `train-{trainId}` socket room get the same payload as
+ * `train-status` events whenever something changes.
+ */
+router.get('/:trainId/status',
+    [
+        ...trainIdValidation,
+        query('date').optional().custom(isValidDate).withMessage('Date must be YYYY-MM-DD')
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const train = await findActiveTrain(req, res);
+            if (!train) return;
+
+            const run = await getRun(train, req.query.date);
+
+            if (!run) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Train ${train.trainNumber} doesn't run on that day`
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { status: statusPayload(run, train) }
+            });
+
+        } catch (error) {
+            logger.error('Running status error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load running status'
+            });
+        }
+    }
+);
+
+// What running status errors (recordEvent, cancelRun) mean for the client
+const EVENT_ERROR_STATUS = {
+    no_route: 404,
+    not_on_route: 400,
+    invalid_event: 400,
+    no_run: 400,
+    cancelled: 409
+};
+
+/**
+ * 🛰️ REPORT AN ARRIVAL OR DEPARTURE
+ *
+ * POST /api/trains/:trainId/status
+ * Body: { stationCode, type: 'arrival'|'departure', at?, runDate?, source? }
+ *
+ * `at` defaults to now; `runDate` is worked out from `at` when omitted.
+ * `source` is 'staff' (default), 'feed' or 'simulator'.
+ */
+router.post('/:trainId/status',
+    auth,
+    authorize('trains:update_status'),
+    [
+        ...trainIdValidation,
+        body('stationCode')
+            .trim()
+            .toUpperCase()
+            .matches(/^[A-Z]{1,5}$/)
+            .withMessage('Please provide a valid station code'),
+        body('type').isIn(['arrival', 'departure']).withMessage('Type must be arrival or departure'),
+        body('at').optional().isISO8601().withMessage('at must be an ISO 8601 date/time').toDate(),
+        body('runDate').optional().custom(isValidDate).withMessage('runDate must be YYYY-MM-DD'),
+        body('source').optional().isIn(['staff', 'feed', 'simulator'])
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const train = await findActiveTrain(req, res);
+            if (!train) return;
+
+            const { stationCode, type, at, runDate, source } = req.body;
+
+            const { run, previousDelayMinutes } = await recordEvent({
+                train,
+                stationCode,
+                type,
+                at: at || new Date(),
+                runDate,
+                source: source || 'staff',
+                reportedBy: req.user.id
+            });
+
+            const payload = statusPayload(run, train);
+            broadcastStatus(req.app.get('io'), train, payload);
+
+            // Passengers hear about big changes only - the job decides
+            if (run.delayMinutes !== previousDelayMinutes) {
+                queueDelayNotification(run, { io: req.app.get('io') }).catch((error) => {
+                    logger.error('Failed to queue delay notification', { runId: run._id, error: error.message });
+                });
+            }
+
+            logger.audit('Train running status reported', {
+                userId: req.user.id,
+                trainNumber: train.trainNumber,
+                runDate: run.runDate,
+                stationCode,
+                type,
+                delayMinutes: run.delayMinutes,
+                previousDelayMinutes,
+                source: source || 'staff'
+            });
+
+            res.json({
+                success: true,
+                data: { status: payload }
+            });
+
+        } catch (error) {
+            if (error.reason && EVENT_ERROR_STATUS[error.reason]) {
+                return res.status(EVENT_ERROR_STATUS[error.reason]).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            logger.error('Running status report error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to record running status'
+            });
+        }
+    }
+);
+
+/**
+ * 🚫 CANCEL A RUN
+ *
+ * POST /api/trains/:trainId/runs/:runDate/cancel
+ * Body: { reason? }
+ *
+ * `runDate` is the day the train leaves its origin. The run stops taking
+ * bookings, and passengers who cancel their tickets for it get a full
+ * refund - even after the scheduled departure.
+ */
+router.post('/:trainId/runs/:runDate/cancel',
+    auth,
+    authorize('trains:manage'),
+    [
+        ...trainIdValidation,
+        param('runDate').custom(isValidDate).withMessage('runDate must be YYYY-MM-DD'),
+        body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const train = await findActiveTrain(req, res);
+            if (!train) return;
+
+            const run = await cancelRun({ train, runDate: req.params.runDate });
+
+            const payload = statusPayload(run, train);
+            broadcastStatus(req.app.get('io'), train, payload);
+
+            logger.audit('Train run cancelled', {
+                userId: req.user.id,
+                trainNumber: train.trainNumber,
+                runDate: run.runDate,
+                reason: req.body.reason
+            });
+
+            res.json({
+                success: true,
+                message: `Train ${train.trainNumber} of ${run.runDate} is cancelled`,
+                data: { status: payload }
+            });
+
+        } catch (error) {
+            if (error.reason && EVENT_ERROR_STATUS[error.reason]) {
+                return res.status(EVENT_ERROR_STATUS[error.reason]).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            logger.error('Run cancellation error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to cancel the run'
+            });
+        }
+    }
+);
+
+module.exports = router;
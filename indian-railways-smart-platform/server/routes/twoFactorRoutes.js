@@ -0,0 +1,397 @@
+/**
+ * 🔐 Two-Factor Authentication Routes - The Second Lock on the Door
+ *
+ * Passwords get reused, phished and leaked. An authenticator app on the
+ * passenger's phone means a stolen password alone is no longer enough.
+ *
+ * The enrollment flow is deliberately two-step:
+ * 1. /setup   - we create a secret and show a QR code
+ * 2. /enable  - the user proves their app works by entering a code
+ * Only after step 2 is 2FA switched on. Otherwise a typo'd scan would lock
+ * people out of their own account (I've seen it happen!).
+ *
+ * The login side of 2FA lives in authRoutes.js (POST /api/auth/login/2fa).
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+
+const User = require('../models/User');
+const auth = require('../middleware/authMiddleware');
+const logger = require('../utils/logger');
+const { createSecret, verifyTotp, generateBackupCodes } = require('../utils/twoFactor');
+
+// Code-checking endpoints are a brute force target, so keep them tight
+const twoFactorLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message: {
+        success: false,
+        error: 'Too many two-factor attempts. Please try again in 15 minutes.',
+        tip: 'Make sure your phone\'s clock is set automatically'
+    }
+});
+
+const codeValidation = [
+    body('code')
+        .notEmpty()
+        .withMessage('Please enter the code from your authenticator app')
+        .trim()
+];
+
+// Shared validation error response
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: 'Please check your input and try again',
+        details: errors.array()
+    });
+    return true;
+};
+
+/**
+ * 📊 2FA STATUS
+ *
+ * GET /api/auth/2fa/status
+ */
+router.get('/status', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactorAuth.backupCodes');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                enabled: user.twoFactorAuth.enabled,
+                enabledAt: user.twoFactorAuth.enabledAt,
+                backupCodesRemaining: user.twoFactorAuth.enabled ? user.twoFactorAuth.backupCodes.length : 0
+            }
+        });
+
+    } catch (error) {
+        logger.error('2FA status error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get two-factor status'
+        });
+    }
+});
+
+/**
+ * 🧩 START ENROLLMENT
+ *
+ * POST /api/auth/2fa/setup
+ *
+ * Creates a new (not yet active) secret and returns the otpauth URI and a
+ * QR code for authenticator apps. Calling it again simply replaces the
+ * pending secret.
+ */
+router.post('/setup', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (user.twoFactorAuth.enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is already enabled',
+                tip: 'Disable it first if you want to move to a new phone'
+            });
+        }
+
+        const { secret, otpauthUrl, qrCode } = await createSecret(user.email);
+
+        user.twoFactorAuth.secret = secret;
+        user.twoFactorAuth.lastUsedStep = undefined;
+        await user.save();
+
+        logger.security('Two-factor enrollment started', {
+            userId: user._id,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then enter the 6-digit code to finish',
+            data: {
+                otpauthUrl: otpauthUrl,
+                qrCode: qrCode,
+                manualEntryKey: secret // For people who can't scan (screen readers, broken cameras)
+            }
+        });
+
+    } catch (error) {
+        logger.error('2FA setup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start two-factor setup'
+        });
+    }
+});
+
+/**
+ * ✅ CONFIRM ENROLLMENT
+ *
+ * POST /api/auth/2fa/enable
+ *
+ * Turns 2FA on once the user proves their app generates valid codes, and
+ * returns the backup codes. This is the ONLY time the plain backup codes
+ * are ever shown - we only keep their hashes.
+ */
+router.post('/enable', auth, twoFactorLimiter, codeValidation, async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const user = await User.findById(req.user.id).select('+twoFactorAuth.secret');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (user.twoFactorAuth.enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        if (!user.twoFactorAuth.secret) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor setup has not been started',
+                tip: 'Call /api/auth/2fa/setup first to get your QR code'
+            });
+        }
+
+        const step = verifyTotp(user.twoFactorAuth.secret, req.body.code);
+
+        if (!step) {
+            logger.security('Two-factor enrollment code rejected', {
+                userId: user._id,
+                ip: req.ip
+            });
+
+            return res.status(400).json({
+                success: false,
+                error: 'That code is not valid',
+                tip: 'Enter the current code shown in your authenticator app'
+            });
+        }
+
+        const { codes, hashes } = generateBackupCodes();
+
+        user.twoFactorAuth.enabled = true;
+        user.twoFactorAuth.enabledAt = new Date();
+        user.twoFactorAuth.lastUsedStep = step;
+        user.twoFactorAuth.backupCodes = hashes;
+        await user.save();
+
+        logger.security('Two-factor authentication enabled', {
+            userId: user._id,
+            email: user.email,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication is now on! 🛡️',
+            data: {
+                backupCodes: codes
+            },
+            tips: [
+                'Save these backup codes somewhere safe - each one works only once',
+                'You will not be able to see these codes again'
+            ]
+        });
+
+    } catch (error) {
+        logger.error('2FA enable error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to enable two-factor authentication'
+        });
+    }
+});
+
+/**
+ * 🔓 DISABLE 2FA
+ *
+ * POST /api/auth/2fa/disable
+ *
+ * Needs BOTH the password and a current code (or backup code). A hijacked
+ * session alone should never be able to strip the second factor.
+ *
+ * Accounts without a password (social login, passkey) send just the code:
+ * from the authenticator app, a backup code, or one emailed by
+ * POST /api/users/me/confirmation-code.
+ */
+router.post('/disable',
+    auth,
+    twoFactorLimiter,
+    [
+        body('password')
+            .optional()
+            .isString()
+            .withMessage('Password is required'),
+        ...codeValidation
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const user = await User.findById(req.user.id)
+                .select('+password +twoFactorAuth.secret +twoFactorAuth.lastUsedStep');
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+
+            if (!user.twoFactorAuth.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Two-factor authentication is not enabled'
+                });
+            }
+
+            const { password, code } = req.body;
+            let confirmed;
+
+            if (user.password) {
+                const isPasswordValid = Boolean(password) && await user.comparePassword(password);
+                confirmed = isPasswordValid && Boolean(await user.verifyTwoFactorCode(code));
+            } else {
+                confirmed = Boolean(await user.verifyTwoFactorCode(code)) || await user.consumeAccountConfirmationCode(code);
+            }
+
+            if (!confirmed) {
+                logger.security('Failed attempt to disable two-factor authentication', {
+                    userId: user._id,
+                    ip: req.ip
+                });
+
+                return res.status(401).json({
+                    success: false,
+                    error: user.password
+                        ? 'Password or authentication code is incorrect'
+                        : 'Authentication code is incorrect'
+                });
+            }
+
+            user.twoFactorAuth.enabled = false;
+            user.twoFactorAuth.enabledAt = undefined;
+            user.twoFactorAuth.secret = undefined;
+            user.twoFactorAuth.lastUsedStep = undefined;
+            user.twoFactorAuth.backupCodes = [];
+            await user.save();
+
+            logger.security('Two-factor authentication disabled', {
+                userId: user._id,
+                email: user.email,
+                ip: req.ip
+            });
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication has been turned off',
+                tip: 'We recommend turning it back on as soon as you can'
+            });
+
+        } catch (error) {
+            logger.error('2FA disable error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to disable two-factor authentication'
+            });
+        }
+    }
+);
+
+/**
+ * 🔁 REGENERATE BACKUP CODES
+ *
+ * POST /api/auth/2fa/backup-codes
+ *
+ * Replaces ALL existing backup codes (old ones stop working immediately).
+ */
+router.post('/backup-codes', auth, twoFactorLimiter, codeValidation, async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const user = await User.findById(req.user.id)
+            .select('+twoFactorAuth.secret +twoFactorAuth.lastUsedStep');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (!user.twoFactorAuth.enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const result = await user.verifyTwoFactorCode(req.body.code);
+
+        if (!result) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid authentication code'
+            });
+        }
+
+        const { codes, hashes } = generateBackupCodes();
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { 'twoFactorAuth.backupCodes': hashes } }
+        );
+
+        logger.security('Two-factor backup codes regenerated', {
+            userId: user._id,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: 'New backup codes generated - your old codes no longer work',
+            data: {
+                backupCodes: codes
+            }
+        });
+
+    } catch (error) {
+        logger.error('2FA backup code regeneration error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate new backup codes'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,1103 @@
+/**
+ * 🙋 User Profile Routes - Your Account, Your Way
+ *
+ * The User model has always had rich preferences (13 languages, notification
+ * channels, accessibility settings, travel preferences) but no way for
+ * passengers to actually change them. These self-service endpoints fix that:
+ * - PATCH /me                 profile basics and address
+ * - PATCH /me/preferences     language, notifications, accessibility, travel
+ * - POST  /me/change-password needs the current password
+ * - PATCH /me/email           needs the password, re-triggers email verification
+ * - PATCH /me/phone           needs the password, re-triggers the SMS OTP
+ *                              (passwordless accounts confirm with a code instead)
+ * - PUT   /me/avatar          image upload, resized and converted to WebP
+ * - GET   /me/identities      linked social login identities (DELETE to unlink)
+ * - GET   /me/login-history   recent logins with device, location and risk flags
+ * - GET   /me/export          everything we hold about you (JSON or ZIP)
+ * - POST  /me/confirmation-code  emails a code that stands in for the password
+ *                              on passwordless accounts (social login, passkeys)
+ * - POST  /me/deactivate      take a break (log in and reactivate any time)
+ * - POST  /me/deletion        schedule permanent deletion after a grace period
+ * - POST  /me/reactivate      undo deactivation or a pending deletion
+ *
+ * Validation mostly happens in the User schema itself (one source of truth),
+ * these routes just decide WHICH fields a passenger may touch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const archiver = require('archiver');
+const sharp = require('sharp');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const auth = require('../middleware/authMiddleware');
+const logger = require('../utils/logger');
+const { sendVerificationEmail, sendAccountConfirmationEmail } = require('../utils/email');
+const { sendPhoneVerificationCode } = require('../utils/sms');
+const { getLoginInfo, setRefreshCookie } = require('../utils/authSession');
+const { collectUserData } = require('../utils/personalData');
+const { describeFactor } = require('../utils/loginRisk');
+const { passwordRule, POLICY: PASSWORD_POLICY } = require('../utils/passwordPolicy');
+
+// Everything here is about the logged-in user. A self-deactivated account
+// may only reactivate - or download its data before deletion goes ahead.
+const DEACTIVATED_ACCOUNT_PATHS = ['/me/reactivate', '/me/export'];
+
+router.use((req, res, next) => (
+    DEACTIVATED_ACCOUNT_PATHS.includes(req.path) ? auth.allowDeactivated : auth
+)(req, res, next));
+
+/**
+ * 🚦 Rate limiting for sensitive changes
+ *
+ * Changing email/phone sends messages and changing passwords is a classic
+ * target for someone who grabbed an unlocked phone.
+ */
+const sensitiveChangeLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    message: {
+        success: false,
+        error: 'Too many account changes. Please try again in an hour.',
+        tip: 'If you are having trouble, our support team is happy to help'
+    }
+});
+
+// Exports are expensive database work - a few per day is plenty
+const exportLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 3,
+    message: {
+        success: false,
+        error: 'Too many data export requests. Please try again in an hour.'
+    }
+});
+
+// How long a deletion request waits before data is erased for good
+const DELETION_GRACE_DAYS = parseInt(process.env.DELETION_GRACE_DAYS) || 30;
+
+/**
+ * 🖼️ Avatar upload configuration
+ *
+ * Files are kept in memory (they're small) and re-encoded by sharp, so we
+ * never store the original bytes a user sent us - that strips EXIF/GPS
+ * data and any nasty payload hiding in the image.
+ */
+const AVATAR_SIZE = 256;
+const avatarDir = path.resolve(process.env.UPLOAD_DIR || 'uploads', 'avatars');
+
+const avatarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
+        files: 1
+    },
+    fileFilter: (req, file, callback) => {
+        const allowed = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+        if (!allowed.includes(file.mimetype)) {
+            return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'avatar'));
+        }
+        callback(null, true);
+    }
+}).single('avatar');
+
+// Preference paths a passenger may change (everything else is rejected)
+const PREFERENCE_PATHS = [
+    'language',
+    'notifications.email.booking',
+    'notifications.email.delays',
+    'notifications.email.offers',
+    'notifications.email.security',
+    'notifications.sms.booking',
+    'notifications.sms.delays',
+    'notifications.sms.emergency',
+    'notifications.push.enabled',
+    'notifications.push.sound',
+    'notifications.push.vibration',
+    'accessibility.highContrast',
+    'accessibility.largeText',
+    'accessibility.screenReader',
+    'accessibility.reducedMotion',
+    'accessibility.fontSize',
+    'travel.preferredClass',
+    'travel.berthPreference',
+    'travel.foodPreference'
+];
+
+// Turn { a: { b: 1 } } into { 'a.b': 1 } so partial updates don't wipe siblings
+const flatten = (object, prefix = '') => Object.entries(object).reduce((flat, [key, value]) => {
+    const fullPath = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return { ...flat, ...flatten(value, fullPath) };
+    }
+
+    return { ...flat, [fullPath]: value };
+}, {});
+
+// Shared validation error response
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: 'Please check your input and try again',
+        details: errors.array()
+    });
+    return true;
+};
+
+// Turn Mongoose schema errors into our usual 400 response
+const handleSaveError = (error, res, fallbackMessage) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            error: 'Please check your input and try again',
+            details: Object.values(error.errors).map(err => ({
+                field: err.path,
+                message: err.message
+            }))
+        });
+    }
+
+    if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern)[0];
+        return res.status(400).json({
+            success: false,
+            error: `This ${field} is already registered to another account`
+        });
+    }
+
+    logger.error(fallbackMessage, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage
+    });
+};
+
+// Load the current user (404 if they vanished mid-session)
+const loadCurrentUser = async (req, res, projection = '') => {
+    const user = await User.findById(req.user.id).select(projection);
+
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+    }
+
+    return user;
+};
+
+// Password accounts confirm with the password; passwordless ones with a
+// 2FA code or the code from POST /me/confirmation-code (see confirmIdentity)
+const identityConfirmation = [
+    body('password')
+        .optional()
+        .isString()
+        .withMessage('Please confirm with your password'),
+
+    body('code')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage('Please enter the code from your authenticator app or email')
+];
+
+// Fields confirmIdentity needs on the user
+const CONFIRMATION_FIELDS = '+password +twoFactorAuth.secret +twoFactorAuth.lastUsedStep';
+
+/**
+ * Fresh proof that it's really the account holder (not someone holding an
+ * unlocked phone): the password, or for accounts without one a 2FA code
+ * or the emailed confirmation code. Responds with 401 and returns false
+ * when the proof is missing or wrong.
+ */
+const confirmIdentity = async (req, res, user) => {
+    if (user.password) {
+        if (req.body.password && await user.comparePassword(req.body.password)) return true;
+
+        res.status(401).json({
+            success: false,
+            error: req.body.password ? 'Your password is incorrect' : 'Please confirm with your password'
+        });
+        return false;
+    }
+
+    const { code } = req.body;
+    if (code) {
+        if (user.twoFactorAuth.enabled && await user.verifyTwoFactorCode(code)) return true;
+        if (await user.consumeAccountConfirmationCode(code)) return true;
+    }
+
+    res.status(401).json({
+        success: false,
+        error: code ? 'Invalid or expired confirmation code' : 'Please confirm with a code',
+        tip: user.twoFactorAuth.enabled
+            ? 'Use the code from your authenticator app, or request one by email'
+            : 'Request a code by email first - it expires after 10 minutes'
+    });
+    return false;
+};
+
+/**
+ * ✏️ UPDATE PROFILE
+ *
+ * PATCH /api/users/me
+ */
+router.patch('/me',
+    [
+        body('name').optional().isString().trim(),
+        body('dateOfBirth').optional({ nullable: true }).isISO8601().withMessage('Date of birth must be a valid date'),
+        body('gender').optional().isString(),
+        body('address').optional().isObject().withMessage('Address must be an object')
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const user = await loadCurrentUser(req, res);
+            if (!user) return;
+
+            const { name, dateOfBirth, gender, address } = req.body;
+
+            if (name !== undefined) user.name = name;
+            if (dateOfBirth !== undefined) user.dateOfBirth = dateOfBirth;
+            if (gender !== undefined) user.gender = gender;
+
+            if (address) {
+                // Country is fixed to India - only these can change
+                ['street', 'city', 'state', 'pincode'].forEach(field => {
+                    if (address[field] !== undefined) user.set(`address.${field}`, address[field]);
+                });
+            }
+
+            await user.save();
+
+            logger.audit('Profile updated', {
+                userId: user._id,
+                fields: Object.keys(req.body),
+                ip: req.ip
+            });
+
+            res.json({
+                success: true,
+                message: 'Profile updated ✨',
+                data: { user }
+            });
+
+        } catch (error) {
+            handleSaveError(error, res, 'Failed to update profile');
+        }
+    }
+);
+
+/**
+ * 🎛️ UPDATE PREFERENCES
+ *
+ * PATCH /api/users/me/preferences
+ *
+ * Accepts any subset of the preferences object, e.g.
+ *     { "accessibility": { "fontSize": "large" }, "language": "ta" }
+ * Anything not listed in PREFERENCE_PATHS is rejected outright.
+ */
+router.patch('/me/preferences', async (req, res) => {
+    try {
+        const updates = flatten(req.body || {});
+        const paths = Object.keys(updates);
+
+        if (paths.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No preferences to update'
+            });
+        }
+
+        const unknown = paths.filter(p => !PREFERENCE_PATHS.includes(p));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Some preferences are not recognised',
+                details: unknown.map(field => ({ field, message: 'Unknown preference' }))
+            });
+        }
+
+        // Toggle preferences must be real booleans (no "yes", 1, "true")
+        const notBoolean = paths.filter(p =>
+            (p.startsWith('notifications.') || /accessibility\.(highContrast|largeText|screenReader|reducedMotion)/.test(p)) &&
+            typeof updates[p] !== 'boolean'
+        );
+        if (notBoolean.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please check your input and try again',
+                details: notBoolean.map(field => ({ field, message: 'Must be true or false' }))
+            });
+        }
+
+        const user = await loadCurrentUser(req, res);
+        if (!user) return;
+
+        paths.forEach(p => user.set(`preferences.${p}`, updates[p]));
+        await user.save();
+
+        logger.audit('Preferences updated', {
+            userId: user._id,
+            fields: paths,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: 'Preferences saved',
+            data: { preferences: user.preferences }
+        });
+
+    } catch (error) {
+        handleSaveError(error, res, 'Failed to update preferences');
+    }
+});
+
+/**
+ * 🔒 CHANGE PASSWORD
+ *
+ * POST /api/users/me/change-password
+ *
+ * Changing the password signs out every other device (the User model's
+ * save hooks revoke all sessions and access tokens). This device gets a
+ * brand new session so the passenger isn't kicked out mid-task.
+ */
+router.post('/me/change-password',
+    sensitiveChangeLimiter,
+    [
+        body('currentPassword')
+            .notEmpty()
+            .withMessage('Current password is required'),
+
+        // Name/email/phone are checked by the User schema on save
+        passwordRule('newPassword', () => ({})),
+
+        body('confirmPassword')
+            .custom((value, { req }) => {
+                if (value !== req.body.newPassword) {
+                    throw new Error('Passwords do not match');
+                }
+                return true;
+            })
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const user = await loadCurrentUser(req, res, '+password');
+            if (!user) return;
+
+            const { currentPassword, newPassword } = req.body;
+
+            if (!(await user.comparePassword(currentPassword))) {
+                logger.security('Password change with wrong current password', {
+                    userId: user._id,
+                    ip: req.ip
+                });
+
+                return res.status(401).json({
+                    success: false,
+                    error: 'Your current password is incorrect'
+                });
+            }
+
+            // Covers the current password and the last PASSWORD_HISTORY ones
+            if (await user.isPasswordReused(newPassword)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'You used this password recently',
+                    tip: PASSWORD_POLICY.historyCount > 0
+                        ? `Your new password must differ from your current and last ${PASSWORD_POLICY.historyCount} passwords`
+                        : 'Your new password must be different from the current one'
+                });
+            }
+
+            user.password = newPassword; // Will be hashed by pre-save middleware
+            await user.save();
+
+            // Fresh session + access token for the device that made the change
+            const { token: refreshToken, session } = await Session.issue(user, { loginInfo: getLoginInfo(req) });
+            setRefreshCookie(res, refreshToken, session);
+
+            res.json({
+                success: true,
+                message: 'Password changed! You have been signed out on all other devices. 🔐',
+                data: {
+                    tokens: {
+                        accessToken: user.generateAuthToken(),
+                        expiresIn: process.env.JWT_EXPIRE || '1h'
+                    }
+                }
+            });
+
+        } catch (error) {
+            handleSaveError(error, res, 'Failed to change password');
+        }
+    }
+);
+
+/**
+ * 📧 CHANGE EMAIL
+ *
+ * PATCH /api/users/me/email
+ *
+ * The new address starts unverified and gets a fresh verification link.
+ * Confirmed like deactivation - see confirmIdentity.
+ */
+router.patch('/me/email',
+    sensitiveChangeLimiter,
+    [
+        body('email')
+            .isEmail()
+            .withMessage('Please provide a valid email address')
+            .normalizeEmail(),
+
+        ...identityConfirmation
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const user = await loadCurrentUser(req, res, CONFIRMATION_FIELDS);
+            if (!user) return;
+
+            const email = req.body.email.toLowerCase();
+
+            if (!(await confirmIdentity(req, res, user))) return;
+
+            if (email === user.email) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'That is already your email address'
+                });
+            }
+
+            const previousEmail = user.email;
+            user.email = email;
+            user.isEmailVerified = false;
+            const verificationToken = user.generateEmailVerificationToken();
+            await user.save();
+
+            try {
+                await sendVerificationEmail(user.email, user.name, verificationToken);
+            } catch (emailError) {
+                logger.error('Failed to send verification email after email change', {
+                    userId: user._id,
+                    error: emailError.message
+                });
+            }
+
+            logger.security('Email address changed', {
+                userId: user._id,
+                previousEmail,
+                email: user.email,
+                ip: req.ip
+            });
+
+            res.json({
+                success: true,
+                message: `Email updated. We've sent a verification link to ${user.email}`,
+                data: {
+                    email: user.email,
+                    isEmailVerified: false,
+                    tokens: {
+                        accessToken: user.generateAuthToken(),
+                        expiresIn: process.env.JWT_EXPIRE || '1h'
+                    }
+                }
+            });
+
+        } catch (error) {
+            handleSaveError(error, res, 'Failed to change email');
+        }
+    }
+);
+
+/**
+ * 📱 CHANGE PHONE
+ *
+ * PATCH /api/users/me/phone
+ *
+ * The new number starts unverified and gets an SMS OTP straight away
+ * (confirm it with POST /api/auth/phone/verify-otp). Confirmed like
+ * deactivation - see confirmIdentity.
+ */
+router.patch('/me/phone',
+    sensitiveChangeLimiter,
+    [
+        body('phone')
+            .matches(/^(\+91[-\s]?)?[6-9]\d{9}$/)
+            .withMessage('Please provide a valid Indian phone number')
+            .customSanitizer(value => '+91' + value.replace(/[\s-]/g, '').replace(/^\+91/, '')),
+
+        ...identityConfirmation
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const user = await loadCurrentUser(req, res, CONFIRMATION_FIELDS);
+            if (!user) return;
+
+            if (!(await confirmIdentity(req, res, user))) return;
+
+            if (req.body.phone === user.phone) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'That is already your phone number'
+                });
+            }
+
+            const previousPhone = user.phone;
+            user.phone = req.body.phone;
+            user.isPhoneVerified = false;
+            const code = user.generatePhoneVerificationCode();
+            await user.save();
+
+            try {
+                await sendPhoneVerificationCode(user.phone, code);
+            } catch (smsError) {
+                logger.error('Failed to send OTP after phone change', {
+                    userId: user._id,
+                    error: smsError.message
+                });
+            }
+
+            logger.security('Phone number changed', {
+                userId: user._id,
+                previousPhone,
+                phone: user.phone,
+                ip: req.ip
+            });
+
+            res.json({
+                success: true,
+                message: `Phone updated. Enter the code we sent to the number ending in ${user.phone.slice(-4)}`,
+                data: {
+                    phone: user.phone,
+                    isPhoneVerified: false,
+                    tokens: {
+                        accessToken: user.generateAuthToken(),
+                        expiresIn: process.env.JWT_EXPIRE || '1h'
+                    }
+                }
+            });
+
+        } catch (error) {
+            handleSaveError(error, res, 'Failed to change phone number');
+        }
+    }
+);
+
+// Remove an avatar file we stored earlier (ignores external URLs)
+const removeStoredAvatar = async (avatar) => {
+    if (!avatar || !avatar.startsWith('/uploads/avatars/')) return;
+
+    try {
+        await fs.promises.unlink(path.join(avatarDir, path.basename(avatar)));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn('Failed to remove old avatar', { avatar, error: error.message });
+        }
+    }
+};
+
+/**
+ * 🖼️ UPLOAD AVATAR
+ *
+ * PUT /api/users/me/avatar   (multipart/form-data, field name "avatar")
+ *
+ * Resized to a 256x256 square WebP - small enough for 2G connections.
+ */
+router.put('/me/avatar', (req, res) => {
+    avatarUpload(req, res, async (uploadError) => {
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            return res.status(400).json({
+                success: false,
+                error: tooLarge ? 'That image is too large' : 'Please upload a JPEG, PNG, GIF or WebP image',
+                tip: 'Photos straight from your phone camera work fine'
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No image uploaded',
+                tip: 'Send the image in a form field called "avatar"'
+            });
+        }
+
+        try {
+            const user = await loadCurrentUser(req, res);
+            if (!user) return;
+
+            const fileName = `${user._id}-${Date.now()}.webp`;
+            await fs.promises.mkdir(avatarDir, { recursive: true });
+
+            await sharp(req.file.buffer)
+                .rotate() // Respect the phone's orientation before EXIF is stripped
+                .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+                .webp({ quality: 80 })
+                .toFile(path.join(avatarDir, fileName));
+
+            const previousAvatar = user.avatar;
+            user.avatar = `/uploads/avatars/${fileName}`;
+            await user.save();
+
+            await removeStoredAvatar(previousAvatar);
+
+            logger.audit('Avatar updated', {
+                userId: user._id,
+                ip: req.ip
+            });
+
+            res.json({
+                success: true,
+                message: 'Looking good! Avatar updated 📸',
+                data: { avatar: user.avatar }
+            });
+
+        } catch (error) {
+            // sharp throws on files that only pretend to be images
+            if (/unsupported image format|Input buffer/i.test(error.message)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'We could not read that image',
+                    tip: 'Please try a different photo'
+                });
+            }
+
+            handleSaveError(error, res, 'Failed to update avatar');
+        }
+    });
+});
+
+/**
+ * 🗑️ REMOVE AVATAR
+ *
+ * DELETE /api/users/me/avatar
+ */
+router.delete('/me/avatar', async (req, res) => {
+    try {
+        const user = await loadCurrentUser(req, res);
+        if (!user) return;
+
+        const previousAvatar = user.avatar;
+        user.avatar = null;
+        await user.save();
+
+        await removeStoredAvatar(previousAvatar);
+
+        res.json({
+            success: true,
+            message: 'Avatar removed'
+        });
+
+    } catch (error) {
+        handleSaveError(error, res, 'Failed to remove avatar');
+    }
+});
+
+/**
+ * 🌐 LINKED IDENTITIES
+ *
+ * GET /api/users/me/identities
+ *
+ * Social login accounts linked to this profile. Linking a new one starts
+ * at POST /api/auth/oauth/:provider/link.
+ */
+router.get('/me/identities', async (req, res) => {
+    try {
+        const user = await loadCurrentUser(req, res, '+password');
+        if (!user) return;
+
+        res.json({
+            success: true,
+            data: {
+                identities: user.identities.map(identity => ({
+                    provider: identity.provider,
+                    email: identity.email,
+                    linkedAt: identity.linkedAt,
+                    lastUsedAt: identity.lastUsedAt
+                })),
+                hasPassword: !!user.password
+            }
+        });
+
+    } catch (error) {
+        logger.error('Linked identities error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load linked accounts'
+        });
+    }
+});
+
+/**
+ * ✂️ UNLINK AN IDENTITY
+ *
+ * DELETE /api/users/me/identities/:provider
+ *
+ * Refused when it's the only way left to log in (no password set).
+ */
+router.delete('/me/identities/:provider', sensitiveChangeLimiter, async (req, res) => {
+    try {
+        const user = await loadCurrentUser(req, res, '+password');
+        if (!user) return;
+
+        const remaining = user.identities.filter(identity => identity.provider !== req.params.provider);
+
+        if (remaining.length === user.identities.length) {
+            return res.status(404).json({
+                success: false,
+                error: `No ${req.params.provider} account is linked to your profile`
+            });
+        }
+
+        if (!user.password && remaining.length === 0 && user.webauthnCredentials.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'This is the only way you can log in right now',
+                tip: 'Add a passkey, or set a password with the forgot password option first, then unlink'
+            });
+        }
+
+        user.identities = remaining;
+        await user.save({ validateBeforeSave: false });
+
+        logger.audit('Social identity unlinked', {
+            userId: user._id,
+            provider: req.params.provider,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: `Your ${req.params.provider} account has been unlinked`
+        });
+
+    } catch (error) {
+        handleSaveError(error, res, 'Failed to unlink account');
+    }
+});
+
+/**
+ * 🧭 LOGIN HISTORY
+ *
+ * GET /api/users/me/login-history?limit=20
+ *
+ * Recent logins with device, approximate location and why we flagged any
+ * of them - the "was this you?" screen.
+ */
+router.get('/me/login-history', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const events = await LoginEvent.recentForUser(req.user.id, limit);
+
+        res.json({
+            success: true,
+            data: {
+                logins: events.map(event => ({
+                    id: event._id,
+                    at: event.createdAt,
+                    device: event.device,
+                    ipAddress: event.ipAddress,
+                    location: event.location,
+                    method: event.method,
+                    flagged: event.risk.factors.length > 0,
+                    reasons: event.risk.factors.map(describeFactor)
+                }))
+            }
+        });
+
+    } catch (error) {
+        logger.error('Login history error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load your login history'
+        });
+    }
+});
+
+/**
+ * 📦 EXPORT MY DATA
+ *
+ * GET /api/users/me/export?format=json|zip
+ *
+ * Returns the profile plus every record linked to the account (login
+ * history, tickets, crowd reports, lost & found items, SOS records).
+ * The ZIP version has one JSON file per section, which is friendlier for
+ * people opening it on a phone.
+ */
+router.get('/me/export', exportLimiter, async (req, res) => {
+    try {
+        const format = req.query.format === 'zip' ? 'zip' : 'json';
+
+        const user = await loadCurrentUser(req, res);
+        if (!user) return;
+
+        const bundle = await collectUserData(user);
+        const fileBase = `indian-railways-data-${user._id}-${new Date().toISOString().slice(0, 10)}`;
+
+        logger.audit('Personal data exported', {
+            userId: user._id,
+            format,
+            sections: Object.keys(bundle),
+            ip: req.ip
+        });
+
+        if (format === 'json') {
+            res.attachment(`${fileBase}.json`);
+            return res.json(bundle);
+        }
+
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        archive.on('error', (error) => {
+            logger.error('Data export archive error:', error);
+            res.destroy(error);
+        });
+
+        res.attachment(`${fileBase}.zip`);
+        archive.pipe(res);
+
+        Object.entries(bundle).forEach(([section, data]) => {
+            archive.append(JSON.stringify(data, null, 2), { name: `${section}.json` });
+        });
+
+        await archive.finalize();
+
+    } catch (error) {
+        logger.error('Data export error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                error: 'Failed to export your data'
+            });
+        }
+    }
+});
+
+// Why someone is leaving (deactivation and deletion)
+const reasonValidation = body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason is too long');
+
+/**
+ * ✉️ REQUEST A CONFIRMATION CODE
+ *
+ * POST /api/users/me/confirmation-code
+ *
+ * Accounts created with social login or a passkey have no password to
+ * confirm deactivation, deletion, an email or phone change or turning off
+ * 2FA with, so we email them a 6-digit code instead. Each request replaces the previous code.
+ */
+router.post('/me/confirmation-code', sensitiveChangeLimiter, async (req, res) => {
+    try {
+        const user = await loadCurrentUser(req, res, '+password');
+        if (!user) return;
+
+        if (user.password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Your account has a password',
+                tip: 'Confirm with your password instead'
+            });
+        }
+
+        const code = user.generateAccountConfirmationCode();
+        await user.save({ validateBeforeSave: false });
+
+        try {
+            await sendAccountConfirmationEmail(user.email, user.name, code);
+        } catch (emailError) {
+            logger.error('Failed to send account confirmation code', {
+                userId: user._id,
+                error: emailError.message
+            });
+            return res.status(503).json({
+                success: false,
+                error: 'We couldn\'t send the confirmation email right now',
+                tip: 'Please try again in a few minutes'
+            });
+        }
+
+        logger.audit('Account confirmation code sent', {
+            userId: user._id,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: 'We\'ve emailed you a confirmation code',
+            data: { expiresIn: '10m' }
+        });
+
+    } catch (error) {
+        handleSaveError(error, res, 'Failed to send confirmation code');
+    }
+});
+
+/**
+ * 😴 DEACTIVATE ACCOUNT
+ *
+ * POST /api/users/me/deactivate
+ *
+ * Signs the passenger out everywhere (the User model handles that when the
+ * status changes). Their data stays put; logging in again and calling
+ * /me/reactivate brings everything back.
+ */
+router.post('/me/deactivate', sensitiveChangeLimiter, [...identityConfirmation, reasonValidation], async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const user = await loadCurrentUser(req, res, CONFIRMATION_FIELDS);
+        if (!user) return;
+
+        if (!(await confirmIdentity(req, res, user))) return;
+
+        user.status = 'deactivated';
+        user.deactivation = { by: 'user', at: new Date(), reason: req.body.reason };
+        await user.save();
+
+        res.clearCookie('refreshToken');
+
+        logger.audit('Account deactivated by user', {
+            userId: user._id,
+            reason: req.body.reason,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: 'Your account has been deactivated. We hope to see you again soon! 👋',
+            tip: 'Log in any time to reactivate it'
+        });
+
+    } catch (error) {
+        handleSaveError(error, res, 'Failed to deactivate account');
+    }
+});
+
+/**
+ * 🗑️ REQUEST ACCOUNT DELETION
+ *
+ * POST /api/users/me/deletion
+ *
+ * Deactivates the account now and schedules erasure after the grace period
+ * (DELETION_GRACE_DAYS). Records we must keep by law, like tickets, are
+ * anonymised instead of deleted - see utils/personalData.js.
+ */
+router.post('/me/deletion', sensitiveChangeLimiter, [...identityConfirmation, reasonValidation], async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const user = await loadCurrentUser(req, res, CONFIRMATION_FIELDS);
+        if (!user) return;
+
+        if (!(await confirmIdentity(req, res, user))) return;
+
+        const now = new Date();
+        const scheduledFor = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+        user.status = 'deactivated';
+        user.deactivation = { by: 'user', at: now, reason: req.body.reason };
+        user.deletion = { requestedAt: now, scheduledFor };
+        await user.save();
+
+        res.clearCookie('refreshToken');
+
+        logger.audit('Account deletion requested', {
+            userId: user._id,
+            scheduledFor,
+            reason: req.body.reason,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: `Your account will be permanently deleted on ${scheduledFor.toDateString()}`,
+            data: { scheduledFor },
+            tips: [
+                'Changed your mind? Log in and reactivate before that date',
+                'You can still download your data until then'
+            ]
+        });
+
+    } catch (error) {
+        handleSaveError(error, res, 'Failed to schedule account deletion');
+    }
+});
+
+/**
+ * 🌅 REACTIVATE ACCOUNT
+ *
+ * POST /api/users/me/reactivate
+ *
+ * Undoes a self-service deactivation and cancels any pending deletion.
+ * Accounts deactivated by an administrator can't be reactivated here.
+ */
+router.post('/me/reactivate', async (req, res) => {
+    try {
+        const user = await loadCurrentUser(req, res);
+        if (!user) return;
+
+        if (user.status !== 'deactivated' || !user.deactivation || user.deactivation.by !== 'user') {
+            return res.status(400).json({
+                success: false,
+                error: 'This account cannot be reactivated here',
+                tip: user.status === 'deactivated' ? 'Please contact our support team' : undefined
+            });
+        }
+
+        const cancelledDeletion = !!(user.deletion && user.deletion.scheduledFor);
+
+        user.status = user.isEmailVerified ? 'active' : 'pending_verification';
+        user.deactivation = undefined;
+        user.deletion = undefined;
+        await user.save();
+
+        logger.audit('Account reactivated by user', {
+            userId: user._id,
+            cancelledDeletion,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: cancelledDeletion
+                ? 'Welcome back! Your account deletion has been cancelled 🎉'
+                : 'Welcome back! Your account is active again 🎉',
+            data: {
+                status: user.status,
+                tokens: {
+                    accessToken: user.generateAuthToken(),
+                    expiresIn: process.env.JWT_EXPIRE || '1h'
+                }
+            }
+        });
+
+    } catch (error) {
+        handleSaveError(error, res, 'Failed to reactivate account');
+    }
+});
+
+module.exports = router;
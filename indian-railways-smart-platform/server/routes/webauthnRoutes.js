@@ -0,0 +1,587 @@
+/**
+ * 🔑 Passkey Routes - Sign In With Your Fingerprint
+ *
+ * The "biometrics" step from the auth roadmap. Each WebAuthn ceremony is
+ * two calls: the server hands out options (with a fresh challenge), the
+ * browser talks to the authenticator, and the server verifies the result.
+ *
+ * Registration (logged in):
+ * - POST /api/auth/webauthn/register/options
+ * - POST /api/auth/webauthn/register/verify
+ *
+ * Passwordless login:
+ * - POST /api/auth/webauthn/login/options   (no identifier - the phone
+ *   offers whichever passkeys it holds for our site)
+ * - POST /api/auth/webauthn/login/verify
+ *
+ * Managing passkeys (logged in):
+ * - GET    /api/auth/webauthn/credentials
+ * - PATCH  /api/auth/webauthn/credentials/:credentialId   (rename)
+ * - DELETE /api/auth/webauthn/credentials/:credentialId
+ *
+ * Passkey logins always require user verification (fingerprint, face or
+ * screen lock), so they count as two factors and skip the TOTP step.
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL } = require('@simplewebauthn/server/helpers');
+
+const User = require('../models/User');
+const auth = require('../middleware/authMiddleware');
+const logger = require('../utils/logger');
+const { getRelyingParty, signChallengeToken, consumeChallengeToken, CHALLENGE_EXPIRE } = require('../utils/webauthn');
+const { startLoginSession, buildLoginResponse } = require('../utils/authSession');
+
+// Same budget as the password login - this is a login endpoint too
+const passkeyLoginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message: {
+        success: false,
+        error: 'Too many passkey login attempts. Please try again in 15 minutes.',
+        tip: 'You can always log in with your email/phone and password instead'
+    },
+    standardHeaders: true
+});
+
+// No one needs more passkeys than this (phone, laptop, a security key or two...)
+const MAX_CREDENTIALS = 10;
+
+// Shared validation error response
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: 'Please check your input and try again',
+        details: errors.array()
+    });
+    return true;
+};
+
+const ceremonyValidation = [
+    body('challengeToken')
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+
+    body('response')
+        .isObject()
+        .withMessage('Authenticator response is required'),
+
+    body('response.id')
+        .isString()
+        .withMessage('Authenticator response is missing the credential id')
+];
+
+// What the passkey list shows (never the public key)
+const describeCredential = (credential) => ({
+    id: credential.credentialId,
+    name: credential.name,
+    deviceType: credential.deviceType,
+    backedUp: credential.backedUp,
+    createdAt: credential.createdAt,
+    lastUsedAt: credential.lastUsedAt
+});
+
+/**
+ * 📝 START PASSKEY REGISTRATION
+ *
+ * POST /api/auth/webauthn/register/options
+ */
+router.post('/register/options', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (user.webauthnCredentials.length >= MAX_CREDENTIALS) {
+            return res.status(400).json({
+                success: false,
+                error: `You can register up to ${MAX_CREDENTIALS} passkeys`,
+                tip: 'Remove a passkey you no longer use first'
+            });
+        }
+
+        const rp = getRelyingParty();
+
+        const options = await generateRegistrationOptions({
+            rpName: rp.name,
+            rpID: rp.id,
+            userID: String(user._id),
+            userName: user.email,
+            userDisplayName: user.name,
+            attestationType: 'none',
+            // Don't let the same authenticator register twice
+            excludeCredentials: user.webauthnCredentials.map(credential => ({
+                id: isoBase64URL.toBuffer(credential.credentialId),
+                type: 'public-key',
+                transports: credential.transports
+            })),
+            authenticatorSelection: {
+                residentKey: 'required', // Discoverable, so login works without typing anything
+                userVerification: 'required'
+            }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                options,
+                challengeToken: signChallengeToken(options.challenge, 'registration', String(user._id)),
+                expiresIn: CHALLENGE_EXPIRE
+            }
+        });
+
+    } catch (error) {
+        logger.error('Passkey registration options error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start passkey registration'
+        });
+    }
+});
+
+/**
+ * ✅ FINISH PASSKEY REGISTRATION
+ *
+ * POST /api/auth/webauthn/register/verify
+ * Body: { challengeToken, response, name? }
+ */
+router.post('/register/verify',
+    auth,
+    [
+        ...ceremonyValidation,
+        body('name').optional().isString().trim().isLength({ max: 50 }).withMessage('Passkey name is too long')
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            let challenge;
+            try {
+                challenge = await consumeChallengeToken(req.body.challengeToken, 'registration');
+            } catch (tokenError) {
+                challenge = null;
+            }
+
+            if (!challenge || challenge.userId !== String(req.user.id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Passkey registration expired',
+                    tip: 'Please start again'
+                });
+            }
+
+            const rp = getRelyingParty();
+            let verification;
+
+            try {
+                verification = await verifyRegistrationResponse({
+                    response: req.body.response,
+                    expectedChallenge: challenge.challenge,
+                    expectedOrigin: rp.origins,
+                    expectedRPID: rp.id,
+                    requireUserVerification: true
+                });
+            } catch (verifyError) {
+                logger.security('Passkey registration failed verification', {
+                    userId: req.user.id,
+                    error: verifyError.message,
+                    ip: req.ip
+                });
+                verification = { verified: false };
+            }
+
+            if (!verification.verified) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'We could not verify this passkey',
+                    tip: 'Please try again, or use a different device'
+                });
+            }
+
+            const info = verification.registrationInfo;
+            const credentialId = isoBase64URL.fromBuffer(info.credentialID);
+
+            if (await User.findByCredentialId(credentialId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'This passkey is already registered'
+                });
+            }
+
+            const user = await User.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+
+            user.webauthnCredentials.push({
+                credentialId,
+                publicKey: isoBase64URL.fromBuffer(info.credentialPublicKey),
+                counter: info.counter,
+                transports: req.body.response.response && req.body.response.response.transports,
+                deviceType: info.credentialDeviceType,
+                backedUp: info.credentialBackedUp,
+                name: req.body.name || `Passkey ${user.webauthnCredentials.length + 1}`
+            });
+            await user.save({ validateBeforeSave: false });
+
+            logger.audit('Passkey registered', {
+                userId: user._id,
+                credentialId,
+                deviceType: info.credentialDeviceType,
+                ip: req.ip
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Passkey added! Next time, just use your fingerprint or screen lock 🔑',
+                data: {
+                    credential: describeCredential(user.webauthnCredentials[user.webauthnCredentials.length - 1])
+                }
+            });
+
+        } catch (error) {
+            logger.error('Passkey registration error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to register passkey'
+            });
+        }
+    }
+);
+
+/**
+ * 🔓 START PASSKEY LOGIN
+ *
+ * POST /api/auth/webauthn/login/options
+ *
+ * Every passkey we register is discoverable, so we never list any: the
+ * browser shows the ones it has for our site. Naming an account's passkeys
+ * here would tell anyone who has an account, and which credentials it holds.
+ */
+router.post('/login/options', passkeyLoginLimiter, async (req, res) => {
+    try {
+        const options = await generateAuthenticationOptions({
+            rpID: getRelyingParty().id,
+            userVerification: 'required',
+            allowCredentials: []
+        });
+
+        res.json({
+            success: true,
+            data: {
+                options,
+                challengeToken: signChallengeToken(options.challenge, 'authentication'),
+                expiresIn: CHALLENGE_EXPIRE
+            }
+        });
+
+    } catch (error) {
+        logger.error('Passkey login options error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start passkey login'
+        });
+    }
+});
+
+/**
+ * 🎉 FINISH PASSKEY LOGIN
+ *
+ * POST /api/auth/webauthn/login/verify
+ * Body: { challengeToken, response, rememberMe? }
+ *
+ * Responds exactly like POST /api/auth/login.
+ */
+router.post('/login/verify', passkeyLoginLimiter, ceremonyValidation, async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        let challenge;
+        try {
+            challenge = await consumeChallengeToken(req.body.challengeToken, 'authentication');
+        } catch (tokenError) {
+            return res.status(401).json({
+                success: false,
+                error: 'Your passkey login has expired',
+                tip: 'Please try again'
+            });
+        }
+
+        const credentialId = req.body.response.id;
+        const user = await User.findByCredentialId(credentialId)
+            .select('+loginAttempts +webauthnCredentials.publicKey');
+
+        // Generic message - don't reveal whether the passkey exists
+        const rejectLogin = () => res.status(401).json({
+            success: false,
+            error: 'We could not sign you in with this passkey',
+            tip: 'Try another passkey, or log in with your email/phone and password'
+        });
+
+        if (!user) {
+            logger.security('Passkey login with unknown credential', {
+                credentialId,
+                ip: req.ip
+            });
+            return rejectLogin();
+        }
+
+        if (user.isLocked) {
+            return res.status(423).json({
+                success: false,
+                error: 'Account temporarily locked due to multiple failed login attempts',
+                tip: 'Please try again later or reset your password'
+            });
+        }
+
+        if (user.status === 'suspended') {
+            return res.status(403).json({
+                success: false,
+                error: 'Your account has been suspended',
+                tip: 'Please contact our support team for assistance'
+            });
+        }
+
+        if (user.status === 'deactivated' && (!user.deactivation || user.deactivation.by !== 'user')) {
+            return res.status(403).json({
+                success: false,
+                error: 'This account has been deactivated',
+                tip: 'Please contact our support team for assistance'
+            });
+        }
+
+        if (user.passwordResetRequired) {
+            return res.status(403).json({
+                success: false,
+                error: 'You need to set a new password before logging in',
+                tip: 'Check your email for the reset link, or use the forgot password option'
+            });
+        }
+
+        const credential = user.webauthnCredentials.find(item => item.credentialId === credentialId);
+        const rp = getRelyingParty();
+        let verification;
+
+        try {
+            verification = await verifyAuthenticationResponse({
+                response: req.body.response,
+                expectedChallenge: challenge.challenge,
+                expectedOrigin: rp.origins,
+                expectedRPID: rp.id,
+                requireUserVerification: true,
+                authenticator: {
+                    credentialID: isoBase64URL.toBuffer(credential.credentialId),
+                    credentialPublicKey: isoBase64URL.toBuffer(credential.publicKey),
+                    counter: credential.counter,
+                    transports: credential.transports
+                }
+            });
+        } catch (verifyError) {
+            logger.security('Passkey login failed verification', {
+                userId: user._id,
+                credentialId,
+                error: verifyError.message,
+                ip: req.ip
+            });
+            verification = { verified: false };
+        }
+
+        if (!verification.verified) {
+            await user.incLoginAttempts();
+            return rejectLogin();
+        }
+
+        await User.updateOne(
+            { _id: user._id, 'webauthnCredentials.credentialId': credentialId },
+            {
+                $set: {
+                    'webauthnCredentials.$.counter': verification.authenticationInfo.newCounter,
+                    'webauthnCredentials.$.lastUsedAt': new Date()
+                }
+            }
+        );
+
+        const { authToken, session } = await startLoginSession(req, res, user, {
+            rememberMe: !!req.body.rememberMe,
+            method: 'passkey'
+        });
+
+        res.json(buildLoginResponse(user, { authToken, session }));
+
+    } catch (error) {
+        logger.error('Passkey login error:', {
+            error: error.message,
+            stack: error.stack,
+            ip: req.ip
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Login failed. Please try again.',
+            tip: 'If this problem persists, please contact our support team'
+        });
+    }
+});
+
+/**
+ * 📋 LIST MY PASSKEYS
+ *
+ * GET /api/auth/webauthn/credentials
+ */
+router.get('/credentials', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                credentials: user.webauthnCredentials.map(describeCredential)
+            }
+        });
+
+    } catch (error) {
+        logger.error('List passkeys error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load your passkeys'
+        });
+    }
+});
+
+const credentialIdValidation = [
+    param('credentialId').isBase64({ urlSafe: true }).withMessage('Invalid passkey id')
+];
+
+/**
+ * ✏️ RENAME A PASSKEY
+ *
+ * PATCH /api/auth/webauthn/credentials/:credentialId
+ */
+router.patch('/credentials/:credentialId',
+    auth,
+    credentialIdValidation,
+    [
+        body('name')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Passkey name must be 1-50 characters')
+    ],
+    async (req, res) => {
+        try {
+            if (validationFailed(req, res)) return;
+
+            const result = await User.updateOne(
+                { _id: req.user.id, 'webauthnCredentials.credentialId': req.params.credentialId },
+                { $set: { 'webauthnCredentials.$.name': req.body.name } }
+            );
+
+            if (result.matchedCount === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Passkey not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Passkey renamed'
+            });
+
+        } catch (error) {
+            logger.error('Rename passkey error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to rename passkey'
+            });
+        }
+    }
+);
+
+/**
+ * 🗑️ REMOVE A PASSKEY
+ *
+ * DELETE /api/auth/webauthn/credentials/:credentialId
+ *
+ * Refused when it's the only way left to log in.
+ */
+router.delete('/credentials/:credentialId', auth, credentialIdValidation, async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const user = await User.findById(req.user.id).select('+password');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const remaining = user.webauthnCredentials.filter(item => item.credentialId !== req.params.credentialId);
+
+        if (remaining.length === user.webauthnCredentials.length) {
+            return res.status(404).json({
+                success: false,
+                error: 'Passkey not found'
+            });
+        }
+
+        if (!user.password && user.identities.length === 0 && remaining.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'This is the only way you can log in right now',
+                tip: 'Set a password with the forgot password option first, then remove it'
+            });
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            { $pull: { webauthnCredentials: { credentialId: req.params.credentialId } } }
+        );
+
+        logger.audit('Passkey removed', {
+            userId: user._id,
+            credentialId: req.params.credentialId,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: 'Passkey removed'
+        });
+
+    } catch (error) {
+        logger.error('Remove passkey error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove passkey'
+        });
+    }
+});
+
+module.exports = router;
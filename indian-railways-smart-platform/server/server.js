@@ -22,6 +22,7 @@
  * Created: 2024 (during many late nights fueled by chai and determination)
  */
 
+const path = require('path');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -31,6 +32,7 @@ const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const hpp = require('hpp');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 require('dotenv').config();
@@ -39,6 +41,9 @@ require('dotenv').config();
 const connectDB = require('./config/db');
 const logger = require('./utils/logger');
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
+const { verifyAccessToken } = require('./middleware/authMiddleware');
+const { authorizeSocket } = require('./middleware/roleMiddleware');
+const { hasPermission } = require('./config/permissions');
 
 // Initialize Express app
 const app = express();
@@ -168,8 +173,8 @@ app.use(cors({
         }
     },
     credentials: true, // Allow cookies and authorization headers
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'X-Refresh-Token', 'X-Device-Id']
 }));
 
 /**
@@ -190,6 +195,9 @@ app.use(express.json({
 
 app.use(express.urlencoded({ extended: false, limit: '10mb' }));
 
+// Cookies carry the HTTP-only refresh token used by /api/auth/refresh
+app.use(cookieParser());
+
 // Security sanitization middlewares
 app.use(mongoSanitize()); // Prevents NoSQL injection attacks
 app.use(hpp());           // Prevents HTTP Parameter Pollution
@@ -272,7 +280,20 @@ app.get('/health', async (req, res) => {
  * - Document complex business logic
  */
 app.use('/api/auth', require('./routes/authRoutes'));
+app.use('/api/auth/2fa', require('./routes/twoFactorRoutes'));
+app.use('/api/auth/sessions', require('./routes/sessionRoutes'));
+app.use('/api/auth/oauth', require('./routes/oauthRoutes'));
+app.use('/api/auth/webauthn', require('./routes/webauthnRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/api/users', require('./routes/userRoutes'));
+
+// Processed avatars are public (like a profile photo on any site) - other uploads are not
+app.use('/uploads/avatars', express.static(path.resolve(process.env.UPLOAD_DIR || 'uploads', 'avatars'), {
+    maxAge: '7d',
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
 app.use('/api/trains', require('./routes/trainRoutes'));
+app.use('/api/stations', require('./routes/stationRoutes'));
 app.use('/api/tickets', require('./routes/ticketRoutes'));
 app.use('/api/crowd', require('./routes/crowdRoutes'));
 app.use('/api/lost-found', require('./routes/lostFoundRoutes'));
@@ -288,6 +309,7 @@ app.use('/api/ai', require('./routes/aiRoutes'));
  * 
  * Socket rooms are organized by:
  * - train-{trainId} for train-specific updates
+ * - station-{code} for station boards (kiosks)
  * - user-{userId} for personal notifications
  * - admin-room for administrative alerts
  */
@@ -311,6 +333,21 @@ io.on('connection', (socket) => {
         });
     });
 
+    // Station boards (kiosks) refresh when a train calling there changes
+    socket.on('join-station', (stationCode) => {
+        if (typeof stationCode !== 'string' || !/^[A-Za-z]{1,5}$/.test(stationCode)) {
+            socket.emit('error', { message: 'Invalid station code' });
+            return;
+        }
+
+        socket.join(`station-${stationCode.toUpperCase()}`);
+        logger.info(`🪧 Socket ${socket.id} joined station room: ${stationCode.toUpperCase()}`);
+    });
+
+    socket.on('leave-station', (stationCode) => {
+        if (typeof stationCode === 'string') socket.leave(`station-${stationCode.toUpperCase()}`);
+    });
+
     // Handle crowd level updates
     socket.on('crowd-update', (data) => {
         // Validate the crowd update data
@@ -350,11 +387,61 @@ io.on('connection', (socket) => {
     });
 
     // Handle user authentication for personalized features
-    socket.on('authenticate', (token) => {
-        // TODO: Verify JWT token and associate socket with user
-        // This would enable personalized notifications
+    // Same checks as the HTTP auth middleware (signature, expiry, denylist, token version)
+    socket.on('authenticate', async (token) => {
+        try {
+            const user = await verifyAccessToken(token);
+            socket.data.user = user;
+
+            // Personal notifications
+            socket.join(`user-${user.id}`);
+
+            // Staff/moderators/admins get the live alert feed
+            if (hasPermission(user.role, 'alerts:receive')) {
+                socket.join('admin-room');
+            }
+
+            socket.emit('authenticated', {
+                userId: user.id,
+                role: user.role
+            });
+
+            logger.info(`🔐 Socket ${socket.id} authenticated as user ${user.id} (${user.role})`);
+        } catch (error) {
+            socket.emit('error', {
+                status: 401,
+                success: false,
+                error: 'Socket authentication failed',
+                tip: 'Refresh your access token and try again'
+            });
+        }
     });
 
+    // Staff acknowledging an SOS alert - lets the passenger know help is coming
+    socket.on('sos-respond', authorizeSocket(socket, 'sos:respond')((response) => {
+        if (!response || !response.alertId || !response.socketId) {
+            socket.emit('error', { message: 'Invalid SOS response data' });
+            return;
+        }
+
+        const responder = socket.data.user;
+        const payload = {
+            alertId: response.alertId,
+            message: response.message || 'A railway staff member is responding to your alert',
+            responderId: responder.id,
+            timestamp: new Date().toISOString()
+        };
+
+        // Tell the passenger who raised the alert, and keep other responders in sync
+        io.to(response.socketId).emit('sos-response', payload);
+        socket.to('admin-room').emit('emergency-responded', payload);
+
+        logger.audit('SOS alert responded', {
+            alertId: response.alertId,
+            responderId: responder.id
+        });
+    }));
+
     // Clean disconnect handling
     socket.on('disconnect', (reason) => {
         logger.info(`🔌 Client disconnected: ${socket.id}, reason: ${reason}`);
@@ -369,6 +456,19 @@ io.on('connection', (socket) => {
 // Make Socket.IO available to our routes
 app.set('io', io);
 
+/**
+ * Background Jobs ⏰
+ *
+ * Bull queues need Redis, so they only start when REDIS_URL is configured.
+ * Account deletion always starts: without Redis it runs on a timer here.
+ */
+require('./jobs/accountDeletionJob').startAccountDeletionJob();
+
+if (process.env.REDIS_URL) {
+    require('./jobs/delayNotificationJob').startDelayNotificationJob(io);
+    require('./jobs/waitlistPromotionJob').startWaitlistPromotionJob(io);
+}
+
 /**
  * Error Handling Middleware 🚨
  * 
@@ -0,0 +1,145 @@
+/**
+ * Fare engine: telescopic slabs, charges and concession entitlement
+ * (numbers from fare table 2024.1 in config/fareTables.js)
+ */
+
+const { quoteFare, concessionFor, fareTableFor } = require('../../utils/fares');
+
+const JOURNEY_DATE = '2026-11-01';
+const BOOKED_ON = '2026-10-19';
+
+const express = { type: 'express' };
+const superfast = { type: 'superfast' };
+
+const quote = (overrides) => quoteFare({
+    train: express,
+    travelClass: 'SL',
+    distanceKm: 500,
+    journeyDate: JOURNEY_DATE,
+    passengers: [{}],
+    bookedOn: BOOKED_ON,
+    ...overrides
+});
+
+describe('quoteFare', () => {
+    describe('telescopic base fare (SL: 0.52/km to 300, 0.46 to 1000, 0.38 beyond, at least 200 km)', () => {
+        test.each([
+            [100, 200, 105],  // charged the 200 km minimum: 104 -> 105
+            [200, 200, 105],
+            [300, 300, 160],  // 156, all in the first slab
+            [500, 500, 250],  // 156 + 200 x 0.46 = 248
+            [1000, 1000, 480], // 156 + 700 x 0.46 = 478
+            [1200, 1200, 555]  // 478 + 200 x 0.38 = 554
+        ])('%i km is charged as %i km, base fare %i', (distanceKm, chargeableKm, baseFare) => {
+            const result = quote({ distanceKm });
+
+            expect(result.chargeableKm).toBe(chargeableKm);
+            expect(result.passengers[0].baseFare).toBe(baseFare);
+        });
+
+        test('km past a slab boundary are charged at the next slab\'s rate', () => {
+            // Distances where the old slab's rate would round up to the next ₹5
+            expect(quote({ distanceKm: 308 }).passengers[0].baseFare).toBe(160); // 156 + 8 x 0.46 (0.52 would be 160.16)
+            expect(quote({ distanceKm: 1005 }).passengers[0].baseFare).toBe(480); // 478 + 5 x 0.38 (0.46 would be 480.3)
+        });
+    });
+
+    test('adds reservation, superfast and GST for an AC class', () => {
+        const result = quote({ train: superfast, travelClass: 'AC3' });
+
+        // 300 x 1.38 + 200 x 1.22 = 658 -> 660; + 40 + 45 = 745; GST 5% = 37
+        expect(result.passengers[0]).toEqual({
+            concession: null,
+            baseFare: 660,
+            concessionDiscount: 0,
+            reservationCharge: 40,
+            superfastCharge: 45,
+            tatkalCharge: 0,
+            gst: 37,
+            total: 782
+        });
+    });
+
+    test('charges every passenger and adds them up', () => {
+        const result = quote({ passengers: [{}, {}, {}] });
+
+        expect(result.passengers).toHaveLength(3);
+        expect(result.total).toBe(3 * 270);
+        expect(result.version).toBe('2024.1');
+    });
+
+    test('keeps the Tatkal premium between its minimum and maximum', () => {
+        expect(quote({ quota: 'TQ' }).passengers[0].tatkalCharge).toBe(100); // 30% of 250 = 75, minimum 100
+        expect(quote({ quota: 'TQ', distanceKm: 3000 }).passengers[0].tatkalCharge).toBe(200); // capped
+    });
+
+    test('refuses Tatkal in a class without a Tatkal quota', () => {
+        expect(() => quote({ quota: 'TQ', travelClass: 'AC1' })).toThrow(expect.objectContaining({ reason: 'invalid' }));
+    });
+
+    test('refuses an unknown class', () => {
+        expect(() => quote({ travelClass: '2S' })).toThrow(expect.objectContaining({ reason: 'invalid' }));
+    });
+
+    test('takes the concession off the base fare only', () => {
+        const result = quote({
+            passengers: [{ age: 60, gender: 'male', concession: 'senior', dateOfBirth: '1966-11-01' }]
+        });
+
+        expect(result.passengers[0].concessionDiscount).toBe(100); // 40% of 250
+        expect(result.passengers[0].total).toBe(250 - 100 + 20);
+    });
+});
+
+describe('concessionFor', () => {
+    const table = fareTableFor(BOOKED_ON);
+    const senior = (gender, dateOfBirth, age) => ({ concession: 'senior', gender, dateOfBirth, age });
+
+    test('no concession claimed', () => {
+        expect(concessionFor(table, 'SL', {}, JOURNEY_DATE, 'GN')).toBeNull();
+    });
+
+    describe('senior citizens (men from 60, women from 58)', () => {
+        test.each([
+            ['male', '1966-11-01', 60, 40],
+            ['female', '1968-11-01', 58, 50],
+            ['other', '1966-11-01', 60, 40]
+        ])('a %s passenger born %s is %i on the journey date and gets %i%%', (gender, dateOfBirth, age, percent) => {
+            expect(concessionFor(table, 'SL', senior(gender, dateOfBirth, age), JOURNEY_DATE, 'GN'))
+                .toEqual({ type: 'senior', label: 'Senior citizen', percent });
+        });
+
+        test.each([
+            ['male', '1966-11-02', 59],
+            ['female', '1968-11-02', 57]
+        ])('a %s passenger born %s is only %i - refused', (gender, dateOfBirth, age) => {
+            expect(() => concessionFor(table, 'SL', senior(gender, dateOfBirth, age), JOURNEY_DATE, 'GN'))
+                .toThrow(/starts at/);
+        });
+
+        test('needs a date of birth', () => {
+            expect(() => concessionFor(table, 'SL', senior('male', undefined, 65), JOURNEY_DATE, 'GN'))
+                .toThrow(/date of birth/);
+        });
+
+        test('the age given must match the date of birth', () => {
+            expect(() => concessionFor(table, 'SL', senior('male', '1950-01-01', 62), JOURNEY_DATE, 'GN'))
+                .toThrow(/doesn't match/);
+        });
+    });
+
+    test('never on Tatkal', () => {
+        expect(() => concessionFor(table, 'SL', senior('male', '1950-01-01', 76), JOURNEY_DATE, 'TQ'))
+            .toThrow(/Tatkal/);
+    });
+
+    test('ID-based concessions need an ID, the right age and a class they cover', () => {
+        const student = { concession: 'student', age: 20, concessionId: 'STU12345' };
+
+        expect(concessionFor(table, 'SL', student, JOURNEY_DATE, 'GN')).toMatchObject({ type: 'student', percent: 50 });
+        expect(() => concessionFor(table, 'AC3', student, JOURNEY_DATE, 'GN')).toThrow(/not available in AC3/);
+        expect(() => concessionFor(table, 'SL', { ...student, concessionId: undefined }, JOURNEY_DATE, 'GN'))
+            .toThrow(/certificate or ID/);
+        expect(() => concessionFor(table, 'SL', { ...student, age: 26 }, JOURNEY_DATE, 'GN')).toThrow(/up to 25/);
+    });
+});
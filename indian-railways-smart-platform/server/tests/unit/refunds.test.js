@@ -0,0 +1,95 @@
+/**
+ * Refund rules: each cancellation bucket, RAC/WL clerkage, Tatkal and
+ * cancelled runs (rules from fare table 2024.1 in config/fareTables.js)
+ */
+
+const Booking = require('../../models/Booking');
+const { computeRefund } = require('../../utils/refunds');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEPARTURE = new Date('2026-11-01T10:00:00+05:30');
+
+const hoursBefore = (hours) => new Date(DEPARTURE.getTime() - hours * HOUR_MS);
+
+const makeBooking = ({ status = 'CNF', fare = 1000, quota = 'GN', travelClass = 'SL', version = '2024.1' } = {}) => new Booking({
+    pnr: '1234567890',
+    travelClass,
+    quota,
+    departureAt: DEPARTURE,
+    fare: { version },
+    passengers: [{ name: 'Asha Rao', age: 34, gender: 'female', status, fare: { total: fare } }]
+});
+
+// Refund for the booking's one passenger, cancelled `hours` before departure
+const refundFor = (booking, hours, options = {}) => {
+    const [passenger] = booking.passengers;
+    return computeRefund(booking, [{ _id: passenger._id, name: passenger.name, status: passenger.status }], {
+        now: hoursBefore(hours),
+        ...options
+    });
+};
+
+describe('computeRefund', () => {
+    describe('confirmed tickets', () => {
+        test.each([
+            [72, 120, 'cnf_48h'],   // nothing deducted, but the SL minimum charge is ₹120
+            [48, 250, 'cnf_12h'],   // exactly 48 hours is no longer MORE than 48
+            [24, 250, 'cnf_12h'],   // 25%
+            [6, 500, 'cnf_4h'],     // 50%
+            [4, 1000, 'cnf_too_late'],
+            [-1, 1000, 'cnf_too_late']
+        ])('%i hours before departure: ₹%i kept (%s)', (hours, deduction, rule) => {
+            const { lines, amount } = refundFor(makeBooking(), hours);
+
+            expect(lines[0]).toMatchObject({ fare: 1000, deduction, amount: 1000 - deduction, rule });
+            expect(amount).toBe(1000 - deduction);
+        });
+
+        test('the minimum charge is per class', () => {
+            expect(refundFor(makeBooking({ travelClass: 'AC1' }), 72).lines[0].deduction).toBe(240);
+        });
+
+        test('never keeps more than the fare', () => {
+            expect(refundFor(makeBooking({ fare: 100 }), 72).lines[0]).toMatchObject({ deduction: 100, amount: 0 });
+        });
+    });
+
+    describe('RAC and waitlisted tickets', () => {
+        test.each(['RAC', 'WL'])('%s: only the clerkage fee until 30 minutes before departure', (status) => {
+            expect(refundFor(makeBooking({ status }), 1).lines[0])
+                .toMatchObject({ status, deduction: 60, amount: 940, rule: 'waiting_clerkage' });
+        });
+
+        test.each(['RAC', 'WL'])('%s: nothing back in the last 30 minutes', (status) => {
+            expect(refundFor(makeBooking({ status }), 0.5).lines[0])
+                .toMatchObject({ deduction: 1000, amount: 0, rule: 'waiting_too_late' });
+        });
+    });
+
+    describe('Tatkal', () => {
+        test('confirmed Tatkal tickets are not refunded', () => {
+            expect(refundFor(makeBooking({ quota: 'TQ' }), 72).lines[0])
+                .toMatchObject({ deduction: 1000, amount: 0, rule: 'tatkal_confirmed' });
+        });
+
+        test('waitlisted Tatkal tickets still get the waiting rules', () => {
+            expect(refundFor(makeBooking({ quota: 'TQ', status: 'WL' }), 72).lines[0])
+                .toMatchObject({ deduction: 60, rule: 'waiting_clerkage' });
+        });
+    });
+
+    test('a cancelled run is refunded in full, even after departure', () => {
+        const { lines, amount } = refundFor(makeBooking({ quota: 'TQ' }), -3, { runCancelled: true });
+
+        expect(lines[0]).toMatchObject({ deduction: 0, amount: 1000, rule: 'train_cancelled' });
+        expect(amount).toBe(1000);
+    });
+
+    test('records the fare table and the hours before departure', () => {
+        expect(refundFor(makeBooking(), 24)).toMatchObject({ fareVersion: '2024.1', hoursBeforeDeparture: 24 });
+    });
+
+    test('falls back to the current table for an unknown fare version', () => {
+        expect(refundFor(makeBooking({ version: '1999.1' }), 24).fareVersion).toBe('2024.1');
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Delay propagation: how a reported delay travels down the line
+ */
+
+const { propagateDelay } = require('../../utils/runningStatus');
+
+const at = (time) => new Date(`2026-11-01T${time}:00+05:30`);
+
+// Origin A, a 20 minute halt at B, a 2 minute halt at C, destination D
+const makeRun = () => ({
+    delayMinutes: 0,
+    stops: [
+        { stationCode: 'A', scheduledDeparture: at('10:00'), status: 'pending' },
+        { stationCode: 'B', scheduledArrival: at('11:00'), scheduledDeparture: at('11:20'), status: 'pending' },
+        { stationCode: 'C', scheduledArrival: at('12:00'), scheduledDeparture: at('12:02'), status: 'pending' },
+        { stationCode: 'D', scheduledArrival: at('13:00'), status: 'pending' }
+    ]
+});
+
+const stop = (run, code) => run.stops.find(candidate => candidate.stationCode === code);
+
+describe('propagateDelay', () => {
+    test('does nothing until something is reported', () => {
+        const run = makeRun();
+        propagateDelay(run);
+
+        expect(run).toEqual(makeRun());
+    });
+
+    test('a late departure makes every later stop late', () => {
+        const run = makeRun();
+        stop(run, 'A').actualDeparture = at('10:30');
+        propagateDelay(run);
+
+        expect(run.delayMinutes).toBe(30);
+        expect(stop(run, 'B')).toMatchObject({ expectedArrival: at('11:30'), delayMinutes: 30 });
+    });
+
+    test('a late train only dwells briefly, so a long halt soaks up delay', () => {
+        const run = makeRun();
+        stop(run, 'A').actualDeparture = at('10:30');
+        propagateDelay(run);
+
+        // Leaves B 2 minutes after arriving instead of its 20 minute halt
+        expect(stop(run, 'B').expectedDeparture).toEqual(at('11:32'));
+        expect(stop(run, 'C')).toMatchObject({ expectedArrival: at('12:12'), delayMinutes: 12 });
+        expect(stop(run, 'C').expectedDeparture).toEqual(at('12:14'));
+        expect(stop(run, 'D')).toMatchObject({ expectedArrival: at('13:12'), delayMinutes: 12 });
+    });
+
+    test('an early train never leaves before the timetable says', () => {
+        const run = makeRun();
+        stop(run, 'B').actualArrival = at('10:50');
+        propagateDelay(run);
+
+        expect(run.delayMinutes).toBe(-10);
+        expect(stop(run, 'B').expectedDeparture).toEqual(at('11:20'));
+        expect(stop(run, 'C')).toMatchObject({ expectedArrival: at('12:00'), delayMinutes: 0 });
+    });
+
+    test('stops behind the last report without a report of their own were passed', () => {
+        const run = makeRun();
+        stop(run, 'C').actualArrival = at('12:05');
+        propagateDelay(run);
+
+        expect(stop(run, 'A').status).toBe('passed');
+        expect(stop(run, 'B').status).toBe('passed');
+        expect(stop(run, 'C').delayMinutes).toBe(5);
+        expect(stop(run, 'D')).toMatchObject({ expectedArrival: at('13:05'), delayMinutes: 5 });
+    });
+
+    test('the actual departure wins over the expected one at the reporting stop', () => {
+        const run = makeRun();
+        stop(run, 'B').actualArrival = at('11:15');
+        stop(run, 'B').actualDeparture = at('11:40');
+        propagateDelay(run);
+
+        expect(run.delayMinutes).toBe(20);
+        expect(stop(run, 'C')).toMatchObject({ expectedArrival: at('12:20'), delayMinutes: 20 });
+    });
+});
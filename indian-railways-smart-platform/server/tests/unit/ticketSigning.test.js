@@ -0,0 +1,83 @@
+/**
+ * Signed ticket QR codes: what the scanner accepts and what it refuses
+ */
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }), { virtual: true });
+
+const Booking = require('../../models/Booking');
+const { signTicket, verifyTicket } = require('../../utils/ticketSigning');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ISSUED = new Date('2026-11-01T08:00:00+05:30');
+const ARRIVAL = new Date('2026-11-01T20:00:00+05:30');
+
+const makeBooking = () => new Booking({
+    pnr: '4512398760',
+    trainNumber: '12951',
+    journeyDate: '2026-11-01',
+    from: 'NDLS',
+    to: 'BCT',
+    travelClass: 'AC3',
+    departureAt: new Date('2026-11-01T16:55:00+05:30'),
+    arrivalAt: ARRIVAL,
+    passengers: [
+        { name: 'Asha Rao', age: 34, gender: 'female', status: 'CNF', coach: 'B2', seatNumber: 23 },
+        { name: 'Vikram Rao', age: 36, gender: 'male', status: 'WL', position: 4 },
+        { name: 'Meera Rao', age: 8, gender: 'female', status: 'CAN' }
+    ]
+});
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+describe('verifyTicket', () => {
+    const { code, expiresAt } = signTicket(makeBooking(), ISSUED);
+
+    test('accepts a code it signed and reads the journey back', () => {
+        const result = verifyTicket(code, ISSUED);
+
+        expect(result.valid).toBe(true);
+        expect(result.ticket).toMatchObject({ pnr: '4512398760', tn: '12951', fr: 'NDLS', to: 'BCT', cl: 'AC3' });
+        expect(result.ticket.px).toEqual([
+            { n: 'Asha Rao', a: 34, g: 'F', s: 'CNF B2/23' },
+            { n: 'Vikram Rao', a: 36, g: 'M', s: 'WL 4' }
+        ]);
+    });
+
+    test('stays valid for the grace period after the scheduled arrival', () => {
+        expect(expiresAt).toEqual(new Date(ARRIVAL.getTime() + 12 * HOUR_MS));
+        expect(verifyTicket(code, new Date(expiresAt.getTime() - 1000)).valid).toBe(true);
+    });
+
+    test('refuses an expired code', () => {
+        expect(verifyTicket(code, new Date(expiresAt.getTime() + 1000))).toMatchObject({ valid: false, reason: 'expired' });
+    });
+
+    test('refuses a code whose payload was changed', () => {
+        const [prefix, kid, payload, signature] = code.split('.');
+        const ticket = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        const tampered = base64url(JSON.stringify({ ...ticket, exp: ticket.exp + 7 * 24 * 3600 }));
+
+        expect(verifyTicket([prefix, kid, tampered, signature].join('.'), ISSUED))
+            .toMatchObject({ valid: false, reason: 'bad_signature' });
+    });
+
+    test('refuses a code whose signature was changed', () => {
+        const parts = code.split('.');
+        const signature = Buffer.from(parts[3], 'base64url');
+        signature[0] ^= 0xff;
+        parts[3] = signature.toString('base64url');
+
+        expect(verifyTicket(parts.join('.'), ISSUED)).toMatchObject({ valid: false, reason: 'bad_signature' });
+    });
+
+    test('refuses a code signed with a key it doesn\'t know', () => {
+        const parts = code.split('.');
+        parts[1] = 'someone-else';
+
+        expect(verifyTicket(parts.join('.'), ISSUED)).toMatchObject({ valid: false, reason: 'unknown_key' });
+    });
+
+    test.each([undefined, '', 'not a ticket', 'IRT2.a.b.c', 'IRT1.a.b'])('refuses %p as malformed', (scanned) => {
+        expect(verifyTicket(scanned, ISSUED)).toMatchObject({ valid: false, reason: 'malformed' });
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * 🍪 Session Helpers
+ *
+ * Every refresh token belongs to a Session row (see models/Session.js), so
+ * these helpers make sure login, registration, refresh and password changes
+ * all record the same device information and set the cookie the same way.
+ */
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const logger = require('./logger');
+const { ROLE_PERMISSIONS } = require('../config/permissions');
+const { lookupIp } = require('./geoip');
+const { assessLoginRisk, notifySuspiciousLogin } = require('./loginRisk');
+
+const DEVICE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+const CHALLENGE_COOKIE = 'loginChallenge';
+const CHALLENGE_COOKIE_PATH = '/api/auth/login';
+const CHALLENGE_COOKIE_MAX_AGE = 5 * 60 * 1000; // same as CHALLENGE_EXPIRE in utils/twoFactor.js
+
+// Who/where is this request coming from? (stored on the user AND the session)
+const getLoginInfo = (req) => {
+    const loginInfo = {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    };
+
+    // Approximate, from the bundled offline dataset (left out for private/unknown IPs)
+    const location = lookupIp(req.ip);
+    if (location) loginInfo.location = location;
+
+    return loginInfo;
+};
+
+// Long-lived random id that lets us recognise a browser/app we've seen before
+// (cookie for browsers, X-Device-Id header for mobile apps)
+const getDeviceId = (req) => {
+    const deviceId = (req.cookies && req.cookies.deviceId) || req.get('X-Device-Id');
+    return deviceId && /^[\w-]{16,64}$/.test(deviceId) ? deviceId : null;
+};
+
+const setDeviceCookie = (res, deviceId) => {
+    res.cookie('deviceId', deviceId, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: DEVICE_COOKIE_MAX_AGE
+    });
+};
+
+// Set refresh token as HTTP-only cookie (more secure), living exactly as long as the session
+const setRefreshCookie = (res, refreshToken, session) => {
+    res.cookie('refreshToken', refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: session.expiresAt.getTime() - Date.now()
+    });
+};
+
+// Read the refresh token from the cookie (browsers) or the body (mobile apps)
+const getRefreshToken = (req) => (req.cookies && req.cookies.refreshToken) || (req.body && req.body.refreshToken);
+
+// A 2FA challenge from a redirect flow (social login) can't go in the JSON
+// body and must not go in the URL - it travels as an HTTP-only cookie that
+// only the /api/auth/login/* steps ever see
+const setChallengeCookie = (res, challengeToken) => {
+    res.cookie(CHALLENGE_COOKIE, challengeToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        path: CHALLENGE_COOKIE_PATH,
+        maxAge: CHALLENGE_COOKIE_MAX_AGE
+    });
+};
+
+const clearChallengeCookie = (res) => res.clearCookie(CHALLENGE_COOKIE, { path: CHALLENGE_COOKIE_PATH });
+
+// Read the challenge token from the body (password login) or the cookie (social login)
+const getChallengeToken = (req) => (req.body && req.body.challengeToken) || (req.cookies && req.cookies[CHALLENGE_COOKIE]);
+
+/**
+ * Everything that happens once we're sure who the user is
+ *
+ * Resets failed attempts, scores the login against the user's history,
+ * records it, alerts on anything unusual (new device, new region,
+ * impossible travel), issues the tokens and sets the cookies. Callers only
+ * decide how to respond (JSON for the API, a redirect for social login).
+ *
+ * @param {Object} options - { rememberMe, method, risk }
+ *   risk: pass it in if the caller already scored this login
+ * @returns {Promise<{ authToken: string, session: Object, risk: Object }>}
+ */
+const startLoginSession = async (req, res, user, { rememberMe = false, method = 'password', risk } = {}) => {
+    const loginInfo = getLoginInfo(req);
+    const deviceId = getDeviceId(req) || crypto.randomUUID();
+
+    const loginRisk = risk || await assessLoginRisk(user, { loginInfo, deviceId });
+
+    await user.resetLoginAttempts(loginInfo);
+    await LoginEvent.record(user, { loginInfo, deviceId, method, risk: loginRisk });
+    await notifySuspiciousLogin(user, loginInfo, loginRisk, Session.describeDevice(loginInfo.userAgent));
+
+    // Generate tokens (the refresh token gets its own server-side session)
+    const authToken = user.generateAuthToken();
+    const { token: refreshToken, session } = await Session.issue(user, { loginInfo, rememberMe });
+
+    logger.audit('User logged in successfully', {
+        userId: user._id,
+        email: user.email,
+        method: method,
+        riskScore: loginRisk.score,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+    // 30 days with "remember me", JWT_REFRESH_EXPIRE (7 days) otherwise
+    setRefreshCookie(res, refreshToken, session);
+    setDeviceCookie(res, deviceId);
+
+    return { authToken, session, risk: loginRisk };
+};
+
+/**
+ * The JSON body every successful login responds with
+ */
+const buildLoginResponse = (user, { authToken, session }) => ({
+    success: true,
+    message: `Welcome back, ${user.name}! 🎉`,
+    data: {
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            phone: user.phone,
+            role: user.role,
+            permissions: ROLE_PERMISSIONS[user.role] || [],
+            isEmailVerified: user.isEmailVerified,
+            isPhoneVerified: user.isPhoneVerified,
+            status: user.status,
+            preferences: user.preferences,
+            lastLogin: user.lastLogin
+        },
+        tokens: {
+            accessToken: authToken,
+            expiresIn: process.env.JWT_EXPIRE || '1h'
+        },
+        sessionId: session._id,
+        // Self-deactivated accounts can log in, but the token only works for
+        // reactivating (POST /api/users/me/reactivate), /me, data export and logout
+        reactivationRequired: user.status === 'deactivated' ? true : undefined,
+        deletionScheduledFor: user.deletion ? user.deletion.scheduledFor : undefined
+    }
+});
+
+module.exports = {
+    getLoginInfo,
+    setRefreshCookie,
+    getRefreshToken,
+    setChallengeCookie,
+    clearChallengeCookie,
+    getChallengeToken,
+    getDeviceId,
+    setDeviceCookie,
+    startLoginSession,
+    buildLoginResponse
+};
@@ -0,0 +1,334 @@
+/**
+ * 🎟️ Booking Engine - From "Book 3 in SL" to Berths With Names on Them
+ *
+ * createBooking() checks the journey (train, stations, running day, class,
+ * booking window), then allocates berths and saves the booking in ONE
+ * MongoDB transaction. If two people grab the last berths at the same
+ * moment, one transaction hits a write conflict and is retried against
+ * the fresh inventory - it either finds other berths or is told the class
+ * is full. Nobody ever ends up sharing a berth (except RAC passengers,
+ * who are meant to).
+ *
+ * Fares come from utils/fares.js - the same quoteFare() call that answers
+ * GET /api/tickets/fare-quote, so what's quoted is what's charged.
+ *
+ * When the confirmed berths run out, passengers get RAC, then a waitlist
+ * number (see models/SeatInventory.js). cancelPassengers() gives berths
+ * back and queues jobs/waitlistPromotionJob.js to move that queue up.
+ *
+ * Transactions need MongoDB running as a replica set (a single-node
+ * replica set is fine for development: `mongod --replSet rs0`, then
+ * `rs.initiate()` once).
+ */
+
+const Train = require('../models/Train');
+const Route = require('../models/Route');
+const TrainRun = require('../models/TrainRun');
+const Booking = require('../models/Booking');
+const SeatInventory = require('../models/SeatInventory');
+const { addDays, todayInIndia, istDateTime, runsOn } = require('./timetable');
+const { runTransaction } = require('./transaction');
+const { quoteFare, checkTatkalOpen } = require('./fares');
+const { queueWaitlistPromotion } = require('../jobs/waitlistPromotionJob');
+
+// How many days ahead tickets go on sale
+const ADVANCE_DAYS = parseInt(process.env.BOOKING_ADVANCE_DAYS) || 60;
+
+// Senior citizens get a lower berth when they didn't ask for anything else
+const SENIOR_AGE = 60;
+
+// Errors the routes turn into 400/404/409 answers
+const bookingError = (message, reason) => {
+    const error = new Error(message);
+    error.reason = reason;
+    return error;
+};
+
+/**
+ * Everything about the journey that doesn't depend on seats: which run of
+ * the train it is, where it boards and alights, and the scheduled times
+ *
+ * @param {Object} journey - { trainId (id or number), from, to, date, travelClass }
+ */
+const resolveJourney = async ({ trainId, from, to, date, travelClass }) => {
+    const train = await Train.findOne(/^\d{5}$/.test(trainId) ? { trainNumber: trainId } : { _id: trainId });
+    if (!train || !train.isActive) throw bookingError('Train not found', 'not_found');
+
+    const coachClass = Train.BOOKING_CLASSES[travelClass];
+    if (!coachClass || !train.classes.includes(coachClass)) {
+        throw bookingError(`Train ${train.trainNumber} has no ${travelClass} coaches`, 'invalid');
+    }
+
+    const route = await Route.findOne({ train: train._id });
+    const segment = route && route.segment(from, to);
+    if (!segment) throw bookingError(`Train ${train.trainNumber} doesn't run from ${from} to ${to}`, 'invalid');
+
+    // `date` is the boarding date - the run is the one that left the origin that many days earlier
+    const departure = Route.stopTimes(segment.from).departure;
+    const arrival = Route.stopTimes(segment.to).arrival;
+    const runDate = addDays(date, -Math.floor(departure / 1440));
+
+    if (!runsOn(train.runningDays, runDate)) {
+        throw bookingError(`Train ${train.trainNumber} doesn't leave ${from} on ${date}`, 'invalid');
+    }
+
+    return {
+        train,
+        coachClass,
+        runDate,
+        journeyDate: date,
+        from: segment.from,
+        to: segment.to,
+        distanceKm: segment.to.distanceKm - segment.from.distanceKm,
+        departureAt: istDateTime(runDate, departure),
+        arrivalAt: istDateTime(runDate, arrival)
+    };
+};
+
+/**
+ * Free berths for a journey (no inventory yet = the whole class is free),
+ * and what the next passenger would get: CNF, RAC n, WL n or REGRET
+ * (waitlist full)
+ *
+ * @returns {Promise<{ runDate, available, total, next: { status, position? } }>}
+ */
+const getAvailability = async (request) => {
+    const journey = await resolveJourney(request);
+    const total = journey.train.seatsByClass()[journey.coachClass] || 0;
+
+    const inventory = await SeatInventory.findOne({
+        train: journey.train._id,
+        runDate: journey.runDate,
+        travelClass: request.travelClass
+    });
+
+    const from = journey.from.sequence;
+    const to = journey.to.sequence;
+    const available = inventory ? inventory.freeSeats(from, to).length : total;
+
+    let next = { status: 'REGRET' };
+    if (available > 0) next = { status: 'CNF' };
+    else if (inventory && inventory.racRoom(from, to) > 0) next = { status: 'RAC', position: inventory.queueLength('RAC') + 1 };
+    else if (inventory && inventory.queueLength('WL') < SeatInventory.WAITLIST_LIMIT) next = { status: 'WL', position: inventory.queueLength('WL') + 1 };
+
+    return {
+        runDate: journey.runDate,
+        available,
+        total,
+        next
+    };
+};
+
+/**
+ * What a journey costs (see utils/fares.js)
+ *
+ * @param {Object} request - { trainId, from, to, date, travelClass, quota, passengers }
+ */
+const getFareQuote = async ({ quota, passengers, ...request }) => {
+    const journey = await resolveJourney(request);
+
+    return quoteFare({
+        train: journey.train,
+        travelClass: request.travelClass,
+        distanceKm: journey.distanceKm,
+        journeyDate: journey.journeyDate,
+        quota,
+        passengers
+    });
+};
+
+// Explicit choice first, then lower for seniors, then the account's preference
+const withBerthPreferences = (passengers, user) => {
+    const accountPreference = user.preferences && user.preferences.travel && user.preferences.travel.berthPreference;
+
+    return passengers.map(passenger => ({
+        ...passenger,
+        berthPreference: passenger.berthPreference || (passenger.age >= SENIOR_AGE ? 'lower' : accountPreference)
+    }));
+};
+
+/**
+ * Book berths for up to six passengers - confirmed while they last, then
+ * RAC, then waitlisted
+ *
+ * @param {Object} request
+ * @param {Object} request.user - User document (for preferences and contact details)
+ * @param {string} request.trainId - Mongo id or 5-digit train number
+ * @param {string} request.from - boarding station code
+ * @param {string} request.to - destination station code
+ * @param {string} request.date - boarding date YYYY-MM-DD (IST)
+ * @param {string} request.travelClass - SL, AC3, AC2, AC1, CC or EC
+ * @param {Array<{ name, age, gender, berthPreference?, concession?, concessionId?, dateOfBirth? }>} request.passengers
+ * @param {string} [request.contactEmail]
+ * @param {string} [request.contactPhone]
+ * @param {boolean} [request.confirmedOnly] - book only if everyone gets a confirmed berth
+ * @param {string} [request.quota] - GN (default) or TQ
+ * @param {number} [request.expectedFare] - the quoted total; the booking is refused if the fare differs
+ * @returns {Promise<Object>} the saved Booking
+ */
+const createBooking = async ({ user, trainId, from, to, date, travelClass, passengers, contactEmail, contactPhone, confirmedOnly = false, quota = 'GN', expectedFare }) => {
+    if (passengers.length < 1 || passengers.length > Booking.MAX_PASSENGERS) {
+        throw bookingError(`A booking has 1 to ${Booking.MAX_PASSENGERS} passengers`, 'invalid');
+    }
+
+    const journey = await resolveJourney({ trainId, from, to, date, travelClass });
+    const { train, runDate } = journey;
+
+    if (journey.departureAt <= new Date()) {
+        throw bookingError(`Train ${train.trainNumber} has already left ${from}`, 'closed');
+    }
+    if (date > addDays(todayInIndia(), ADVANCE_DAYS)) {
+        throw bookingError(`Bookings open ${ADVANCE_DAYS} days before the journey`, 'invalid');
+    }
+
+    if (quota === 'TQ') checkTatkalOpen({ travelClass, journeyDate: date });
+
+    const fare = quoteFare({ train, travelClass, distanceKm: journey.distanceKm, journeyDate: date, quota, passengers });
+    if (expectedFare !== undefined && expectedFare !== fare.total) {
+        throw bookingError(`The fare is now ₹${fare.total} (you were quoted ₹${expectedFare})`, 'fare_changed');
+    }
+
+    const run = await TrainRun.findOne({ train: train._id, runDate }).select('status');
+    if (run && run.status === 'cancelled') throw bookingError('This run has been cancelled', 'cancelled');
+
+    const inventoryId = await SeatInventory.forRun(train, runDate, travelClass, journey.coachClass);
+    const people = withBerthPreferences(passengers, user).map((passenger, i) => ({ ...passenger, fare: fare.passengers[i] }));
+
+    const bookOnce = async (session) => {
+        const inventory = await SeatInventory.findById(inventoryId).session(session);
+
+        const booking = new Booking({
+            pnr: Booking.generatePnr(),
+            user: user._id,
+            train: train._id,
+            trainNumber: train.trainNumber,
+            trainName: train.name,
+            runDate,
+            journeyDate: journey.journeyDate,
+            from: journey.from.stationCode,
+            to: journey.to.stationCode,
+            fromSequence: journey.from.sequence,
+            toSequence: journey.to.sequence,
+            departureAt: journey.departureAt,
+            arrivalAt: journey.arrivalAt,
+            travelClass,
+            quota,
+            fare: {
+                version: fare.version,
+                currency: fare.currency,
+                distanceKm: fare.distanceKm,
+                chargeableKm: fare.chargeableKm,
+                total: fare.total
+            },
+            passengers: people,
+            contactEmail: contactEmail || user.email,
+            contactPhone: contactPhone || user.phone
+        });
+
+        const seats = inventory.allocate(journey.from.sequence, journey.to.sequence, booking.passengers, booking._id, { confirmedOnly });
+        if (!seats) {
+            throw bookingError(confirmedOnly
+                ? `Not enough confirmed ${travelClass} berths left for ${people.length} passenger(s)`
+                : `${travelClass} is full, including the waitlist`, 'sold_out');
+        }
+
+        seats.forEach((seat, i) => {
+            const passenger = booking.passengers[i];
+            passenger.status = seat.status;
+            passenger.position = seat.position;
+            passenger.coach = seat.coach;
+            passenger.seatNumber = seat.number;
+            passenger.berth = seat.berth;
+            passenger.bookingStatus = seat.status === 'CNF' ? 'CNF' : `${seat.status} ${seat.position}`;
+        });
+        booking.addHistory(booking.refreshStatus(), `${people.length} passenger(s) booked: ${booking.passengers.map(passenger => passenger.bookingStatus).join(', ')}`);
+
+        await inventory.save({ session });
+        await booking.save({ session });
+
+        return booking;
+    };
+
+    // A PNR clash is worth another go too (stale inventory reads always are)
+    return runTransaction(bookOnce, {
+        retryOn: (error) => error.code === 11000 && error.keyPattern && error.keyPattern.pnr
+    });
+};
+
+/**
+ * Cancel some (or all) passengers on a booking
+ *
+ * Their berths and queue places go back to the inventory in the same
+ * transaction, then a promotion job moves the RAC/waitlist queue up.
+ *
+ * @param {Object} request
+ * @param {string} request.bookingId
+ * @param {string[]} [request.passengerIds] - defaults to everyone still travelling
+ * @param {string} [request.note] - for statusHistory
+ * @param {Object} [options]
+ * @param {Object} [options.io] - for the promotion's notifications
+ * @param {Function} [options.onCancel] - async ({ booking, cancelled }, session) => result,
+ *   runs inside the transaction (e.g. to write the refund ledger)
+ * @returns {Promise<{ booking, cancelled, recorded }>} the saved Booking, who was cancelled
+ *   now with the status they had ({ _id, name, status }), and what onCancel returned
+ */
+const cancelPassengers = async ({ bookingId, passengerIds, note }, { io, onCancel } = {}) => {
+    const result = await runTransaction(async (session) => {
+        const booking = await Booking.findById(bookingId).session(session);
+        if (!booking) throw bookingError('Booking not found', 'not_found');
+
+        const wanted = passengerIds ? new Set(passengerIds.map(String)) : null;
+        if (wanted) {
+            const onBooking = booking.passengers.filter(passenger => wanted.has(String(passenger._id)));
+            if (onBooking.length !== wanted.size) throw bookingError('Some of those passengers are not on this booking', 'invalid');
+            if (onBooking.some(passenger => passenger.status === 'CAN')) {
+                throw bookingError('Some of those passengers are already cancelled', 'already_cancelled');
+            }
+        }
+
+        const cancelled = booking.passengers.filter(passenger => passenger.status !== 'CAN' &&
+            (!wanted || wanted.has(String(passenger._id))));
+        if (cancelled.length === 0) throw bookingError('Nothing left to cancel on this booking', 'already_cancelled');
+
+        const inventory = await SeatInventory.findOne({
+            train: booking.train,
+            runDate: booking.runDate,
+            travelClass: booking.travelClass
+        }).session(session);
+
+        if (inventory) {
+            inventory.releasePassengers(cancelled.map(passenger => passenger._id));
+            await inventory.save({ session });
+        }
+
+        const before = cancelled.map(passenger => ({ _id: passenger._id, name: passenger.name, status: passenger.status }));
+        const now = new Date();
+        cancelled.forEach((passenger) => {
+            passenger.status = 'CAN';
+            passenger.position = undefined;
+            passenger.coach = undefined;
+            passenger.seatNumber = undefined;
+            passenger.berth = undefined;
+            passenger.cancelledAt = now;
+        });
+
+        booking.addHistory(booking.refreshStatus(), note || `${cancelled.map(passenger => passenger.name).join(', ')} cancelled`);
+        await booking.save({ session });
+
+        const recorded = onCancel ? await onCancel({ booking, cancelled: before }, session) : undefined;
+
+        return { booking, cancelled: before, recorded, inventoryId: inventory && inventory._id };
+    });
+
+    if (result.inventoryId) await queueWaitlistPromotion(result.inventoryId, { io });
+
+    return { booking: result.booking, cancelled: result.cancelled, recorded: result.recorded };
+};
+
+module.exports = {
+    createBooking,
+    cancelPassengers,
+    getAvailability,
+    getFareQuote,
+    ADVANCE_DAYS
+};
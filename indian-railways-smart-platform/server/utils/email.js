@@ -0,0 +1,316 @@
+/**
+ * 📧 Email Service - Getting Messages Into Passengers' Inboxes
+ *
+ * Every verification link, password reset and security alert goes through
+ * this file. I've kept the actual delivery behind a small "transport" so we
+ * can swap how mail is sent without touching any route code:
+ * - smtp:    real delivery through nodemailer (Gmail, SES, Mailgun, ...)
+ * - file:    writes each message as JSON into an outbox folder (great for local testing)
+ * - console: logs the message instead of sending it (the default outside production)
+ *
+ * Lesson learned: never let a flaky mail server break registration.
+ * Callers should treat email as "best effort" and log failures instead of
+ * failing the whole request.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+// The transport currently in use (created lazily on first send)
+let activeTransport = null;
+
+/**
+ * Transport factories
+ *
+ * Each factory returns an object with a single async `send(message)` method.
+ * That tiny interface is all the rest of the app relies on, so adding a new
+ * provider (SendGrid API, AWS SES SDK, ...) is just one more entry here.
+ */
+const transportFactories = {
+    smtp: () => {
+        const mailer = nodemailer.createTransport({
+            service: process.env.EMAIL_SERVICE,
+            host: process.env.EMAIL_HOST,
+            port: process.env.EMAIL_PORT ? parseInt(process.env.EMAIL_PORT) : undefined,
+            auth: {
+                user: process.env.EMAIL_USERNAME,
+                pass: process.env.EMAIL_PASSWORD
+            }
+        });
+
+        return {
+            name: 'smtp',
+            send: (message) => mailer.sendMail(message)
+        };
+    },
+
+    file: () => {
+        const outboxDir = path.resolve(process.env.EMAIL_OUTBOX_DIR || 'logs/outbox');
+        const mailer = nodemailer.createTransport({ jsonTransport: true });
+
+        return {
+            name: 'file',
+            send: async (message) => {
+                const info = await mailer.sendMail(message);
+
+                await fs.promises.mkdir(outboxDir, { recursive: true });
+                const fileName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.json`;
+                await fs.promises.writeFile(path.join(outboxDir, fileName), info.message);
+
+                return info;
+            }
+        };
+    },
+
+    console: () => {
+        const mailer = nodemailer.createTransport({ jsonTransport: true });
+
+        return {
+            name: 'console',
+            send: async (message) => {
+                const info = await mailer.sendMail(message);
+
+                logger.info('📭 Email not sent (console transport)', {
+                    to: message.to,
+                    subject: message.subject,
+                    text: message.text
+                });
+
+                return info;
+            }
+        };
+    }
+};
+
+/**
+ * Get the transport configured by EMAIL_TRANSPORT
+ *
+ * Defaults to "smtp" in production and "console" everywhere else, so a
+ * fresh development checkout never tries to talk to a real mail server.
+ */
+const getTransport = () => {
+    if (activeTransport) return activeTransport;
+
+    const defaultName = process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+    const name = (process.env.EMAIL_TRANSPORT || defaultName).toLowerCase();
+    const factory = transportFactories[name];
+
+    if (!factory) {
+        throw new Error(`Unknown EMAIL_TRANSPORT "${name}" - use smtp, file or console`);
+    }
+
+    activeTransport = factory();
+    logger.info(`📧 Email transport ready: ${activeTransport.name}`);
+
+    return activeTransport;
+};
+
+/**
+ * Plug in a custom transport (handy for tests or a different provider)
+ *
+ * Pass null to go back to the one configured in the environment.
+ */
+const setTransport = (transport) => {
+    activeTransport = transport;
+};
+
+/**
+ * Send a single email
+ *
+ * @param {Object} options - { to, subject, text, html }
+ */
+const sendEmail = async ({ to, subject, text, html }) => {
+    const message = {
+        from: process.env.EMAIL_FROM || 'noreply@indianrailways.com',
+        to,
+        subject,
+        text,
+        html
+    };
+
+    const info = await getTransport().send(message);
+
+    logger.info('📧 Email dispatched', {
+        to,
+        subject,
+        messageId: info && info.messageId
+    });
+
+    return info;
+};
+
+// Where links inside emails should point (the API serves the verification endpoint itself)
+const apiBaseUrl = () => (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+/**
+ * Welcome email with the email verification link
+ *
+ * Called right after registration. The token is the UNHASHED one returned
+ * by user.generateEmailVerificationToken() - only its hash is stored.
+ */
+const sendWelcomeEmail = (email, name, verificationToken) => {
+    const link = `${apiBaseUrl()}/api/auth/verify-email/${verificationToken}`;
+
+    return sendEmail({
+        to: email,
+        subject: 'Welcome aboard! Please verify your email 🚄',
+        text: [
+            `Namaste ${name}!`,
+            '',
+            'Thanks for joining the Indian Railways Smart Platform.',
+            'Please confirm your email address by opening the link below:',
+            '',
+            link,
+            '',
+            'This link is valid for 24 hours.',
+            'If you did not create this account, you can safely ignore this email.'
+        ].join('\n'),
+        html: `
+            <p>Namaste ${name}!</p>
+            <p>Thanks for joining the Indian Railways Smart Platform.</p>
+            <p><a href="${link}">Verify my email address</a></p>
+            <p>This link is valid for 24 hours. If you did not create this account, you can safely ignore this email.</p>
+        `
+    });
+};
+
+/**
+ * Re-sent verification email (same link format, shorter copy)
+ */
+const sendVerificationEmail = (email, name, verificationToken) => {
+    const link = `${apiBaseUrl()}/api/auth/verify-email/${verificationToken}`;
+
+    return sendEmail({
+        to: email,
+        subject: 'Verify your email address',
+        text: `Hi ${name},\n\nHere is your new verification link (valid for 24 hours):\n\n${link}\n`,
+        html: `<p>Hi ${name},</p><p><a href="${link}">Verify my email address</a> (valid for 24 hours)</p>`
+    });
+};
+
+/**
+ * Password reset email
+ */
+const sendPasswordResetEmail = (email, name, resetToken) => {
+    const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+    const link = `${clientUrl}/reset-password/${resetToken}`;
+
+    return sendEmail({
+        to: email,
+        subject: 'Reset your password',
+        text: [
+            `Hi ${name},`,
+            '',
+            'We received a request to reset your password. Open the link below to choose a new one:',
+            '',
+            link,
+            '',
+            'This link expires in 10 minutes. If you did not ask for this, please ignore this email.'
+        ].join('\n'),
+        html: `
+            <p>Hi ${name},</p>
+            <p>We received a request to reset your password.</p>
+            <p><a href="${link}">Choose a new password</a> (expires in 10 minutes)</p>
+            <p>If you did not ask for this, please ignore this email.</p>
+        `
+    });
+};
+
+/**
+ * "New sign-in to your account" security alert
+ *
+ * @param {Object} details - { device, ipAddress, location, reasons, at }
+ */
+const sendNewLoginAlertEmail = (email, name, { device, ipAddress, location, reasons = [], at = new Date() }) => {
+    const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+    const place = location ? [location.city, location.region, location.country].filter(Boolean).join(', ') : 'Unknown location';
+    const when = at.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+    return sendEmail({
+        to: email,
+        subject: 'New sign-in to your account 🔐',
+        text: [
+            `Hi ${name},`,
+            '',
+            'Your account was just signed in to from:',
+            '',
+            `Device:   ${device || 'Unknown device'}`,
+            `Location: ${place} (approximate)`,
+            `IP:       ${ipAddress || 'Unknown'}`,
+            `Time:     ${when} IST`,
+            '',
+            `We noticed this because it came from ${reasons.join(' and ')}.`,
+            '',
+            'If this was you, there is nothing to do.',
+            `If it wasn't, change your password right away and sign out other devices: ${clientUrl}/settings/security`
+        ].join('\n'),
+        html: `
+            <p>Hi ${name},</p>
+            <p>Your account was just signed in to from:</p>
+            <ul>
+                <li><strong>Device:</strong> ${device || 'Unknown device'}</li>
+                <li><strong>Location:</strong> ${place} (approximate)</li>
+                <li><strong>IP:</strong> ${ipAddress || 'Unknown'}</li>
+                <li><strong>Time:</strong> ${when} IST</li>
+            </ul>
+            <p>We noticed this because it came from ${reasons.join(' and ')}.</p>
+            <p>If this was you, there is nothing to do. If it wasn't,
+            <a href="${clientUrl}/settings/security">change your password and sign out other devices</a> right away.</p>
+        `
+    });
+};
+
+/**
+ * One-time code for confirming an unusual login (step-up challenge)
+ */
+const sendLoginCodeEmail = (email, name, code) => sendEmail({
+    to: email,
+    subject: `${code} is your login confirmation code`,
+    text: [
+        `Hi ${name},`,
+        '',
+        'Someone (hopefully you!) is logging in to your account from a new device or location.',
+        `Enter this code to finish logging in: ${code}`,
+        '',
+        'The code expires in 10 minutes. If this wasn\'t you, change your password right away.'
+    ].join('\n'),
+    html: `
+        <p>Hi ${name},</p>
+        <p>Someone (hopefully you!) is logging in to your account from a new device or location.</p>
+        <p>Enter this code to finish logging in: <strong style="font-size: 1.4em; letter-spacing: 0.2em;">${code}</strong></p>
+        <p>The code expires in 10 minutes. If this wasn't you, change your password right away.</p>
+    `
+});
+
+const sendAccountConfirmationEmail = (email, name, code) => sendEmail({
+    to: email,
+    subject: `${code} is your account confirmation code`,
+    text: [
+        `Hi ${name},`,
+        '',
+        'Someone (hopefully you!) asked to deactivate or delete your account.',
+        `Enter this code to confirm: ${code}`,
+        '',
+        'The code expires in 10 minutes. If this wasn\'t you, log out of all devices from your account settings right away.'
+    ].join('\n'),
+    html: `
+        <p>Hi ${name},</p>
+        <p>Someone (hopefully you!) asked to deactivate or delete your account.</p>
+        <p>Enter this code to confirm: <strong style="font-size: 1.4em; letter-spacing: 0.2em;">${code}</strong></p>
+        <p>The code expires in 10 minutes. If this wasn't you, log out of all devices from your account settings right away.</p>
+    `
+});
+
+module.exports = {
+    sendEmail,
+    sendWelcomeEmail,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendNewLoginAlertEmail,
+    sendLoginCodeEmail,
+    sendAccountConfirmationEmail,
+    getTransport,
+    setTransport
+};
@@ -0,0 +1,192 @@
+/**
+ * 💰 Fare Engine - What a Ticket Costs, to the Rupee
+ *
+ * quoteFare() turns a journey (class, distance, train type, quota) and its
+ * passengers into a fare per passenger and a total, using the fare table
+ * in force on the booking day (config/fareTables.js). The quote endpoint
+ * and the booking engine both call it with the same inputs, so the fare a
+ * passenger is quoted is exactly the fare they're charged - and a booking
+ * made with an outdated quote is refused rather than silently repriced.
+ *
+ * Per passenger:
+ *   base fare (telescopic distance slabs, rounded up to ₹5)
+ *   − concession (senior / divyang / student, base fare only)
+ *   + reservation charge + superfast charge + Tatkal premium
+ *   + GST (AC classes)
+ *
+ * Quotas: GN (general) and TQ (Tatkal - opens the day before the journey,
+ * costs a premium and allows no concessions).
+ */
+
+const { FARE_TABLES } = require('../config/fareTables');
+const { addDays, todayInIndia, istDateTime, parseTime } = require('./timetable');
+
+const QUOTAS = ['GN', 'TQ'];
+
+// Every concession any fare table knows (the table in force decides if it applies)
+const CONCESSION_TYPES = [...new Set(FARE_TABLES.flatMap(table => Object.keys(table.concessions)))];
+
+// Same shape as the booking engine's errors, so routes can map `reason`
+const fareError = (message, reason) => {
+    const error = new Error(message);
+    error.reason = reason;
+    return error;
+};
+
+// The table in force on a day (YYYY-MM-DD, IST)
+const fareTableFor = (date = todayInIndia()) => {
+    const table = [...FARE_TABLES].reverse().find(candidate => candidate.effectiveFrom <= date);
+    if (!table) throw new Error(`No fare table in force on ${date}`);
+    return table;
+};
+
+// A table by version - refunds use the one the booking was priced with
+const fareTableByVersion = (version) => FARE_TABLES.find(table => table.version === version) || null;
+
+// Whole years between a YYYY-MM-DD birthday and a YYYY-MM-DD date
+const ageOn = (dateOfBirth, date) => {
+    const [birthYear, birthMonthDay] = [Number(dateOfBirth.slice(0, 4)), dateOfBirth.slice(5)];
+    const [year, monthDay] = [Number(date.slice(0, 4)), date.slice(5)];
+    return year - birthYear - (monthDay < birthMonthDay ? 1 : 0);
+};
+
+// Telescopic base fare: each slab's rate applies to the km inside it
+const baseFare = (fares, distanceKm, roundTo) => {
+    const chargeableKm = Math.max(distanceKm, fares.minKm);
+    let fare = 0;
+    let slabStart = 0;
+
+    for (const slab of fares.slabs) {
+        const slabEnd = slab.uptoKm === null ? Infinity : slab.uptoKm;
+        const km = Math.min(chargeableKm, slabEnd) - slabStart;
+        if (km <= 0) break;
+
+        fare += km * slab.ratePerKm;
+        slabStart = slabEnd;
+    }
+
+    return { chargeableKm, amount: Math.ceil(fare / roundTo) * roundTo };
+};
+
+/**
+ * Which concession a passenger gets, checking they're entitled to it
+ *
+ * @returns {{ type, label, percent } | null}
+ */
+const concessionFor = (table, travelClass, passenger, journeyDate, quota) => {
+    const type = passenger.concession;
+    if (!type) return null;
+
+    const rule = table.concessions[type];
+    if (!rule) throw fareError(`The ${type} concession is not available`, 'invalid');
+    if (quota === 'TQ') throw fareError('Concessions are not available on Tatkal tickets', 'invalid');
+
+    if (type === 'senior') {
+        if (!passenger.dateOfBirth) {
+            throw fareError('The senior citizen concession needs the passenger\'s date of birth', 'invalid');
+        }
+
+        const gender = passenger.gender || 'other';
+        const age = ageOn(passenger.dateOfBirth, journeyDate);
+        if (age < rule.minAge[gender]) {
+            throw fareError(`Senior citizen concession starts at ${rule.minAge[gender]} for this passenger`, 'invalid');
+        }
+        if (passenger.age !== undefined && Math.abs(passenger.age - age) > 1) {
+            throw fareError('The passenger\'s age doesn\'t match their date of birth', 'invalid');
+        }
+
+        return { type, label: rule.label, percent: rule.percent[gender] };
+    }
+
+    if (!passenger.concessionId) {
+        throw fareError(`The ${rule.label.toLowerCase()} concession needs a certificate or ID number`, 'invalid');
+    }
+    if (rule.maxAge && passenger.age > rule.maxAge) {
+        throw fareError(`The ${rule.label.toLowerCase()} concession is for passengers up to ${rule.maxAge}`, 'invalid');
+    }
+    if (!rule.percent[travelClass]) {
+        throw fareError(`The ${rule.label.toLowerCase()} concession is not available in ${travelClass}`, 'invalid');
+    }
+
+    return { type, label: rule.label, percent: rule.percent[travelClass] };
+};
+
+/**
+ * Price a journey for a group of passengers
+ *
+ * @param {Object} request
+ * @param {Object} request.train - Train document (its `type` decides the superfast charge)
+ * @param {string} request.travelClass - SL, AC3, AC2, AC1, CC or EC
+ * @param {number} request.distanceKm - between boarding and destination
+ * @param {string} request.journeyDate - boarding date YYYY-MM-DD
+ * @param {string} [request.quota] - GN (default) or TQ
+ * @param {Array<{ age?, gender?, concession?, concessionId?, dateOfBirth? }>} request.passengers
+ * @param {string} [request.bookedOn] - decides the fare table (default: today in IST)
+ * @returns {{ version, currency, quota, distanceKm, chargeableKm, passengers: Array, total }}
+ */
+const quoteFare = ({ train, travelClass, distanceKm, journeyDate, quota = 'GN', passengers, bookedOn = todayInIndia() }) => {
+    const table = fareTableFor(bookedOn);
+    const fares = table.classes[travelClass];
+
+    if (!fares) throw fareError(`No fares for ${travelClass}`, 'invalid');
+    if (!QUOTAS.includes(quota)) throw fareError(`Quota must be one of ${QUOTAS.join(', ')}`, 'invalid');
+    if (quota === 'TQ' && !fares.tatkal) throw fareError(`There is no Tatkal quota in ${travelClass}`, 'invalid');
+
+    const base = baseFare(fares, distanceKm, table.roundTo);
+    const superfastCharge = table.superfastTypes.includes(train.type) ? fares.superfast : 0;
+    const tatkalCharge = quota === 'TQ'
+        ? Math.min(fares.tatkal.max, Math.max(fares.tatkal.min, Math.round(base.amount * fares.tatkal.percent / 100)))
+        : 0;
+
+    const quoted = passengers.map((passenger) => {
+        const concession = concessionFor(table, travelClass, passenger, journeyDate, quota);
+        const concessionDiscount = concession ? Math.round(base.amount * concession.percent / 100) : 0;
+        const beforeTax = base.amount - concessionDiscount + fares.reservation + superfastCharge + tatkalCharge;
+        const gst = Math.round(beforeTax * fares.gstPercent / 100);
+
+        return {
+            concession: concession ? concession.type : null,
+            baseFare: base.amount,
+            concessionDiscount,
+            reservationCharge: fares.reservation,
+            superfastCharge,
+            tatkalCharge,
+            gst,
+            total: beforeTax + gst
+        };
+    });
+
+    return {
+        version: table.version,
+        currency: 'INR',
+        quota,
+        distanceKm,
+        chargeableKm: base.chargeableKm,
+        passengers: quoted,
+        total: quoted.reduce((sum, passenger) => sum + passenger.total, 0)
+    };
+};
+
+/**
+ * Refuse Tatkal bookings before the window opens (the day before the
+ * journey: 10:00 IST for AC classes, 11:00 for sleeper)
+ */
+const checkTatkalOpen = ({ travelClass, journeyDate, now = new Date() }) => {
+    const { tatkalWindow } = fareTableFor(todayInIndia(now));
+    const openingDay = addDays(journeyDate, -tatkalWindow.daysBefore);
+    const openingTime = travelClass === 'SL' ? tatkalWindow.opensAt.nonAc : tatkalWindow.opensAt.ac;
+
+    if (now < istDateTime(openingDay, parseTime(openingTime))) {
+        throw fareError(`Tatkal booking for this journey opens on ${openingDay} at ${openingTime} IST`, 'closed');
+    }
+};
+
+module.exports = {
+    quoteFare,
+    concessionFor,
+    checkTatkalOpen,
+    fareTableFor,
+    fareTableByVersion,
+    QUOTAS,
+    CONCESSION_TYPES
+};
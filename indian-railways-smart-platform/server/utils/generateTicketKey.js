@@ -0,0 +1,53 @@
+/**
+ * 🔑 Ticket Signing Key Generator
+ *
+ * Prints a fresh ECDSA P-256 key pair as .env lines:
+ *
+ *   npm run keys:ticket                  (key id defaults to this month, e.g. 2024-03)
+ *   npm run keys:ticket -- --kid 2024-q2
+ *
+ * Rotating? Put the new TICKET_SIGNING_KEY / TICKET_SIGNING_KEY_ID in place
+ * and append the OLD key's "kid:public-key" to TICKET_RETIRED_KEYS, so
+ * tickets it already signed keep verifying until they expire.
+ */
+
+const crypto = require('crypto');
+
+const USAGE = 'Usage: node utils/generateTicketKey.js [--kid <key-id>]';
+
+const parseArgs = (argv) => {
+    const args = { kid: new Date().toISOString().slice(0, 7) };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--kid') args.kid = argv[++i];
+        else throw new Error(`Unknown option: ${argv[i]}`);
+    }
+
+    if (!/^[A-Za-z0-9_-]{1,32}$/.test(args.kid || '')) {
+        throw new Error('Key ids may only use letters, digits, "-" and "_" (max 32)');
+    }
+    return args;
+};
+
+const main = () => {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n${USAGE}`);
+        process.exit(1);
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const pem = privateKey.export({ format: 'pem', type: 'pkcs8' }).trim().replace(/\n/g, '\\n');
+    const spki = publicKey.export({ format: 'der', type: 'spki' }).toString('base64url');
+
+    console.log('# Ticket QR signing key - keep the private key secret!');
+    console.log(`TICKET_SIGNING_KEY_ID=${args.kid}`);
+    console.log(`TICKET_SIGNING_KEY="${pem}"`);
+    console.log('');
+    console.log('# When this key is retired, add this to TICKET_RETIRED_KEYS:');
+    console.log(`# ${args.kid}:${spki}`);
+};
+
+main();
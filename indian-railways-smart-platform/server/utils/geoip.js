@@ -0,0 +1,137 @@
+/**
+ * 🗺️ IP → Region Lookup (Offline)
+ *
+ * Login anomaly detection needs a rough idea of WHERE a login came from,
+ * but calling a third-party geolocation API on every login would leak our
+ * users' IP addresses and add a network hop to the most important request
+ * we serve. So we look IPs up in a bundled dataset instead.
+ *
+ * The dataset (data/ip-regions.json, or GEOIP_DATASET) is a list of IPv4
+ * CIDR ranges with city, region, country and coordinates. It's loaded once,
+ * sorted, and searched with a binary search - lookups are microseconds.
+ *
+ * City-level accuracy is all we need: "Mumbai" vs "Singapore" matters,
+ * "Andheri" vs "Bandra" doesn't.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDistance } = require('geolib');
+const logger = require('./logger');
+
+const DEFAULT_DATASET = path.join(__dirname, '..', 'data', 'ip-regions.json');
+
+let ranges = null;
+
+// '203.0.113.7' → 3405803783 (or null for anything that isn't plain IPv4)
+const ipv4ToInt = (ip) => {
+    const parts = String(ip || '').split('.');
+    if (parts.length !== 4) return null;
+
+    let value = 0;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+        value = value * 256 + Number(part);
+    }
+
+    return value;
+};
+
+// Express gives us '::ffff:1.2.3.4' for IPv4 clients on a dual-stack socket
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:/i, '');
+
+// Loopback, RFC 1918 and link-local addresses never have a location
+const isPrivateIp = (ip) => {
+    const value = ipv4ToInt(normalizeIp(ip));
+    if (value === null) return normalizeIp(ip) === '::1';
+
+    const [a, b] = normalizeIp(ip).split('.').map(Number);
+
+    return a === 10 ||
+        a === 127 ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) ||
+        (a === 169 && b === 254);
+};
+
+// Parse the dataset into sorted [start, end, location] entries
+const loadRanges = () => {
+    if (ranges) return ranges;
+
+    const file = process.env.GEOIP_DATASET || DEFAULT_DATASET;
+
+    try {
+        const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        ranges = dataset.ranges
+            .map(([cidr, city, region, country, latitude, longitude]) => {
+                const [base, bits] = cidr.split('/');
+                const start = ipv4ToInt(base);
+                const size = 2 ** (32 - Number(bits));
+
+                return {
+                    start,
+                    end: start + size - 1,
+                    location: {
+                        city,
+                        region,
+                        country,
+                        coordinates: { latitude, longitude }
+                    }
+                };
+            })
+            .filter(range => range.start !== null)
+            .sort((a, b) => a.start - b.start);
+
+        logger.info(`🗺️ Loaded ${ranges.length} IP ranges for geolocation`);
+    } catch (error) {
+        logger.error('Failed to load IP geolocation dataset', {
+            file,
+            error: error.message
+        });
+        ranges = [];
+    }
+
+    return ranges;
+};
+
+/**
+ * Look up the approximate location of an IP address
+ *
+ * @param {string} ip
+ * @returns {Object|null} { city, region, country, coordinates } or null if unknown
+ */
+const lookupIp = (ip) => {
+    const value = ipv4ToInt(normalizeIp(ip));
+    if (value === null || isPrivateIp(ip)) return null;
+
+    const table = loadRanges();
+    let low = 0;
+    let high = table.length - 1;
+
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        const range = table[middle];
+
+        if (value < range.start) {
+            high = middle - 1;
+        } else if (value > range.end) {
+            low = middle + 1;
+        } else {
+            return range.location;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Distance between two { latitude, longitude } points in kilometres
+ */
+const distanceKm = (from, to) => getDistance(from, to) / 1000;
+
+module.exports = {
+    lookupIp,
+    isPrivateIp,
+    distanceKm
+};
@@ -0,0 +1,100 @@
+/**
+ * 🚂 Timetable Import CLI
+ *
+ * Loads a GTFS feed or our simple CSV timetable into the database (the
+ * heavy lifting is in utils/timetableImporter.js):
+ *
+ *   npm run import:timetable -- --gtfs ./data/gtfs            (unzipped feed folder)
+ *   npm run import:timetable -- --csv ./data/timetable.csv
+ *   npm run import:timetable -- --csv ./data/timetable.csv --dry-run
+ *
+ * --dry-run validates everything and prints the report without writing.
+ * Exits with code 1 if the report contains errors, so it can gate a CI
+ * job or a deploy script.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const { connectDB } = require('../config/db');
+const { importTimetable, GTFS_REQUIRED_FILES } = require('./timetableImporter');
+
+const USAGE = 'Usage: node utils/importTimetable.js (--gtfs <folder> | --csv <file>) [--dry-run]';
+
+const parseArgs = (argv) => {
+    const args = { dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') args.dryRun = true;
+        else if (argv[i] === '--gtfs') args.gtfs = argv[++i];
+        else if (argv[i] === '--csv') args.csv = argv[++i];
+        else throw new Error(`Unknown option: ${argv[i]}`);
+    }
+
+    if (!args.gtfs === !args.csv) throw new Error('Pass exactly one of --gtfs or --csv');
+    return args;
+};
+
+// Read the feed files that exist (missing required ones show up in the report)
+const readGtfsFolder = (folder) => {
+    const files = {};
+
+    for (const name of [...GTFS_REQUIRED_FILES, 'routes.txt']) {
+        const file = path.join(folder, name);
+        if (fs.existsSync(file)) files[name] = fs.readFileSync(file, 'utf8');
+    }
+
+    return files;
+};
+
+const printReport = (report) => {
+    const { stations, trains } = report;
+
+    console.log(`\n📥 Timetable import (${report.format}${report.dryRun ? ', DRY RUN - nothing written' : ''})`);
+    console.log(`🚉 Stations: ${stations.created} created, ${stations.updated} updated, ${stations.unchanged} unchanged`);
+    console.log(`🚆 Trains:   ${trains.created} created, ${trains.updated} updated, ${trains.unchanged} unchanged, ${trains.skipped} skipped`);
+
+    const describe = (issue) => `${issue.file || ''}${issue.line ? `:${issue.line}` : ''} ${issue.message}`.trim();
+
+    if (report.warnings.length > 0) {
+        console.log(`\n⚠️  ${report.warnings.length} warning(s):`);
+        report.warnings.forEach(issue => console.log(`   - ${describe(issue)}`));
+    }
+    if (report.errors.length > 0) {
+        console.log(`\n❌ ${report.errors.length} error(s):`);
+        report.errors.forEach(issue => console.log(`   - ${describe(issue)}`));
+    }
+};
+
+const main = async () => {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(2);
+    }
+
+    const format = args.gtfs ? 'gtfs' : 'csv';
+    const files = args.gtfs
+        ? readGtfsFolder(args.gtfs)
+        : { [path.basename(args.csv)]: fs.readFileSync(args.csv, 'utf8') };
+
+    await connectDB();
+
+    try {
+        const report = await importTimetable({ format, files, dryRun: args.dryRun });
+        printReport(report);
+        process.exitCode = report.errors.length > 0 ? 1 : 0;
+    } finally {
+        await mongoose.connection.close();
+    }
+};
+
+main().catch((error) => {
+    console.error('💥 Timetable import failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,380 @@
+/**
+ * 🧭 Journey Planner - Getting There With Changes
+ *
+ * Plenty of trips in India have no direct train (try Shimla to Puri), so
+ * this finds itineraries with connections using RAPTOR (Round-bAsed Public
+ * Transit Optimized Router, Delling et al.). In plain words:
+ *
+ * - Round 1 finds everywhere you can reach on ONE train from the origin.
+ * - Round 2 looks at every station improved in round 1 and tries every
+ *   train leaving from there (after the station's connection time).
+ * - ...and so on, up to maxChanges + 1 rounds.
+ *
+ * Each round that improves the arrival at the destination gives one
+ * itinerary: "arrive 06:10 with 2 changes" vs "arrive 09:45 with 1". We
+ * repeat the search from just after the first departure found, so the
+ * passenger sees several departures through the day, not just one.
+ *
+ * Stations are RAPTOR's stops, every train is its own RAPTOR route, and
+ * every day it runs is one trip. Times are minutes after
+ * midnight on the travel date (IST), so day 2 at 01:00 is 1500.
+ *
+ * The timetable is loaded from MongoDB into memory and cached for
+ * TIMETABLE_CACHE_MINUTES; the importer clears it after writing.
+ */
+
+const Train = require('../models/Train');
+const Station = require('../models/Station');
+const Route = require('../models/Route');
+const { formatTime, addDays, weekdayOf } = require('./timetable');
+const { quoteFare } = require('./fares');
+
+const DEFAULT_CONNECTION_MINUTES = parseInt(process.env.MIN_CONNECTION_MINUTES) || 30;
+const CACHE_TTL_MS = (parseInt(process.env.TIMETABLE_CACHE_MINUTES) || 10) * 60 * 1000;
+
+// Itineraries must arrive within this many days of the travel date
+const HORIZON_DAYS = 3;
+
+// Coach class (3A...) -> the booking class it's sold as (AC3...)
+const BOOKING_CLASS_OF = Object.fromEntries(
+    Object.entries(Train.BOOKING_CLASSES).map(([bookingClass, coachClass]) => [coachClass, bookingClass])
+);
+
+// ===================================
+// 💾 TIMETABLE CACHE
+// ===================================
+
+let cache = null;
+
+/**
+ * Load every active train and its stops into the compact shape RAPTOR needs
+ */
+const buildTimetable = async () => {
+    const [trains, routes, stations] = await Promise.all([
+        Train.find({ isActive: true }).select('trainNumber name type runningDays coaches').lean(),
+        Route.find().select('train stops').lean(),
+        Station.find().select('code name minConnectionMinutes').lean()
+    ]);
+
+    const trainsById = new Map(trains.map(train => [String(train._id), train]));
+    const timetable = {
+        routes: [],
+        routesByStation: new Map(),
+        stations: new Map(stations.map(station => [station.code, station])),
+        builtAt: Date.now()
+    };
+
+    for (const route of routes) {
+        const train = trainsById.get(String(route.train));
+        if (!train || route.stops.length < 2) continue;
+
+        const index = timetable.routes.length;
+        const stops = route.stops.map((stop) => {
+            const times = Route.stopTimes(stop);
+            return {
+                code: stop.stationCode,
+                arrival: times.arrival,
+                departure: times.departure,
+                distanceKm: stop.distanceKm
+            };
+        });
+
+        timetable.routes.push({
+            trainId: train._id,
+            trainNumber: train.trainNumber,
+            name: train.name,
+            type: train.type,
+            runningDays: new Set(train.runningDays),
+            classes: [...new Set((train.coaches || []).map(coach => coach.coachClass))],
+            stops
+        });
+
+        stops.forEach((stop, stopIndex) => {
+            if (!timetable.routesByStation.has(stop.code)) timetable.routesByStation.set(stop.code, []);
+            timetable.routesByStation.get(stop.code).push({ routeIndex: index, stopIndex });
+        });
+    }
+
+    return timetable;
+};
+
+const getTimetable = async () => {
+    if (!cache || Date.now() - cache.builtAt > CACHE_TTL_MS) {
+        cache = await buildTimetable();
+    }
+    return cache;
+};
+
+// Call after changing trains/routes so the next search sees the new timetable
+const invalidateTimetable = () => {
+    cache = null;
+};
+
+// ===================================
+// 🚄 RAPTOR
+// ===================================
+
+/**
+ * One RAPTOR run: the best arrival at `to` for each number of trains
+ *
+ * @returns {Array<Array<Object>>} one list of legs per improving round
+ */
+const raptor = (timetable, { from, to, departAfter, maxTrips, travelClass, runsOnDay }) => {
+    const { routes, routesByStation, stations } = timetable;
+    const horizon = HORIZON_DAYS * 1440;
+
+    const connectionMinutes = (code) => {
+        const station = stations.get(code);
+        return station && station.minConnectionMinutes !== undefined && station.minConnectionMinutes !== null
+            ? station.minConnectionMinutes
+            : DEFAULT_CONNECTION_MINUTES;
+    };
+
+    // labels[k]: station → { time, leg } for arrivals using exactly k trains
+    const labels = [new Map([[from, { time: departAfter }]])];
+    const best = new Map([[from, departAfter]]);
+
+    // Latest label with at most k trains (labels only ever improve)
+    const labelUpTo = (k, code) => {
+        for (let round = k; round >= 0; round--) {
+            if (labels[round].has(code)) return { round, label: labels[round].get(code) };
+        }
+        return null;
+    };
+
+    // Earliest day (relative to the travel date) this train leaves its
+    // origin such that it departs stop `i` no earlier than `threshold`
+    const earliestTrip = (route, i, threshold) => {
+        const departure = route.stops[i].departure;
+        if (departure === null) return null;
+
+        for (let day = Math.ceil((threshold - departure) / 1440); day * 1440 + departure <= horizon; day++) {
+            if (runsOnDay(route, day)) return day;
+        }
+        return null;
+    };
+
+    let marked = new Set([from]);
+
+    for (let k = 1; k <= maxTrips && marked.size > 0; k++) {
+        labels[k] = new Map();
+
+        // Each train once, from the first marked station it calls at
+        const queue = new Map();
+        for (const code of marked) {
+            for (const { routeIndex, stopIndex } of routesByStation.get(code) || []) {
+                if (travelClass && !routes[routeIndex].classes.includes(travelClass)) continue;
+                if (!queue.has(routeIndex) || stopIndex < queue.get(routeIndex)) queue.set(routeIndex, stopIndex);
+            }
+        }
+
+        marked = new Set();
+
+        for (const [routeIndex, startIndex] of queue) {
+            const route = routes[routeIndex];
+            let day = null;
+            let boardIndex = null;
+
+            for (let i = startIndex; i < route.stops.length; i++) {
+                const stop = route.stops[i];
+
+                // Ride on: does staying on this train improve things here?
+                if (day !== null && stop.arrival !== null) {
+                    const arrival = day * 1440 + stop.arrival;
+                    const bound = Math.min(best.has(stop.code) ? best.get(stop.code) : Infinity, best.has(to) ? best.get(to) : Infinity);
+
+                    if (arrival < bound) {
+                        labels[k].set(stop.code, { time: arrival, leg: { routeIndex, day, boardIndex, alightIndex: i } });
+                        best.set(stop.code, arrival);
+                        marked.add(stop.code);
+                    }
+                }
+
+                // Hop on: can we catch an earlier run of this train here?
+                const previous = labelUpTo(k - 1, stop.code);
+                if (previous && stop.departure !== null) {
+                    const threshold = previous.label.time + (previous.round === 0 ? 0 : connectionMinutes(stop.code));
+
+                    if (day === null || threshold <= day * 1440 + stop.departure) {
+                        const candidate = earliestTrip(route, i, threshold);
+                        if (candidate !== null && (day === null || candidate < day)) {
+                            day = candidate;
+                            boardIndex = i;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Walk the legs back from the destination, one itinerary per improving round
+    const itineraries = [];
+
+    for (let k = 1; k < labels.length; k++) {
+        if (!labels[k].has(to)) continue;
+
+        const legs = [];
+        let found = { round: k, label: labels[k].get(to) };
+
+        while (found && found.round > 0) {
+            const { leg } = found.label;
+            legs.unshift(leg);
+            found = labelUpTo(found.round - 1, routes[leg.routeIndex].stops[leg.boardIndex].code);
+        }
+
+        itineraries.push(legs);
+    }
+
+    return itineraries;
+};
+
+// ===================================
+// 🧾 RESULTS
+// ===================================
+
+// One adult's general quota fare in the leg's cheapest bookable class (or
+// the one asked for) - null when none of its classes can be booked
+const estimateFare = (route, distanceKm, travelClass, journeyDate) => {
+    const fares = (travelClass ? [travelClass] : route.classes)
+        .map(coachClass => BOOKING_CLASS_OF[coachClass])
+        .filter(Boolean)
+        .map(bookingClass => quoteFare({
+            train: route,
+            travelClass: bookingClass,
+            distanceKm,
+            journeyDate,
+            passengers: [{}]
+        }).total);
+
+    return fares.length > 0 ? Math.min(...fares) : null;
+};
+
+// Turn RAPTOR legs into what the API returns
+const describeItinerary = (timetable, legs, date, travelClass) => {
+    const dateAt = (minutes) => addDays(date, Math.floor(minutes / 1440));
+    const stationName = (code) => (timetable.stations.get(code) || {}).name || code;
+
+    const described = legs.map((leg) => {
+        const route = timetable.routes[leg.routeIndex];
+        const board = route.stops[leg.boardIndex];
+        const alight = route.stops[leg.alightIndex];
+        const departure = leg.day * 1440 + board.departure;
+        const arrival = leg.day * 1440 + alight.arrival;
+        const distanceKm = alight.distanceKm - board.distanceKm;
+
+        return {
+            trainId: route.trainId,
+            trainNumber: route.trainNumber,
+            name: route.name,
+            type: route.type,
+            classes: route.classes,
+            from: { code: board.code, name: stationName(board.code), departure: formatTime(departure), date: dateAt(departure) },
+            to: { code: alight.code, name: stationName(alight.code), arrival: formatTime(arrival), date: dateAt(arrival) },
+            durationMinutes: arrival - departure,
+            distanceKm,
+            estimatedFare: estimateFare(route, distanceKm, travelClass, dateAt(departure)),
+            departureMinutes: departure,
+            arrivalMinutes: arrival
+        };
+    });
+
+    const first = described[0];
+    const last = described[described.length - 1];
+    const fares = described.map(leg => leg.estimatedFare);
+
+    return {
+        departure: first.from,
+        arrival: last.to,
+        changes: described.length - 1,
+        durationMinutes: last.arrivalMinutes - first.departureMinutes,
+        distanceKm: described.reduce((total, leg) => total + leg.distanceKm, 0),
+        estimatedFare: fares.includes(null) ? null : fares.reduce((total, fare) => total + fare, 0),
+        connections: described.slice(1).map((leg, i) => ({
+            station: leg.from.code,
+            waitMinutes: leg.departureMinutes - described[i].arrivalMinutes
+        })),
+        legs: described.map(({ departureMinutes, arrivalMinutes, ...leg }) => leg),
+        departureMinutes: first.departureMinutes,
+        arrivalMinutes: last.arrivalMinutes
+    };
+};
+
+// Another itinerary leaves no earlier, arrives no later, with no more changes
+const isDominated = (itinerary, others) => others.some(other => other !== itinerary &&
+    other.departureMinutes >= itinerary.departureMinutes &&
+    other.arrivalMinutes <= itinerary.arrivalMinutes &&
+    other.changes <= itinerary.changes &&
+    (other.departureMinutes > itinerary.departureMinutes ||
+        other.arrivalMinutes < itinerary.arrivalMinutes ||
+        other.changes < itinerary.changes));
+
+const SORTERS = {
+    arrival: (a, b) => a.arrivalMinutes - b.arrivalMinutes || a.changes - b.changes || (a.estimatedFare || 0) - (b.estimatedFare || 0),
+    changes: (a, b) => a.changes - b.changes || a.arrivalMinutes - b.arrivalMinutes || (a.estimatedFare || 0) - (b.estimatedFare || 0),
+    fare: (a, b) => (a.estimatedFare === null) - (b.estimatedFare === null) ||
+        (a.estimatedFare || 0) - (b.estimatedFare || 0) || a.arrivalMinutes - b.arrivalMinutes || a.changes - b.changes
+};
+
+/**
+ * Plan journeys between two stations
+ *
+ * @param {Object} options
+ * @param {string} options.from - station code
+ * @param {string} options.to - station code
+ * @param {string} options.date - travel date, YYYY-MM-DD (IST)
+ * @param {number} [options.departAfter] - minutes after midnight, default 0
+ * @param {number} [options.maxChanges] - default 2
+ * @param {string} [options.travelClass] - only trains with this class
+ * @param {string} [options.sort] - 'arrival' (default), 'changes' or 'fare'
+ * @param {number} [options.limit] - max itineraries, default 5
+ * @returns {Promise<Array<Object>>}
+ */
+const planJourneys = async ({ from, to, date, departAfter = 0, maxChanges = 2, travelClass, sort = 'arrival', limit = 5 }) => {
+    const timetable = await getTimetable();
+
+    // Weekday of each day relative to the travel date, computed once
+    const weekdays = new Map();
+    const runsOnDay = (route, day) => {
+        if (!weekdays.has(day)) weekdays.set(day, weekdayOf(addDays(date, day)));
+        return route.runningDays.has(weekdays.get(day));
+    };
+
+    const found = new Map();
+    let after = departAfter;
+
+    // Several departures through the day: search again just after each first train
+    for (let run = 0; run < limit * 2 && after < 1440 && found.size < limit * 3; run++) {
+        const itineraries = raptor(timetable, {
+            from,
+            to,
+            departAfter: after,
+            maxTrips: maxChanges + 1,
+            travelClass,
+            runsOnDay
+        }).map(legs => describeItinerary(timetable, legs, date, travelClass))
+            .filter(itinerary => itinerary.departureMinutes < 1440); // Leaves on the requested date
+
+        if (itineraries.length === 0) break;
+
+        for (const itinerary of itineraries) {
+            const key = itinerary.legs.map(leg => `${leg.trainNumber}@${leg.from.date}:${leg.from.code}-${leg.to.code}`).join('|');
+            found.set(key, itinerary);
+        }
+
+        after = Math.min(...itineraries.map(itinerary => itinerary.departureMinutes)) + 1;
+    }
+
+    const candidates = [...found.values()];
+
+    return candidates
+        .filter(itinerary => !isDominated(itinerary, candidates))
+        .sort(SORTERS[sort] || SORTERS.arrival)
+        .slice(0, limit)
+        .map(({ departureMinutes, arrivalMinutes, ...itinerary }) => itinerary);
+};
+
+module.exports = {
+    planJourneys,
+    invalidateTimetable,
+    SORT_OPTIONS: Object.keys(SORTERS)
+};
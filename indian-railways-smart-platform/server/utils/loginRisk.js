@@ -0,0 +1,146 @@
+/**
+ * 🚨 Login Risk - "Was That Really You?"
+ *
+ * Every login is compared with the user's recent login history
+ * (models/LoginEvent.js) and scored on three signals:
+ * - new_device:        this device has never logged in to the account
+ * - new_region:        first login from this state/region (or country)
+ * - impossible_travel: the previous login was too far away, too recently,
+ *                      for anyone to have physically made the trip
+ *
+ * Risky logins trigger a security email (unless the passenger turned
+ * security emails off) and, when LOGIN_STEP_UP_SCORE is set, an extra
+ * emailed code before the login completes. Users with 2FA already get a
+ * second factor, so they're never asked twice.
+ */
+
+const LoginEvent = require('../models/LoginEvent');
+const logger = require('./logger');
+const { distanceKm } = require('./geoip');
+const { sendNewLoginAlertEmail } = require('./email');
+
+const RISK_WEIGHTS = {
+    new_device: 30,
+    new_region: 30,
+    impossible_travel: 60
+};
+
+// Faster than a commercial flight, door to door
+const MAX_TRAVEL_SPEED_KMH = 900;
+
+// Below this GeoIP is too fuzzy to call anything "impossible"
+const MIN_TRAVEL_DISTANCE_KM = 300;
+
+// How many past logins to compare against
+const HISTORY_WINDOW = 50;
+
+/**
+ * Score a login attempt against the user's history
+ *
+ * @param {Object} user - User document
+ * @param {Object} attempt - { loginInfo, deviceId, at }
+ * @returns {Promise<{ score: number, factors: string[], stepUp: boolean, previousLogin: Object|null }>}
+ */
+const assessLoginRisk = async (user, { loginInfo = {}, deviceId, at = new Date() }) => {
+    const history = await LoginEvent.recentForUser(user._id, HISTORY_WINDOW);
+
+    // First login ever - nothing to compare against
+    if (history.length === 0) {
+        return { score: 0, factors: [], stepUp: false, previousLogin: null };
+    }
+
+    const factors = [];
+    const location = loginInfo.location;
+    const deviceHash = deviceId ? LoginEvent.hashDeviceId(deviceId) : null;
+
+    if (!deviceHash || !history.some(event => event.deviceHash === deviceHash)) {
+        factors.push('new_device');
+    }
+
+    if (location && location.country) {
+        const seenBefore = history.some(event => event.location &&
+            event.location.country === location.country &&
+            (!location.region || event.location.region === location.region));
+
+        if (!seenBefore) factors.push('new_region');
+    }
+
+    const previousLogin = history[0];
+    const from = previousLogin.location && previousLogin.location.coordinates;
+    const to = location && location.coordinates;
+
+    if (from && to && from.latitude != null && to.latitude != null) {
+        const distance = distanceKm(from, to);
+        const hours = Math.max((at - new Date(previousLogin.createdAt)) / (60 * 60 * 1000), 1 / 60);
+
+        if (distance >= MIN_TRAVEL_DISTANCE_KM && distance / hours > MAX_TRAVEL_SPEED_KMH) {
+            factors.push('impossible_travel');
+        }
+    }
+
+    const score = Math.min(100, factors.reduce((total, factor) => total + RISK_WEIGHTS[factor], 0));
+    const stepUpScore = parseInt(process.env.LOGIN_STEP_UP_SCORE) || 0;
+
+    return {
+        score,
+        factors,
+        stepUp: stepUpScore > 0 && score >= stepUpScore,
+        previousLogin
+    };
+};
+
+// Plain-English versions of the risk factors for emails and the UI
+const describeFactor = (factor) => ({
+    new_device: 'a device we haven\'t seen on your account before',
+    new_region: 'a location you haven\'t logged in from before',
+    impossible_travel: 'a location very far from your previous login, only a short time later'
+}[factor] || factor);
+
+/**
+ * Tell the user about a risky login (best effort, never throws)
+ *
+ * Respects preferences.notifications.email.security - passengers who turned
+ * security emails off still see the login in their history.
+ */
+const notifySuspiciousLogin = async (user, loginInfo, risk, device) => {
+    if (!risk.factors.length) return false;
+
+    logger.security('Unusual login detected', {
+        userId: user._id,
+        score: risk.score,
+        factors: risk.factors,
+        ip: loginInfo.ipAddress,
+        location: loginInfo.location
+    });
+
+    const wantsSecurityEmails = !(user.preferences &&
+        user.preferences.notifications &&
+        user.preferences.notifications.email &&
+        user.preferences.notifications.email.security === false);
+
+    if (!wantsSecurityEmails) return false;
+
+    try {
+        await sendNewLoginAlertEmail(user.email, user.name, {
+            device,
+            ipAddress: loginInfo.ipAddress,
+            location: loginInfo.location,
+            reasons: risk.factors.map(describeFactor),
+            at: new Date()
+        });
+        return true;
+    } catch (error) {
+        logger.error('Failed to send login alert email', {
+            userId: user._id,
+            error: error.message
+        });
+        return false;
+    }
+};
+
+module.exports = {
+    assessLoginRisk,
+    notifySuspiciousLogin,
+    describeFactor,
+    RISK_WEIGHTS
+};
@@ -0,0 +1,152 @@
+/**
+ * 🔔 Passenger Notifications - The Right Message, Channel and Language
+ *
+ * Travel alerts (delays, RAC/waitlist upgrades) can go out three ways, and the passenger
+ * decides which in preferences.notifications:
+ * - email: when notifications.email.<category> is on and we have an address
+ * - sms:   when notifications.sms.<category> is on and we have a number
+ * - push:  a `notification` event in the passenger's Socket.IO room
+ *          (user-{userId}) when notifications.push.enabled is on
+ *
+ * Messages are written per language (preferences.language). Languages we
+ * have no copy for yet fall back to English - add them to MESSAGES.
+ *
+ * A channel failing never stops the others: one bounced email shouldn't
+ * mean the passenger misses the SMS too.
+ */
+
+const logger = require('./logger');
+const { sendEmail } = require('./email');
+const { sendSms } = require('./sms');
+
+const IST = { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit', hour12: false };
+
+const clockTime = (date) => (date ? new Date(date).toLocaleTimeString('en-IN', IST) : null);
+
+/**
+ * Message copy by kind and language
+ *
+ * Each entry turns the alert data into { title, body } - title is the
+ * email subject / push title, body is the SMS, push and email text.
+ */
+const MESSAGES = {
+    delay: {
+        en: ({ trainNumber, trainName, delayMinutes, stationCode, expectedAt }) => ({
+            title: delayMinutes > 0
+                ? `${trainNumber} ${trainName} is running ${delayMinutes} min late`
+                : `${trainNumber} ${trainName} is back on time`,
+            body: [
+                delayMinutes > 0
+                    ? `Train ${trainNumber} ${trainName} is running ${delayMinutes} min late.`
+                    : `Train ${trainNumber} ${trainName} is now running on time.`,
+                expectedAt ? `Expected at ${stationCode} at ${expectedAt} IST.` : null
+            ].filter(Boolean).join(' ')
+        }),
+        hi: ({ trainNumber, trainName, delayMinutes, stationCode, expectedAt }) => ({
+            title: delayMinutes > 0
+                ? `${trainNumber} ${trainName} ${delayMinutes} मिनट देरी से चल रही है`
+                : `${trainNumber} ${trainName} अब समय पर है`,
+            body: [
+                delayMinutes > 0
+                    ? `ट्रेन ${trainNumber} ${trainName} ${delayMinutes} मिनट देरी से चल रही है।`
+                    : `ट्रेन ${trainNumber} ${trainName} अब समय पर चल रही है।`,
+                expectedAt ? `${stationCode} पर अपेक्षित समय ${expectedAt} IST।` : null
+            ].filter(Boolean).join(' ')
+        })
+    },
+
+    // RAC/waitlist upgrades - `status` is the booking's, `changes` each passenger's old and new label ("WL 4" -> "CNF S4/23")
+    booking_status: {
+        en: ({ pnr, trainNumber, journeyDate, status, changes }) => ({
+            title: status === 'confirmed'
+                ? `PNR ${pnr}: your ticket is confirmed 🎉`
+                : `PNR ${pnr}: your ticket status has moved up`,
+            body: `Train ${trainNumber} on ${journeyDate}: ` +
+                changes.map(change => `${change.name} is now ${change.current} (was ${change.previous})`).join(', ') + '.'
+        }),
+        hi: ({ pnr, trainNumber, journeyDate, status, changes }) => ({
+            title: status === 'confirmed'
+                ? `PNR ${pnr}: आपका टिकट कन्फर्म हो गया 🎉`
+                : `PNR ${pnr}: आपके टिकट की स्थिति बेहतर हुई`,
+            body: `ट्रेन ${trainNumber}, ${journeyDate}: ` +
+                changes.map(change => `${change.name} अब ${change.current} (पहले ${change.previous})`).join(', ') + '।'
+        })
+    }
+};
+
+const messageFor = (kind, language, data) => {
+    const copies = MESSAGES[kind];
+    if (!copies) throw new Error(`Unknown notification kind "${kind}"`);
+
+    return (copies[language] || copies.en)(data);
+};
+
+/**
+ * Which channels a user wants for a category ('delays', 'booking', ...)
+ */
+const channelsFor = (user, category) => {
+    const notifications = (user.preferences && user.preferences.notifications) || {};
+    const wants = (channel) => Boolean(notifications[channel] && notifications[channel][category]);
+
+    return {
+        email: wants('email') && Boolean(user.email),
+        sms: wants('sms') && Boolean(user.phone),
+        push: Boolean(notifications.push && notifications.push.enabled)
+    };
+};
+
+/**
+ * Send one alert to one user on every channel they opted into
+ *
+ * @param {Object} user - User document (needs email, phone, preferences)
+ * @param {Object} alert
+ * @param {string} alert.kind - key in MESSAGES, e.g. 'delay'
+ * @param {string} alert.category - preference category, e.g. 'delays'
+ * @param {Object} alert.data - values for the message template
+ * @param {Object} [options]
+ * @param {Object} [options.io] - Socket.IO server for push
+ * @returns {Promise<string[]>} the channels that were delivered
+ */
+const notifyUser = async (user, { kind, category, data }, { io } = {}) => {
+    const channels = channelsFor(user, category);
+    channels.push = channels.push && Boolean(io);
+    const { title, body } = messageFor(kind, user.preferences && user.preferences.language, data);
+    const delivered = [];
+
+    const attempt = async (channel, send) => {
+        if (!channels[channel]) return;
+        try {
+            await send();
+            delivered.push(channel);
+        } catch (error) {
+            logger.error('Notification delivery failed', {
+                userId: user._id,
+                kind,
+                channel,
+                error: error.message
+            });
+        }
+    };
+
+    await attempt('email', () => sendEmail({
+        to: user.email,
+        subject: title,
+        text: `Hi ${user.name},\n\n${body}\n\nHappy journey! 🚄`,
+        html: `<p>Hi ${user.name},</p><p>${body}</p><p>Happy journey! 🚄</p>`
+    }));
+
+    await attempt('sms', () => sendSms(user.phone, body));
+
+    await attempt('push', async () => {
+        io.to(`user-${user._id}`).emit('notification', { kind, title, body, data, sentAt: new Date() });
+    });
+
+    return delivered;
+};
+
+module.exports = {
+    notifyUser,
+    channelsFor,
+    messageFor,
+    clockTime
+};
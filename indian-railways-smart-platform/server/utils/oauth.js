@@ -0,0 +1,137 @@
+/**
+ * 🔄 OAuth2 / OIDC Authorization Code Flow (with PKCE)
+ *
+ * The protocol work for social login, kept out of the routes:
+ * 1. createAuthorization() builds the provider URL with a fresh state,
+ *    nonce and PKCE code verifier, and packs those into a short-lived
+ *    signed token that the route stores in an HTTP-only cookie.
+ * 2. completeAuthorization() checks the state, exchanges the code (sending
+ *    the PKCE verifier), validates the ID token (signature, issuer,
+ *    audience, expiry and nonce - openid-client does all of that) and
+ *    returns a normalized profile.
+ *
+ * Nothing is kept in server memory between the two steps, so this works
+ * across several servers without sticky sessions.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Issuer, generators } = require('openid-client');
+
+const STATE_EXPIRE = '10m';
+
+// One openid-client Client per provider (discovery is a network call, do it once)
+const clients = new Map();
+
+// Where the provider sends the browser back to
+const callbackUrl = (providerKey) => {
+    const apiUrl = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+    return `${apiUrl}/api/auth/oauth/${providerKey}/callback`;
+};
+
+const getClient = async (provider) => {
+    if (clients.has(provider.key)) return clients.get(provider.key);
+
+    const issuer = provider.issuer
+        ? await Issuer.discover(provider.issuer)
+        : new Issuer({ issuer: provider.key, ...provider.endpoints });
+
+    const client = new issuer.Client({
+        client_id: provider.clientId(),
+        client_secret: provider.clientSecret(),
+        redirect_uris: [callbackUrl(provider.key)],
+        response_types: ['code']
+    });
+
+    clients.set(provider.key, client);
+    return client;
+};
+
+// State tokens get their own key so they're useless anywhere else
+const stateSecret = () => crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update('oauth-state')
+    .digest('hex');
+
+/**
+ * Start an authorization request
+ *
+ * @param {Object} provider - from config/oauthProviders.getProvider()
+ * @param {Object} context - handed back untouched by completeAuthorization(),
+ *   e.g. { linkUserId, returnTo, rememberMe }
+ * @returns {Promise<{ authorizationUrl: string, stateToken: string }>}
+ */
+const createAuthorization = async (provider, context = {}) => {
+    const client = await getClient(provider);
+
+    const state = generators.state();
+    const nonce = provider.issuer ? generators.nonce() : undefined;
+    const codeVerifier = generators.codeVerifier();
+
+    const authorizationUrl = client.authorizationUrl({
+        scope: provider.scope,
+        state,
+        nonce,
+        code_challenge: generators.codeChallenge(codeVerifier),
+        code_challenge_method: 'S256'
+    });
+
+    const stateToken = jwt.sign(
+        { provider: provider.key, state, nonce, codeVerifier, context },
+        stateSecret(),
+        { expiresIn: STATE_EXPIRE }
+    );
+
+    return { authorizationUrl, stateToken };
+};
+
+/**
+ * Finish an authorization request (the provider redirected back to us)
+ *
+ * Throws if the state cookie is missing/expired, the state doesn't match,
+ * or the provider rejects the code.
+ *
+ * @returns {Promise<{ profile: Object, context: Object }>}
+ */
+const completeAuthorization = async (provider, req, stateToken) => {
+    if (!stateToken) throw new Error('Missing OAuth state cookie');
+
+    const saved = jwt.verify(stateToken, stateSecret());
+    if (saved.provider !== provider.key) throw new Error('OAuth state was issued for another provider');
+
+    const client = await getClient(provider);
+    const params = client.callbackParams(req);
+    const checks = { state: saved.state, code_verifier: saved.codeVerifier };
+
+    let rawProfile;
+
+    if (provider.issuer) {
+        const tokenSet = await client.callback(callbackUrl(provider.key), params, { ...checks, nonce: saved.nonce });
+        rawProfile = tokenSet.claims();
+
+        // Some providers keep email/name out of the ID token - ask userinfo for the rest
+        if (!rawProfile.email && client.issuer.userinfo_endpoint) {
+            rawProfile = { ...(await client.userinfo(tokenSet)), ...rawProfile };
+        }
+    } else {
+        const tokenSet = await client.oauthCallback(callbackUrl(provider.key), params, checks);
+        rawProfile = await client.userinfo(tokenSet, { params: provider.userinfoParams });
+    }
+
+    const profile = provider.mapProfile(rawProfile);
+
+    if (!profile.subject) throw new Error('Provider did not return a user id');
+    if (profile.email) profile.email = profile.email.toLowerCase();
+
+    return {
+        profile,
+        context: saved.context || {}
+    };
+};
+
+module.exports = {
+    createAuthorization,
+    completeAuthorization,
+    callbackUrl,
+    STATE_EXPIRE
+};
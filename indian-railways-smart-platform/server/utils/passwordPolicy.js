@@ -0,0 +1,224 @@
+/**
+ * 🔏 Password Policy - One Set of Rules, Everywhere
+ *
+ * Password rules used to live in three places (the User schema, the
+ * register validation and the reset-password route) and they disagreed:
+ * the schema rejected characters like `^` or spaces that the routes happily
+ * accepted, so some passengers got a confusing 500 after "passing"
+ * validation. Now every check goes through this module.
+ *
+ * What we check:
+ * - length (PASSWORD_MIN_LENGTH / PASSWORD_MAX_LENGTH)
+ * - at least one letter and one number (PASSWORD_REQUIRE_LETTER_AND_NUMBER)
+ * - not in the common/breached password list (data/common-passwords.txt,
+ *   or PASSWORD_BLOCKLIST_FILE), also with a number/symbol tacked on the end
+ * - doesn't contain the user's own name, email or phone number
+ * - strength score at least PASSWORD_MIN_SCORE (0-4)
+ *
+ * Any character is allowed - long passphrases with spaces are great.
+ * Reuse of previous passwords (PASSWORD_HISTORY) needs the stored hashes,
+ * so that check lives on the User model (user.isPasswordReused()).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { body } = require('express-validator');
+const logger = require('./logger');
+
+const POLICY = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+    requireLetterAndNumber: process.env.PASSWORD_REQUIRE_LETTER_AND_NUMBER !== 'false',
+    minScore: process.env.PASSWORD_MIN_SCORE !== undefined && process.env.PASSWORD_MIN_SCORE !== ''
+        ? parseInt(process.env.PASSWORD_MIN_SCORE)
+        : 2,
+    historyCount: process.env.PASSWORD_HISTORY !== undefined && process.env.PASSWORD_HISTORY !== ''
+        ? parseInt(process.env.PASSWORD_HISTORY)
+        : 5
+};
+
+const STRENGTH_LABELS = ['very weak', 'weak', 'fair', 'good', 'strong'];
+
+const DEFAULT_BLOCKLIST = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+let blocklist = null;
+
+// Load the common password list once ('#' lines are comments)
+const getBlocklist = () => {
+    if (blocklist) return blocklist;
+
+    const file = process.env.PASSWORD_BLOCKLIST_FILE || DEFAULT_BLOCKLIST;
+
+    try {
+        blocklist = new Set(
+            fs.readFileSync(file, 'utf8')
+                .split(/\r?\n/)
+                .map(line => line.trim().toLowerCase())
+                .filter(line => line && !line.startsWith('#'))
+        );
+    } catch (error) {
+        logger.error('Failed to load common password list', {
+            file,
+            error: error.message
+        });
+        blocklist = new Set();
+    }
+
+    return blocklist;
+};
+
+// "Password123!" and "dragon2024" are just as guessable as the bare word
+const isCommonPassword = (password) => {
+    const list = getBlocklist();
+    const lower = password.toLowerCase();
+    const base = lower.replace(/[\d\W_]+$/, '');
+
+    return list.has(lower) || (base.length >= 4 && list.has(base));
+};
+
+// Bits of the user's identity that shouldn't appear in their password
+const personalTokens = ({ name, email, phone } = {}) => [
+    ...String(name || '').toLowerCase().split(/\s+/),
+    String(email || '').toLowerCase().split('@')[0],
+    String(phone || '').replace(/\D/g, '').slice(-10)
+].filter(token => token.length >= 4);
+
+const SEQUENCES = [
+    'abcdefghijklmnopqrstuvwxyz',
+    '01234567890',
+    'qwertyuiop',
+    'asdfghjkl',
+    'zxcvbnm'
+];
+
+// Characters that add (almost) nothing: repeats ("aaaa") and runs ("abcd", "4321", "qwerty")
+const countPredictableChars = (password) => {
+    const lower = password.toLowerCase();
+    let predictable = 0;
+
+    for (let i = 2; i < lower.length; i++) {
+        const triple = lower.slice(i - 2, i + 1);
+        const reversed = triple.split('').reverse().join('');
+        const repeated = triple[0] === triple[1] && triple[1] === triple[2];
+        const sequential = SEQUENCES.some(sequence => sequence.includes(triple) || sequence.includes(reversed));
+
+        if (repeated || sequential) predictable += 1;
+    }
+
+    return predictable;
+};
+
+/**
+ * Estimate password strength on a 0-4 scale
+ *
+ * A deliberately simple entropy estimate (character pool ^ length), with
+ * repeats, keyboard/alphabet runs and common passwords counted as the
+ * nearly-free guesses they are. Not zxcvbn, but it never calls a 12345
+ * "strong" and it needs no 800 KB dictionary.
+ *
+ * @returns {{ score: number, label: string, suggestions: string[] }}
+ */
+const estimateStrength = (password, context = {}) => {
+    const value = String(password || '');
+    const suggestions = [];
+
+    let pool = 0;
+    if (/[a-z]/.test(value)) pool += 26;
+    if (/[A-Z]/.test(value)) pool += 26;
+    if (/\d/.test(value)) pool += 10;
+    if (/[^A-Za-z\d]/.test(value)) pool += 33;
+
+    const effectiveLength = Math.max(0, value.length - countPredictableChars(value));
+    const bits = effectiveLength * Math.log2(Math.max(pool, 1));
+
+    let score = bits < 28 ? 0 : bits < 36 ? 1 : bits < 60 ? 2 : bits < 80 ? 3 : 4;
+
+    if (value && isCommonPassword(value)) {
+        score = 0;
+        suggestions.push('This is one of the most commonly used passwords - pick something unique');
+    }
+
+    const lower = value.toLowerCase();
+    if (personalTokens(context).some(token => lower.includes(token))) {
+        score = Math.min(score, 1);
+        suggestions.push('Avoid using your name, email or phone number');
+    }
+
+    if (countPredictableChars(value) > 0) {
+        suggestions.push('Avoid repeated characters and sequences like "aaa", "1234" or "qwerty"');
+    }
+    if (value.length < 12) {
+        suggestions.push('Longer is stronger - try a phrase of three or four unrelated words');
+    }
+    if (pool > 0 && pool < 62) {
+        suggestions.push('Mix in capital letters, numbers or symbols');
+    }
+
+    return {
+        score,
+        label: STRENGTH_LABELS[score],
+        suggestions: score >= 4 ? [] : suggestions
+    };
+};
+
+/**
+ * Check a password against the whole policy
+ *
+ * @param {string} password
+ * @param {Object} [context] - { name, email, phone } of the account it's for
+ * @returns {{ valid: boolean, errors: string[], score: number, label: string, suggestions: string[] }}
+ */
+const checkPassword = (password, context = {}) => {
+    const value = typeof password === 'string' ? password : '';
+    const errors = [];
+
+    if (value.length < POLICY.minLength) {
+        errors.push(`Password must be at least ${POLICY.minLength} characters long`);
+    }
+    if (value.length > POLICY.maxLength) {
+        errors.push(`Password cannot be longer than ${POLICY.maxLength} characters`);
+    }
+    if (POLICY.requireLetterAndNumber && !(/\p{L}/u.test(value) && /\d/.test(value))) {
+        errors.push('Password must contain at least one letter and one number');
+    }
+    if (value && isCommonPassword(value)) {
+        errors.push('This password is too common and appears in lists of leaked passwords');
+    }
+
+    const lower = value.toLowerCase();
+    if (personalTokens(context).some(token => lower.includes(token))) {
+        errors.push('Password must not contain your name, email or phone number');
+    }
+
+    const strength = estimateStrength(value, context);
+
+    if (errors.length === 0 && strength.score < POLICY.minScore) {
+        errors.push('Password is too easy to guess - try making it longer');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        ...strength
+    };
+};
+
+/**
+ * express-validator rule for a password field
+ *
+ * @param {string} field - e.g. 'password' or 'newPassword'
+ * @param {Function} [getContext] - (req) => { name, email, phone }
+ */
+const passwordRule = (field = 'password', getContext = (req) => req.body) => body(field)
+    .custom((value, { req }) => {
+        const result = checkPassword(value, getContext(req) || {});
+        if (!result.valid) throw new Error(result.errors[0]);
+        return true;
+    });
+
+module.exports = {
+    POLICY,
+    checkPassword,
+    estimateStrength,
+    passwordRule
+};
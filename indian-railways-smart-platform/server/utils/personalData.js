@@ -0,0 +1,228 @@
+/**
+ * 🗂️ Personal Data - Export and Erasure in One Place
+ *
+ * Passengers can download everything we hold about them and ask us to
+ * delete it. The tricky part is that personal data is spread across many
+ * collections, and some records (tickets, SOS reports) must be KEPT for
+ * accounting and legal reasons even after the account is gone.
+ *
+ * So every collection that stores user data is listed in PERSONAL_DATA_SOURCES
+ * with what to do on deletion:
+ * - 'delete':    remove the records completely
+ * - 'anonymise': keep the records but cut the link to the person
+ *
+ * A source is normally found through its own userField. One that belongs to
+ * the user through another record says so with `ownedVia` - a refund is the
+ * passenger's because the booking is, even when staff asked for it.
+ *
+ * Tickets for journeys that haven't started yet are cancelled first (with
+ * the usual refund), so their berths and queue places go back to other
+ * passengers instead of being held by an account that no longer exists.
+ *
+ * Sources whose model isn't loaded in this process are skipped, so a
+ * feature can be switched off without breaking exports. When you add a new
+ * model that stores user data, ADD IT HERE - that's the whole contract.
+ */
+
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+const PERSONAL_DATA_SOURCES = [
+    {
+        key: 'loginHistory',
+        model: 'LoginEvent',
+        userField: 'user',
+        projection: '-deviceHash',
+        onDelete: 'delete'
+    },
+    {
+        key: 'sessions',
+        model: 'Session',
+        userField: 'user',
+        projection: 'device userAgent ipAddress location createdAt lastUsedAt expiresAt revokedAt revokedReason',
+        onDelete: 'delete'
+    },
+    {
+        key: 'tickets',
+        model: 'Booking',
+        userField: 'user',
+        onDelete: 'anonymise',
+        // Fare, journey and berth data stay for accounts. Contact details,
+        // passenger names (also in the history notes), birth dates and
+        // concession ID numbers go; age and gender stay because they're what
+        // a concession fare was priced on
+        anonymise: {
+            $set: { 'passengers.$[].name': 'Anonymised passenger' },
+            $unset: {
+                contactEmail: 1,
+                contactPhone: 1,
+                'passengers.$[].dateOfBirth': 1,
+                'passengers.$[].concessionId': 1,
+                'statusHistory.$[].note': 1
+            }
+        }
+    },
+    {
+        key: 'refunds',
+        model: 'Refund',
+        userField: 'user',
+        ownedVia: { field: 'booking', model: 'Booking', userField: 'user' },
+        onDelete: 'anonymise',
+        // Amounts and rules stay for reconciliation; passenger names and who
+        // asked for the cancellation go
+        anonymise: { $set: { 'lines.$[].name': 'Anonymised passenger' } }
+    },
+    {
+        key: 'crowdReports',
+        model: 'CrowdReport',
+        userField: 'user',
+        onDelete: 'anonymise'
+    },
+    {
+        key: 'lostFoundItems',
+        model: 'LostFoundItem',
+        userField: 'user',
+        onDelete: 'delete'
+    },
+    {
+        key: 'sosRecords',
+        model: 'SOSReport',
+        userField: 'user',
+        onDelete: 'anonymise'
+    }
+];
+
+// Get a registered model by name, or null if that feature isn't loaded
+const getModel = (name) => (mongoose.modelNames().includes(name) ? mongoose.model(name) : null);
+
+// Query for a source's records that belong to the user
+const ownerFilter = async (source, user) => {
+    if (!source.ownedVia) return { [source.userField]: user._id };
+
+    const Owner = getModel(source.ownedVia.model);
+    const ownerIds = Owner ? await Owner.find({ [source.ownedVia.userField]: user._id }).distinct('_id') : [];
+
+    return { [source.ownedVia.field]: { $in: ownerIds } };
+};
+
+/**
+ * Collect everything we hold about a user
+ *
+ * @returns {Promise<Object>} { exportedAt, profile, <source key>: [...] }
+ */
+const collectUserData = async (user) => {
+    const bundle = {
+        exportedAt: new Date().toISOString(),
+        profile: user.toJSON()
+    };
+
+    for (const source of PERSONAL_DATA_SOURCES) {
+        const Model = getModel(source.model);
+        if (!Model) continue;
+
+        bundle[source.key] = await Model
+            .find(await ownerFilter(source, user))
+            .select(source.projection || '')
+            .lean();
+    }
+
+    return bundle;
+};
+
+/**
+ * Cancel every ticket of the user's that hasn't departed yet
+ *
+ * Goes through the normal cancellation (berths released, queue promoted,
+ * refund ledger written), one booking at a time.
+ *
+ * @returns {Promise<number>} bookings cancelled
+ */
+const cancelUpcomingBookings = async (user) => {
+    const Booking = getModel('Booking');
+    const Refund = getModel('Refund');
+    if (!Booking || !Refund) return 0;
+
+    // Loaded here: the booking engine pulls in models this module mustn't depend on
+    const { cancelPassengers } = require('./booking');
+    const { computeRefund } = require('./refunds');
+
+    const bookings = await Booking.find({
+        user: user._id,
+        status: { $ne: 'cancelled' },
+        departureAt: { $gt: new Date() }
+    }).select('_id');
+
+    let cancelled = 0;
+
+    for (const { _id: bookingId } of bookings) {
+        try {
+            await cancelPassengers({ bookingId, note: 'Cancelled because the account was deleted' }, {
+                onCancel: async ({ booking, cancelled: passengers }, session) => {
+                    const computed = computeRefund(booking, passengers);
+
+                    await Refund.create([{
+                        booking: booking._id,
+                        pnr: booking.pnr,
+                        user: user._id,
+                        idempotencyKey: `account-deletion-${booking._id}`,
+                        ...computed,
+                        currency: (booking.fare && booking.fare.currency) || 'INR',
+                        reason: 'Account deleted',
+                        status: computed.amount > 0 ? 'pending' : 'nothing_due'
+                    }], { session });
+                }
+            });
+            cancelled += 1;
+        } catch (error) {
+            // Cancelled by someone else in the meantime - nothing left to release
+            if (error.reason !== 'already_cancelled') throw error;
+        }
+    }
+
+    return cancelled;
+};
+
+/**
+ * Erase a user's personal data for good
+ *
+ * Cancels upcoming tickets, deletes or anonymises every registered source,
+ * then removes the user document itself. Returns a summary for the audit log.
+ */
+const eraseUserData = async (user) => {
+    const summary = { cancelledBookings: await cancelUpcomingBookings(user) };
+
+    // Worked out before anything is anonymised - that cuts the links they follow
+    const filters = await Promise.all(PERSONAL_DATA_SOURCES.map(source => ownerFilter(source, user)));
+
+    for (const [index, source] of PERSONAL_DATA_SOURCES.entries()) {
+        const Model = getModel(source.model);
+        if (!Model) continue;
+
+        const filter = filters[index];
+
+        if (source.onDelete === 'delete') {
+            const result = await Model.deleteMany(filter);
+            summary[source.key] = { deleted: result.deletedCount };
+        } else {
+            const update = {
+                ...(source.anonymise || {}),
+                $unset: { ...((source.anonymise && source.anonymise.$unset) || {}), [source.userField]: 1 },
+                $set: { ...((source.anonymise && source.anonymise.$set) || {}), anonymisedAt: new Date() }
+            };
+            const result = await Model.updateMany(filter, update, { strict: false });
+            summary[source.key] = { anonymised: result.modifiedCount };
+        }
+    }
+
+    await user.deleteOne();
+
+    logger.info('🗑️ User data erased', { userId: user._id, summary });
+
+    return summary;
+};
+
+module.exports = {
+    PERSONAL_DATA_SOURCES,
+    collectUserData,
+    eraseUserData
+};
@@ -0,0 +1,94 @@
+/**
+ * 💸 Refund Rules - How Much Comes Back When You Cancel
+ *
+ * The rules live with the fares (config/fareTables.js `cancellation`), and
+ * a booking is always refunded under the table it was priced with. Per
+ * cancelled passenger, by what their ticket was when they cancelled:
+ *
+ * - CNF: a share of the fare is kept, growing as departure gets closer
+ *   (never less than the class's minimum charge); nothing in the last few
+ *   hours, and nothing for confirmed Tatkal tickets
+ * - RAC / WL: only a small clerkage fee, until shortly before departure
+ * - the railway cancelled the run: everything comes back
+ *
+ * Times are measured against the SCHEDULED departure from the passenger's
+ * boarding station (booking.departureAt).
+ */
+
+const { fareTableByVersion, fareTableFor } = require('./fares');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Deduction for one passenger
+ *
+ * @returns {{ deduction: number, rule: string }}
+ */
+const deductionFor = ({ rules, status, fare, travelClass, quota, hoursBefore }) => {
+    if (status === 'RAC' || status === 'WL') {
+        return hoursBefore * 60 > rules.waiting.untilMinutesBefore
+            ? { deduction: Math.min(fare, rules.waiting.clerkage), rule: 'waiting_clerkage' }
+            : { deduction: fare, rule: 'waiting_too_late' };
+    }
+
+    if (quota === 'TQ' && !rules.tatkalConfirmedRefund) return { deduction: fare, rule: 'tatkal_confirmed' };
+
+    const bucket = rules.confirmed.find(candidate => hoursBefore > candidate.hoursBefore);
+    if (!bucket) return { deduction: fare, rule: 'cnf_too_late' };
+
+    const minimum = rules.minimumCharge[travelClass] || 0;
+    return {
+        deduction: Math.min(fare, Math.max(minimum, Math.round(fare * bucket.deductPercent / 100))),
+        rule: `cnf_${bucket.hoursBefore}h`
+    };
+};
+
+/**
+ * Work out the refund for passengers being cancelled
+ *
+ * @param {Object} booking - Booking document (fare, quota, class, departureAt)
+ * @param {Array<{ _id, name, status }>} passengers - who is cancelled, with the status they had
+ * @param {Object} [options]
+ * @param {boolean} [options.runCancelled] - the railway cancelled the train: full refund
+ * @param {Date} [options.now]
+ * @returns {{ lines: Array, amount: number, fareVersion: string, hoursBeforeDeparture: number }}
+ */
+const computeRefund = (booking, passengers, { runCancelled = false, now = new Date() } = {}) => {
+    const table = fareTableByVersion(booking.fare && booking.fare.version) || fareTableFor();
+    const hoursBefore = (new Date(booking.departureAt).getTime() - now.getTime()) / HOUR_MS;
+
+    const lines = passengers.map((cancelled) => {
+        const passenger = booking.passengers.id(cancelled._id);
+        const fare = (passenger && passenger.fare && passenger.fare.total) || 0;
+
+        const { deduction, rule } = runCancelled
+            ? { deduction: 0, rule: 'train_cancelled' }
+            : deductionFor({
+                rules: table.cancellation,
+                status: cancelled.status,
+                fare,
+                travelClass: booking.travelClass,
+                quota: booking.quota,
+                hoursBefore
+            });
+
+        return {
+            passenger: cancelled._id,
+            name: cancelled.name,
+            status: cancelled.status,
+            fare,
+            deduction,
+            amount: fare - deduction,
+            rule
+        };
+    });
+
+    return {
+        lines,
+        amount: lines.reduce((sum, line) => sum + line.amount, 0),
+        fareVersion: table.version,
+        hoursBeforeDeparture: Math.round(hoursBefore * 10) / 10
+    };
+};
+
+module.exports = { computeRefund };
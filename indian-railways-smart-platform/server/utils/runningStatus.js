@@ -0,0 +1,409 @@
+/**
+ * 📍 Running Status - Delays In, Expected Times Out
+ *
+ * Staff (or a data feed, or the simulator in utils/simulateRunningStatus.js)
+ * report "12951 arrived at KOTA at 22:05". From that we:
+ * 1. find which run it is (the train that left NDLS today or yesterday?),
+ * 2. record the actual time and work out the delay,
+ * 3. push the delay down the line: every later stop gets an expected
+ *    arrival/departure,
+ * 4. tell everyone in the train's Socket.IO room (`train-status` event).
+ *
+ * Platform changes for a single run live here too (`platform-changed`
+ * event), since they belong to the same run as the delays.
+ *
+ * How delays travel downstream: the train needs at least its scheduled
+ * running time between stations, it never leaves a station before the
+ * timetable says so, and a late train only stops for MIN_DWELL_MINUTES
+ * instead of its full scheduled halt. So a 40 minute delay shrinks a bit
+ * at every long halt - just like on the real network.
+ *
+ * Two reports for the same run can arrive at once (staff and the feed, or
+ * two stations, or a platform change during a report). Runs are versioned,
+ * so the slower save fails instead of overwriting the other's times, and
+ * updateRun() simply reloads the run and applies the change again.
+ */
+
+const Route = require('../models/Route');
+const TrainRun = require('../models/TrainRun');
+const { addDays, todayInIndia, istDateTime, runsOn } = require('./timetable');
+
+const MIN_DWELL_MINUTES = parseInt(process.env.RUNNING_MIN_DWELL_MINUTES) || 2;
+
+const MINUTE = 60 * 1000;
+
+const MAX_SAVE_ATTEMPTS = 3;
+
+// Errors the routes turn into 400/404/409 answers
+const statusError = (message, reason) => {
+    const error = new Error(message);
+    error.reason = reason;
+    return error;
+};
+
+const minutesBetween = (later, earlier) => Math.round((later.getTime() - earlier.getTime()) / MINUTE);
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * MINUTE);
+
+const latest = (...dates) => new Date(Math.max(...dates.filter(Boolean).map(date => date.getTime())));
+
+/**
+ * A fresh run of a train, with scheduled times for `runDate` (origin date)
+ * and expected = scheduled until we hear otherwise
+ */
+const buildRun = (train, route, runDate) => new TrainRun({
+    train: train._id,
+    trainNumber: train.trainNumber,
+    runDate,
+    stops: route.stops.map((stop) => {
+        const times = Route.stopTimes(stop);
+        const scheduledArrival = times.arrival === null ? undefined : istDateTime(runDate, times.arrival);
+        const scheduledDeparture = times.departure === null ? undefined : istDateTime(runDate, times.departure);
+
+        return {
+            stationCode: stop.stationCode,
+            sequence: stop.sequence,
+            platform: stop.platform,
+            scheduledArrival,
+            scheduledDeparture,
+            expectedArrival: scheduledArrival,
+            expectedDeparture: scheduledDeparture
+        };
+    })
+});
+
+// Someone else saved the run first: changed since we read it, or created it
+// between our read and our insert (unique { train, runDate })
+const isConflict = (error) => error.name === 'VersionError' || error.code === 11000;
+
+/**
+ * Load (or start) a run, change it and save it, starting over with a fresh
+ * read when another update got there first
+ *
+ * @param {Function} change - (run) => result; may throw statusError
+ * @returns {Promise<*>} whatever `change` returned on the attempt that saved
+ */
+const updateRun = async (train, route, runDate, change) => {
+    for (let attempt = 1; ; attempt++) {
+        const run = await TrainRun.findOne({ train: train._id, runDate }) || buildRun(train, route, runDate);
+        const result = change(run);
+
+        try {
+            await run.save();
+            return result;
+        } catch (error) {
+            if (!isConflict(error) || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+        }
+    }
+};
+
+/**
+ * Which run does an event at `stationCode` at time `at` belong to?
+ *
+ * The one whose scheduled time there is closest - a train running four
+ * hours late is still "today's" train, not tomorrow's.
+ *
+ * @returns {string|null} the run date (origin date)
+ */
+const findRunDate = (train, route, stationCode, at) => {
+    const stop = route.stops.find(candidate => candidate.stationCode === stationCode);
+    if (!stop) return null;
+
+    const times = Route.stopTimes(stop);
+    const minutes = times.arrival !== null ? times.arrival : times.departure;
+    const today = todayInIndia(at);
+
+    let best = null;
+
+    // A run can be several days into its journey
+    for (let back = -1; back <= 4; back++) {
+        const runDate = addDays(today, -back);
+        if (!runsOn(train.runningDays, runDate)) continue;
+
+        const distance = Math.abs(istDateTime(runDate, minutes).getTime() - at.getTime());
+        if (!best || distance < best.distance) best = { runDate, distance };
+    }
+
+    return best && best.distance <= 24 * 60 * MINUTE ? best.runDate : null;
+};
+
+/**
+ * Recompute delays and expected times from the last reported stop onwards
+ */
+const propagateDelay = (run) => {
+    const { stops } = run;
+    let reported = -1;
+
+    stops.forEach((stop, i) => {
+        if (stop.actualArrival || stop.actualDeparture) reported = i;
+    });
+    if (reported === -1) return;
+
+    // Stops before the last report: actual where we have it, otherwise they were passed
+    for (let i = 0; i <= reported; i++) {
+        const stop = stops[i];
+
+        if (!stop.actualArrival && !stop.actualDeparture) {
+            stop.status = 'passed';
+            continue;
+        }
+
+        stop.expectedArrival = stop.actualArrival || stop.scheduledArrival;
+        stop.expectedDeparture = stop.actualDeparture || (stop.scheduledDeparture && i === reported
+            ? latest(stop.scheduledDeparture, addMinutes(stop.actualArrival, MIN_DWELL_MINUTES))
+            : stop.scheduledDeparture);
+        stop.delayMinutes = stop.actualDeparture && stop.scheduledDeparture
+            ? minutesBetween(stop.actualDeparture, stop.scheduledDeparture)
+            : minutesBetween(stop.actualArrival, stop.scheduledArrival);
+    }
+
+    // Stops ahead: scheduled running time from the previous expected departure
+    for (let i = reported + 1; i < stops.length; i++) {
+        const previous = stops[i - 1];
+        const stop = stops[i];
+        const running = minutesBetween(stop.scheduledArrival, previous.scheduledDeparture);
+        const previousDeparture = previous.expectedDeparture || previous.actualDeparture;
+
+        stop.expectedArrival = addMinutes(previousDeparture, running);
+        stop.delayMinutes = minutesBetween(stop.expectedArrival, stop.scheduledArrival);
+
+        if (stop.scheduledDeparture) {
+            const halt = minutesBetween(stop.scheduledDeparture, stop.scheduledArrival);
+            stop.expectedDeparture = latest(
+                stop.scheduledDeparture,
+                addMinutes(stop.expectedArrival, Math.min(halt, MIN_DWELL_MINUTES))
+            );
+        }
+    }
+
+    run.delayMinutes = stops[reported].delayMinutes;
+};
+
+/**
+ * Record an arrival/departure and update the run
+ *
+ * @param {Object} event
+ * @param {Object} event.train - Train document
+ * @param {string} event.stationCode
+ * @param {'arrival'|'departure'} event.type
+ * @param {Date} [event.at] - when it happened (default now)
+ * @param {string} [event.runDate] - origin date, worked out from `at` if omitted
+ * @param {string} [event.source] - 'staff', 'feed' or 'simulator'
+ * @param {string} [event.reportedBy] - user id
+ * @returns {Promise<{ run: Object, previousDelayMinutes: number }>}
+ */
+const recordEvent = async ({ train, stationCode, type, at = new Date(), runDate, source = 'staff', reportedBy }) => {
+    const route = await Route.findOne({ train: train._id });
+    if (!route) throw statusError(`Train ${train.trainNumber} has no timetable`, 'no_route');
+
+    const index = route.stops.findIndex(stop => stop.stationCode === stationCode);
+    if (index === -1) throw statusError(`Train ${train.trainNumber} does not stop at ${stationCode}`, 'not_on_route');
+
+    if (type === 'arrival' && index === 0) {
+        throw statusError(`${stationCode} is where the train starts - report its departure instead`, 'invalid_event');
+    }
+    if (type === 'departure' && index === route.stops.length - 1) {
+        throw statusError(`${stationCode} is the last stop - report the arrival instead`, 'invalid_event');
+    }
+
+    const date = runDate || findRunDate(train, route, stationCode, at);
+    if (!date || !runsOn(train.runningDays, date)) {
+        throw statusError(`Train ${train.trainNumber} has no run near that time`, 'no_run');
+    }
+
+    return updateRun(train, route, date, (run) => {
+        if (run.status === 'cancelled') throw statusError('This run has been cancelled', 'cancelled');
+
+        const previousDelayMinutes = run.delayMinutes;
+        const stop = run.stops.find(candidate => candidate.stationCode === stationCode);
+
+        if (type === 'arrival') {
+            stop.actualArrival = at;
+            stop.status = 'arrived';
+        } else {
+            stop.actualDeparture = at;
+            stop.status = 'departed';
+        }
+
+        propagateDelay(run);
+
+        run.status = run.stops[run.stops.length - 1].actualArrival ? 'completed' : 'running';
+        run.lastEvent = { stationCode, type, at, source, reportedBy };
+
+        return { run, previousDelayMinutes };
+    });
+};
+
+/**
+ * Change the platform a train uses at a station for one run
+ *
+ * @param {Object} change
+ * @param {Object} change.train - Train document
+ * @param {Object} change.station - Station document (platform is checked against it)
+ * @param {string} change.platform - "5" or "5A"
+ * @param {string} [change.runDate] - origin date, defaults to the run calling there next
+ * @returns {Promise<{ run: Object, stop: Object, previousPlatform: string|undefined }>}
+ */
+const assignPlatform = async ({ train, station, platform, runDate }) => {
+    if (!station.hasPlatform(platform)) {
+        throw statusError(`${station.code} has platforms 1 to ${station.platformCount}`, 'invalid_platform');
+    }
+
+    const route = await Route.findOne({ train: train._id });
+    if (!route) throw statusError(`Train ${train.trainNumber} has no timetable`, 'no_route');
+    if (!route.stops.some(stop => stop.stationCode === station.code)) {
+        throw statusError(`Train ${train.trainNumber} does not stop at ${station.code}`, 'not_on_route');
+    }
+
+    const date = runDate || findRunDate(train, route, station.code, new Date());
+    if (!date || !runsOn(train.runningDays, date)) {
+        throw statusError(`Train ${train.trainNumber} has no run near that time`, 'no_run');
+    }
+
+    return updateRun(train, route, date, (run) => {
+        if (run.status === 'cancelled') throw statusError('This run has been cancelled', 'cancelled');
+
+        const stop = run.stops.find(candidate => candidate.stationCode === station.code);
+        if (stop.status !== 'pending') {
+            throw statusError(`Train ${train.trainNumber} has already been at ${station.code}`, 'invalid_event');
+        }
+
+        const previousPlatform = stop.platform;
+        stop.platform = platform;
+        stop.platformUpdatedAt = new Date();
+
+        return { run, stop, previousPlatform };
+    });
+};
+
+/**
+ * Cancel one run of a train (before it finishes)
+ *
+ * From then on the run takes no bookings or reports, and passengers who
+ * cancel get their whole fare back (see utils/refunds.js).
+ *
+ * @param {Object} cancellation
+ * @param {Object} cancellation.train - Train document
+ * @param {string} cancellation.runDate - origin date
+ * @returns {Promise<Object>} the cancelled run
+ */
+const cancelRun = async ({ train, runDate }) => {
+    if (!runsOn(train.runningDays, runDate)) {
+        throw statusError(`Train ${train.trainNumber} doesn't run on ${runDate}`, 'no_run');
+    }
+
+    const route = await Route.findOne({ train: train._id });
+    if (!route) throw statusError(`Train ${train.trainNumber} has no timetable`, 'no_route');
+
+    return updateRun(train, route, runDate, (run) => {
+        if (run.status === 'cancelled') throw statusError('This run has already been cancelled', 'cancelled');
+        if (run.status === 'completed') throw statusError('This run has already finished', 'invalid_event');
+
+        run.status = 'cancelled';
+        return run;
+    });
+};
+
+/**
+ * The run to show for a train: the given date, or the latest one that has
+ * started (falling back to a timetable-only view of today's run)
+ *
+ * @returns {Promise<Object|null>} a TrainRun (unsaved if nothing was reported yet)
+ */
+const getRun = async (train, runDate) => {
+    if (runDate) {
+        const run = await TrainRun.findOne({ train: train._id, runDate });
+        if (run) return run;
+    } else {
+        const run = await TrainRun.findOne({ train: train._id, runDate: { $lte: todayInIndia() } }).sort({ runDate: -1 });
+        if (run && (run.status === 'running' || run.runDate === todayInIndia())) return run;
+    }
+
+    const date = runDate || todayInIndia();
+    if (!runsOn(train.runningDays, date)) return null;
+
+    const route = await Route.findOne({ train: train._id });
+    return route ? buildRun(train, route, date) : null;
+};
+
+/**
+ * What we send to clients (API and `train-status` socket event)
+ */
+const statusPayload = (run, train) => {
+    const nextStop = run.stops.find(stop => stop.status === 'pending');
+    const lastEvent = run.lastEvent && run.lastEvent.at ? run.lastEvent : null;
+
+    return {
+        trainId: train._id,
+        trainNumber: train.trainNumber,
+        name: train.name,
+        runDate: run.runDate,
+        status: run.status,
+        delayMinutes: run.delayMinutes,
+        lastEvent: lastEvent && {
+            stationCode: lastEvent.stationCode,
+            type: lastEvent.type,
+            at: lastEvent.at
+        },
+        nextStop: nextStop && {
+            stationCode: nextStop.stationCode,
+            expectedArrival: nextStop.expectedArrival,
+            delayMinutes: nextStop.delayMinutes
+        },
+        stops: run.stops.map(stop => ({
+            stationCode: stop.stationCode,
+            scheduledArrival: stop.scheduledArrival,
+            scheduledDeparture: stop.scheduledDeparture,
+            actualArrival: stop.actualArrival,
+            actualDeparture: stop.actualDeparture,
+            expectedArrival: stop.expectedArrival,
+            expectedDeparture: stop.expectedDeparture,
+            delayMinutes: stop.delayMinutes,
+            platform: stop.platform,
+            status: stop.status
+        })),
+        updatedAt: run.updatedAt
+    };
+};
+
+/**
+ * Push a status update to the train's room - clients may have joined it by
+ * Mongo id or by train number, so both rooms get it. Station boards along
+ * the route are told to refresh.
+ */
+const broadcastStatus = (io, train, payload) => {
+    if (!io) return;
+    io.to([`train-${train._id}`, `train-${train.trainNumber}`]).emit('train-status', payload);
+    io.to(payload.stops.map(stop => `station-${stop.stationCode}`)).emit('board-changed', {
+        trainNumber: train.trainNumber,
+        runDate: payload.runDate
+    });
+};
+
+/**
+ * Tell the train's rooms about a platform change (the full status follows
+ * separately, so clients can show a "platform changed" alert)
+ */
+const broadcastPlatform = (io, train, { run, stop, previousPlatform }) => {
+    if (!io) return;
+    io.to([`train-${train._id}`, `train-${train.trainNumber}`]).emit('platform-changed', {
+        trainId: train._id,
+        trainNumber: train.trainNumber,
+        runDate: run.runDate,
+        stationCode: stop.stationCode,
+        platform: stop.platform,
+        previousPlatform: previousPlatform || null,
+        updatedAt: stop.platformUpdatedAt
+    });
+};
+
+module.exports = {
+    recordEvent,
+    assignPlatform,
+    cancelRun,
+    getRun,
+    statusPayload,
+    broadcastStatus,
+    broadcastPlatform,
+    propagateDelay
+};
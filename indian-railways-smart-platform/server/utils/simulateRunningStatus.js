@@ -0,0 +1,203 @@
+/**
+ * 🛰️ Running Status Simulator - A Live Feed Without The Live Feed
+ *
+ * Posts arrival/departure events to POST /api/trains/:trainId/status, so
+ * delay propagation and the `train-status` socket events can be tested
+ * end to end against a running server:
+ *
+ *   npm run simulate:running -- --train 12951 --date 2024-03-01 --token <jwt>
+ *   npm run simulate:running -- --train 12951 --email staff@example.com --password ... --max-delay 45
+ *   npm run simulate:running -- --replay ./data/run-12951.json --speed 0
+ *
+ * Simulate mode walks the train's timetable and makes up a delay at every
+ * stop (somewhere between -2 and --max-delay minutes, drifting gradually).
+ * Replay mode posts recorded events from a JSON array of
+ * { train, stationCode, type, at, runDate? } in the order given.
+ *
+ * --speed is how many times faster than real time to go (default 60, so an
+ * hour of journey takes a minute). --speed 0 posts everything at once.
+ * The account needs the trains:update_status permission (staff or admin).
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+
+const USAGE = [
+    'Usage: node utils/simulateRunningStatus.js',
+    '  (--train <number> [--date YYYY-MM-DD] [--max-delay <minutes>] | --replay <file.json>)',
+    '  (--token <jwt> | --email <email> --password <password>)',
+    '  [--api <url>] [--speed <factor>]'
+].join('\n');
+
+const MINUTE = 60 * 1000;
+
+const parseArgs = (argv) => {
+    const args = {
+        api: process.env.SIMULATOR_API_URL || `http://localhost:${process.env.PORT || 5000}/api`,
+        speed: 60,
+        maxDelay: 30
+    };
+
+    const options = {
+        '--api': 'api', '--token': 'token', '--email': 'email', '--password': 'password',
+        '--train': 'train', '--date': 'date', '--replay': 'replay',
+        '--speed': 'speed', '--max-delay': 'maxDelay'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const key = options[argv[i]];
+        if (!key || argv[i + 1] === undefined) throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        args[key] = argv[++i];
+    }
+
+    args.speed = Number(args.speed);
+    args.maxDelay = Number(args.maxDelay);
+
+    if (!args.train === !args.replay) throw new Error('Pass exactly one of --train or --replay');
+    if (!args.token && !(args.email && args.password)) throw new Error('Pass --token, or --email and --password');
+    if (!(args.speed >= 0) || !(args.maxDelay >= 0)) throw new Error('--speed and --max-delay must be numbers >= 0');
+
+    return args;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Small JSON client for our own API - throws the server's error message
+const createClient = (api) => {
+    let token;
+
+    const request = async (method, path, body) => {
+        const response = await fetch(`${api}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const json = await response.json().catch(() => ({}));
+
+        if (!response.ok || !json.success) {
+            throw new Error(`${method} ${path} → ${response.status}: ${json.error || response.statusText}`);
+        }
+        return json.data;
+    };
+
+    return {
+        request,
+        setToken: (value) => { token = value; }
+    };
+};
+
+const login = async (client, { token, email, password }) => {
+    if (token) return client.setToken(token);
+
+    const data = await client.request('POST', '/auth/login', { email, password });
+    if (!data.tokens) throw new Error('Login needs a second factor - pass a --token instead');
+
+    client.setToken(data.tokens.accessToken);
+};
+
+/**
+ * Made-up events for one run: a delay that drifts up and down a little
+ * between stations, like a real train losing and making up time
+ */
+const simulatedEvents = (status, maxDelay) => {
+    const events = [];
+    let delay = 0;
+
+    status.stops.forEach((stop, i) => {
+        delay = Math.min(maxDelay, Math.max(-2, delay + Math.round((Math.random() - 0.35) * 12)));
+
+        if (stop.scheduledArrival) {
+            events.push({
+                stationCode: stop.stationCode,
+                type: 'arrival',
+                at: new Date(new Date(stop.scheduledArrival).getTime() + delay * MINUTE)
+            });
+        }
+        if (stop.scheduledDeparture) {
+            // Never leave before the timetable says so
+            const departure = new Date(stop.scheduledDeparture).getTime() + Math.max(delay, 0) * MINUTE;
+            const arrival = i > 0 ? events[events.length - 1].at.getTime() : 0;
+
+            events.push({
+                stationCode: stop.stationCode,
+                type: 'departure',
+                at: new Date(Math.max(departure, arrival + 2 * MINUTE))
+            });
+        }
+    });
+
+    return events.map(event => ({ ...event, train: status.trainNumber, runDate: status.runDate }));
+};
+
+const readReplay = (file) => {
+    const events = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(events)) throw new Error('A replay file must contain a JSON array of events');
+
+    return events.map((event, i) => {
+        if (!event.train || !event.stationCode || !event.type || isNaN(Date.parse(event.at))) {
+            throw new Error(`Replay event ${i + 1} needs train, stationCode, type and at`);
+        }
+        return { ...event, at: new Date(event.at) };
+    });
+};
+
+// Post events in order, keeping the gaps between them (scaled by --speed)
+const play = async (client, events, speed) => {
+    for (let i = 0; i < events.length; i++) {
+        const event = events[i];
+
+        if (i > 0 && speed > 0) {
+            await sleep(Math.max(0, event.at - events[i - 1].at) / speed);
+        }
+
+        try {
+            const { status } = await client.request('POST', `/trains/${event.train}/status`, {
+                stationCode: event.stationCode,
+                type: event.type,
+                at: event.at.toISOString(),
+                runDate: event.runDate,
+                source: 'simulator'
+            });
+
+            const next = status.nextStop ? `, next ${status.nextStop.stationCode} (${status.nextStop.delayMinutes} min)` : '';
+            console.log(`📍 ${event.train} ${event.type} ${event.stationCode} at ${event.at.toISOString()} → ${status.delayMinutes} min late${next}`);
+        } catch (error) {
+            console.error(`⚠️  ${event.train} ${event.type} ${event.stationCode}: ${error.message}`);
+        }
+    }
+};
+
+const main = async () => {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(2);
+    }
+
+    const client = createClient(args.api.replace(/\/$/, ''));
+    await login(client, args);
+
+    let events;
+    if (args.replay) {
+        events = readReplay(args.replay);
+    } else {
+        const query = args.date ? `?date=${encodeURIComponent(args.date)}` : '';
+        const { status } = await client.request('GET', `/trains/${args.train}/status${query}`);
+        events = simulatedEvents(status, args.maxDelay);
+    }
+
+    console.log(`🛰️  Posting ${events.length} event(s) to ${args.api} ${args.speed ? `at ${args.speed}x speed` : 'without waiting'}`);
+    await play(client, events, args.speed);
+    console.log('✅ Done');
+};
+
+main().catch((error) => {
+    console.error('💥 Simulator failed:', error.message);
+    process.exit(1);
+});
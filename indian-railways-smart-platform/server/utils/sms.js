@@ -0,0 +1,123 @@
+/**
+ * 📱 SMS Service - Reaching Passengers Without Internet
+ *
+ * A lot of our passengers are on basic phones or patchy 2G on the train,
+ * so SMS is often the ONLY channel that actually gets through. Just like the
+ * email service, delivery lives behind a tiny provider interface:
+ * - twilio: real delivery through Twilio (needs the TWILIO_* variables)
+ * - log:    writes the message to the logs instead of sending it (default outside production)
+ * - memory: keeps messages in an array so tests and dev tools can read OTPs back
+ *
+ * Every provider exposes `send({ to, body })` and nothing else.
+ */
+
+const logger = require('./logger');
+
+// The provider currently in use (created lazily on first send)
+let activeProvider = null;
+
+// Messages captured by the memory provider (newest last)
+const memoryOutbox = [];
+
+const providerFactories = {
+    twilio: () => {
+        // Required lazily so environments without Twilio credentials never load the SDK
+        const twilio = require('twilio');
+        const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+        return {
+            name: 'twilio',
+            send: async ({ to, body }) => {
+                const message = await client.messages.create({
+                    from: process.env.TWILIO_PHONE_NUMBER,
+                    to,
+                    body
+                });
+                return { id: message.sid };
+            }
+        };
+    },
+
+    log: () => ({
+        name: 'log',
+        send: async ({ to, body }) => {
+            logger.info('📵 SMS not sent (log provider)', { to, body });
+            return { id: `log-${Date.now()}` };
+        }
+    }),
+
+    memory: () => ({
+        name: 'memory',
+        send: async ({ to, body }) => {
+            const message = { id: `mem-${memoryOutbox.length + 1}`, to, body, sentAt: new Date() };
+            memoryOutbox.push(message);
+            return { id: message.id };
+        }
+    })
+};
+
+/**
+ * Get the provider configured by SMS_PROVIDER
+ *
+ * Defaults to "twilio" in production and "log" everywhere else.
+ */
+const getProvider = () => {
+    if (activeProvider) return activeProvider;
+
+    const defaultName = process.env.NODE_ENV === 'production' ? 'twilio' : 'log';
+    const name = (process.env.SMS_PROVIDER || defaultName).toLowerCase();
+    const factory = providerFactories[name];
+
+    if (!factory) {
+        throw new Error(`Unknown SMS_PROVIDER "${name}" - use twilio, log or memory`);
+    }
+
+    activeProvider = factory();
+    logger.info(`📱 SMS provider ready: ${activeProvider.name}`);
+
+    return activeProvider;
+};
+
+/**
+ * Plug in a custom provider (pass null to go back to the configured one)
+ */
+const setProvider = (provider) => {
+    activeProvider = provider;
+};
+
+/**
+ * Send a single SMS
+ */
+const sendSms = async (to, body) => {
+    const result = await getProvider().send({ to, body });
+
+    // Never log the body here - it usually contains a one-time code
+    logger.info('📱 SMS dispatched', { to, id: result && result.id });
+
+    return result;
+};
+
+/**
+ * Send a phone verification OTP
+ */
+const sendPhoneVerificationCode = (phone, code) => sendSms(
+    phone,
+    `${code} is your Indian Railways Smart Platform verification code. It expires in 10 minutes. Never share it with anyone.`
+);
+
+/**
+ * Send a login confirmation code (when the email with it couldn't go out)
+ */
+const sendLoginCodeSms = (phone, code) => sendSms(
+    phone,
+    `${code} is your Indian Railways Smart Platform login code. It expires in 10 minutes. If you are not logging in, change your password.`
+);
+
+module.exports = {
+    sendSms,
+    sendPhoneVerificationCode,
+    sendLoginCodeSms,
+    getProvider,
+    setProvider,
+    memoryOutbox
+};
@@ -0,0 +1,169 @@
+/**
+ * 🪧 Station Board - The Big Yellow-On-Black Screen on the Concourse
+ *
+ * "Next arrivals and departures at KOTA" means combining two things:
+ * - the timetable: every route calling here, for each day it runs, gives
+ *   a scheduled arrival/departure (a train that left NDLS yesterday
+ *   evening can be due here this morning);
+ * - the live runs: expected times, delays and platform changes reported
+ *   through utils/runningStatus.js.
+ *
+ * A train stays on the arrivals side until a few minutes after it has
+ * arrived, and on the departures side until it has actually left.
+ */
+
+const Route = require('../models/Route');
+const TrainRun = require('../models/TrainRun');
+const { addDays, todayInIndia, istDateTime, runsOn } = require('./timetable');
+
+const MINUTE = 60 * 1000;
+
+// How long "Arrived" stays on the board
+const ARRIVED_GRACE_MINUTES = 10;
+
+const minutesBetween = (later, earlier) => Math.round((later.getTime() - earlier.getTime()) / MINUTE);
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * MINUTE);
+
+/**
+ * Every (train, run date) due at the station within the window, with
+ * scheduled times there
+ */
+const scheduledCalls = (routes, stationCode, from, until) => {
+    const calls = [];
+    const today = todayInIndia(from);
+
+    routes.forEach((route) => {
+        const train = route.train;
+        if (!train || !train.isActive) return;
+
+        const index = route.stops.findIndex(stop => stop.stationCode === stationCode);
+        const stop = route.stops[index];
+        const times = Route.stopTimes(stop);
+        const minutes = times.departure !== null ? times.departure : times.arrival;
+
+        // Runs that left up to (days into the journey + 1) days ago, or leave tomorrow
+        for (let back = -1; back <= Math.floor(minutes / 1440) + 1; back++) {
+            const runDate = addDays(today, -back);
+            if (!runsOn(train.runningDays, runDate)) continue;
+
+            const scheduledArrival = times.arrival === null ? null : istDateTime(runDate, times.arrival);
+            const scheduledDeparture = times.departure === null ? null : istDateTime(runDate, times.departure);
+            const first = scheduledArrival || scheduledDeparture;
+            const last = scheduledDeparture || scheduledArrival;
+
+            // Generous on the early side: a late train is still on the board
+            if (first > until || last < addMinutes(from, -24 * 60)) continue;
+
+            calls.push({
+                train,
+                runDate,
+                stop,
+                scheduledArrival,
+                scheduledDeparture,
+                origin: index === 0,
+                terminus: index === route.stops.length - 1
+            });
+        }
+    });
+
+    return calls;
+};
+
+// Origin/destination as passengers read them ("from NDLS", "to BCT")
+const endpoint = (station) => (station ? { code: station.code, name: station.name } : null);
+
+/**
+ * One line on the board
+ */
+const boardEntry = (call, live, run, kind) => {
+    const { train } = call;
+    const scheduled = kind === 'arrival' ? call.scheduledArrival : call.scheduledDeparture;
+    const expected = (live && (kind === 'arrival'
+        ? live.actualArrival || live.expectedArrival
+        : live.actualDeparture || live.expectedDeparture)) || scheduled;
+
+    let status = minutesBetween(expected, scheduled) > 0 ? 'delayed' : 'on_time';
+    if (run && run.status === 'cancelled') status = 'cancelled';
+    else if (live && live.status === 'arrived') status = 'arrived';
+
+    return {
+        trainId: train._id,
+        trainNumber: train.trainNumber,
+        name: train.name,
+        type: train.type,
+        runDate: call.runDate,
+        from: endpoint(train.source),
+        to: endpoint(train.destination),
+        scheduled,
+        expected,
+        delayMinutes: Math.max(0, minutesBetween(expected, scheduled)),
+        platform: (live && live.platform) || call.stop.platform || null,
+        status
+    };
+};
+
+/**
+ * Next arrivals and departures at a station
+ *
+ * @param {string} stationCode
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - rows per side
+ * @param {number} [options.hours=6] - how far ahead to look
+ * @param {Date} [options.now]
+ * @returns {Promise<{ arrivals: Object[], departures: Object[] }>}
+ */
+const buildBoard = async (stationCode, { limit = 10, hours = 6, now = new Date() } = {}) => {
+    const routes = await Route.find({ 'stops.stationCode': stationCode })
+        .populate({
+            path: 'train',
+            select: 'trainNumber name type runningDays isActive source destination',
+            populate: { path: 'source destination', select: 'code name' }
+        });
+
+    const horizon = addMinutes(now, hours * 60);
+    const calls = scheduledCalls(routes, stationCode, now, horizon);
+    if (calls.length === 0) return { arrivals: [], departures: [] };
+
+    const runs = await TrainRun.find({
+        $or: calls.map(call => ({ train: call.train._id, runDate: call.runDate }))
+    }).select('train runDate status stops');
+
+    const runsByKey = new Map(runs.map(run => [`${run.train}|${run.runDate}`, run]));
+    const arrivals = [];
+    const departures = [];
+
+    calls.forEach((call) => {
+        const run = runsByKey.get(`${call.train._id}|${call.runDate}`);
+        const live = run && run.stops.find(stop => stop.stationCode === stationCode);
+        const gone = live && (live.status === 'departed' || live.status === 'passed');
+
+        if (!call.origin && !gone) {
+            const entry = boardEntry(call, live, run, 'arrival');
+            const stillShown = live && live.actualArrival
+                ? minutesBetween(now, live.actualArrival) <= ARRIVED_GRACE_MINUTES
+                : entry.expected >= addMinutes(now, -ARRIVED_GRACE_MINUTES);
+
+            if (stillShown && entry.expected <= horizon) arrivals.push(entry);
+        }
+
+        if (!call.terminus && !gone) {
+            const entry = boardEntry(call, live, run, 'departure');
+
+            // Not reported yet: drop it once it's well past its expected time
+            const stillShown = (live && live.actualArrival) || entry.expected >= addMinutes(now, -ARRIVED_GRACE_MINUTES);
+            if (stillShown && entry.expected <= horizon) departures.push(entry);
+        }
+    });
+
+    const byExpected = (a, b) => a.expected - b.expected;
+
+    return {
+        arrivals: arrivals.sort(byExpected).slice(0, limit),
+        departures: departures.sort(byExpected).slice(0, limit)
+    };
+};
+
+module.exports = {
+    buildBoard
+};
@@ -0,0 +1,184 @@
+/**
+ * 🔏 Signed Ticket QR Codes
+ *
+ * A ticket's QR code holds the journey and passenger list, signed with the
+ * railway's private key (ECDSA P-256, "ES256"). A TTE's scanner only needs
+ * the PUBLIC key to check it - so tickets can be verified on a train with
+ * no network at all, and nobody can forge one without the private key.
+ *
+ * Format (everything base64url, dot-separated like a JWT but smaller):
+ *
+ *   IRT1.<kid>.<payload>.<signature>
+ *
+ * - kid: which key signed it. Keys are rotated by giving the new key a new
+ *   id and moving the old PUBLIC key to TICKET_RETIRED_KEYS until every
+ *   ticket it signed has expired.
+ * - payload: compact JSON (see ticketPayload below) - QR codes get dense fast.
+ * - signature: raw 64-byte r||s over "IRT1.<kid>.<payload>", exactly what
+ *   WebCrypto's ECDSA verify() expects, so browsers need no extra library.
+ *
+ * Keys come from the environment (TICKET_SIGNING_KEY / _KEY_ID); generate
+ * a pair with `npm run keys:ticket`. In development without one we make a
+ * throwaway key on startup - QR codes then stop verifying after a restart.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const PREFIX = 'IRT1';
+
+// QR codes stay valid this long after the scheduled arrival (late trains!)
+const GRACE_HOURS = parseInt(process.env.TICKET_QR_GRACE_HOURS) || 12;
+
+const SIGNATURE_OPTIONS = { dsaEncoding: 'ieee-p1363' };
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+// PEM in .env files usually has its newlines escaped
+const readPem = (value) => value.replace(/\\n/g, '\n');
+
+let keys = null;
+
+/**
+ * Load the signing key and every public key we still accept
+ *
+ * @returns {{ current: { kid, privateKey } | null, publicKeys: Map<string, KeyObject> }}
+ */
+const loadKeys = () => {
+    if (keys) return keys;
+
+    const publicKeys = new Map();
+    let current = null;
+
+    if (process.env.TICKET_SIGNING_KEY) {
+        const privateKey = crypto.createPrivateKey(readPem(process.env.TICKET_SIGNING_KEY));
+        const kid = process.env.TICKET_SIGNING_KEY_ID || 'default';
+
+        current = { kid, privateKey };
+        publicKeys.set(kid, crypto.createPublicKey(privateKey));
+    } else if (process.env.NODE_ENV !== 'production') {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        const kid = `dev-${crypto.randomBytes(4).toString('hex')}`;
+
+        current = { kid, privateKey };
+        publicKeys.set(kid, publicKey);
+        logger.warn(`🔏 TICKET_SIGNING_KEY not set - using throwaway key "${kid}" (QR codes won't verify after a restart)`);
+    }
+
+    // "kid:base64url-spki,kid:base64url-spki" - old keys, still trusted for verification
+    (process.env.TICKET_RETIRED_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .forEach((entry) => {
+            const [kid, spki] = entry.split(':');
+            publicKeys.set(kid, crypto.createPublicKey({ key: Buffer.from(spki, 'base64url'), format: 'der', type: 'spki' }));
+        });
+
+    keys = { current, publicKeys };
+    return keys;
+};
+
+// Can we issue QR codes at all? (Not in production without a key.)
+const canSign = () => Boolean(loadKeys().current);
+
+/**
+ * Public keys as a JWKS - what scanners download and cache
+ */
+const publicJwks = () => {
+    const { current, publicKeys } = loadKeys();
+
+    return {
+        keys: [...publicKeys].map(([kid, publicKey]) => ({
+            ...publicKey.export({ format: 'jwk' }),
+            kid,
+            alg: 'ES256',
+            use: 'sig',
+            current: Boolean(current && current.kid === kid)
+        }))
+    };
+};
+
+/**
+ * What goes into the QR code - short keys on purpose
+ *
+ * Only passengers still travelling are listed, with their ticket label
+ * ("CNF S4/23", "RAC 2", "WL 5").
+ */
+const ticketPayload = (booking, now = new Date()) => ({
+    pnr: booking.pnr,
+    tn: booking.trainNumber,
+    jd: booking.journeyDate,
+    fr: booking.from,
+    to: booking.to,
+    cl: booking.travelClass,
+    px: booking.passengers
+        .filter(passenger => passenger.status !== 'CAN')
+        .map(passenger => ({
+            n: passenger.name,
+            a: passenger.age,
+            g: passenger.gender.charAt(0).toUpperCase(),
+            s: booking.passengerLabel(passenger)
+        })),
+    iat: Math.floor(now.getTime() / 1000),
+    exp: Math.floor((new Date(booking.arrivalAt || booking.departureAt).getTime() + GRACE_HOURS * 3600 * 1000) / 1000)
+});
+
+/**
+ * Sign a booking into a QR code string
+ *
+ * @param {Object} booking - Booking document
+ * @returns {{ code: string, kid: string, expiresAt: Date }}
+ */
+const signTicket = (booking, now = new Date()) => {
+    const { current } = loadKeys();
+    if (!current) throw new Error('Ticket signing key is not configured');
+
+    const payload = ticketPayload(booking, now);
+    const signed = `${PREFIX}.${current.kid}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.sign('sha256', Buffer.from(signed), { key: current.privateKey, ...SIGNATURE_OPTIONS });
+
+    return {
+        code: `${signed}.${base64url(signature)}`,
+        kid: current.kid,
+        expiresAt: new Date(payload.exp * 1000)
+    };
+};
+
+/**
+ * Check a scanned QR code - the same rules the offline scanner applies
+ *
+ * @returns {{ valid: boolean, reason?: string, kid?: string, ticket?: Object }}
+ *   reason: malformed, unknown_key, bad_signature or expired
+ */
+const verifyTicket = (code, now = new Date()) => {
+    const parts = String(code || '').split('.');
+    if (parts.length !== 4 || parts[0] !== PREFIX) return { valid: false, reason: 'malformed' };
+
+    const [, kid, payload, signature] = parts;
+    const publicKey = loadKeys().publicKeys.get(kid);
+    if (!publicKey) return { valid: false, reason: 'unknown_key', kid };
+
+    const signed = Buffer.from(`${PREFIX}.${kid}.${payload}`);
+    if (!crypto.verify('sha256', signed, { key: publicKey, ...SIGNATURE_OPTIONS }, Buffer.from(signature, 'base64url'))) {
+        return { valid: false, reason: 'bad_signature', kid };
+    }
+
+    let ticket;
+    try {
+        ticket = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { valid: false, reason: 'malformed', kid };
+    }
+
+    if (ticket.exp * 1000 < now.getTime()) return { valid: false, reason: 'expired', kid, ticket };
+
+    return { valid: true, kid, ticket };
+};
+
+module.exports = {
+    signTicket,
+    verifyTicket,
+    publicJwks,
+    canSign
+};
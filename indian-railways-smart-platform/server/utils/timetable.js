@@ -0,0 +1,85 @@
+/**
+ * 🕰️ Timetable Helpers - Railway Time Without Time Zone Headaches
+ *
+ * Indian Railways timetables are written as "departs 16:55, arrives 08:35
+ * on day 2", all in IST. We store them the same way: 'HH:mm' strings plus
+ * a day offset from the day the train left its origin.
+ *
+ * Journey dates are plain 'YYYY-MM-DD' calendar dates in IST. All the date
+ * maths below works on those strings in UTC, so the server's own time zone
+ * can never shift a train to the wrong day.
+ */
+
+const RUNNING_DAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const IST_OFFSET_MINUTES = 330; // UTC+05:30
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const isValidTime = (time) => TIME_PATTERN.test(String(time || ''));
+
+// '16:55' → 1015 (minutes after midnight), null if missing/invalid
+const parseTime = (time) => {
+    const match = TIME_PATTERN.exec(String(time || ''));
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+// 1015 → '16:55' (wraps past midnight, so 1500 → '01:00')
+const formatTime = (minutes) => {
+    const wrapped = ((minutes % 1440) + 1440) % 1440;
+    return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+// '2024-02-30' is not a date, even though Date.UTC would happily roll it over
+const parseDate = (date) => {
+    const match = DATE_PATTERN.exec(String(date || ''));
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const parsed = new Date(Date.UTC(year, month - 1, day));
+
+    return parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day ? parsed : null;
+};
+
+const isValidDate = (date) => parseDate(date) !== null;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// ('2024-03-01', -1) → '2024-02-29'
+const addDays = (date, days) => {
+    const parsed = parseDate(date);
+    parsed.setUTCDate(parsed.getUTCDate() + days);
+    return formatDate(parsed);
+};
+
+// '2024-03-01' → 'FRI'
+const weekdayOf = (date) => RUNNING_DAYS[parseDate(date).getUTCDay()];
+
+// Today's calendar date in India (what a passenger means by "today")
+const todayInIndia = (now = new Date()) => formatDate(new Date(now.getTime() + IST_OFFSET_MINUTES * 60 * 1000));
+
+// ('2024-03-01', 1015) → the Date for 1 March 16:55 IST (minutes may run past 24h)
+const istDateTime = (date, minutes) => new Date(parseDate(date).getTime() + (minutes - IST_OFFSET_MINUTES) * 60 * 1000);
+
+/**
+ * Does a train that runs on `runningDays` (from its origin) call at a stop
+ * `dayOffset` days into the journey on `date`?
+ *
+ * A train that reaches a station at 02:10 on day 2 has to have left its
+ * origin the day before - that's the day that must be in runningDays.
+ */
+const runsOn = (runningDays, date, dayOffset = 0) => runningDays.includes(weekdayOf(addDays(date, -dayOffset)));
+
+module.exports = {
+    RUNNING_DAYS,
+    isValidTime,
+    parseTime,
+    formatTime,
+    isValidDate,
+    addDays,
+    weekdayOf,
+    todayInIndia,
+    istDateTime,
+    runsOn
+};
@@ -0,0 +1,647 @@
+/**
+ * 📥 Timetable Importer - GTFS and CSV In, Trains and Stations Out
+ *
+ * Typing in trains one by one doesn't scale to 13,000 of them. This module
+ * reads a timetable in one of two formats and upserts it into the Station,
+ * Train and Route models:
+ *
+ * 1. GTFS - the standard transit feed: stops.txt, trips.txt,
+ *    stop_times.txt and calendar.txt (routes.txt is optional and gives
+ *    nicer train names). Station codes come from stop_code (or stop_id),
+ *    train numbers from trip_short_name (or trip_id), distances from
+ *    shape_dist_traveled, which we expect in km.
+ *
+ * 2. Our simple CSV - one row per stop, the way an enquiry book reads:
+ *
+ *    train_number,train_name,train_type,running_days,coaches,station_code,station_name,arrival,departure,day,distance_km,latitude,longitude
+ *    12951,Mumbai Rajdhani,rajdhani,DAILY,1A:1x24 2A:5x48 3A:11x64,NDLS,New Delhi,,16:55,1,0,28.6428,77.2197
+ *    12951,,,,,KOTA,Kota Junction,21:43,21:53,1,465,,
+ *    12951,,,,,BCT,Mumbai Central,08:35,,2,1386,,
+ *
+ *    Train columns only need filling on the first row of each train.
+ *    running_days is DAILY or a list like "MON WED FRI"; coaches is
+ *    CLASS:COUNTxSEATS; "-" works for an empty time.
+ *
+ * Imports are idempotent: stations are matched by code, trains by train
+ * number, and a document is only written when something actually changed,
+ * so re-running the same file reports everything as "unchanged". Problems
+ * never abort the whole import - they go into the report, the affected
+ * trains are skipped and everything else is imported. With `dryRun` every
+ * document is validated but nothing is written.
+ */
+
+const Train = require('../models/Train');
+const Station = require('../models/Station');
+const Route = require('../models/Route');
+const { RUNNING_DAYS, formatTime, isValidTime } = require('./timetable');
+const { invalidateTimetable } = require('./journeyPlanner');
+
+const GTFS_REQUIRED_FILES = ['stops.txt', 'trips.txt', 'stop_times.txt', 'calendar.txt'];
+const GTFS_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Letter painted on coaches of each class, e.g. B1, B2 for 3A
+const COACH_PREFIXES = {
+    '1A': 'H',
+    'EC': 'E',
+    '2A': 'A',
+    '3A': 'B',
+    '3E': 'M',
+    'CC': 'C',
+    'SL': 'S',
+    '2S': 'D',
+    'GN': 'GS'
+};
+
+const STATION_CODE = /^[A-Z]{1,5}$/;
+const TRAIN_NUMBER = /^\d{5}$/;
+
+// ===================================
+// 📋 REPORT
+// ===================================
+
+const createReport = (format, dryRun) => ({
+    format,
+    dryRun,
+    stations: { created: 0, updated: 0, unchanged: 0 },
+    trains: { created: 0, updated: 0, unchanged: 0, skipped: 0 },
+    errors: [],
+    warnings: []
+});
+
+const addIssue = (list, file, line, message) => {
+    list.push(line ? { file, line, message } : { file, message });
+};
+
+// ===================================
+// 📄 CSV PARSING
+// ===================================
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF, BOM)
+ *
+ * @returns {Array<{ line: number, record: Object }>} one entry per non-empty
+ *   row, keyed by lower-cased header names
+ */
+const parseCsv = (text) => {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        row.push(field);
+        rows.push({ line: rowLine, values: row });
+        row = [];
+        field = '';
+        rowLine = line;
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (char === '\n') line += 1;
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i += 1;
+                line += 1;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    const [header, ...body] = rows;
+    if (!header) return [];
+
+    const columns = header.values.map(column => column.trim().toLowerCase());
+
+    return body
+        .filter(({ values }) => values.some(value => value.trim() !== ''))
+        .map(({ line: rowNumber, values }) => ({
+            line: rowNumber,
+            record: Object.fromEntries(columns.map((column, i) => [column, (values[i] || '').trim()]))
+        }));
+};
+
+// ===================================
+// 🔧 SHARED HELPERS
+// ===================================
+
+// Valid [longitude, latitude] from two strings, or undefined
+const parseLocation = (latitude, longitude) => {
+    if (latitude === '' || longitude === '' || latitude === undefined || longitude === undefined) return undefined;
+
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+
+    return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180
+        ? [lng, lat]
+        : null;
+};
+
+// "Mumbai Rajdhani Express" → 'rajdhani'
+const guessTrainType = (...hints) => {
+    const text = hints.filter(Boolean).join(' ').toLowerCase().replace(/[\s-]+/g, '_');
+    return Train.TRAIN_TYPES.find(type => text.includes(type)) || 'express';
+};
+
+// Remember a station, warning when two rows disagree about its name
+const addStation = (stations, station, report) => {
+    const known = stations.get(station.code);
+
+    if (!known) {
+        stations.set(station.code, station);
+        return;
+    }
+
+    if (station.name && known.name && station.name !== known.name) {
+        addIssue(report.warnings, station.file, station.line,
+            `Station ${station.code} is also called "${known.name}" - keeping that name`);
+    }
+    if (!known.name) known.name = station.name;
+    if (!known.location) known.location = station.location;
+};
+
+// ===================================
+// 🌍 GTFS
+// ===================================
+
+// GTFS times can run past 24:00 ("25:10:00" = 01:10 the next day)
+const parseGtfsTime = (value) => {
+    const match = /^(\d{1,3}):([0-5]\d)(?::[0-5]\d)?$/.exec(value || '');
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+/**
+ * Turn GTFS file contents into stations and trains
+ *
+ * @param {Object} files - file name → text, e.g. { 'stops.txt': '...' }
+ */
+const readGtfs = (files, report) => {
+    const stations = new Map();
+    const trains = [];
+
+    const missing = GTFS_REQUIRED_FILES.filter(name => !files[name]);
+    if (missing.length > 0) {
+        missing.forEach(name => addIssue(report.errors, name, null, 'Required GTFS file is missing'));
+        return { stations, trains };
+    }
+
+    // --- stops.txt: platforms (with a parent_station) belong to their parent
+    const stops = parseCsv(files['stops.txt']);
+    const codeByStopId = new Map();
+
+    for (const { line, record } of stops.filter(({ record }) => !record.parent_station)) {
+        const code = (record.stop_code || record.stop_id).toUpperCase();
+
+        if (!STATION_CODE.test(code)) {
+            addIssue(report.errors, 'stops.txt', line, `"${code}" is not a valid station code - put the official code in stop_code`);
+            continue;
+        }
+
+        const location = parseLocation(record.stop_lat, record.stop_lon);
+        if (location === null) {
+            addIssue(report.warnings, 'stops.txt', line, `Ignoring invalid coordinates for ${code}`);
+        }
+
+        codeByStopId.set(record.stop_id, code);
+        addStation(stations, {
+            code,
+            name: record.stop_name,
+            location: location || undefined,
+            file: 'stops.txt',
+            line
+        }, report);
+    }
+
+    for (const { line, record } of stops.filter(({ record }) => record.parent_station)) {
+        if (codeByStopId.has(record.parent_station)) {
+            codeByStopId.set(record.stop_id, codeByStopId.get(record.parent_station));
+        } else {
+            addIssue(report.errors, 'stops.txt', line, `Unknown parent_station "${record.parent_station}"`);
+        }
+    }
+
+    // --- calendar.txt: service_id → running days
+    const runningDaysByService = new Map();
+
+    for (const { line, record } of parseCsv(files['calendar.txt'])) {
+        const days = RUNNING_DAYS.filter((day, i) => record[GTFS_DAYS[i]] === '1');
+
+        if (days.length === 0) {
+            addIssue(report.warnings, 'calendar.txt', line, `Service "${record.service_id}" never runs`);
+        }
+        runningDaysByService.set(record.service_id, days);
+    }
+
+    // --- routes.txt (optional): names and types
+    const routesById = new Map(
+        parseCsv(files['routes.txt']).map(({ record }) => [record.route_id, record])
+    );
+
+    // --- stop_times.txt, grouped by trip
+    const stopTimesByTrip = new Map();
+
+    for (const { line, record } of parseCsv(files['stop_times.txt'])) {
+        if (!stopTimesByTrip.has(record.trip_id)) stopTimesByTrip.set(record.trip_id, []);
+        stopTimesByTrip.get(record.trip_id).push({ line, record });
+    }
+
+    // --- trips.txt: one train per trip
+    const seenNumbers = new Set();
+
+    for (const { line, record } of parseCsv(files['trips.txt'])) {
+        const trainNumber = record.trip_short_name || record.trip_id;
+        const route = routesById.get(record.route_id) || {};
+
+        if (!TRAIN_NUMBER.test(trainNumber)) {
+            addIssue(report.errors, 'trips.txt', line, `"${trainNumber}" is not a 5-digit train number - put it in trip_short_name`);
+            continue;
+        }
+        if (seenNumbers.has(trainNumber)) {
+            addIssue(report.warnings, 'trips.txt', line, `Train ${trainNumber} appears in several trips - only the first is imported`);
+            continue;
+        }
+        if (!runningDaysByService.has(record.service_id)) {
+            addIssue(report.errors, 'trips.txt', line, `Train ${trainNumber} uses unknown service_id "${record.service_id}"`);
+            continue;
+        }
+        seenNumbers.add(trainNumber);
+
+        const stopTimes = (stopTimesByTrip.get(record.trip_id) || [])
+            .sort((a, b) => Number(a.record.stop_sequence) - Number(b.record.stop_sequence));
+
+        const problems = [];
+        const timed = stopTimes.map(({ line: stopLine, record: stopTime }) => {
+            const arrival = parseGtfsTime(stopTime.arrival_time || stopTime.departure_time);
+            const departure = parseGtfsTime(stopTime.departure_time || stopTime.arrival_time);
+            const stationCode = codeByStopId.get(stopTime.stop_id);
+
+            if (arrival === null || departure === null) problems.push(`line ${stopLine}: missing or invalid time`);
+            if (!stationCode) problems.push(`line ${stopLine}: unknown stop_id "${stopTime.stop_id}"`);
+
+            return { stationCode, arrival, departure, distance: Number(stopTime.shape_dist_traveled) || 0 };
+        });
+
+        if (timed.length < 2) problems.push('fewer than two stop times');
+
+        if (problems.length > 0) {
+            addIssue(report.errors, 'stop_times.txt', null, `Train ${trainNumber} skipped: ${problems.join('; ')}`);
+            continue;
+        }
+
+        // A service day may start the train after midnight (e.g. 24:30) -
+        // move it to the day it really leaves, running days included
+        const shift = Math.floor(timed[0].departure / 1440);
+        const runningDays = runningDaysByService.get(record.service_id)
+            .map(day => RUNNING_DAYS[(RUNNING_DAYS.indexOf(day) + shift) % 7]);
+
+        trains.push({
+            trainNumber,
+            name: route.route_long_name || record.trip_headsign || route.route_short_name || `Train ${trainNumber}`,
+            type: guessTrainType(route.route_desc, route.route_long_name, record.trip_headsign),
+            runningDays,
+            stops: timed.map((stop, i) => {
+                const arrival = stop.arrival - shift * 1440;
+                const departure = stop.departure - shift * 1440;
+
+                return {
+                    stationCode: stop.stationCode,
+                    sequence: i + 1,
+                    arrival: i === 0 ? undefined : formatTime(arrival),
+                    departure: i === timed.length - 1 ? undefined : formatTime(departure),
+                    dayOffset: Math.floor((i === 0 ? departure : arrival) / 1440),
+                    distanceKm: stop.distance
+                };
+            }),
+            file: 'trips.txt',
+            line
+        });
+    }
+
+    return { stations, trains };
+};
+
+// ===================================
+// 📝 SIMPLE CSV
+// ===================================
+
+// "DAILY" / "MON WED FRI" / "Mon|Tue" → ['MON', 'WED', 'FRI']
+const parseRunningDays = (value) => {
+    if (/^daily$/i.test(value)) return [...RUNNING_DAYS];
+
+    const days = value.toUpperCase().split(/[\s,;|/]+/).filter(Boolean).map(day => day.slice(0, 3));
+    return days.length > 0 && days.every(day => RUNNING_DAYS.includes(day))
+        ? RUNNING_DAYS.filter(day => days.includes(day))
+        : null;
+};
+
+// "2A:2x48 3A:6x64" → [{ coachNumber: 'A1', coachClass: '2A', seats: 48 }, ...]
+const parseCoaches = (value) => {
+    const coaches = [];
+
+    for (const part of value.split(/[\s;]+/).filter(Boolean)) {
+        const match = /^(\w{2}):(\d+)x(\d+)$/i.exec(part);
+        const coachClass = match && match[1].toUpperCase();
+
+        if (!match || !COACH_PREFIXES[coachClass]) return null;
+
+        for (let i = 1; i <= parseInt(match[2]); i++) {
+            coaches.push({
+                coachNumber: `${COACH_PREFIXES[coachClass]}${i}`,
+                coachClass,
+                seats: parseInt(match[3])
+            });
+        }
+    }
+
+    return coaches;
+};
+
+// Enquiry books print "-" for "no arrival" / "no departure"
+const csvTime = (value) => (value === '' || /^-+$/.test(value) ? undefined : value);
+
+/**
+ * Turn our simple CSV timetable into stations and trains
+ */
+const readCsv = (text, report, file = 'timetable.csv') => {
+    const stations = new Map();
+    const rowsByTrain = new Map();
+
+    for (const { line, record } of parseCsv(text)) {
+        if (!TRAIN_NUMBER.test(record.train_number || '')) {
+            addIssue(report.errors, file, line, `"${record.train_number || ''}" is not a 5-digit train number`);
+            continue;
+        }
+        if (!rowsByTrain.has(record.train_number)) rowsByTrain.set(record.train_number, []);
+        rowsByTrain.get(record.train_number).push({ line, record });
+    }
+
+    const trains = [];
+
+    for (const [trainNumber, rows] of rowsByTrain) {
+        // Train-level columns: first non-empty value wins
+        const first = (column) => (rows.find(({ record }) => record[column]) || { record: {} }).record[column] || '';
+        const problems = [];
+
+        const runningDays = parseRunningDays(first('running_days') || 'DAILY');
+        if (!runningDays) problems.push(`invalid running_days "${first('running_days')}"`);
+
+        const coaches = first('coaches') ? parseCoaches(first('coaches')) : undefined;
+        if (coaches === null) problems.push(`invalid coaches "${first('coaches')}" (use e.g. "3A:6x64 SL:10x72")`);
+
+        const type = first('train_type').toLowerCase().replace(/[\s-]+/g, '_');
+        if (type && !Train.TRAIN_TYPES.includes(type)) problems.push(`unknown train_type "${first('train_type')}"`);
+
+        const stops = rows.map(({ line, record }, i) => {
+            const code = (record.station_code || '').toUpperCase();
+            const arrival = csvTime(record.arrival);
+            const departure = csvTime(record.departure);
+            const day = record.day === '' ? 1 : Number(record.day);
+            const distanceKm = record.distance_km === '' ? 0 : Number(record.distance_km);
+
+            if (!STATION_CODE.test(code)) problems.push(`line ${line}: invalid station code "${record.station_code}"`);
+            if (arrival && !isValidTime(arrival)) problems.push(`line ${line}: arrival must be HH:mm`);
+            if (departure && !isValidTime(departure)) problems.push(`line ${line}: departure must be HH:mm`);
+            if (!Number.isInteger(day) || day < 1) problems.push(`line ${line}: day must be 1 or more`);
+            if (!Number.isFinite(distanceKm) || distanceKm < 0) problems.push(`line ${line}: invalid distance_km`);
+
+            if (STATION_CODE.test(code)) {
+                const location = parseLocation(record.latitude, record.longitude);
+                if (location === null) addIssue(report.warnings, file, line, `Ignoring invalid coordinates for ${code}`);
+
+                addStation(stations, {
+                    code,
+                    name: record.station_name || undefined,
+                    location: location || undefined,
+                    file,
+                    line
+                }, report);
+            }
+
+            return {
+                stationCode: code,
+                sequence: record.sequence ? Number(record.sequence) : i + 1,
+                arrival,
+                departure,
+                dayOffset: day - 1,
+                distanceKm
+            };
+        });
+
+        if (stops.length < 2) problems.push('a train needs at least two stops');
+
+        if (problems.length > 0) {
+            addIssue(report.errors, file, rows[0].line, `Train ${trainNumber} skipped: ${problems.join('; ')}`);
+            continue;
+        }
+
+        trains.push({
+            trainNumber,
+            name: first('train_name') || `Train ${trainNumber}`,
+            type: type || guessTrainType(first('train_name')),
+            runningDays,
+            coaches,
+            stops,
+            file,
+            line: rows[0].line
+        });
+    }
+
+    return { stations, trains };
+};
+
+// ===================================
+// 💾 WRITING TO THE DATABASE
+// ===================================
+
+// Only touch a path when the value really differs (keeps re-imports "unchanged")
+const assignIfChanged = (doc, path, value) => {
+    if (value === undefined) return;
+    if (JSON.stringify(doc.get(path)) !== JSON.stringify(value)) doc.set(path, value);
+};
+
+// Validate everything; write only when changed and not a dry run
+const persist = async (docs, dryRun) => {
+    await Promise.all(docs.map(doc => doc.validate()));
+    if (dryRun) return;
+
+    for (const doc of docs) {
+        if (doc.isNew || doc.isModified()) await doc.save({ validateBeforeSave: false });
+    }
+};
+
+const outcomeOf = (docs) => {
+    if (docs[0].isNew) return 'created';
+    return docs.some(doc => doc.isNew || doc.isModified()) ? 'updated' : 'unchanged';
+};
+
+const validationMessage = (error) => (
+    error.errors ? Object.values(error.errors).map(err => err.message).join('; ') : error.message
+);
+
+const importStations = async (stations, codes, report, dryRun) => {
+    const existing = await Station.find({ code: { $in: [...codes] } });
+    const stationDocs = new Map(existing.map(station => [station.code, station]));
+    const unusable = new Set();
+
+    for (const code of codes) {
+        const data = stations.get(code);
+        let station = stationDocs.get(code);
+
+        if (!station && !(data && data.name)) {
+            addIssue(report.errors, data && data.file, data && data.line,
+                `Station ${code} doesn't exist yet - include its name so it can be created`);
+            unusable.add(code);
+            continue;
+        }
+
+        if (!station) {
+            station = new Station({ code });
+            stationDocs.set(code, station);
+        }
+
+        if (!data) continue;
+
+        assignIfChanged(station, 'name', data.name);
+        if (data.location) assignIfChanged(station, 'location', { type: 'Point', coordinates: data.location });
+
+        try {
+            const outcome = outcomeOf([station]);
+            await persist([station], dryRun);
+            report.stations[outcome] += 1;
+        } catch (error) {
+            addIssue(report.errors, data.file, data.line, `Station ${code}: ${validationMessage(error)}`);
+            unusable.add(code);
+        }
+    }
+
+    return { stationDocs, unusable };
+};
+
+const importTrains = async (trains, stationDocs, unusable, report, dryRun) => {
+    const existing = await Train.find({ trainNumber: { $in: trains.map(train => train.trainNumber) } });
+    const trainDocs = new Map(existing.map(train => [train.trainNumber, train]));
+
+    const routes = await Route.find({ train: { $in: existing.map(train => train._id) } });
+    const routeDocs = new Map(routes.map(route => [String(route.train), route]));
+
+    for (const data of trains) {
+        const missingStation = data.stops.find(stop => unusable.has(stop.stationCode));
+
+        if (missingStation) {
+            addIssue(report.errors, data.file, data.line,
+                `Train ${data.trainNumber} skipped: station ${missingStation.stationCode} could not be imported`);
+            report.trains.skipped += 1;
+            continue;
+        }
+
+        const train = trainDocs.get(data.trainNumber) || new Train({ trainNumber: data.trainNumber });
+        const route = routeDocs.get(String(train._id)) || new Route({ train: train._id });
+        const stationId = (code) => stationDocs.get(code)._id;
+
+        assignIfChanged(train, 'name', data.name);
+        assignIfChanged(train, 'type', data.type);
+        assignIfChanged(train, 'runningDays', data.runningDays);
+        assignIfChanged(train, 'coaches', data.coaches);
+        assignIfChanged(train, 'source', stationId(data.stops[0].stationCode));
+        assignIfChanged(train, 'destination', stationId(data.stops[data.stops.length - 1].stationCode));
+        assignIfChanged(train, 'route', route._id);
+
+        // Same key order as the schema, so unchanged stops compare equal
+        assignIfChanged(route, 'stops', data.stops.map(stop => ({
+            station: stationId(stop.stationCode),
+            stationCode: stop.stationCode,
+            sequence: stop.sequence,
+            arrival: stop.arrival,
+            departure: stop.departure,
+            dayOffset: stop.dayOffset,
+            distanceKm: stop.distanceKm
+        })));
+
+        try {
+            const outcome = outcomeOf([train, route]);
+            await persist([train, route], dryRun);
+            report.trains[outcome] += 1;
+        } catch (error) {
+            addIssue(report.errors, data.file, data.line, `Train ${data.trainNumber}: ${validationMessage(error)}`);
+            report.trains.skipped += 1;
+        }
+    }
+};
+
+/**
+ * Import a timetable
+ *
+ * @param {Object} options
+ * @param {string} options.format - 'gtfs' or 'csv'
+ * @param {Object} options.files - file name → text. GTFS needs stops.txt,
+ *   trips.txt, stop_times.txt and calendar.txt; CSV takes its first file.
+ * @param {boolean} [options.dryRun] - validate only, write nothing
+ * @returns {Promise<Object>} the report: counts per outcome, errors, warnings
+ */
+const importTimetable = async ({ format, files, dryRun = false }) => {
+    const report = createReport(format, dryRun);
+
+    let parsed;
+    if (format === 'gtfs') {
+        parsed = readGtfs(files, report);
+    } else if (format === 'csv') {
+        const [file] = Object.keys(files);
+        parsed = readCsv(files[file], report, file);
+    } else {
+        throw new Error(`Unknown timetable format: ${format}`);
+    }
+
+    const { stations, trains } = parsed;
+    const codes = new Set([
+        ...stations.keys(),
+        ...trains.flatMap(train => train.stops.map(stop => stop.stationCode))
+    ]);
+
+    const { stationDocs, unusable } = await importStations(stations, codes, report, dryRun);
+    await importTrains(trains, stationDocs, unusable, report, dryRun);
+
+    // The journey planner caches the timetable in memory
+    if (!dryRun) invalidateTimetable();
+
+    return report;
+};
+
+/**
+ * Work out the format from uploaded file names
+ *
+ * @returns {'gtfs'|'csv'|null}
+ */
+const detectFormat = (fileNames) => {
+    if (fileNames.some(name => GTFS_REQUIRED_FILES.includes(name))) return 'gtfs';
+    if (fileNames.length === 1 && fileNames[0].endsWith('.csv')) return 'csv';
+    return null;
+};
+
+module.exports = {
+    importTimetable,
+    detectFormat,
+    parseCsv,
+    GTFS_REQUIRED_FILES
+};
@@ -0,0 +1,211 @@
+/**
+ * 🚫 Token Store - Making "Log Out" Actually Mean Log Out
+ *
+ * Access tokens are stateless JWTs, which is great for speed but means a
+ * token stays valid until it expires - even after logout, a password reset
+ * or a suspension. This store fixes that with two small ideas:
+ *
+ * 1. A denylist of individual token ids (jti) - used by logout, and to
+ *    burn single-use tokens (claimToken: only one caller can win)
+ * 2. A per-user token version - bumping it kills EVERY token issued before
+ *    (password reset, suspension, role change, "log out everywhere")
+ *
+ * Backends:
+ * - memory: a Map in this process (fine for a single server)
+ * - redis:  shared across servers via REDIS_URL
+ *
+ * Redis is used whenever REDIS_URL is set, memory otherwise; TOKEN_STORE
+ * (memory or redis) overrides that.
+ *
+ * Every entry has a TTL, so the store never grows beyond the tokens that
+ * could still be alive.
+ */
+
+const logger = require('./logger');
+
+// How long to remember a user's token version (no token lives longer than this)
+const VERSION_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * In-memory backend
+ *
+ * Expired keys are dropped lazily on read and by a periodic sweep.
+ */
+const createMemoryBackend = () => {
+    const entries = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }, 60 * 1000);
+    sweep.unref(); // Never keep the process alive just for this
+
+    return {
+        name: 'memory',
+        get: async (key) => {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+        set: async (key, value, ttlSeconds) => {
+            entries.set(key, { value: String(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+        },
+        // Set only if absent - no await in between, so nothing can interleave
+        add: async (key, value, ttlSeconds) => {
+            const entry = entries.get(key);
+            if (entry && entry.expiresAt > Date.now()) return false;
+            entries.set(key, { value: String(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+            return true;
+        }
+    };
+};
+
+/**
+ * Redis backend
+ *
+ * Connects lazily on first use. If Redis is unreachable we log loudly and
+ * fail open (treat tokens as valid) rather than locking every passenger out
+ * of the app - tokens still expire on their own after JWT_EXPIRE. Claims
+ * are the exception: they fail closed, since a single-use token that could
+ * be used twice is worse than one that has to be fetched again.
+ */
+const createRedisBackend = () => {
+    const { createClient } = require('redis');
+
+    const client = createClient({
+        url: process.env.REDIS_URL,
+        password: process.env.REDIS_PASSWORD || undefined
+    });
+
+    client.on('error', (error) => {
+        logger.error('🚨 Token store Redis error:', { error: error.message });
+    });
+
+    let connecting = null;
+    const ready = () => {
+        if (!connecting) connecting = client.connect();
+        return connecting;
+    };
+
+    return {
+        name: 'redis',
+        get: async (key) => {
+            try {
+                await ready();
+                return await client.get(`auth:${key}`);
+            } catch (error) {
+                logger.error('Token store read failed (failing open)', { key, error: error.message });
+                return null;
+            }
+        },
+        set: async (key, value, ttlSeconds) => {
+            try {
+                await ready();
+                await client.set(`auth:${key}`, String(value), { EX: ttlSeconds });
+            } catch (error) {
+                logger.error('Token store write failed', { key, error: error.message });
+            }
+        },
+        add: async (key, value, ttlSeconds) => {
+            try {
+                await ready();
+                return (await client.set(`auth:${key}`, String(value), { EX: ttlSeconds, NX: true })) === 'OK';
+            } catch (error) {
+                logger.error('Token store claim failed (failing closed)', { key, error: error.message });
+                throw error;
+            }
+        }
+    };
+};
+
+let backend = null;
+
+const getBackend = () => {
+    if (backend) return backend;
+
+    const name = (process.env.TOKEN_STORE || (process.env.REDIS_URL ? 'redis' : 'memory')).toLowerCase();
+
+    if (name === 'redis') {
+        backend = createRedisBackend();
+    } else if (name === 'memory') {
+        backend = createMemoryBackend();
+    } else {
+        throw new Error(`Unknown TOKEN_STORE "${name}" - use memory or redis`);
+    }
+
+    logger.info(`🚫 Token store ready: ${backend.name}`);
+    return backend;
+};
+
+/**
+ * Plug in a custom backend with async get(key) / set(key, value, ttlSeconds)
+ * and add(key, value, ttlSeconds) - set only if absent, resolving true if it
+ * did (pass null to go back to the configured one)
+ */
+const setBackend = (customBackend) => {
+    backend = customBackend;
+};
+
+/**
+ * Deny a single access token until it would have expired anyway
+ *
+ * @param {string} jti - Token id
+ * @param {number} exp - Token expiry (seconds since epoch, straight from the JWT)
+ */
+const revokeToken = async (jti, exp) => {
+    if (!jti) return;
+
+    const ttlSeconds = Math.max(1, Math.ceil(exp - Date.now() / 1000));
+    await getBackend().set(`revoked:${jti}`, '1', ttlSeconds);
+};
+
+const isTokenRevoked = async (jti) => {
+    if (!jti) return false;
+    return (await getBackend().get(`revoked:${jti}`)) !== null;
+};
+
+/**
+ * Burn a single-use token, atomically
+ *
+ * @returns {Promise<boolean>} true if this call burned it, false if it was
+ *   already used (throws if the store can't tell)
+ */
+const claimToken = async (jti, exp) => {
+    if (!jti) return false;
+
+    const ttlSeconds = Math.max(1, Math.ceil(exp - Date.now() / 1000));
+    return getBackend().add(`revoked:${jti}`, '1', ttlSeconds);
+};
+
+/**
+ * Remember a user's current token version
+ */
+const setTokenVersion = (userId, version) => getBackend().set(
+    `token-version:${userId}`,
+    version,
+    VERSION_TTL_SECONDS
+);
+
+/**
+ * Get a user's current token version, or null if we don't know it yet
+ * (callers then load it from the database and cache it with setTokenVersion)
+ */
+const getTokenVersion = async (userId) => {
+    const value = await getBackend().get(`token-version:${userId}`);
+    return value === null ? null : parseInt(value, 10);
+};
+
+module.exports = {
+    revokeToken,
+    isTokenRevoked,
+    claimToken,
+    setTokenVersion,
+    getTokenVersion,
+    setBackend
+};
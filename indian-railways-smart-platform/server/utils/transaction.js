@@ -0,0 +1,44 @@
+/**
+ * 🔁 Transactions With Retries
+ *
+ * Seat inventories use optimistic concurrency: a save based on a stale read
+ * fails with a VersionError instead of overwriting someone else's change.
+ * runTransaction() runs the work in a MongoDB transaction and simply runs
+ * it again (with fresh reads) when that happens.
+ *
+ * Needs MongoDB running as a replica set - see utils/booking.js.
+ */
+
+const mongoose = require('mongoose');
+
+const MAX_ATTEMPTS = 3;
+
+const isVersionError = (error) => error.name === 'VersionError';
+
+/**
+ * @param {Function} work - async (session) => result; read and write everything with `session`
+ * @param {Object} [options]
+ * @param {Function} [options.retryOn] - (error) => boolean, extra errors worth another go
+ * @returns {Promise<*>} whatever `work` returned on the attempt that committed
+ */
+const runTransaction = async (work, { retryOn = () => false } = {}) => {
+    const session = await mongoose.startSession();
+
+    try {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                let result;
+                await session.withTransaction(async () => {
+                    result = await work(session);
+                });
+                return result;
+            } catch (error) {
+                if (!(isVersionError(error) || retryOn(error)) || attempt >= MAX_ATTEMPTS) throw error;
+            }
+        }
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = { runTransaction };
@@ -0,0 +1,146 @@
+/**
+ * 🔐 Two-Factor Authentication Helpers
+ *
+ * Everything TOTP lives here so the routes stay readable:
+ * - secrets + otpauth URIs + QR codes for authenticator apps
+ * - TOTP verification with replay protection
+ * - backup codes (shown once, stored hashed, single use)
+ * - the short-lived "challenge token" that bridges the two login steps
+ *
+ * Why a separate challenge token instead of a normal access token?
+ * Because a user who only knows the password must NOT be able to call
+ * any API yet. The challenge token is signed with a key derived from
+ * JWT_SECRET, so the regular auth middleware can never accept it.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const speakeasy = require('speakeasy');
+const QRCode = require('qrcode');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Indian Railways Smart Platform';
+const TOTP_STEP_SECONDS = 30;
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_EXPIRE = '5m';
+
+/**
+ * Create a new TOTP secret for a user
+ *
+ * Returns the base32 secret (to store) and the otpauth:// URI + QR code
+ * data URL (to show once during enrollment).
+ */
+const createSecret = async (accountName) => {
+    const secret = speakeasy.generateSecret({ length: 20 });
+
+    const otpauthUrl = speakeasy.otpauthURL({
+        secret: secret.base32,
+        encoding: 'base32',
+        label: `${ISSUER}:${accountName}`,
+        issuer: ISSUER
+    });
+
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret: secret.base32, otpauthUrl, qrCode };
+};
+
+/**
+ * Verify a 6-digit TOTP code
+ *
+ * Allows one step of clock drift either way (phones are often a little off).
+ * Returns the time step that matched so callers can refuse to accept the
+ * same code twice, or null if the code is wrong or already used.
+ */
+const verifyTotp = (secret, code, lastUsedStep) => {
+    if (!secret || !/^\d{6}$/.test(String(code || '').trim())) return null;
+
+    const result = speakeasy.totp.verifyDelta({
+        secret,
+        encoding: 'base32',
+        token: String(code).trim(),
+        window: 1,
+        step: TOTP_STEP_SECONDS
+    });
+
+    if (!result) return null;
+
+    const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + result.delta;
+
+    // Replay protection - a code (or an older one) can only be used once
+    if (lastUsedStep && step <= lastUsedStep) return null;
+
+    return step;
+};
+
+/**
+ * Normalize and hash a backup code
+ *
+ * Codes are random and high-entropy, so a plain SHA-256 is enough here
+ * (bcrypt would make checking 10 codes painfully slow).
+ */
+const hashBackupCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toUpperCase())
+    .digest('hex');
+
+/**
+ * Generate a fresh set of backup codes
+ *
+ * Format: XXXXX-XXXXX using an alphabet without look-alike characters
+ * (no 0/O or 1/I - people type these from paper!).
+ */
+const generateBackupCodes = () => {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const codes = [];
+
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+        let raw = '';
+        for (let j = 0; j < 10; j++) {
+            raw += alphabet[crypto.randomInt(alphabet.length)];
+        }
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return {
+        codes,
+        hashes: codes.map(hashBackupCode)
+    };
+};
+
+// Challenge tokens get their own key so they're useless as access tokens
+const challengeSecret = () => crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update('two-factor-challenge')
+    .digest('hex');
+
+/**
+ * Issue the short-lived token returned after a correct password
+ */
+const signChallengeToken = (user, extra = {}) => jwt.sign(
+    { id: user._id, purpose: '2fa_challenge', ...extra },
+    challengeSecret(),
+    { expiresIn: CHALLENGE_EXPIRE }
+);
+
+/**
+ * Verify a challenge token (throws if invalid or expired)
+ */
+const verifyChallengeToken = (token) => {
+    const decoded = jwt.verify(token, challengeSecret());
+
+    if (decoded.purpose !== '2fa_challenge') {
+        throw new Error('Not a two-factor challenge token');
+    }
+
+    return decoded;
+};
+
+module.exports = {
+    createSecret,
+    verifyTotp,
+    hashBackupCode,
+    generateBackupCodes,
+    signChallengeToken,
+    verifyChallengeToken,
+    CHALLENGE_EXPIRE
+};
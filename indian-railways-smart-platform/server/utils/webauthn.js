@@ -0,0 +1,86 @@
+/**
+ * 🔑 Passkey (WebAuthn) Helpers
+ *
+ * Passkeys let passengers sign in with their phone's fingerprint, face or
+ * screen lock instead of a password - no typing on a tiny keyboard, and
+ * nothing a phishing page can steal. The cryptography is done by
+ * @simplewebauthn/server; this file holds what's specific to us:
+ * - relying party settings (which site the passkeys belong to)
+ * - the short-lived, single-use challenge token that carries the WebAuthn
+ *   challenge from the "options" call to the "verify" call
+ *
+ * Like the 2FA challenge token, it's signed with a key derived from
+ * JWT_SECRET (so it can never pass as an access token), and its jti is
+ * claimed in the token store on first use so a captured response can't be
+ * replayed - even by a second request racing the first.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const tokenStore = require('./tokenStore');
+
+const CHALLENGE_EXPIRE = '5m';
+
+const clientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Relying party settings
+ *
+ * - WEBAUTHN_RP_ID:   the domain passkeys are bound to (defaults to CLIENT_URL's host)
+ * - WEBAUTHN_RP_NAME: shown by the phone when creating a passkey
+ * - WEBAUTHN_ORIGIN:  allowed origins, comma separated (defaults to CLIENT_URL)
+ */
+const getRelyingParty = () => ({
+    id: process.env.WEBAUTHN_RP_ID || new URL(clientUrl()).hostname,
+    name: process.env.WEBAUTHN_RP_NAME || 'Indian Railways Smart Platform',
+    origins: (process.env.WEBAUTHN_ORIGIN || clientUrl())
+        .split(',')
+        .map(origin => origin.trim().replace(/\/$/, ''))
+        .filter(Boolean)
+});
+
+// Passkey challenge tokens get their own key so they're useless anywhere else
+const challengeSecret = () => crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update('webauthn-challenge')
+    .digest('hex');
+
+/**
+ * Wrap a WebAuthn challenge for the round trip to the browser
+ *
+ * @param {string} challenge - options.challenge from @simplewebauthn/server
+ * @param {string} purpose - 'registration' or 'authentication'
+ * @param {string} [userId] - who started the ceremony (registration only)
+ */
+const signChallengeToken = (challenge, purpose, userId) => jwt.sign(
+    { challenge, purpose, userId },
+    challengeSecret(),
+    { expiresIn: CHALLENGE_EXPIRE, jwtid: crypto.randomUUID() }
+);
+
+/**
+ * Unwrap and burn a challenge token (throws if invalid, expired, reused or
+ * issued for a different ceremony)
+ *
+ * @returns {Promise<Object>} { challenge, purpose, userId }
+ */
+const consumeChallengeToken = async (token, purpose) => {
+    const decoded = jwt.verify(token, challengeSecret());
+
+    if (decoded.purpose !== purpose) {
+        throw new Error(`Not a passkey ${purpose} challenge`);
+    }
+
+    if (!(await tokenStore.claimToken(decoded.jti, decoded.exp))) {
+        throw new Error('Passkey challenge already used');
+    }
+
+    return decoded;
+};
+
+module.exports = {
+    getRelyingParty,
+    signChallengeToken,
+    consumeChallengeToken,
+    CHALLENGE_EXPIRE
+};